@@ -1,10 +1,15 @@
 const api = globalThis.chrome || globalThis.browser;
 const action = api.action || api.browserAction;
 
+const MIN_ENCODED_LENGTH = 16;
+const MAX_BINARY_BYTES = 200000;
+const BASE64_REGEX = /^[A-Za-z0-9+/_-]+={0,2}$/;
+
 const SERVICE_CATALOG = [
-  { id: 'adobe-edge', domains: ['edge.adobedc.net'] },
-  { id: 'adobe-analytics', domains: ['omtrdc.net', '2o7.net'] },
-  { id: 'google-analytics', domains: ['google-analytics.com', 'analytics.google.com'] },
+  { id: 'adobe-edge', domains: ['edge.adobedc.net'], signatures: [{ path: '/v1/(interact|collect)$', query: ['configId'] }] },
+  { id: 'adobe-analytics', domains: ['omtrdc.net', '2o7.net'], signatures: [{ path: '^/b/ss/' }] },
+  { id: 'adobe-target', domains: ['tt.omtrdc.net'], signatures: [{ path: '/rest/v1/delivery$', query: ['client'] }, { path: '/mbox/json$', query: ['mbox'] }] },
+  { id: 'google-analytics', domains: ['google-analytics.com', 'analytics.google.com'], signatures: [{ path: '/g/collect$', query: ['tid'] }] },
   { id: 'google-ads', domains: ['googleadservices.com', 'doubleclick.net'] },
   { id: 'meta', domains: ['facebook.com', 'facebook.net'] },
   { id: 'tiktok', domains: ['tiktok.com', 'tiktokv.com', 'analytics.tiktok.com'] },
@@ -16,7 +21,9 @@ const SERVICE_CATALOG = [
   { id: 'baidu', domains: ['baidu.com', 'hm.baidu.com'] },
   { id: 'demandbase', domains: ['demandbase.com', 'tag.demandbase.com'] },
   { id: 'hotjar', domains: ['hotjar.com', 'hotjar.io'] },
-  { id: 'segment', domains: ['segment.com', 'segment.io'] },
+  { id: 'segment', domains: ['segment.com', 'segment.io'], signatures: [{ path: '/v1/(t|p|i|g|a|m)$', body: ['writeKey', 'anonymousId', 'type'] }] },
+  { id: 'rudderstack', domains: ['rudderstack.com', 'rudderlabs.com'], signatures: [{ path: '/v1/(track|page|identify|group|alias|screen)$', body: ['anonymousId', 'type', 'channel'] }] },
+  { id: 'snowplow', domains: ['snowplowanalytics.com'], signatures: [{ path: '/com\\.snowplowanalytics\\.snowplow/tp2$' }, { path: '/i$', query: ['e', 'tv'] }] },
   { id: 'mixpanel', domains: ['mixpanel.com'] },
   { id: 'amplitude', domains: ['amplitude.com'] }
 ];
@@ -58,10 +65,87 @@ function resolveServiceIdForDomain(domain, mappings) {
   if (!domain) return null;
   const mapping = getMappingForDomain(domain, mappings);
   if (mapping && mapping.serviceId) return mapping.serviceId;
-  const match = SERVICE_CATALOG.find(service => service.domains.some(serviceDomain => domainMatches(domain, serviceDomain)));
+  let match = null;
+  let matchLength = 0;
+  SERVICE_CATALOG.forEach(service => {
+    service.domains.forEach(serviceDomain => {
+      if (serviceDomain.length > matchLength && domainMatches(domain, serviceDomain)) {
+        match = service;
+        matchLength = serviceDomain.length;
+      }
+    });
+  });
   return match ? match.id : null;
 }
 
+/**
+ * Compile path/query/body signatures once so URL checks do not rebuild their regular expressions.
+ * @param {Array<{ path?: string, query?: Array<string>, body?: Array<string> }>} signatures
+ * @returns {Array<{ path: RegExp|null, query: Array<string>, body: Array<string> }>}
+ */
+function compileSignatures(signatures) {
+  return (Array.isArray(signatures) ? signatures : []).map(signature => ({
+    path: signature.path ? new RegExp(signature.path) : null,
+    query: Array.isArray(signature.query) ? signature.query : [],
+    body: Array.isArray(signature.body) ? signature.body : []
+  }));
+}
+
+/**
+ * Check whether a request matches any compiled signature. The body is only read, once,
+ * when a signature with body keys matches the URL.
+ * @param {Array<{ path: RegExp|null, query: Array<string>, body: Array<string> }>} compiled
+ * @param {string} url
+ * @param {() => any} [readBody] returns the parsed JSON request body, or null
+ * @returns {boolean}
+ */
+function matchesSignatures(compiled, url, readBody = null) {
+  if (!compiled.length || !url) return false;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  let body;
+  return compiled.some(signature => {
+    if (signature.path && !signature.path.test(parsed.pathname)) return false;
+    if (!signature.query.every(key => parsed.searchParams.has(key))) return false;
+    if (!signature.body.length) return true;
+    if (body === undefined) body = readBody?.() ?? null;
+    return !!body && typeof body === 'object' && !Array.isArray(body) && signature.body.every(key => key in body);
+  });
+}
+
+const CATALOG_SIGNATURES = SERVICE_CATALOG
+  .filter(service => service.signatures)
+  .map(service => ({ id: service.id, compiled: compileSignatures(service.signatures) }));
+
+/**
+ * Resolve a service ID for a request: domain (and custom mappings) first, then signatures.
+ * @param {string} url
+ * @param {Array<object>} mappings
+ * @param {() => any} [readBody] see matchesSignatures
+ * @returns {string|null}
+ */
+function resolveServiceIdForRequest(url, mappings, readBody = null) {
+  const serviceId = resolveServiceIdForDomain(getDomainFromUrl(url), mappings);
+  if (serviceId) return serviceId;
+  return CATALOG_SIGNATURES.find(entry => matchesSignatures(entry.compiled, url, readBody))?.id || null;
+}
+
+/**
+ * Collect signatures for services whose domains are in the allowlist.
+ * @param {Array<string>} allowlist
+ * @returns {Array<object>}
+ */
+function getSignaturesForAllowlist(allowlist) {
+  const entries = (Array.isArray(allowlist) ? allowlist : []).map(entry => entry.trim()).filter(Boolean);
+  return SERVICE_CATALOG
+    .filter(service => service.signatures && service.domains.some(domain => entries.some(entry => domainMatches(entry, domain))))
+    .flatMap(service => service.signatures);
+}
+
 /**
  * Safely decode URI components without throwing.
  * @param {string} value
@@ -100,12 +184,12 @@ function parseKeyValuePairs(raw, plusAsSpace) {
     const rawValue = idx === -1 ? '' : pair.slice(idx + 1);
     const keySource = plusAsSpace ? decodePlus(rawKey) : rawKey;
     const valueSource = plusAsSpace ? decodePlus(rawValue) : rawValue;
-    return {
+    return withDecodedValue({
       rawKey,
       rawValue,
       key: safeDecode(keySource),
       value: safeDecode(valueSource)
-    };
+    });
   });
 }
 
@@ -138,12 +222,12 @@ function parseFormData(formData) {
     const values = Array.isArray(formData[key]) ? formData[key] : [formData[key]];
     values.forEach(value => {
       const rawValue = value || '';
-      params.push({
+      params.push(withDecodedValue({
         rawKey: key,
         rawValue,
         key,
         value: safeDecode(rawValue)
-      });
+      }));
     });
   });
   return { raw: '', params };
@@ -211,43 +295,331 @@ function parseRawBody(requestBody, contentType = '') {
 
   if (requestBody.raw && requestBody.raw.length) {
     const bytes = mergeRawBytes(requestBody.raw);
-    const text = decodeBytes(bytes);
-    const lowerType = contentType.toLowerCase();
+    const compression = detectCompression(bytes);
+    if (compression) return createBinaryBody(bytes, contentType, compression);
+    return parseBodyBytes(bytes, contentType);
+  }
 
-    if (lowerType.includes('application/json')) {
-      const json = tryParseJson(text);
-      return {
-        type: 'json',
-        contentType,
-        raw: text,
-        parsed: json
-      };
-    }
+  return null;
+}
 
-    if (lowerType.includes('application/x-www-form-urlencoded')) {
-      return {
-        type: 'form',
-        contentType,
-        raw: text,
-        parsed: {
-          raw: text,
-          params: parseKeyValuePairs(text, true)
-        }
-      };
-    }
+/**
+ * Parse body bytes as multipart, binary or text.
+ * @param {Uint8Array} bytes
+ * @param {string} [contentType='']
+ * @returns {object}
+ */
+function parseBodyBytes(bytes, contentType = '') {
+  const boundary = getMultipartBoundary(bytes, contentType);
+  if (boundary) return parseMultipartBody(bytes, boundary, contentType);
+  if (isLikelyBinary(bytes)) return createBinaryBody(bytes, contentType);
+  return parseBodyText(decodeBytes(bytes), contentType);
+}
+
+/**
+ * Build a `binary` body that keeps the bytes as base64 for hex dumps and later decoding.
+ * @param {Uint8Array} bytes
+ * @param {string} contentType
+ * @param {string|null} [encoding=null] compression format, when known
+ * @returns {object}
+ */
+function createBinaryBody(bytes, contentType, encoding = null) {
+  const kept = bytes.subarray(0, MAX_BINARY_BYTES);
+  const body = {
+    type: 'binary',
+    contentType,
+    parsed: null,
+    original: { encoding: 'base64', raw: bytesToBase64(kept), size: bytes.length }
+  };
+  if (encoding) body.encoding = encoding;
+  if (kept.length < bytes.length) body.truncated = true;
+  return body;
+}
+
+/**
+ * Heuristic check for non-text bytes (NUL bytes or many control characters).
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+function isLikelyBinary(bytes) {
+  const sample = bytes.subarray(0, 1024);
+  if (!sample.length) return false;
+  let control = 0;
+  for (const byte of sample) {
+    if (byte === 0) return true;
+    if (byte < 0x09 || (byte > 0x0d && byte < 0x20) || byte === 0x7f) control += 1;
+  }
+  return control / sample.length > 0.1;
+}
+
+/**
+ * Find the multipart boundary from the content type or the first body line.
+ * @param {Uint8Array} bytes
+ * @param {string} contentType
+ * @returns {string}
+ */
+function getMultipartBoundary(bytes, contentType = '') {
+  const declared = contentType.match(/multipart\/[^;]+;.*\bboundary="?([^";]+)"?/i);
+  if (declared) return declared[1];
+  const head = bytesToBinaryString(bytes.subarray(0, 200));
+  const match = head.match(/^--([^\s]{1,70})\r?\n/);
+  if (!match) return '';
+  return bytesToBinaryString(bytes).includes(`--${match[1]}--`) ? match[1] : '';
+}
+
+/**
+ * Split a multipart body into parts with their headers, decoding each part body.
+ * @param {Uint8Array} bytes
+ * @param {string} boundary
+ * @param {string} contentType
+ * @returns {object}
+ */
+function parseMultipartBody(bytes, boundary, contentType = '') {
+  const binary = bytesToBinaryString(bytes);
+  const parts = [];
+  binary.split(`--${boundary}`).slice(1).forEach(chunk => {
+    if (chunk.startsWith('--')) return;
+    const content = chunk.replace(/^\r?\n/, '').replace(/\r?\n$/, '');
+    const split = content.search(/\r?\n\r?\n/);
+    const headerText = split === -1 ? content : content.slice(0, split);
+    const bodyText = split === -1 ? '' : content.slice(split).replace(/^\r?\n\r?\n/, '');
+    const headers = headerText.split(/\r?\n/).map(line => {
+      const index = line.indexOf(':');
+      return index === -1 ? null : { name: line.slice(0, index).trim(), value: line.slice(index + 1).trim() };
+    }).filter(Boolean);
+    const disposition = headers.find(header => header.name.toLowerCase() === 'content-disposition')?.value || '';
+    const partType = headers.find(header => header.name.toLowerCase() === 'content-type')?.value || '';
+    const partBytes = Uint8Array.from(bodyText, char => char.charCodeAt(0));
+    parts.push({
+      ...parseBodyBytes(partBytes, partType),
+      name: disposition.match(/\bname="([^"]*)"/)?.[1] || '',
+      filename: disposition.match(/\bfilename="([^"]*)"/)?.[1] || '',
+      headers
+    });
+  });
+  return {
+    type: 'multipart',
+    contentType,
+    boundary,
+    raw: decodeBytes(bytes),
+    parsed: { parts }
+  };
+}
+
+/**
+ * Parse request body text into a structured representation.
+ * Whole-body base64/base64url is decoded when the result is JSON.
+ * @param {string} text
+ * @param {string} [contentType='']
+ * @param {number} [depth=0]
+ * @returns {object}
+ */
+function parseBodyText(text, contentType = '', depth = 0) {
+  const lowerType = contentType.toLowerCase();
 
+  if (lowerType.includes('application/json')) {
     const json = tryParseJson(text);
     return {
-      type: json ? 'json' : 'text',
+      type: 'json',
       contentType,
       raw: text,
       parsed: json
     };
   }
 
+  if (lowerType.includes('application/x-www-form-urlencoded')) {
+    return {
+      type: 'form',
+      contentType,
+      raw: text,
+      parsed: {
+        raw: text,
+        params: parseKeyValuePairs(text, true)
+      }
+    };
+  }
+
+  const json = tryParseJson(text);
+  if (!json && depth === 0) {
+    const base64 = decodeBase64Text(text);
+    const decoded = base64 ? parseBodyText(base64.text, contentType, depth + 1) : null;
+    if (decoded?.type === 'json' && decoded.parsed) {
+      return {
+        ...decoded,
+        transforms: [base64.transform],
+        original: { encoding: 'text', raw: text }
+      };
+    }
+  }
+  return {
+    type: json ? 'json' : 'text',
+    contentType,
+    raw: text,
+    parsed: json
+  };
+}
+
+/**
+ * Decode base64 or base64url text into a UTF-8 string.
+ * @param {string} value
+ * @returns {{ text: string, transform: 'base64'|'base64url' }|null}
+ */
+function decodeBase64Text(value) {
+  const text = String(value || '').trim();
+  if (text.length < MIN_ENCODED_LENGTH || !BASE64_REGEX.test(text)) return null;
+  const normalized = text.replace(/-/g, '+').replace(/_/g, '/').replace(/=+$/, '');
+  if (normalized.length % 4 === 1) return null;
+  try {
+    const bytes = base64ToBytes(normalized);
+    const decoded = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    const transform = /[-_]/.test(text) || text.length % 4 !== 0 ? 'base64url' : 'base64';
+    return { text: decoded, transform };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decode a base64-encoded JSON parameter value.
+ * @param {string} value
+ * @returns {{ value: string, parsed: any, transforms: Array<string> }|null}
+ */
+function decodeEncodedValue(value) {
+  const result = decodeBase64Text(String(value || '').replace(/ /g, '+'));
+  if (!result) return null;
+  const trimmed = result.text.trim();
+  if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) return null;
+  const parsed = tryParseJson(trimmed);
+  if (!parsed) return null;
+  return { value: result.text, parsed, transforms: [result.transform] };
+}
+
+/**
+ * Attach a `decoded` form to a key/value param when its value is encoded.
+ * @param {object} param
+ * @returns {object}
+ */
+function withDecodedValue(param) {
+  const decoded = decodeEncodedValue(param.value);
+  return decoded ? { ...param, decoded } : param;
+}
+
+/**
+ * Detect gzip or zlib (deflate) compressed bytes by their magic header.
+ * @param {Uint8Array} bytes
+ * @returns {'gzip'|'deflate'|null}
+ */
+function detectCompression(bytes) {
+  if (!bytes || bytes.length < 2) return null;
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) return 'gzip';
+  if (bytes[0] === 0x78 && [0x01, 0x5e, 0x9c, 0xda].includes(bytes[1])) return 'deflate';
   return null;
 }
 
+/**
+ * Encode bytes as base64.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+  return btoa(bytesToBinaryString(bytes));
+}
+
+/**
+ * Convert bytes into a one-char-per-byte (latin1) string.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBinaryString(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return binary;
+}
+
+/**
+ * Decode base64 (padding optional) into bytes.
+ * @param {string} value
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(value) {
+  const padded = value + '='.repeat((4 - (value.length % 4)) % 4);
+  return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+}
+
+/**
+ * Decompress gzip/deflate bytes with `DecompressionStream`.
+ * @param {Uint8Array} bytes
+ * @param {'gzip'|'deflate'} format
+ * @returns {Promise<Uint8Array|null>}
+ */
+async function decompressBytes(bytes, format) {
+  if (typeof DecompressionStream === 'undefined') return null;
+  try {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decompress a `binary` body produced by `parseRawBody` and parse the result.
+ * @param {object} body
+ * @returns {Promise<object|null>}
+ */
+async function decodeCompressedBody(body) {
+  if (!body?.encoding || body.original?.encoding !== 'base64') return null;
+  const inflated = await decompressBytes(base64ToBytes(body.original.raw), body.encoding);
+  if (!inflated) return null;
+  const decoded = parseBodyBytes(inflated, body.contentType || '');
+  return {
+    ...decoded,
+    transforms: [body.encoding, ...(decoded.transforms || [])],
+    original: body.original
+  };
+}
+
+/**
+ * Parse the Adobe Analytics `products` string (`category;product;quantity;price;events;eVars`).
+ * Per-product events and merchandising eVars are pipe-delimited `name=value` pairs.
+ * @param {string} value
+ * @returns {Array<{ category: string, product: string, quantity: string, price: string, events: object, eVars: object }>}
+ */
+function parseProductsString(value) {
+  if (!value) return [];
+  return String(value).split(',').filter(item => item.trim()).map(item => {
+    const [category = '', product = '', quantity = '', price = '', events = '', eVars = ''] = item.split(';');
+    return {
+      category: category.trim(),
+      product: product.trim(),
+      quantity: quantity.trim(),
+      price: price.trim(),
+      events: parseProductPairs(events),
+      eVars: parseProductPairs(eVars)
+    };
+  });
+}
+
+/**
+ * Parse pipe-delimited `name=value` pairs from a products entry.
+ * @param {string} value
+ * @returns {object}
+ */
+function parseProductPairs(value) {
+  const pairs = {};
+  String(value || '').split('|').map(item => item.trim()).filter(Boolean).forEach(item => {
+    const index = item.indexOf('=');
+    if (index === -1) {
+      pairs[item] = '';
+    } else {
+      pairs[item.slice(0, index)] = item.slice(index + 1);
+    }
+  });
+  return pairs;
+}
+
 /**
  * Get hostname from a URL.
  * @param {string} url
@@ -267,6 +639,75 @@ function getPathFromUrl(url) {
   return parsed.pathname || '/';
 }
 
+const TAGS_EMBED_REGEX = '^https://assets\\.adobedtm\\.com/.+/launch-[^/?#]+\\.min\\.js';
+const TAGS_SWITCH_RULE_BASE = 1000;
+
+/**
+ * Check that a URL can be used as a replacement Tags library.
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isTagsLibraryUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' && parsed.pathname.endsWith('.js');
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Normalize stored Tags environment switch entries.
+ * @param {Array<object>} switches
+ * @returns {Array<{ site: string, pageDomain: string, libraryUrl: string, enabled: boolean }>}
+ */
+function normalizeTagsSwitches(switches) {
+  if (!Array.isArray(switches)) return [];
+  return switches
+    .map(entry => ({
+      site: String(entry?.site || '').trim(),
+      pageDomain: String(entry?.pageDomain || '').trim().toLowerCase(),
+      libraryUrl: String(entry?.libraryUrl || '').trim(),
+      enabled: !!entry?.enabled
+    }))
+    .filter(entry => entry.site && entry.pageDomain && isTagsLibraryUrl(entry.libraryUrl));
+}
+
+/**
+ * Build declarativeNetRequest rules for enabled switches.
+ * Each switch gets a redirect for the production embed and a higher-priority
+ * allow rule so the replacement library is not redirected again.
+ * @param {Array<object>} switches
+ * @returns {Array<object>}
+ */
+function buildTagsSwitchRules(switches) {
+  const rules = [];
+  normalizeTagsSwitches(switches).filter(entry => entry.enabled).forEach((entry, index) => {
+    const id = TAGS_SWITCH_RULE_BASE + index * 2;
+    rules.push({
+      id,
+      priority: 1,
+      action: { type: 'redirect', redirect: { url: entry.libraryUrl } },
+      condition: {
+        regexFilter: TAGS_EMBED_REGEX,
+        initiatorDomains: [entry.pageDomain],
+        resourceTypes: ['script']
+      }
+    });
+    rules.push({
+      id: id + 1,
+      priority: 2,
+      action: { type: 'allow' },
+      condition: {
+        urlFilter: `|${entry.libraryUrl}|`,
+        initiatorDomains: [entry.pageDomain],
+        resourceTypes: ['script']
+      }
+    });
+  });
+  return rules;
+}
+
 /**
  * Normalize a raw UAT config into a consistent structure.
  * @param {object} config
@@ -566,9 +1007,35 @@ function resolveConditionValue(condition, request) {
     const raw = request.body?.raw || '';
     return { used: raw.length > 0, values: [raw] };
   }
+  if (source === 'products') {
+    const rows = parseProductsString(getHitParamValue(request, 'products'));
+    if (!rows.length) return { used: false, values: [] };
+    const values = !path || path.startsWith('[')
+      ? normalizeValues(getValueAtPath(rows, path))
+      : rows.flatMap(row => normalizeValues(getValueAtPath(row, path)));
+    return { used: values.length > 0, values };
+  }
   return { used: false, values: [] };
 }
 
+/**
+ * Read a hit parameter from the query string or a form-encoded body.
+ * @param {object} request
+ * @param {string} key
+ * @returns {string}
+ */
+function getHitParamValue(request, key) {
+  const params = (request.query && request.query.params) || [];
+  const match = params.find(p => p.key === key);
+  if (match) return match.value;
+  const payload = getPayloadObject(request);
+  if (!payload) return '';
+  if (Array.isArray(payload.params)) {
+    return payload.params.find(p => p.key === key)?.value || '';
+  }
+  return typeof payload[key] === 'string' ? payload[key] : '';
+}
+
 /**
  * Convert request body into a traversable object.
  * @param {object} request
@@ -689,48 +1156,518 @@ function evaluateCount(mode, actual, expected) {
   return actual === expectedNumber;
 }
 
-const DEFAULT_ALLOWLIST = [
-  'edge.adobedc.net'
-];
+/**
+ * Resolve the consent state in effect at a point in time from recorded `consent` page events.
+ * The latest signal per framework wins; any framework granting counts as an opt-in.
+ * @param {Array<object>} events page events for one session/tab
+ * @param {number} timeStamp
+ * @returns {{ state: string, frameworks: Object<string, { status: string, summary: string, timeStamp: number }> }}
+ */
+function getConsentStateAt(events, timeStamp) {
+  const frameworks = {};
+  (events || [])
+    .filter(evt => evt.kind === 'consent' && (evt.timeStamp || 0) <= timeStamp)
+    .sort((a, b) => (a.timeStamp || 0) - (b.timeStamp || 0))
+    .forEach(evt => {
+      const data = evt.data || {};
+      if (!data.framework) return;
+      frameworks[data.framework] = {
+        status: data.status || 'unknown',
+        summary: data.summary || '',
+        timeStamp: evt.timeStamp
+      };
+    });
+  const statuses = Object.values(frameworks).map(item => item.status);
+  const state = statuses.includes('granted') ? 'granted' : (statuses.includes('denied') ? 'denied' : 'unknown');
+  return { state, frameworks };
+}
 
-const DEFAULT_SETTINGS = {
-  allowlist: DEFAULT_ALLOWLIST,
-  capturePaused: false,
-  maxEntries: 2000,
-  selectedSessionId: null,
-  enableHooks: false,
-  debugHooks: false,
-  serviceMappings: []
-};
+const HOOK_MATCH_WINDOW_MS = 20000;
 
-let settings = { ...DEFAULT_SETTINGS };
-let requests = [];
-let requestIndex = new Map();
-let sessions = [];
-let sites = [];
-let currentSessionId = null;
-let navState = new Map();
-let tabUrlCache = new Map();
-const payloadCacheByUrlTab = new Map();
-let uatConfigs = {};
-const hookQueueByTabUrl = new Map();
-const hookQueueByUrl = new Map();
-let lastRequestAt = Date.now();
-let idlePrompted = false;
+const HOOK_TOKEN_PARAM = '_lo_hook';
 
-const IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+const HOOK_TOKEN_PATTERN = new RegExp(`[?&]${HOOK_TOKEN_PARAM}=([^&#]*)(?=#|$)`);
 
-function debugHookLog(...args) {
-  if (!settings?.debugHooks) return;
-  console.log('[Launch Observer Hooks]', ...args);
+const SENT_BODY_TYPES = new Set(['json', 'form', 'text']);
+
+/**
+ * Split the hook token that page hooks append to an allowlisted call's URL (always as
+ * the last query parameter) from the URL the page asked for.
+ * @param {string} url
+ * @returns {{ url: string, token: string|null }}
+ */
+function splitHookToken(url) {
+  const match = typeof url === 'string' ? HOOK_TOKEN_PATTERN.exec(url) : null;
+  if (!match || !match[1]) return { url, token: null };
+  return { url: url.slice(0, match.index) + url.slice(match.index + match[0].length), token: match[1] };
 }
 
 /**
- * Promise wrapper for storage.get (MV2 compatibility).
- * @param {Array<string>} keys
- * @returns {Promise<object>}
+ * Get the exact text webRequest saw for a body, or null when only a lossy view is kept
+ * (form data, multipart, binary or truncated bodies).
+ * @param {object|null} body
+ * @returns {string|null}
  */
-function storageGet(keys) {
+function getSentBodyText(body) {
+  if (!body || body.truncated) return null;
+  if (body.original?.encoding === 'text') return body.original.raw;
+  if (!SENT_BODY_TYPES.has(body.type) || typeof body.raw !== 'string') return null;
+  return body.raw;
+}
+
+/**
+ * Decide whether a hooked call produced a request entry and how certain that is.
+ * `token`, `requestId` and `body` are exact: the call's hook token was on the request URL,
+ * or the Edge requestId in the URL or the body text is identical. A call or entry that
+ * carries a token only ever matches by it. `url` is a heuristic for calls that could not
+ * be stamped: same tab and URL within the match window, with nothing contradicting it.
+ * @param {object} entry
+ * @param {{ tabId?: number, hookId?: string, stamped?: boolean, url: string, requestId?: string|null, payload?: object|null, hookTs: number }} call
+ * @returns {{ method: string, confidence: 'exact'|'heuristic' }|null}
+ */
+function correlateHookCall(entry, call) {
+  if (!entry || !call) return null;
+  if (call.tabId !== undefined && entry.tabId !== call.tabId) return null;
+  if (entry.hookToken || call.stamped) {
+    return entry.hookToken && entry.hookToken === call.hookId ? { method: 'token', confidence: 'exact' } : null;
+  }
+  const entryRequestId = getRequestIdFromUrl(entry.url);
+  const callRequestId = call.requestId || getRequestIdFromUrl(call.url);
+  if (entryRequestId || callRequestId) {
+    return entryRequestId === callRequestId ? { method: 'requestId', confidence: 'exact' } : null;
+  }
+  if (!call.url || call.url !== entry.url) return null;
+  if (Math.abs((call.hookTs || 0) - (entry.timeStamp || 0)) > HOOK_MATCH_WINDOW_MS) return null;
+  const sent = entry.captureSource?.body === 'webRequest' ? getSentBodyText(entry.body) : null;
+  const hooked = typeof call.payload?.raw === 'string' ? call.payload.raw : null;
+  if (sent !== null && hooked !== null) {
+    return sent === hooked ? { method: 'body', confidence: 'exact' } : null;
+  }
+  return { method: 'url', confidence: 'heuristic' };
+}
+
+/**
+ * Pick the match for one side of a correlation: the first exact match, otherwise the
+ * first (oldest) heuristic one so calls and requests to the same URL pair up in order.
+ * @param {Array<object>} items candidates, oldest first
+ * @param {(item: object) => ({ method: string, confidence: string }|null)} correlate
+ * @returns {{ item: object, method: string, confidence: string }|null}
+ */
+function findBestCorrelation(items, correlate) {
+  let best = null;
+  for (const item of items) {
+    const match = correlate(item);
+    if (!match) continue;
+    if (match.confidence === 'exact') return { item, ...match };
+    if (!best) best = { item, ...match };
+  }
+  return best;
+}
+
+const DEFAULT_SNAPSHOT_KEYS = {
+  cookies: ['AMCV_*', 'AMCVS_*', 's_ecid', 'kndctr_*', '_ga', '_ga_*', '_fbp', '_gcl_au'],
+  storage: ['com.adobe.*', 'kndctr_*', 'mbox*', '_ga*']
+};
+
+/**
+ * Check a cookie or storage key against patterns; `*` matches any run of characters.
+ * @param {string} key
+ * @param {Array<string>} patterns
+ * @returns {boolean}
+ */
+function matchesKeyPattern(key, patterns) {
+  return (patterns || []).some(pattern => {
+    if (!pattern) return false;
+    if (!pattern.includes('*')) return pattern === key;
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(key);
+  });
+}
+
+/**
+ * Normalize configured snapshot keys, falling back to the defaults.
+ * @param {object} [keys]
+ * @returns {{ cookies: Array<string>, storage: Array<string> }}
+ */
+function normalizeSnapshotKeys(keys) {
+  const clean = list => (Array.isArray(list) ? list : []).map(item => String(item || '').trim()).filter(Boolean);
+  return {
+    cookies: Array.isArray(keys?.cookies) ? clean(keys.cookies) : [...DEFAULT_SNAPSHOT_KEYS.cookies],
+    storage: Array.isArray(keys?.storage) ? clean(keys.storage) : [...DEFAULT_SNAPSHOT_KEYS.storage]
+  };
+}
+
+const DB_NAME = 'launch-observer';
+const DB_VERSION = 3;
+const REQUEST_STORE = 'requests';
+const PAGE_EVENT_STORE = 'pageEvents';
+
+const REQUEST_PAGE_SIZE = 500;
+
+let dbPromise = null;
+
+/**
+ * Resolve an IDBRequest as a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve once a transaction has committed.
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Approximate the stored size of an entry by the length of its JSON form.
+ * @param {object} entry
+ * @returns {number}
+ */
+function getRequestSize(entry) {
+  return JSON.stringify(entry).length;
+}
+
+/**
+ * Key range covering every request of one session on the session/time index.
+ * @param {string} sessionId
+ * @returns {IDBKeyRange}
+ */
+function sessionRange(sessionId) {
+  return IDBKeyRange.bound([sessionId, -Infinity], [sessionId, Infinity]);
+}
+
+/**
+ * Open the request database. Requests are keyed by [sessionId, id] and indexed by
+ * session and capture time so a session can be read or paged without touching others.
+ * Version 2 drops the global `timeStamp` index, unused since retention works per session.
+ * Version 3 adds the page event store, keyed by event id.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openRequestStore() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = event => {
+        const db = request.result;
+        const store = db.objectStoreNames.contains(REQUEST_STORE)
+          ? request.transaction.objectStore(REQUEST_STORE)
+          : db.createObjectStore(REQUEST_STORE, { keyPath: ['sessionId', 'id'] });
+        if (!store.indexNames.contains('sessionTime')) store.createIndex('sessionTime', ['sessionId', 'timeStamp']);
+        if (event.oldVersion < 2 && store.indexNames.contains('timeStamp')) store.deleteIndex('timeStamp');
+        if (!db.objectStoreNames.contains(PAGE_EVENT_STORE)) {
+          db.createObjectStore(PAGE_EVENT_STORE, { keyPath: 'id' }).createIndex('sessionId', 'sessionId');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Write (insert or replace) request entries.
+ * @param {Array<object>} entries
+ * @returns {Promise<void>}
+ */
+async function putRequests(entries) {
+  if (!entries.length) return;
+  const db = await openRequestStore();
+  const tx = db.transaction(REQUEST_STORE, 'readwrite');
+  const store = tx.objectStore(REQUEST_STORE);
+  entries.forEach(entry => store.put(entry));
+  await transactionDone(tx);
+}
+
+/**
+ * Delete every request of a session.
+ * @param {string} sessionId
+ * @returns {Promise<void>}
+ */
+async function deleteSessionRequests(sessionId) {
+  const db = await openRequestStore();
+  const tx = db.transaction(REQUEST_STORE, 'readwrite');
+  tx.objectStore(REQUEST_STORE).delete(IDBKeyRange.bound([sessionId], [sessionId, []]));
+  await transactionDone(tx);
+}
+
+/**
+ * Delete the oldest requests of a session.
+ * @param {string} sessionId
+ * @param {number} count
+ * @returns {Promise<Array<{ sessionId: string, id: string, bytes: number }>>} the deleted entries and their approximate size
+ */
+async function deleteOldestSessionRequests(sessionId, count) {
+  if (count <= 0) return [];
+  const db = await openRequestStore();
+  const tx = db.transaction(REQUEST_STORE, 'readwrite');
+  const removed = [];
+  const cursorRequest = tx.objectStore(REQUEST_STORE).index('sessionTime').openCursor(sessionRange(sessionId));
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (!cursor || removed.length >= count) return;
+    removed.push({ sessionId, id: cursor.value.id, bytes: getRequestSize(cursor.value) });
+    cursor.delete();
+    cursor.continue();
+  };
+  await transactionDone(tx);
+  return removed;
+}
+
+/**
+ * Delete all stored requests and page events.
+ * @returns {Promise<void>}
+ */
+async function clearRequestStore() {
+  const db = await openRequestStore();
+  const tx = db.transaction([REQUEST_STORE, PAGE_EVENT_STORE], 'readwrite');
+  tx.objectStore(REQUEST_STORE).clear();
+  tx.objectStore(PAGE_EVENT_STORE).clear();
+  await transactionDone(tx);
+}
+
+/**
+ * Write page events. Events do not change once recorded, so they are only ever added.
+ * @param {Array<object>} events
+ * @returns {Promise<void>}
+ */
+async function putPageEvents(events) {
+  if (!events.length) return;
+  const db = await openRequestStore();
+  const tx = db.transaction(PAGE_EVENT_STORE, 'readwrite');
+  const store = tx.objectStore(PAGE_EVENT_STORE);
+  events.forEach(event => store.put(event));
+  await transactionDone(tx);
+}
+
+/**
+ * Delete page events by id.
+ * @param {Array<string>} ids
+ * @returns {Promise<void>}
+ */
+async function deletePageEvents(ids) {
+  if (!ids.length) return;
+  const db = await openRequestStore();
+  const tx = db.transaction(PAGE_EVENT_STORE, 'readwrite');
+  const store = tx.objectStore(PAGE_EVENT_STORE);
+  ids.forEach(id => store.delete(id));
+  await transactionDone(tx);
+}
+
+/**
+ * Delete every page event of a session.
+ * @param {string} sessionId
+ * @returns {Promise<void>}
+ */
+async function deleteSessionPageEvents(sessionId) {
+  const db = await openRequestStore();
+  const tx = db.transaction(PAGE_EVENT_STORE, 'readwrite');
+  const cursorRequest = tx.objectStore(PAGE_EVENT_STORE).index('sessionId').openKeyCursor(IDBKeyRange.only(sessionId));
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (!cursor) return;
+    tx.objectStore(PAGE_EVENT_STORE).delete(cursor.primaryKey);
+    cursor.continue();
+  };
+  await transactionDone(tx);
+}
+
+/**
+ * Read every stored page event, oldest first.
+ * @returns {Promise<Array<object>>}
+ */
+async function getPageEvents() {
+  const db = await openRequestStore();
+  const events = await promisifyRequest(db.transaction(PAGE_EVENT_STORE).objectStore(PAGE_EVENT_STORE).getAll());
+  return events.sort((a, b) => (a.timeStamp || 0) - (b.timeStamp || 0));
+}
+
+/**
+ * Read every request of a session, oldest first.
+ * @param {string} sessionId
+ * @returns {Promise<Array<object>>}
+ */
+async function getSessionRequests(sessionId) {
+  const db = await openRequestStore();
+  const index = db.transaction(REQUEST_STORE).objectStore(REQUEST_STORE).index('sessionTime');
+  return promisifyRequest(index.getAll(sessionRange(sessionId)));
+}
+
+/**
+ * Count a session's stored requests and their approximate size.
+ * @param {string} sessionId
+ * @returns {Promise<{ count: number, bytes: number }>}
+ */
+async function getSessionUsage(sessionId) {
+  const db = await openRequestStore();
+  const cursorRequest = db.transaction(REQUEST_STORE).objectStore(REQUEST_STORE).index('sessionTime').openCursor(sessionRange(sessionId));
+  const usage = { count: 0, bytes: 0 };
+  return new Promise((resolve, reject) => {
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) {
+        resolve(usage);
+        return;
+      }
+      usage.count += 1;
+      usage.bytes += getRequestSize(cursor.value);
+      cursor.continue();
+    };
+    cursorRequest.onerror = () => reject(cursorRequest.error);
+  });
+}
+
+/**
+ * Read one page of a session's requests, counting back from the newest.
+ * `offset` skips that many of the newest requests (the ones already loaded).
+ * @param {string} sessionId
+ * @param {{ offset?: number, limit?: number }} [options]
+ * @returns {Promise<Array<object>>} the page, oldest first
+ */
+async function querySessionRequests(sessionId, { offset = 0, limit = REQUEST_PAGE_SIZE } = {}) {
+  const db = await openRequestStore();
+  const index = db.transaction(REQUEST_STORE).objectStore(REQUEST_STORE).index('sessionTime');
+  const page = [];
+  const cursorRequest = index.openCursor(sessionRange(sessionId), 'prev');
+  let skipped = offset <= 0;
+  return new Promise((resolve, reject) => {
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!skipped) {
+        skipped = true;
+        if (cursor) {
+          cursor.advance(offset);
+          return;
+        }
+      }
+      if (!cursor || page.length >= limit) {
+        resolve(page.reverse());
+        return;
+      }
+      page.push(cursor.value);
+      cursor.continue();
+    };
+    cursorRequest.onerror = () => reject(cursorRequest.error);
+  });
+}
+
+const DEFAULT_ALLOWLIST = [
+  'edge.adobedc.net'
+];
+
+const DEFAULT_SETTINGS = {
+  allowlist: DEFAULT_ALLOWLIST,
+  capturePaused: false,
+  maxEntries: 2000,
+  sessionMaxEntries: 0,
+  expireAfterDays: 0,
+  selectedSessionId: null,
+  enableHooks: false,
+  debugHooks: false,
+  serviceMappings: [],
+  tagsEnvSwitches: [],
+  snapshotKeys: DEFAULT_SNAPSHOT_KEYS
+};
+
+let settings = { ...DEFAULT_SETTINGS };
+let requests = [];
+let requestIndex = new Map();
+let loadedSessionIds = new Set();
+const dirtyRequests = new Set();
+const dirtyPageEvents = new Set();
+let entrySizes = new Map();
+let retentionWarnings = [];
+let allowlistSignatures = null;
+let requestStoreQueue = Promise.resolve();
+let requestFlushTimer = null;
+let stateSaveTimer = null;
+let retentionTimer = null;
+const pendingRedirects = new Map();
+const pendingRequestBodies = new Map();
+let pageEvents = [];
+let consentEventsByTab = new Map();
+let sessions = [];
+let sites = [];
+let currentSessionId = null;
+let navState = new Map();
+let tabUrlCache = new Map();
+let uatConfigs = {};
+const hookCalls = [];
+let lastRequestAt = Date.now();
+let idlePrompted = false;
+
+const IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+const REQUEST_FLUSH_DELAY_MS = 250;
+const STATE_SAVE_DELAY_MS = 1000;
+const RETENTION_DELAY_MS = 5000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RESPONSE_BYTES = 200000;
+
+function debugHookLog(...args) {
+  if (!settings?.debugHooks) return;
+  console.log('[Launch Observer Hooks]', ...args);
+}
+
+const diagnostics = [];
+const MAX_DIAGNOSTICS = 500;
+
+/**
+ * Record a capture decision in the diagnostics ring buffer (shown in the app's
+ * Diagnostics tab) and echo it to the hook debug log.
+ * @param {'drop'|'match'|'miss'|'inject'|'body'} kind
+ * @param {string} message
+ * @param {{ entryId?: string, url?: string, tabId?: number, hookId?: string }} [detail]
+ */
+function recordDiagnostic(kind, message, detail = {}) {
+  diagnostics.push({ ts: Date.now(), kind, message, ...detail });
+  if (diagnostics.length > MAX_DIAGNOSTICS) diagnostics.splice(0, diagnostics.length - MAX_DIAGNOSTICS);
+  debugHookLog(`${kind}: ${message}`, detail);
+}
+
+/**
+ * Collect the capture decisions that explain one request: its own records, hook
+ * traffic for the same URL around its time and recent injection attempts in its tab.
+ * @param {string} id request entry id
+ * @returns {Array<object>}
+ */
+function getDiagnosticsForRequest(id) {
+  const entry = requests.find(item => item.id === id);
+  if (!entry) return [];
+  const near = record => Math.abs(record.ts - (entry.timeStamp || 0)) <= HOOK_MATCH_WINDOW_MS;
+  const related = diagnostics.filter(record => {
+    if (record.entryId) return record.entryId === id;
+    if (record.kind === 'inject') return false;
+    if (record.url) return record.url === entry.url && near(record);
+    return record.tabId === entry.tabId && near(record);
+  });
+  const injections = diagnostics
+    .filter(record => record.kind === 'inject' && record.tabId === entry.tabId && record.ts <= (entry.timeStamp || 0) + HOOK_MATCH_WINDOW_MS)
+    .slice(-3);
+  return [...injections, ...related].sort((a, b) => a.ts - b.ts);
+}
+
+/**
+ * Promise wrapper for storage.get (MV2 compatibility).
+ * @param {Array<string>} keys
+ * @returns {Promise<object>}
+ */
+function storageGet(keys) {
   return new Promise(resolve => {
     try {
       const result = api.storage.local.get(keys, data => resolve(data || {}));
@@ -761,6 +1698,24 @@ function storageSet(value) {
   });
 }
 
+/**
+ * Promise wrapper for storage.remove (MV2 compatibility).
+ * @param {string|Array<string>} keys
+ * @returns {Promise<void>}
+ */
+function storageRemove(keys) {
+  return new Promise(resolve => {
+    try {
+      const result = api.storage.local.remove(keys, () => resolve());
+      if (result && typeof result.then === 'function') {
+        result.then(() => resolve()).catch(() => resolve());
+      }
+    } catch {
+      resolve();
+    }
+  });
+}
+
 /**
  * Promise wrapper for tabs.query (MV2 compatibility).
  * @param {object} queryInfo
@@ -780,16 +1735,77 @@ function tabsQuery(queryInfo) {
 }
 
 /**
- * Load persisted extension state from storage.
+ * Promise wrapper for tabs.sendMessage (MV2 compatibility).
+ * @param {number} tabId
+ * @param {object} message
+ * @param {object} options
+ * @returns {Promise<any>}
+ */
+function tabsSendMessage(tabId, message, options) {
+  return new Promise(resolve => {
+    try {
+      const result = api.tabs.sendMessage(tabId, message, options, response => {
+        if (api.runtime.lastError) {
+          resolve(null);
+          return;
+        }
+        resolve(response);
+      });
+      if (result && typeof result.then === 'function') {
+        result.then(response => resolve(response)).catch(() => resolve(null));
+      }
+    } catch {
+      resolve(null);
+    }
+  });
+}
+
+/**
+ * Promise wrapper for declarativeNetRequest.getDynamicRules (MV2 compatibility).
+ * @returns {Promise<Array<object>>}
+ */
+function dnrGetDynamicRules() {
+  return new Promise(resolve => {
+    try {
+      const result = api.declarativeNetRequest.getDynamicRules(rules => resolve(rules || []));
+      if (result && typeof result.then === 'function') {
+        result.then(rules => resolve(rules || [])).catch(() => resolve([]));
+      }
+    } catch {
+      resolve([]);
+    }
+  });
+}
+
+/**
+ * Promise wrapper for declarativeNetRequest.updateDynamicRules (MV2 compatibility).
+ * @param {object} options
+ * @returns {Promise<boolean>}
+ */
+function dnrUpdateDynamicRules(options) {
+  return new Promise(resolve => {
+    try {
+      const result = api.declarativeNetRequest.updateDynamicRules(options, () => {
+        resolve(!api.runtime.lastError);
+      });
+      if (result && typeof result.then === 'function') {
+        result.then(() => resolve(true)).catch(() => resolve(false));
+      }
+    } catch {
+      resolve(false);
+    }
+  });
+}
+
+/**
+ * Load persisted extension state from storage. Requests live in the request store
+ * (IndexedDB); only the capturing and selected sessions are loaded into memory.
  * @returns {Promise<void>}
  */
 async function loadState() {
-  const stored = await storageGet(['settings', 'requests', 'sessions', 'sites', 'currentSessionId', 'uatConfigs', 'lastRequestAt', 'idlePrompted']);
+  const stored = await storageGet(['settings', 'requests', 'pageEvents', 'sessions', 'sites', 'currentSessionId', 'uatConfigs', 'lastRequestAt', 'idlePrompted']);
   if (stored.settings) settings = { ...DEFAULT_SETTINGS, ...stored.settings };
-  if (Array.isArray(stored.requests)) {
-    requests = stored.requests;
-    requestIndex = new Map(requests.map(r => [r.requestId, r]));
-  }
+  allowlistSignatures = null;
   if (Array.isArray(stored.sessions)) sessions = stored.sessions;
   if (Array.isArray(stored.sites)) sites = stored.sites;
   if (stored.currentSessionId) currentSessionId = stored.currentSessionId;
@@ -800,22 +1816,236 @@ async function loadState() {
   if (stored.idlePrompted !== undefined) idlePrompted = !!stored.idlePrompted;
   if (!currentSessionId) currentSessionId = sessions[0]?.id || null;
   if (!settings.selectedSessionId) settings.selectedSessionId = currentSessionId;
+  if (Array.isArray(stored.requests)) await migrateStoredRequests(stored.requests);
+  if (Array.isArray(stored.pageEvents)) await migrateStoredPageEvents(stored.pageEvents);
+  const storedEvents = (await queueRequestStore(getPageEvents)) || [];
+  pageEvents = storedEvents.slice(-settings.maxEntries);
+  if (pageEvents.length < storedEvents.length) {
+    queueRequestStore(() => deletePageEvents(storedEvents.slice(0, -settings.maxEntries).map(event => event.id)));
+  }
+  rebuildConsentIndex();
+  await queueRequestStore(() => Promise.all(sessions
+    .filter(session => session.requestCount === undefined || session.storageBytes === undefined)
+    .map(async session => {
+      const usage = await getSessionUsage(session.id);
+      session.requestCount = usage.count;
+      session.storageBytes = usage.bytes;
+    })));
+  await loadActiveSessions();
+  enforceRetention();
+}
+
+/**
+ * Move requests saved by earlier versions (one `requests` array in storage.local)
+ * into the request store, then drop the array.
+ * @param {Array<object>} stored
+ * @returns {Promise<void>}
+ */
+function migrateStoredRequests(stored) {
+  return queueRequestStore(async () => {
+    await putRequests(stored.filter(entry => entry?.sessionId && entry.id));
+    await storageRemove('requests');
+  });
 }
 
 /**
- * Persist extension state to storage.
+ * Move page events saved by earlier versions (one `pageEvents` array in storage.local)
+ * into the request store, then drop the array.
+ * @param {Array<object>} stored
+ * @returns {Promise<void>}
+ */
+function migrateStoredPageEvents(stored) {
+  return queueRequestStore(async () => {
+    await putPageEvents(stored.filter(event => event?.id));
+    await storageRemove('pageEvents');
+  });
+}
+
+/**
+ * Persist extension state to storage. Requests and page events are written separately
+ * by `flushRequests`.
  * @returns {Promise<void>}
  */
 function saveState() {
-  return storageSet({ settings, requests, sessions, sites, currentSessionId, uatConfigs, lastRequestAt, idlePrompted });
+  clearTimeout(stateSaveTimer);
+  stateSaveTimer = null;
+  return storageSet({ settings, sessions, sites, currentSessionId, uatConfigs, lastRequestAt, idlePrompted });
+}
+
+/**
+ * Save state once capture settles instead of on every request: every hit updates the
+ * session counters, and state is written to storage as a whole.
+ */
+function scheduleStateSave() {
+  if (!stateSaveTimer) stateSaveTimer = setTimeout(saveState, STATE_SAVE_DELAY_MS);
+}
+
+/**
+ * Run a request store operation after the ones already queued so writes and deletes
+ * apply in order. Failures are logged and resolve to undefined.
+ * @param {() => Promise<any>} task
+ * @returns {Promise<any>}
+ */
+function queueRequestStore(task) {
+  requestStoreQueue = requestStoreQueue.then(task).catch(error => {
+    console.warn('[Launch Observer] Request store error', error);
+  });
+  return requestStoreQueue;
+}
+
+/**
+ * Mark an entry as changed; changed entries are written together on the next flush.
+ * @param {object} entry
+ */
+function persistRequest(entry) {
+  dirtyRequests.add(entry);
+  if (!requestFlushTimer) requestFlushTimer = setTimeout(flushRequests, REQUEST_FLUSH_DELAY_MS);
+}
+
+/**
+ * Mark a page event as new; it is written with the next request flush.
+ * @param {object} event
+ */
+function persistPageEvent(event) {
+  dirtyPageEvents.add(event);
+  if (!requestFlushTimer) requestFlushTimer = setTimeout(flushRequests, REQUEST_FLUSH_DELAY_MS);
+}
+
+/**
+ * Write changed entries and new page events to the request store, then let go of
+ * loaded entries beyond the newest page of their session.
+ * @returns {Promise<void>}
+ */
+function flushRequests() {
+  clearTimeout(requestFlushTimer);
+  requestFlushTimer = null;
+  const entries = [...dirtyRequests];
+  const events = [...dirtyPageEvents];
+  dirtyRequests.clear();
+  dirtyPageEvents.clear();
+  trackRequestSizes(entries);
+  trimLoadedRequests();
+  return queueRequestStore(async () => {
+    await putRequests(entries);
+    await putPageEvents(events);
+  });
+}
+
+/**
+ * Keep at most `REQUEST_PAGE_SIZE` of each loaded session's newest requests in memory.
+ * Older ones stay in the request store, where the app pages them with `queryRequests`.
+ */
+function trimLoadedRequests() {
+  if (requests.length <= REQUEST_PAGE_SIZE) return;
+  const counts = new Map();
+  const kept = new Set();
+  for (let index = requests.length - 1; index >= 0; index -= 1) {
+    const entry = requests[index];
+    const count = counts.get(entry.sessionId) || 0;
+    if (count < REQUEST_PAGE_SIZE) kept.add(entry);
+    counts.set(entry.sessionId, count + 1);
+  }
+  if (kept.size < requests.length) dropRequests(entry => !kept.has(entry));
+}
+
+/**
+ * Update the per-session storage usage for entries about to be written and tell
+ * open app pages about the new totals.
+ * @param {Array<object>} entries
+ */
+function trackRequestSizes(entries) {
+  const changed = new Set();
+  entries.forEach(entry => {
+    const size = getRequestSize(entry);
+    const delta = size - (entrySizes.get(entry.id) || 0);
+    entrySizes.set(entry.id, size);
+    const session = sessions.find(s => s.id === entry.sessionId);
+    if (!delta || !session) return;
+    session.storageBytes = Math.max(0, (session.storageBytes || 0) + delta);
+    changed.add(session);
+  });
+  if (!changed.size) return;
+  scheduleStateSave();
+  api.runtime.sendMessage({
+    type: 'sessionUsageUpdated',
+    usage: [...changed].map(session => ({ id: session.id, requestCount: session.requestCount, storageBytes: session.storageBytes }))
+  });
 }
 
 /**
- * Check whether a URL matches the allowlist.
+ * Persist a new or changed entry and tell open app pages about it.
+ * @param {'requestAdded'|'requestUpdated'} type
+ * @param {object} entry
+ */
+function publishRequest(type, entry) {
+  persistRequest(entry);
+  api.runtime.sendMessage({ type, request: entry });
+}
+
+/**
+ * Drop matching entries from memory along with their pending writes.
+ * @param {(entry: object) => boolean} predicate
+ */
+function dropRequests(predicate) {
+  requests.forEach(entry => {
+    if (predicate(entry)) entrySizes.delete(entry.id);
+  });
+  requests = requests.filter(entry => !predicate(entry));
+  requestIndex = new Map(requests.map(r => [r.requestId, r]));
+  dirtyRequests.forEach(entry => {
+    if (predicate(entry)) dirtyRequests.delete(entry);
+  });
+}
+
+/**
+ * Drop matching page events from memory along with their pending writes.
+ * @param {(event: object) => boolean} predicate
+ */
+function dropPageEvents(predicate) {
+  pageEvents = pageEvents.filter(event => !predicate(event));
+  dirtyPageEvents.forEach(event => {
+    if (predicate(event)) dirtyPageEvents.delete(event);
+  });
+  rebuildConsentIndex();
+}
+
+/**
+ * Keep only the capturing and selected sessions' requests in memory, loading the
+ * newest page of whichever of them is not in memory yet from the request store.
+ * @returns {Promise<void>}
+ */
+async function loadActiveSessions() {
+  const wanted = new Set([currentSessionId, settings.selectedSessionId].filter(Boolean));
+  const missing = [...wanted].filter(id => !loadedSessionIds.has(id));
+  loadedSessionIds = wanted;
+  flushRequests();
+  const loaded = await queueRequestStore(() => Promise.all(missing.map(id => querySessionRequests(id, { limit: REQUEST_PAGE_SIZE }))));
+  const byId = new Map([...(loaded || []).flat(), ...requests]
+    .filter(entry => loadedSessionIds.has(entry.sessionId))
+    .map(entry => [entry.id, entry]));
+  requests = [...byId.values()].sort((a, b) => (a.timeStamp || 0) - (b.timeStamp || 0));
+  requestIndex = new Map(requests.map(r => [r.requestId, r]));
+  entrySizes = new Map(requests.map(entry => [entry.id, entrySizes.get(entry.id) ?? (dirtyRequests.has(entry) ? 0 : getRequestSize(entry))]));
+}
+
+/**
+ * Get the compiled signatures of the allowlisted services. They are compiled once and
+ * dropped whenever settings change.
+ * @returns {Array<{ path: RegExp|null, query: Array<string>, body: Array<string> }>}
+ */
+function getAllowlistSignatures() {
+  if (!allowlistSignatures) allowlistSignatures = compileSignatures(getSignaturesForAllowlist(settings.allowlist));
+  return allowlistSignatures;
+}
+
+/**
+ * Check whether a request matches the allowlist: by domain, or by the signatures of the
+ * allowlisted services.
  * @param {string} url
+ * @param {() => any} [readBody] returns the parsed JSON body for body signatures
  * @returns {boolean}
  */
-function isAllowed(url) {
+function isAllowed(url, readBody = null) {
   try {
     const domain = getDomainFromUrl(url);
     return settings.allowlist.some(entry => {
@@ -823,42 +2053,183 @@ function isAllowed(url) {
       if (!trimmed) return false;
       if (domain === trimmed) return true;
       return domain.endsWith(`.${trimmed}`);
-    });
+    }) || matchesSignatures(getAllowlistSignatures(), url, readBody);
   } catch {
     return false;
   }
 }
 
 /**
- * Trim request list to max entries.
+ * Read a webRequest body as JSON for body signatures (e.g. a Segment proxy's `writeKey`).
+ * @param {{ raw?: Array<{ bytes?: ArrayBuffer }> }|undefined} requestBody
+ * @returns {object|null}
  */
-function trimRequests() {
-  if (requests.length <= settings.maxEntries) return;
-  requests = requests.slice(-settings.maxEntries);
-  requestIndex = new Map(requests.map(r => [r.requestId, r]));
+function readSignatureBody(requestBody) {
+  if (!requestBody?.raw?.length) return null;
+  return tryParseJson(decodeBytes(mergeRawBytes(requestBody.raw)));
+}
+
+/**
+ * Get the request cap of a session: its own limit, otherwise the per-session default (0 = none).
+ * @param {object} session
+ * @returns {number}
+ */
+function getSessionCap(session) {
+  return session.maxEntries || settings.sessionMaxEntries || 0;
+}
+
+/**
+ * Work out what the retention rules would evict. Pinned sessions are kept forever.
+ * Unpinned ones expire after `expireAfterDays` without new requests (except the
+ * capturing and selected sessions), are trimmed to their own cap, and together are
+ * trimmed to `maxEntries`, oldest session first.
+ * @param {Array<object>} [candidates=sessions]
+ * @returns {Array<{ sessionId: string, count: number, reason: 'expired'|'session-cap'|'total-cap' }>}
+ */
+function planRetention(candidates = sessions) {
+  const plan = [];
+  const unpinned = candidates.filter(session => !session.pinned);
+  const remaining = new Map(unpinned.map(session => [session.id, session.requestCount || 0]));
+  const expireMs = (settings.expireAfterDays || 0) * DAY_MS;
+  if (expireMs > 0) {
+    const now = Date.now();
+    unpinned.forEach(session => {
+      if (session.id === currentSessionId || session.id === settings.selectedSessionId) return;
+      if (now - (session.lastRequestAt || session.createdAt || now) < expireMs) return;
+      plan.push({ sessionId: session.id, count: remaining.get(session.id), reason: 'expired' });
+      remaining.set(session.id, 0);
+    });
+  }
+  unpinned.forEach(session => {
+    const cap = getSessionCap(session);
+    const count = remaining.get(session.id);
+    if (!cap || count <= cap) return;
+    plan.push({ sessionId: session.id, count: count - cap, reason: 'session-cap' });
+    remaining.set(session.id, cap);
+  });
+  let overflow = [...remaining.values()].reduce((total, count) => total + count, 0) - (settings.maxEntries || DEFAULT_SETTINGS.maxEntries);
+  [...unpinned]
+    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+    .forEach(session => {
+      const count = remaining.get(session.id);
+      if (overflow <= 0 || !count) return;
+      const evicted = Math.min(count, overflow);
+      plan.push({ sessionId: session.id, count: evicted, reason: 'total-cap' });
+      remaining.set(session.id, count - evicted);
+      overflow -= evicted;
+    });
+  return plan;
+}
+
+/**
+ * Apply the retention rules a few seconds after capture instead of on every request,
+ * so a busy page trims its sessions in one store pass rather than one per hit.
+ */
+function scheduleRetention() {
+  if (!retentionTimer) retentionTimer = setTimeout(enforceRetention, RETENTION_DELAY_MS);
+}
+
+/**
+ * Apply the retention rules. Evictions from UAT-enabled sessions are held back and
+ * reported as warnings until the user confirms them.
+ * @param {string|null} [confirmedSessionId] session whose held evictions the user accepted
+ */
+function enforceRetention(confirmedSessionId = null) {
+  clearTimeout(retentionTimer);
+  retentionTimer = null;
+  const warnings = [];
+  planRetention().forEach(item => {
+    const session = sessions.find(s => s.id === item.sessionId);
+    if (!session) return;
+    if (session.uatEnabled && session.id !== confirmedSessionId) {
+      warnings.push({ ...item, name: session.name || 'Untitled', site: session.site || '' });
+      return;
+    }
+    if (item.reason === 'expired') {
+      removeSession(session.id);
+      saveState();
+      api.runtime.sendMessage({ type: 'sessionsUpdated', sessions, currentSessionId });
+      return;
+    }
+    evictOldestRequests(session, item.count);
+  });
+  if (JSON.stringify(warnings) === JSON.stringify(retentionWarnings)) return;
+  retentionWarnings = warnings;
+  api.runtime.sendMessage({ type: 'retentionWarning', warnings });
+}
+
+/**
+ * Count what a session would lose under the retention rules after a change to it,
+ * e.g. before unpinning it.
+ * @param {string} sessionId
+ * @param {object} patch
+ * @returns {number}
+ */
+function previewRetention(sessionId, patch) {
+  const candidates = sessions.map(session => (session.id === sessionId ? { ...session, ...patch } : session));
+  return planRetention(candidates)
+    .filter(item => item.sessionId === sessionId)
+    .reduce((total, item) => total + item.count, 0);
+}
+
+/**
+ * Delete a session's oldest stored requests.
+ * @param {object} session
+ * @param {number} count
+ */
+function evictOldestRequests(session, count) {
+  session.requestCount = Math.max(0, (session.requestCount || 0) - count);
+  flushRequests();
+  queueRequestStore(async () => {
+    const removed = await deleteOldestSessionRequests(session.id, count);
+    if (!removed.length) return;
+    const ids = new Set(removed.map(item => item.id));
+    dropRequests(entry => ids.has(entry.id));
+    session.storageBytes = Math.max(0, (session.storageBytes || 0) - removed.reduce((total, item) => total + item.bytes, 0));
+    scheduleStateSave();
+    api.runtime.sendMessage({ type: 'requestsTrimmed', sessionId: session.id, requests: removed.map(({ sessionId, id }) => ({ sessionId, id })) });
+    api.runtime.sendMessage({
+      type: 'sessionUsageUpdated',
+      usage: [{ id: session.id, requestCount: session.requestCount, storageBytes: session.storageBytes }]
+    });
+  });
+}
+
+/**
+ * Delete a session with its requests and page events, moving the selection if needed.
+ * @param {string} id
+ */
+function removeSession(id) {
+  sessions = sessions.filter(s => s.id !== id);
+  dropRequests(r => r.sessionId === id);
+  queueRequestStore(() => deleteSessionRequests(id));
+  dropPageEvents(e => e.sessionId === id);
+  queueRequestStore(() => deleteSessionPageEvents(id));
+  if (settings.selectedSessionId === id) {
+    settings.selectedSessionId = sessions[0]?.id || null;
+  }
+  if (currentSessionId === id) {
+    currentSessionId = settings.selectedSessionId || null;
+  }
+  loadActiveSessions();
 }
 
 /**
  * Create a new request entry from webRequest details.
  * @param {object} details
+ * @param {{ rootId: string, fromId: string, index: number }|null} [redirect] set when the request is a hop of a redirect chain
  */
-function addRequest(details) {
+function addRequest(details, redirect = null) {
+  const { url, token: hookToken } = splitHookToken(details.url);
   const sessionId = currentSessionId || settings.selectedSessionId;
   const nav = navState.get(details.tabId) || {};
   const cachedUrl = tabUrlCache.get(details.tabId);
-  const requestId = getRequestIdFromUrl(details.url);
-  const cachedPayload = requestId ? pullCachedPayload(requestId) : pullCachedPayloadByUrl(details.tabId, details.url, details.timeStamp);
-  const hookMatch = pullHookPayload(details.tabId, details.url, details.timeStamp)
-    || pullHookPayloadByUrl(details.url, details.timeStamp);
-  const cachedBody = hookMatch?.payload || cachedPayload?.payload || null;
-  const cachedPageUrl = hookMatch?.pageUrl || cachedPayload?.pageUrl || '';
   const pageUrl = nav.pageUrl
     || nav.pendingUrl
     || cachedUrl
     || details.documentUrl
     || details.initiator
-    || cachedPageUrl
-    || extractPageUrlFromRequest(details.url)
+    || extractPageUrlFromRequest(url)
     || null;
   const session = sessions.find(s => s.id === sessionId);
   const uatConfig = session?.site ? uatConfigs[session.site] : null;
@@ -869,52 +2240,297 @@ function addRequest(details) {
     tabId: details.tabId,
     frameId: details.frameId,
     method: details.method,
-    url: details.url,
+    url,
     documentUrl: details.documentUrl || null,
     initiator: details.initiator || null,
-    domain: getDomainFromUrl(details.url),
-    serviceId: resolveServiceIdForDomain(getDomainFromUrl(details.url), settings.serviceMappings || []),
-    path: getPathFromUrl(details.url),
+    domain: getDomainFromUrl(url),
+    serviceId: resolveServiceIdForRequest(url, settings.serviceMappings || [], () => readSignatureBody(details.requestBody)),
+    path: getPathFromUrl(url),
     timeStamp: details.timeStamp,
     startTime: details.timeStamp,
     statusCode: null,
     statusLine: null,
     duration: null,
     requestHeaders: [],
-    query: parseQueryString(details.url),
-    body: cachedBody,
+    responseHeaders: [],
+    query: parseQueryString(url),
+    body: null,
+    response: null,
     pageUrl,
     navId: nav.navId || null,
+    consent: getConsentForRequest(sessionId, details.tabId, details.timeStamp),
+    redirect: redirect ? { rootId: redirect.rootId, fromId: redirect.fromId, index: redirect.index } : null,
+    captureSource: { request: 'webRequest', body: null, response: null },
+    correlation: null,
+    hookToken,
     uat: session?.uatEnabled && uatConfig ? { status: 'pending', results: [] } : null
   };
 
-  if ((!entry.pageUrl || entry.pageUrl === '/') && entry.body) {
-    entry.pageUrl = extractPageUrlFromPayload(entry.body) || entry.pageUrl;
-  }
   requests.push(entry);
   requestIndex.set(details.requestId, entry);
+  if (session) {
+    session.requestCount = (session.requestCount || 0) + 1;
+    session.lastRequestAt = Date.now();
+  }
+  if (redirect) linkRedirectHop(entry);
   lastRequestAt = Date.now();
   idlePrompted = false;
-  trimRequests();
-  saveState();
-  api.runtime.sendMessage({ type: 'requestAdded', request: entry });
+  scheduleRetention();
+  scheduleStateSave();
+  publishRequest('requestAdded', entry);
+}
+
+/**
+ * Append a redirect hop to its chain root so the UI can nest it under the original request.
+ * @param {object} entry
+ */
+function linkRedirectHop(entry) {
+  const root = requests.find(item => item.id === entry.redirect.rootId);
+  if (!root) return;
+  root.redirectChain = [...(root.redirectChain || []), entry.id];
+  publishRequest('requestUpdated', root);
+}
+
+/**
+ * Check whether webRequest details belong to a captured request: allowlisted, or an
+ * entry already created for them (a redirect hop that left the allowlisted domains, or
+ * a request matched by its body, which later events do not carry).
+ * @param {object} details
+ * @returns {boolean}
+ */
+function isCapturedRequest(details) {
+  if (isAllowed(details.url)) return true;
+  const entry = requestIndex.get(details.requestId);
+  return !!entry && entry.url === splitHookToken(details.url).url;
+}
+
+/**
+ * Record which capture path produced part of an entry's data.
+ * @param {object} entry
+ * @param {'body'|'response'} part
+ * @param {string} source `webRequest`, `hooks`, `debugger` or `filterResponseData`
+ * @returns {{ request: string, body: string|null, response: string|null }}
+ */
+function withCaptureSource(entry, part, source) {
+  return { ...entry.captureSource, [part]: source };
+}
+
+/**
+ * Update a request entry and broadcast changes.
+ * @param {string} requestId
+ * @param {object} patch
+ */
+function updateRequest(requestId, patch) {
+  const entry = requestIndex.get(requestId);
+  if (!entry) return;
+  Object.assign(entry, patch);
+  if (!entry.pageUrl && entry.body) {
+    entry.pageUrl = extractPageUrlFromPayload(entry.body) || entry.pageUrl;
+  }
+  evaluateUatForRequest(entry);
+  scheduleStateSave();
+  publishRequest('requestUpdated', entry);
+}
+
+/**
+ * Decompress a gzip/deflate request body and patch the entry once it resolves.
+ * @param {string} requestId
+ * @param {object} body
+ */
+function decodeCompressedRequestBody(requestId, body) {
+  decodeCompressedBody(body).then(decoded => {
+    const entry = requestIndex.get(requestId);
+    if (!decoded || !entry || entry.body !== body) return;
+    updateRequest(requestId, { body: decoded });
+  });
+}
+
+/**
+ * Get the active session when it observes a tab: it is locked to that tab or not locked at all.
+ * @param {number} tabId
+ * @returns {object|null}
+ */
+function getObservingSession(tabId) {
+  if (typeof tabId !== 'number' || tabId < 0) return null;
+  const session = sessions.find(s => s.id === (settings.selectedSessionId || currentSessionId));
+  if (!session) return null;
+  if (session.lockTabId !== null && session.lockTabId !== undefined && tabId !== session.lockTabId) return null;
+  return session;
+}
+
+/**
+ * Tell the content scripts in every tab to re-read their settings, so page hooks start or
+ * stop watching data layers when the observed tab changes.
+ * @returns {Promise<void>}
+ */
+async function syncPageObservation() {
+  const tabs = await tabsQuery({});
+  tabs.forEach(tab => {
+    if (!/^https?:/.test(tab.url || '')) return;
+    tabsSendMessage(tab.id, { type: 'settingsUpdated' });
+  });
+}
+
+/**
+ * Record a page-level event (data layer push, etc.) for the active session.
+ * Events from tabs the session does not observe are dropped.
+ * @param {number} tabId
+ * @param {{ kind: string, data: object, hookTs?: number, pageUrl?: string }} message
+ * @returns {object|null}
+ */
+function addPageEvent(tabId, message) {
+  const session = getObservingSession(tabId);
+  if (!session) return null;
+  const sessionId = session.id;
+  const nav = navState.get(tabId) || {};
+  const timeStamp = message.hookTs || Date.now();
+  const event = {
+    id: `evt-${timeStamp}-${Math.random().toString(16).slice(2, 8)}`,
+    kind: message.kind,
+    sessionId,
+    tabId,
+    navId: nav.navId || null,
+    pageUrl: nav.pageUrl || nav.pendingUrl || tabUrlCache.get(tabId) || message.pageUrl || null,
+    timeStamp,
+    data: message.data
+  };
+  pageEvents.push(event);
+  persistPageEvent(event);
+  if (pageEvents.length > settings.maxEntries) {
+    const dropped = pageEvents.slice(0, -settings.maxEntries);
+    pageEvents = pageEvents.slice(-settings.maxEntries);
+    dropped.forEach(item => dirtyPageEvents.delete(item));
+    queueRequestStore(() => deletePageEvents(dropped.map(item => item.id)));
+  }
+  if (event.kind === 'consent') {
+    indexConsentEvent(event);
+    refreshRequestConsent(event);
+  }
+  scheduleStateSave();
+  api.runtime.sendMessage({ type: 'pageEventAdded', event });
+  return event;
+}
+
+/**
+ * Resolve the consent state on a tab at the time a request fired.
+ * @param {string} sessionId
+ * @param {number} tabId
+ * @param {number} timeStamp
+ * @returns {{ state: string, frameworks: object }}
+ */
+function getConsentForRequest(sessionId, tabId, timeStamp) {
+  return getConsentStateAt(consentEventsByTab.get(`${sessionId}:${tabId}`), timeStamp);
+}
+
+/**
+ * Add a consent page event to the list of its session and tab.
+ * @param {object} event
+ */
+function indexConsentEvent(event) {
+  const key = `${event.sessionId}:${event.tabId}`;
+  const list = consentEventsByTab.get(key) || [];
+  list.push(event);
+  consentEventsByTab.set(key, list);
+}
+
+/**
+ * Rebuild the per-tab consent lists after page events were loaded or removed.
+ */
+function rebuildConsentIndex() {
+  consentEventsByTab = new Map();
+  pageEvents.forEach(event => {
+    if (event.kind === 'consent') indexConsentEvent(event);
+  });
+}
+
+/**
+ * Re-stamp requests that fired after a consent signal which arrived late
+ * (page hooks post asynchronously, webRequest may see the beacon first).
+ * Only the newest requests of the session can be affected, so the scan walks back
+ * from the end and stops at the first request older than the signal.
+ * @param {object} event
+ */
+function refreshRequestConsent(event) {
+  for (let index = requests.length - 1; index >= 0; index -= 1) {
+    const entry = requests[index];
+    if (entry.sessionId !== event.sessionId) continue;
+    if ((entry.timeStamp || 0) < event.timeStamp) break;
+    if (entry.tabId !== event.tabId) continue;
+    const consent = getConsentForRequest(entry.sessionId, entry.tabId, entry.timeStamp);
+    if (JSON.stringify(consent) === JSON.stringify(entry.consent)) continue;
+    entry.consent = consent;
+    publishRequest('requestUpdated', entry);
+  }
 }
 
 /**
- * Update a request entry and broadcast changes.
- * @param {string} requestId
- * @param {object} patch
+ * Ask the top-frame content script on a tab to run a page probe.
+ * @param {number} tabId
+ * @param {string} type
+ * @param {object} [payload] extra message fields passed to the probe
+ * @returns {Promise<object|null>}
  */
-function updateRequest(requestId, patch) {
-  const entry = requestIndex.get(requestId);
-  if (!entry) return;
-  Object.assign(entry, patch);
-  if (!entry.pageUrl && entry.body) {
-    entry.pageUrl = extractPageUrlFromPayload(entry.body) || entry.pageUrl;
-  }
-  evaluateUatForRequest(entry);
-  saveState();
-  api.runtime.sendMessage({ type: 'requestUpdated', request: entry });
+async function requestTabProbe(tabId, type, payload = {}) {
+  const response = await tabsSendMessage(tabId, { ...payload, type }, { frameId: 0 });
+  return response?.result || null;
+}
+
+/**
+ * Snapshot the configured cookies and storage keys after a page load in the session's locked tab.
+ * @param {number} tabId
+ * @param {string} url
+ */
+async function captureNavigationSnapshot(tabId, url) {
+  const sessionId = settings.selectedSessionId || currentSessionId;
+  const session = sessions.find(s => s.id === sessionId);
+  if (!session || settings.capturePaused) return;
+  if (session.lockTabId === null || session.lockTabId === undefined || session.lockTabId !== tabId) return;
+  if (!/^https?:/.test(url || '')) return;
+  const keys = normalizeSnapshotKeys(settings.snapshotKeys);
+  const [cookies, storage] = await Promise.all([
+    readSnapshotCookies(url, keys.cookies),
+    requestTabProbe(tabId, 'probeStorage', { keys: keys.storage })
+  ]);
+  addPageEvent(tabId, {
+    kind: 'storageSnapshot',
+    data: {
+      pageUrl: url,
+      cookies,
+      localStorage: storage?.localStorage || {},
+      sessionStorage: storage?.sessionStorage || {},
+      storageRead: !!storage,
+      keys
+    },
+    hookTs: Date.now(),
+    pageUrl: url
+  });
+}
+
+/**
+ * Read cookies visible to a page URL (including HttpOnly) whose names match the patterns.
+ * @param {string} url
+ * @param {Array<string>} patterns
+ * @returns {Promise<Object<string, string>>}
+ */
+function readSnapshotCookies(url, patterns) {
+  if (!api.cookies || !patterns.length) return Promise.resolve({});
+  return new Promise(resolve => {
+    const collect = cookies => {
+      const result = {};
+      (cookies || []).forEach(cookie => {
+        if (matchesKeyPattern(cookie.name, patterns) && !(cookie.name in result)) result[cookie.name] = cookie.value;
+      });
+      resolve(result);
+    };
+    try {
+      const result = api.cookies.getAll({ url }, collect);
+      if (result && typeof result.then === 'function') {
+        result.then(collect).catch(() => resolve({}));
+      }
+    } catch {
+      resolve({});
+    }
+  });
 }
 
 /**
@@ -929,41 +2545,45 @@ function isWebsdkRequest(entry) {
 }
 
 /**
- * Attach a WebSDK hook payload to the most recent matching request.
+ * Attach a Web SDK sendEvent payload to its Edge request. Commands linked to an Edge
+ * requestId match exactly; unlinked ones fall back to the most recent Edge request.
  * @param {number} tabId
- * @param {object} payload
- * @param {string} pageUrl
- * @param {number} hookTs
+ * @param {{ payload: object, edgeRequestId?: string, hookId?: string, pageUrl?: string, hookTs?: number }} message
  */
-function attachWebsdkPayloadToRecent(tabId, payload, pageUrl, hookTs) {
-  if (!payload) return;
-  const now = Date.now();
-  const candidates = requests.filter(entry => entry.tabId === tabId && isWebsdkRequest(entry));
-  if (!candidates.length) return;
-  const filtered = candidates.filter(entry => Math.abs((hookTs || now) - (entry.timeStamp || now)) < 20000);
-  if (!filtered.length) return;
-  const entry = filtered.reduce((best, item) => {
-    if (!best) return item;
-    return (item.timeStamp || 0) > (best.timeStamp || 0) ? item : best;
-  }, null);
-  if (!entry) return;
-  if (!shouldReplaceBody(entry.body, payload)) return;
-  debugHookLog('attach: websdk recent', { tabId, id: entry.id, hookTs });
-  entry.body = payload;
-  if ((!entry.pageUrl || entry.pageUrl === '/') && pageUrl) entry.pageUrl = pageUrl;
-  if ((!entry.pageUrl || entry.pageUrl === '/') && entry.body) {
-    entry.pageUrl = extractPageUrlFromPayload(entry.body) || entry.pageUrl;
+function attachWebsdkPayload(tabId, message) {
+  if (!message.payload) return;
+  let entry = null;
+  let match = null;
+  if (message.edgeRequestId) {
+    entry = requests.find(item => item.tabId === tabId && getRequestIdFromUrl(item.url) === message.edgeRequestId);
+    match = { method: 'requestId', confidence: 'exact' };
+  } else {
+    const now = Date.now();
+    entry = requests
+      .filter(item => item.tabId === tabId && isWebsdkRequest(item))
+      .filter(item => Math.abs((message.hookTs || now) - (item.timeStamp || now)) < HOOK_MATCH_WINDOW_MS)
+      .reduce((best, item) => (!best || (item.timeStamp || 0) > (best.timeStamp || 0) ? item : best), null);
+    match = { method: 'recent', confidence: 'heuristic' };
   }
-  evaluateUatForRequest(entry);
-  saveState();
-  api.runtime.sendMessage({ type: 'requestUpdated', request: entry });
+  if (!entry) {
+    recordDiagnostic('miss', message.edgeRequestId ? `Web SDK payload: Edge request ${message.edgeRequestId} not captured` : 'Web SDK payload: no recent Edge request', { tabId });
+    return;
+  }
+  const verdict = getBodyReplacementVerdict(entry.body, message.payload);
+  recordDiagnostic('body', `Web SDK payload matched by ${match.method}: ${verdict.reason}`, { entryId: entry.id, url: entry.url });
+  if (!verdict.replace) return;
+  entry.correlation = { hookId: entry.correlation?.hookId || null, ...match };
+  entry.body = message.payload;
+  entry.captureSource = withCaptureSource(entry, 'body', 'hooks');
+  applyHookCall(entry, { pageUrl: message.pageUrl || '' });
 }
 
 /**
  * Evaluate UAT assertions for a request entry.
  * @param {object} entry
+ * @param {Array<object>} [sessionRequests] the entry's session, when it is not loaded in memory
  */
-function evaluateUatForRequest(entry) {
+function evaluateUatForRequest(entry, sessionRequests = null) {
   if (!entry) return;
   const session = sessions.find(s => s.id === entry.sessionId);
   if (!session || !session.uatEnabled) {
@@ -975,8 +2595,7 @@ function evaluateUatForRequest(entry) {
     entry.uat = { status: 'not-applicable', results: [] };
     return;
   }
-  const sessionRequests = requests.filter(r => r.sessionId === entry.sessionId);
-  const results = evaluateAssertionsForRequest(entry, config.assertions, sessionRequests, {
+  const results = evaluateAssertionsForRequest(entry, config.assertions, sessionRequests || requests.filter(r => r.sessionId === entry.sessionId), {
     global: config.global || null,
     serviceId: entry.serviceId || null
   });
@@ -1003,9 +2622,23 @@ function stopActiveSession(reason = 'idle') {
   saveState();
   api.runtime.sendMessage({ type: 'sessionsUpdated', sessions, currentSessionId });
   api.runtime.sendMessage({ type: 'settingsUpdated', settings });
+  syncPageObservation();
   api.runtime.sendMessage({ type: 'sessionStopped', reason, sessionId });
 }
 
+/**
+ * Mirror enabled Tags environment switches into declarativeNetRequest redirect rules.
+ * @returns {Promise<void>}
+ */
+async function syncTagsSwitchRules() {
+  if (!api.declarativeNetRequest?.updateDynamicRules) return;
+  const existing = await dnrGetDynamicRules();
+  const removeRuleIds = existing.map(rule => rule.id).filter(id => id >= TAGS_SWITCH_RULE_BASE);
+  const addRules = buildTagsSwitchRules(settings.tagsEnvSwitches || []);
+  const ok = await dnrUpdateDynamicRules({ removeRuleIds, addRules });
+  debugHookLog(ok ? 'tags switch: rules synced' : 'tags switch: sync failed', { count: addRules.length });
+}
+
 /**
  * Trigger idle modal if no requests were captured recently.
  */
@@ -1062,17 +2695,40 @@ api.tabs.onUpdated.addListener((tabId, changeInfo) => {
 api.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (!message || !message.type) return;
   if (message.type === 'getSettings') {
-    sendResponse({ settings });
+    const session = getObservingSession(sender?.tab?.id);
+    sendResponse({
+      settings,
+      signatures: getSignaturesForAllowlist(settings.allowlist),
+      observed: !!session && !session.paused && !settings.capturePaused
+    });
     return true;
   }
   if (message.type === 'getState') {
-    sendResponse({ settings, requests, sessions, sites, currentSessionId, uatConfigs });
+    const selectedRequests = requests.filter(entry => entry.sessionId === settings.selectedSessionId).slice(-REQUEST_PAGE_SIZE);
+    sendResponse({ settings, requests: selectedRequests, pageEvents, sessions, sites, currentSessionId, uatConfigs, retentionWarnings });
+    return true;
+  }
+  if (message.type === 'queryRequests') {
+    if (!message.sessionId) {
+      sendResponse({ ok: false });
+      return true;
+    }
+    flushRequests();
+    queueRequestStore(() => querySessionRequests(message.sessionId, { offset: message.offset || 0, limit: message.limit || REQUEST_PAGE_SIZE }))
+      .then(page => sendResponse(page ? { ok: true, requests: page } : { ok: false }));
     return true;
   }
   if (message.type === 'setSettings') {
+    const prevTagsSwitches = JSON.stringify(settings.tagsEnvSwitches || []);
     settings = { ...settings, ...message.settings };
+    allowlistSignatures = null;
+    enforceRetention();
     saveState();
+    if (JSON.stringify(settings.tagsEnvSwitches || []) !== prevTagsSwitches) {
+      syncTagsSwitchRules();
+    }
     api.runtime.sendMessage({ type: 'settingsUpdated', settings });
+    syncPageObservation();
     sendResponse({ ok: true, settings });
     return true;
   }
@@ -1101,22 +2757,55 @@ api.runtime.onMessage.addListener((message, sender, sendResponse) => {
       if (!session || !session.uatEnabled) return;
       if (session.site !== site) return;
       evaluateUatForRequest(entry);
-      api.runtime.sendMessage({ type: 'requestUpdated', request: entry });
+      publishRequest('requestUpdated', entry);
     });
+    sessions
+      .filter(session => session.uatEnabled && session.site === site && !loadedSessionIds.has(session.id))
+      .forEach(session => {
+        queueRequestStore(async () => {
+          const stored = await getSessionRequests(session.id);
+          const before = stored.reduce((total, entry) => total + getRequestSize(entry), 0);
+          stored.forEach(entry => evaluateUatForRequest(entry, stored));
+          await putRequests(stored);
+          session.storageBytes = Math.max(0, (session.storageBytes || 0) + stored.reduce((total, entry) => total + getRequestSize(entry), 0) - before);
+        });
+      });
     saveState();
     api.runtime.sendMessage({ type: 'sitesUpdated', sites });
     api.runtime.sendMessage({ type: 'uatConfigsUpdated', uatConfigs });
     sendResponse({ ok: true, uatConfigs });
     return true;
   }
+  if (message.type === 'confirmEviction') {
+    enforceRetention(message.sessionId || null);
+    saveState();
+    sendResponse({ ok: true, warnings: retentionWarnings });
+    return true;
+  }
+  if (message.type === 'previewRetention') {
+    sendResponse({ ok: true, count: message.id ? previewRetention(message.id, message.patch || {}) : 0 });
+    return true;
+  }
   if (message.type === 'clearRequests') {
     const targetSession = settings.selectedSessionId || currentSessionId;
     if (targetSession) {
-      requests = requests.filter(r => r.sessionId !== targetSession);
-      requestIndex = new Map(requests.map(r => [r.requestId, r]));
+      dropRequests(r => r.sessionId === targetSession);
+      dropPageEvents(e => e.sessionId === targetSession);
+      const session = sessions.find(s => s.id === targetSession);
+      if (session) {
+        session.requestCount = 0;
+        session.storageBytes = 0;
+      }
+      queueRequestStore(() => deleteSessionRequests(targetSession));
+      queueRequestStore(() => deleteSessionPageEvents(targetSession));
     } else {
-      requests = [];
-      requestIndex = new Map();
+      dropRequests(() => true);
+      dropPageEvents(() => true);
+      sessions.forEach(session => {
+        session.requestCount = 0;
+        session.storageBytes = 0;
+      });
+      queueRequestStore(clearRequestStore);
     }
     saveState();
     api.runtime.sendMessage({ type: 'requestsCleared' });
@@ -1135,7 +2824,10 @@ api.runtime.onMessage.addListener((message, sender, sendResponse) => {
       const previous = sessions.find(s => s.id === previousId);
       if (previous) previous.paused = true;
     }
-    const session = createSession(name, site, message.lockTabId || null, !!message.uatEnabled);
+    const session = createSession(name, site, message.lockTabId || null, !!message.uatEnabled, {
+      pinned: !!message.pinned,
+      maxEntries: message.maxEntries || null
+    });
     sessions.unshift(session);
     if (!sites.includes(site)) sites.unshift(site);
     currentSessionId = session.id;
@@ -1144,8 +2836,10 @@ api.runtime.onMessage.addListener((message, sender, sendResponse) => {
     lastRequestAt = Date.now();
     idlePrompted = false;
     saveState();
+    loadActiveSessions();
     api.runtime.sendMessage({ type: 'sessionsUpdated', sessions, currentSessionId });
     api.runtime.sendMessage({ type: 'settingsUpdated', settings });
+    syncPageObservation();
     api.runtime.sendMessage({ type: 'sitesUpdated', sites });
     sendResponse({ ok: true, session });
     return true;
@@ -1166,10 +2860,15 @@ api.runtime.onMessage.addListener((message, sender, sendResponse) => {
     }
     if (message.name !== undefined) session.name = message.name || session.name;
     if (message.site) session.site = message.site;
+    const previousLockTabId = session.lockTabId;
     if (message.lockTabId !== undefined) session.lockTabId = message.lockTabId;
     if (message.uatEnabled !== undefined) session.uatEnabled = !!message.uatEnabled;
+    if (message.pinned !== undefined) session.pinned = !!message.pinned;
+    if (message.maxEntries !== undefined) session.maxEntries = message.maxEntries || null;
+    enforceRetention(message.confirmEviction ? session.id : null);
     saveState();
     api.runtime.sendMessage({ type: 'sessionsUpdated', sessions, currentSessionId });
+    if (session.lockTabId !== previousLockTabId) syncPageObservation();
     sendResponse({ ok: true, session });
     return true;
   }
@@ -1179,8 +2878,10 @@ api.runtime.onMessage.addListener((message, sender, sendResponse) => {
       settings.selectedSessionId = message.id;
       settings.capturePaused = !!session.paused;
       saveState();
+      loadActiveSessions();
       api.runtime.sendMessage({ type: 'sessionsUpdated', sessions, currentSessionId });
       api.runtime.sendMessage({ type: 'settingsUpdated', settings });
+      syncPageObservation();
     }
     sendResponse({ ok: true });
     return true;
@@ -1194,8 +2895,10 @@ api.runtime.onMessage.addListener((message, sender, sendResponse) => {
       settings.capturePaused = true;
       idlePrompted = false;
       saveState();
+      loadActiveSessions();
       api.runtime.sendMessage({ type: 'sessionsUpdated', sessions, currentSessionId });
       api.runtime.sendMessage({ type: 'settingsUpdated', settings });
+      syncPageObservation();
     }
     sendResponse({ ok: true });
     return true;
@@ -1206,37 +2909,37 @@ api.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({ ok: false });
       return true;
     }
-    sessions = sessions.filter(s => s.id !== id);
-    requests = requests.filter(r => r.sessionId !== id);
-    requestIndex = new Map(requests.map(r => [r.requestId, r]));
-    if (settings.selectedSessionId === id) {
-      settings.selectedSessionId = sessions[0]?.id || null;
-    }
-    if (currentSessionId === id) {
-      currentSessionId = settings.selectedSessionId || null;
-    }
+    removeSession(id);
     idlePrompted = false;
     saveState();
+    syncPageObservation();
     api.runtime.sendMessage({ type: 'sessionsUpdated', sessions, currentSessionId });
     sendResponse({ ok: true });
     return true;
   }
   if (message.type === 'clearSessions') {
     sessions = [];
-    requests = [];
-    requestIndex = new Map();
+    dropRequests(() => true);
+    loadedSessionIds = new Set();
+    retentionWarnings = [];
+    queueRequestStore(clearRequestStore);
+    dropPageEvents(() => true);
     currentSessionId = null;
     settings.selectedSessionId = null;
     idlePrompted = false;
     saveState();
+    syncPageObservation();
     api.runtime.sendMessage({ type: 'sessionsUpdated', sessions, currentSessionId });
     sendResponse({ ok: true });
     return true;
   }
   if (message.type === 'clearAllData') {
     sessions = [];
-    requests = [];
-    requestIndex = new Map();
+    dropRequests(() => true);
+    loadedSessionIds = new Set();
+    retentionWarnings = [];
+    queueRequestStore(clearRequestStore);
+    dropPageEvents(() => true);
     sites = [];
     uatConfigs = {};
     currentSessionId = null;
@@ -1244,6 +2947,7 @@ api.runtime.onMessage.addListener((message, sender, sendResponse) => {
     settings.capturePaused = true;
     idlePrompted = false;
     saveState();
+    syncPageObservation();
     api.runtime.sendMessage({ type: 'sessionsUpdated', sessions, currentSessionId });
     api.runtime.sendMessage({ type: 'sitesUpdated', sites });
     api.runtime.sendMessage({ type: 'uatConfigsUpdated', uatConfigs });
@@ -1256,17 +2960,17 @@ api.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return true;
     }
     if (settings.capturePaused || !settings.selectedSessionId) {
-      debugHookLog('drop: no active session', { url: message.url, requestId: message.requestId });
+      recordDiagnostic('drop', 'payload: no active session', { url: message.url, requestId: message.requestId, tabId: sender?.tab?.id });
       sendResponse({ ok: false });
       return true;
     }
     if (!settings.enableHooks) {
-      debugHookLog('drop: hooks disabled', { url: message.url, requestId: message.requestId });
+      recordDiagnostic('drop', 'payload: page hooks disabled', { url: message.url, requestId: message.requestId, tabId: sender?.tab?.id });
       sendResponse({ ok: false });
       return true;
     }
-    if (message.url && !isAllowed(message.url)) {
-      debugHookLog('drop: url not allowed', { url: message.url });
+    if (message.url && !isAllowed(message.url, () => (message.payload?.type === 'json' ? message.payload.parsed : null))) {
+      recordDiagnostic('drop', 'payload: URL not on the allowlist', { url: message.url, tabId: sender?.tab?.id });
       sendResponse({ ok: false });
       return true;
     }
@@ -1277,34 +2981,23 @@ api.runtime.onMessage.addListener((message, sender, sendResponse) => {
       tabId: sender?.tab?.id,
       pageUrl: message.pageUrl
     });
-    if (message.requestId) cachePayload(message.requestId, message.payload, message.pageUrl || '');
-    if (message.url && sender?.tab?.id !== undefined) {
-      cachePayloadByUrl(sender.tab.id, message.url, message.payload, message.pageUrl || '');
-      cacheHookPayload(sender.tab.id, message.url, message.payload, message.pageUrl || '', message.hookTs || 0);
-    }
-    if (message.requestId) attachPayloadToRequests(message.requestId, message.payload, message.pageUrl || '');
-    if (message.url && sender?.tab?.id !== undefined) {
-      attachPayloadToRequestsByUrl(sender.tab.id, message.url, message.payload, message.pageUrl || '');
-    }
-    if (message.url) {
-      attachHookPayloadToRecent(message.url, sender?.tab?.id, message.payload, message.pageUrl || '', message.hookTs || 0);
-    }
+    recordHookCall(sender?.tab?.id, message, { payload: message.payload });
     sendResponse({ ok: true });
     return true;
   }
   if (message.type === 'pageContext') {
     if (settings.capturePaused || !settings.selectedSessionId) {
-      debugHookLog('drop: no active session (pageContext)', { url: message.url, requestId: message.requestId });
+      recordDiagnostic('drop', 'page context: no active session', { url: message.url, requestId: message.requestId, tabId: sender?.tab?.id });
       sendResponse({ ok: false });
       return true;
     }
     if (!settings.enableHooks) {
-      debugHookLog('drop: hooks disabled (pageContext)', { url: message.url, requestId: message.requestId });
+      recordDiagnostic('drop', 'page context: page hooks disabled', { url: message.url, requestId: message.requestId, tabId: sender?.tab?.id });
       sendResponse({ ok: false });
       return true;
     }
     if (message.url && !isAllowed(message.url)) {
-      debugHookLog('drop: url not allowed (pageContext)', { url: message.url });
+      recordDiagnostic('drop', 'page context: URL not on the allowlist', { url: message.url, tabId: sender?.tab?.id });
       sendResponse({ ok: false });
       return true;
     }
@@ -1315,19 +3008,16 @@ api.runtime.onMessage.addListener((message, sender, sendResponse) => {
       tabId: sender?.tab?.id,
       pageUrl: message.pageUrl
     });
-    if (message.requestId) cachePageContext(message.requestId, message.pageUrl || '');
-    if (message.url && sender?.tab?.id !== undefined) {
-      cachePageContextByUrl(sender.tab.id, message.url, message.pageUrl || '');
-    }
-    if (message.requestId) attachPageContextToRequests(message.requestId, message.pageUrl || '');
-    if (message.url && sender?.tab?.id !== undefined) {
-      attachPageContextToRequestsByUrl(sender.tab.id, message.url, message.pageUrl || '');
-    }
+    recordHookCall(sender?.tab?.id, message, {});
     sendResponse({ ok: true });
     return true;
   }
+  if (message.type === 'getDiagnostics') {
+    sendResponse({ ok: true, diagnostics: getDiagnosticsForRequest(message.id) });
+    return true;
+  }
   if (message.type === 'hookReady') {
-    debugHookLog('hook: ready', { tabId: sender?.tab?.id });
+    recordDiagnostic('inject', 'page hooks ready', { tabId: sender?.tab?.id, frameId: sender?.frameId });
     sendResponse({ ok: true });
     return true;
   }
@@ -1342,20 +3032,96 @@ api.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return true;
     }
     if (settings.capturePaused || !settings.selectedSessionId) {
-      debugHookLog('drop: no active session (websdk)', { tabId: sender?.tab?.id });
+      recordDiagnostic('drop', 'Web SDK payload: no active session', { tabId: sender?.tab?.id });
       sendResponse({ ok: false });
       return true;
     }
     if (!settings.enableHooks) {
-      debugHookLog('drop: hooks disabled (websdk)', { tabId: sender?.tab?.id });
+      recordDiagnostic('drop', 'Web SDK payload: page hooks disabled', { tabId: sender?.tab?.id });
       sendResponse({ ok: false });
       return true;
     }
-    debugHookLog('capturedWebsdk', { tabId: sender?.tab?.id, hookTs: message.hookTs });
+    debugHookLog('capturedWebsdk', { tabId: sender?.tab?.id, hookTs: message.hookTs, edgeRequestId: message.edgeRequestId || null });
     const tabId = sender?.tab?.id;
-    if (tabId !== undefined) {
-      attachWebsdkPayloadToRecent(tabId, message.payload, message.pageUrl || '', message.hookTs || 0);
+    if (tabId !== undefined) attachWebsdkPayload(tabId, message);
+    sendResponse({ ok: true });
+    return true;
+  }
+  if (message.type === 'pageEvent') {
+    if (!message.kind || !message.data) {
+      sendResponse({ ok: false });
+      return true;
+    }
+    if (settings.capturePaused || !settings.selectedSessionId) {
+      debugHookLog('drop: no active session (pageEvent)', { kind: message.kind, tabId: sender?.tab?.id });
+      sendResponse({ ok: false });
+      return true;
+    }
+    if (!settings.enableHooks) {
+      debugHookLog('drop: hooks disabled (pageEvent)', { kind: message.kind, tabId: sender?.tab?.id });
+      sendResponse({ ok: false });
+      return true;
+    }
+    if (sender?.frameId) {
+      debugHookLog('drop: subframe (pageEvent)', { kind: message.kind, frameId: sender.frameId });
+      sendResponse({ ok: false });
+      return true;
+    }
+    const event = addPageEvent(sender?.tab?.id, message);
+    debugHookLog(event ? 'pageEvent' : 'drop: tab not observed (pageEvent)', { kind: message.kind, tabId: sender?.tab?.id, hookTs: message.hookTs });
+    sendResponse({ ok: !!event });
+    return true;
+  }
+  if (message.type === 'probeTags') {
+    const tabId = message.tabId;
+    if (typeof tabId !== 'number' || tabId < 0) {
+      sendResponse({ ok: false, error: 'no_tab' });
+      return true;
+    }
+    const nav = navState.get(tabId);
+    if (message.navId && nav?.navId && nav.navId !== message.navId) {
+      sendResponse({ ok: false, error: 'navigated' });
+      return true;
+    }
+    requestTabProbe(tabId, 'probeTags').then(result => {
+      if (!result) {
+        sendResponse({ ok: false, error: 'unavailable' });
+        return;
+      }
+      const event = addPageEvent(tabId, { kind: 'tagsProbe', data: result, hookTs: result.probedAt, pageUrl: result.pageUrl });
+      sendResponse(event ? { ok: true, event } : { ok: false, error: 'no_session' });
+    });
+    return true;
+  }
+  if (message.type === 'capturedResponse') {
+    if (!message.response || !message.url) {
+      sendResponse({ ok: false });
+      return true;
+    }
+    if (settings.capturePaused || !settings.selectedSessionId) {
+      recordDiagnostic('drop', 'response: no active session', { url: message.url, requestId: message.requestId, tabId: sender?.tab?.id });
+      sendResponse({ ok: false });
+      return true;
+    }
+    if (!settings.enableHooks) {
+      recordDiagnostic('drop', 'response: page hooks disabled', { url: message.url, requestId: message.requestId, tabId: sender?.tab?.id });
+      sendResponse({ ok: false });
+      return true;
+    }
+    if (!isAllowed(message.url) && !isKnownHookCall(sender?.tab?.id, message.hookId)) {
+      recordDiagnostic('drop', 'response: URL not on the allowlist', { url: message.url, tabId: sender?.tab?.id });
+      sendResponse({ ok: false });
+      return true;
     }
+    debugHookLog('capturedResponse', {
+      url: message.url,
+      requestId: message.requestId,
+      hookId: message.hookId,
+      hookTs: message.hookTs,
+      tabId: sender?.tab?.id,
+      status: message.response.status
+    });
+    recordHookCall(sender?.tab?.id, message, { response: toHookResponse(message.response, message.hookTs) });
     sendResponse({ ok: true });
     return true;
   }
@@ -1365,7 +3131,10 @@ api.runtime.onMessage.addListener((message, sender, sendResponse) => {
 api.webRequest.onBeforeRequest.addListener(
   details => {
     if (settings.capturePaused) return;
-    if (!isAllowed(details.url)) return;
+    const pendingRedirect = pendingRedirects.get(details.requestId);
+    const redirect = pendingRedirect?.url === details.url ? pendingRedirect : null;
+    pendingRedirects.delete(details.requestId);
+    if (!redirect && !isAllowed(details.url, () => readSignatureBody(details.requestBody))) return;
     const sessionId = settings.selectedSessionId || currentSessionId;
     if (!sessionId) return;
     const session = sessions.find(s => s.id === sessionId);
@@ -1373,7 +3142,7 @@ api.webRequest.onBeforeRequest.addListener(
     if (session?.lockTabId !== null && session?.lockTabId !== undefined) {
       if (details.tabId !== session.lockTabId) return;
     }
-    addRequest(details);
+    addRequest(details, redirect);
     if (settings.debugHooks) {
       debugHookLog('webRequest', {
         url: details.url,
@@ -1386,33 +3155,39 @@ api.webRequest.onBeforeRequest.addListener(
       });
     }
 
-    if (details.requestBody) {
-      const entry = requestIndex.get(details.requestId);
-      if (entry) {
-        const parsedBody = parseRawBody(details.requestBody, '');
-        if (parsedBody) {
-          entry.body = parsedBody;
-          if (!entry.pageUrl) {
-            entry.pageUrl = extractPageUrlFromPayload(entry.body) || entry.pageUrl;
-          }
-        }
-        if (settings.debugHooks && (!entry.body || !entry.body.parsed)) {
-          debugHookLog('body missing after parse', {
-            url: entry.url,
-            requestId: entry.requestId,
-            tabId: entry.tabId,
-            documentUrl: entry.documentUrl,
-            initiator: entry.initiator
-          });
+    captureResponseStream(details.requestId);
+
+    const entry = requestIndex.get(details.requestId);
+    if (details.requestBody && entry) {
+      if (details.requestBody.error || details.requestBody.raw?.some(part => !part.bytes)) {
+        recordDiagnostic('body', `webRequest body unreadable: ${details.requestBody.error || 'file-backed body'}`, { entryId: entry.id, url: entry.url });
+      }
+      // Content-Type is only known in onBeforeSendHeaders; beacons (Blob/FormData) are parsed again there.
+      if (details.requestBody.raw) pendingRequestBodies.set(details.requestId, details.requestBody);
+      const parsedBody = parseRawBody(details.requestBody, '');
+      if (parsedBody) {
+        entry.body = parsedBody;
+        entry.captureSource = withCaptureSource(entry, 'body', 'webRequest');
+        if (!entry.pageUrl) {
+          entry.pageUrl = extractPageUrlFromPayload(entry.body) || entry.pageUrl;
         }
-        evaluateUatForRequest(entry);
-        saveState();
-        api.runtime.sendMessage({ type: 'requestUpdated', request: entry });
+        if (parsedBody.encoding) decodeCompressedRequestBody(details.requestId, parsedBody);
       }
+      recordDiagnostic('body', parsedBody ? `read ${parsedBody.type} body from webRequest` : 'webRequest reported a request body that could not be read', {
+        entryId: entry.id,
+        url: entry.url
+      });
+      evaluateUatForRequest(entry);
+      scheduleStateSave();
+      publishRequest('requestUpdated', entry);
     }
+    if (entry && !details.requestBody && ['POST', 'PUT', 'PATCH'].includes(details.method)) {
+      recordDiagnostic('body', 'webRequest exposed no request body', { entryId: entry.id, url: entry.url });
+    }
+    if (entry) claimHookCall(entry);
   },
   { urls: ['<all_urls>'] },
-  ['requestBody']
+  ['requestBody', 'blocking']
 );
 
 api.webNavigation.onCommitted.addListener(details => {
@@ -1437,6 +3212,7 @@ api.webNavigation.onCompleted.addListener(details => {
     pendingAt: null
   });
   tabUrlCache.set(details.tabId, details.url);
+  captureNavigationSnapshot(details.tabId, details.url);
 });
 
 api.webNavigation.onHistoryStateUpdated.addListener(details => {
@@ -1463,181 +3239,103 @@ api.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
 api.tabs.onRemoved.addListener(tabId => {
   tabUrlCache.delete(tabId);
   navState.delete(tabId);
-  Array.from(hookQueueByTabUrl.keys()).forEach(key => {
-    if (key.startsWith(`${tabId}::`)) hookQueueByTabUrl.delete(key);
-  });
+  for (let index = hookCalls.length - 1; index >= 0; index -= 1) {
+    if (hookCalls[index].tabId === tabId) hookCalls.splice(index, 1);
+  }
 });
 
-const payloadCache = new Map();
 const PAYLOAD_TTL_MS = 2 * 60 * 1000;
+const MAX_HOOK_CALLS = 200;
 
 /**
- * Cache payload by requestId.
- * @param {string} requestId
- * @param {object} payload
- * @param {string} [pageUrl='']
- */
-function cachePayload(requestId, payload, pageUrl = '') {
-  const existing = payloadCache.get(requestId);
-  payloadCache.set(requestId, {
-    payload,
-    pageUrl: pageUrl || existing?.pageUrl || '',
-    ts: Date.now()
-  });
-  prunePayloadCache();
-}
-
-/**
- * Cache page context by requestId without a payload.
- * @param {string} requestId
- * @param {string} pageUrl
- */
-function cachePageContext(requestId, pageUrl = '') {
-  if (!requestId || !pageUrl) return;
-  const existing = payloadCache.get(requestId);
-  if (existing?.payload) return;
-  payloadCache.set(requestId, { payload: null, pageUrl, ts: Date.now() });
-  prunePayloadCache();
-}
-/**
- * Pull cached payload by requestId (one-time).
- * @param {string} requestId
- * @returns {object|null}
+ * Check whether a hooked call was already accepted, e.g. by its payload matching a body
+ * signature, so its response is kept even though the URL alone is not allowlisted.
+ * @param {number|undefined} tabId
+ * @param {string|undefined} hookId
+ * @returns {boolean}
  */
-function pullCachedPayload(requestId) {
-  const entry = payloadCache.get(requestId);
-  if (!entry) return null;
-  if (Date.now() - entry.ts > PAYLOAD_TTL_MS) {
-    payloadCache.delete(requestId);
-    return null;
-  }
-  payloadCache.delete(requestId);
-  return entry || null;
+function isKnownHookCall(tabId, hookId) {
+  if (!hookId) return false;
+  return hookCalls.some(call => call.tabId === tabId && call.hookId === hookId)
+    || requests.some(entry => entry.tabId === tabId && entry.correlation?.hookId === hookId);
 }
 
 /**
- * Prune expired payload entries.
+ * Record a hooked fetch/XHR/beacon call and bind it to its webRequest entry: exactly
+ * by the hook token on the request URL when the call was stamped (see correlateHookCall).
+ * The payload (or page context) and response of one call share its hookId, so parts
+ * arriving after the call is bound go straight to the same entry. Debugger entries
+ * already hold the exact body and are left alone.
+ * @param {number|undefined} tabId
+ * @param {{ hookId?: string, stamped?: boolean, url?: string, requestId?: string|null, pageUrl?: string, hookTs?: number }} message
+ * @param {{ payload?: object, response?: object }} data
  */
-function prunePayloadCache() {
-  const now = Date.now();
-  for (const [key, value] of payloadCache.entries()) {
-    if (now - value.ts > PAYLOAD_TTL_MS) payloadCache.delete(key);
+function recordHookCall(tabId, message, data) {
+  const hookId = message.hookId || `${message.hookTs || Date.now()}-${Math.random().toString(16).slice(2, 8)}`;
+  const bound = requests.find(entry => entry.tabId === tabId && entry.correlation?.hookId === hookId);
+  if (bound) {
+    applyHookCall(bound, { ...data, pageUrl: message.pageUrl || '', hookTs: message.hookTs });
+    return;
   }
+  let call = hookCalls.find(item => item.tabId === tabId && item.hookId === hookId);
+  if (!call) {
+    call = {
+      hookId,
+      tabId,
+      url: message.url || '',
+      requestId: message.requestId || null,
+      stamped: false,
+      payload: null,
+      response: null,
+      pageUrl: '',
+      hookTs: message.hookTs || Date.now()
+    };
+    hookCalls.push(call);
+  }
+  if (message.stamped) call.stamped = true;
+  if (data.payload) call.payload = data.payload;
+  if (data.response) call.response = data.response;
+  if (message.pageUrl && !call.pageUrl) call.pageUrl = message.pageUrl;
+  const candidates = requests.filter(entry => !entry.correlation?.hookId && entry.captureSource?.request !== 'debugger');
+  const match = findBestCorrelation(candidates, entry => correlateHookCall(entry, call));
+  if (match) {
+    hookCalls.splice(hookCalls.indexOf(call), 1);
+    bindHookCall(match.item, call, match);
+  } else {
+    recordDiagnostic('miss', 'hook call has no matching request yet', { hookId, url: call.url, tabId });
+  }
+  pruneHookCalls();
 }
 
 /**
- * Cache payload by tab + URL.
- * @param {number} tabId
- * @param {string} url
- * @param {object} payload
- * @param {string} [pageUrl='']
- */
-function cachePayloadByUrl(tabId, url, payload, pageUrl = '') {
-  if (tabId === undefined || !url) return;
-  const list = payloadCacheByUrlTab.get(tabId) || [];
-  list.push({ url, payload, pageUrl, ts: Date.now() });
-  payloadCacheByUrlTab.set(tabId, list);
-  prunePayloadCacheByUrl(tabId);
-}
-
-function cacheHookPayload(tabId, url, payload, pageUrl = '', hookTs = 0) {
-  if (tabId === undefined || !url) return;
-  const key = `${tabId}::${url}`;
-  const list = hookQueueByTabUrl.get(key) || [];
-  list.push({ payload, pageUrl, ts: hookTs || Date.now() });
-  hookQueueByTabUrl.set(key, list);
-  pruneHookQueue(key);
-
-  const urlList = hookQueueByUrl.get(url) || [];
-  urlList.push({ payload, pageUrl, ts: hookTs || Date.now() });
-  hookQueueByUrl.set(url, urlList);
-  pruneHookQueueByUrl(url);
-}
-
-function pullHookPayload(tabId, url, timeStamp) {
-  if (tabId === undefined || !url) return null;
-  const key = `${tabId}::${url}`;
-  const list = hookQueueByTabUrl.get(key) || [];
-  if (!list.length) return null;
-  const now = Date.now();
-  const matchIndex = list.findIndex(entry => Math.abs((timeStamp || now) - entry.ts) < 20000);
-  if (matchIndex === -1) return null;
-  const [entry] = list.splice(matchIndex, 1);
-  hookQueueByTabUrl.set(key, list);
-  debugHookLog('pull: hookQueue tab+url', { url, tabId, hookTs: entry.ts });
-  return entry;
-}
-
-function pruneHookQueue(key) {
-  const list = hookQueueByTabUrl.get(key) || [];
-  const now = Date.now();
-  const filtered = list.filter(entry => now - entry.ts <= PAYLOAD_TTL_MS);
-  hookQueueByTabUrl.set(key, filtered);
-}
-
-function pullHookPayloadByUrl(url, timeStamp) {
-  if (!url) return null;
-  const list = hookQueueByUrl.get(url) || [];
-  if (!list.length) return null;
-  const now = Date.now();
-  const matchIndex = list.findIndex(entry => Math.abs((timeStamp || now) - entry.ts) < 20000);
-  if (matchIndex === -1) return null;
-  const [entry] = list.splice(matchIndex, 1);
-  hookQueueByUrl.set(url, list);
-  debugHookLog('pull: hookQueue url', { url, hookTs: entry.ts });
-  return entry;
-}
-
-function pruneHookQueueByUrl(url) {
-  const list = hookQueueByUrl.get(url) || [];
-  const now = Date.now();
-  const filtered = list.filter(entry => now - entry.ts <= PAYLOAD_TTL_MS);
-  hookQueueByUrl.set(url, filtered);
-}
-
-/**
- * Cache page context by tab + URL without a payload.
- * @param {number} tabId
- * @param {string} url
- * @param {string} pageUrl
- */
-function cachePageContextByUrl(tabId, url, pageUrl = '') {
-  if (tabId === undefined || !url || !pageUrl) return;
-  const list = payloadCacheByUrlTab.get(tabId) || [];
-  const existing = list.find(entry => entry.url === url && entry.payload);
-  if (existing) return;
-  list.push({ url, payload: null, pageUrl, ts: Date.now() });
-  payloadCacheByUrlTab.set(tabId, list);
-  prunePayloadCacheByUrl(tabId);
-}
-
-/**
- * Pull cached payload for a tab + URL near a timestamp.
- * @param {number} tabId
- * @param {string} url
- * @param {number} timeStamp
- * @returns {object|null}
+ * Bind a newly captured request to the hooked call that produced it, if that call arrived first.
+ * @param {object} entry
  */
-function pullCachedPayloadByUrl(tabId, url, timeStamp) {
-  if (tabId === undefined || !url) return null;
-  const list = payloadCacheByUrlTab.get(tabId) || [];
-  const now = Date.now();
-  const matchIndex = list.findIndex(entry => entry.url === url && Math.abs((timeStamp || now) - entry.ts) < 15000);
-  if (matchIndex === -1) return null;
-  const [entry] = list.splice(matchIndex, 1);
-  payloadCacheByUrlTab.set(tabId, list);
-  return entry || null;
+function claimHookCall(entry) {
+  if (entry.correlation?.hookId) return;
+  const match = findBestCorrelation(hookCalls, call => correlateHookCall(entry, call));
+  if (!match) return;
+  hookCalls.splice(hookCalls.indexOf(match.item), 1);
+  bindHookCall(entry, match.item, match);
 }
 
 /**
- * Prune expired payload cache entries for a tab.
- * @param {number} tabId
+ * Prune expired and excess unbound hook calls.
  */
-function prunePayloadCacheByUrl(tabId) {
-  const list = payloadCacheByUrlTab.get(tabId) || [];
+function pruneHookCalls() {
   const now = Date.now();
-  const filtered = list.filter(entry => now - entry.ts <= PAYLOAD_TTL_MS);
-  payloadCacheByUrlTab.set(tabId, filtered);
+  const expired = hookCalls.filter(call => now - call.hookTs > PAYLOAD_TTL_MS);
+  const evicted = hookCalls.length - expired.length > MAX_HOOK_CALLS
+    ? hookCalls.filter(call => !expired.includes(call)).slice(0, hookCalls.length - expired.length - MAX_HOOK_CALLS)
+    : [];
+  [...expired, ...evicted].forEach(call => {
+    hookCalls.splice(hookCalls.indexOf(call), 1);
+    recordDiagnostic('miss', expired.includes(call) ? 'hook call expired without a matching request' : 'hook call evicted (too many unmatched calls)', {
+      hookId: call.hookId,
+      url: call.url,
+      tabId: call.tabId
+    });
+  });
 }
 
 /**
@@ -1703,123 +3401,119 @@ function extractPageUrlFromPayload(body) {
 }
 
 /**
- * Attach cached payload to matching requests by requestId.
- * @param {string} requestId
- * @param {object} payload
- * @param {string} [pageUrl='']
+ * Record how a hook call was matched to its entry and apply what it captured.
+ * @param {object} entry
+ * @param {object} call
+ * @param {{ method: string, confidence: string }} match
  */
-function attachPayloadToRequests(requestId, payload, pageUrl = '') {
-  if (!requestId) return;
-  let updated = false;
-  requests.forEach(entry => {
-    if (!shouldReplaceBody(entry.body, payload)) return;
-    const idInUrl = getRequestIdFromUrl(entry.url);
-    if (idInUrl && idInUrl === requestId) {
-      debugHookLog('attach: requestId match', { requestId, url: entry.url, id: entry.id });
-      entry.body = payload;
-      if ((!entry.pageUrl || entry.pageUrl === '/') && pageUrl) entry.pageUrl = pageUrl;
-      if ((!entry.pageUrl || entry.pageUrl === '/') && entry.body) {
-        entry.pageUrl = extractPageUrlFromPayload(entry.body) || entry.pageUrl;
-      }
-      evaluateUatForRequest(entry);
-      updated = true;
-      api.runtime.sendMessage({ type: 'requestUpdated', request: entry });
-    }
-  });
-  if (updated) saveState();
+function bindHookCall(entry, call, match) {
+  recordDiagnostic('match', `hook call matched by ${match.method} (${match.confidence})`, { entryId: entry.id, url: entry.url, hookId: call.hookId });
+  entry.correlation = { hookId: call.hookId, method: match.method, confidence: match.confidence };
+  applyHookCall(entry, call);
 }
 
 /**
- * Attach cached payload to matching requests by tab and URL.
- * @param {number} tabId
- * @param {string} url
- * @param {object} payload
- * @param {string} [pageUrl='']
+ * Apply a hook call's body, page URL and response to its entry. The body only
+ * replaces what webRequest captured when it carries more (see getBodyReplacementVerdict).
+ * @param {object} entry
+ * @param {{ payload?: object|null, response?: object|null, pageUrl?: string }} call
  */
-function attachPayloadToRequestsByUrl(tabId, url, payload, pageUrl = '') {
-  if (tabId === undefined || !url) return;
-  let updated = false;
-  requests.forEach(entry => {
-    if (!shouldReplaceBody(entry.body, payload)) return;
-    if (entry.tabId !== tabId) return;
-    if (entry.url !== url) return;
-    debugHookLog('attach: tab+url match', { url, tabId, id: entry.id });
-    entry.body = payload;
-    if ((!entry.pageUrl || entry.pageUrl === '/') && pageUrl) entry.pageUrl = pageUrl;
-    if ((!entry.pageUrl || entry.pageUrl === '/') && entry.body) {
-      entry.pageUrl = extractPageUrlFromPayload(entry.body) || entry.pageUrl;
+function applyHookCall(entry, call) {
+  if (call.payload) {
+    const verdict = getBodyReplacementVerdict(entry.body, call.payload);
+    recordDiagnostic('body', verdict.reason, { entryId: entry.id, url: entry.url, hookId: call.hookId });
+    if (verdict.replace) {
+      entry.body = call.payload;
+      entry.captureSource = withCaptureSource(entry, 'body', 'hooks');
     }
-    evaluateUatForRequest(entry);
-    updated = true;
-    api.runtime.sendMessage({ type: 'requestUpdated', request: entry });
-  });
-  if (updated) saveState();
+  }
+  if ((!entry.pageUrl || entry.pageUrl === '/') && call.pageUrl) entry.pageUrl = call.pageUrl;
+  if ((!entry.pageUrl || entry.pageUrl === '/') && entry.body) {
+    entry.pageUrl = extractPageUrlFromPayload(entry.body) || entry.pageUrl;
+  }
+  if (call.response && !entry.response) {
+    entry.response = call.response;
+    entry.captureSource = withCaptureSource(entry, 'response', 'hooks');
+  }
+  evaluateUatForRequest(entry);
+  scheduleStateSave();
+  publishRequest('requestUpdated', entry);
 }
 
 /**
- * Attach page URL context to requests by requestId.
- * @param {string} requestId
- * @param {string} pageUrl
+ * Normalise a hooked response body for storage on an entry.
+ * @param {object} response
+ * @param {number} hookTs
+ * @returns {object}
  */
-function attachPageContextToRequests(requestId, pageUrl = '') {
-  if (!requestId || !pageUrl) return;
-  let updated = false;
-  requests.forEach(entry => {
-    if (entry.pageUrl && entry.pageUrl !== '/') return;
-    const idInUrl = getRequestIdFromUrl(entry.url);
-    if (idInUrl && idInUrl === requestId) {
-      entry.pageUrl = pageUrl;
-      updated = true;
-      api.runtime.sendMessage({ type: 'requestUpdated', request: entry });
-    }
-  });
-  if (updated) saveState();
+function toHookResponse(response, hookTs) {
+  return {
+    status: response.status ?? null,
+    contentType: response.contentType || '',
+    raw: typeof response.raw === 'string' ? response.raw : '',
+    parsed: response.parsed ?? null,
+    truncated: !!response.truncated,
+    capturedAt: hookTs || Date.now()
+  };
 }
 
+
 /**
- * Attach page URL context to requests by tab and URL.
- * @param {number} tabId
- * @param {string} url
- * @param {string} pageUrl
+ * Read a captured request's response body through a `filterResponseData` stream filter.
+ * Data is passed through to the page unchanged; only the first MAX_RESPONSE_BYTES are kept.
+ * @param {string} requestId
  */
-function attachPageContextToRequestsByUrl(tabId, url, pageUrl = '') {
-  if (tabId === undefined || !url || !pageUrl) return;
-  let updated = false;
-  requests.forEach(entry => {
-    if (entry.pageUrl && entry.pageUrl !== '/') return;
-    if (entry.tabId !== tabId) return;
-    if (entry.url !== url) return;
-    entry.pageUrl = pageUrl;
-    updated = true;
-    api.runtime.sendMessage({ type: 'requestUpdated', request: entry });
-  });
-  if (updated) saveState();
+function captureResponseStream(requestId) {
+  const webRequest = globalThis.browser?.webRequest || api.webRequest;
+  if (!webRequest.filterResponseData) return;
+  let filter;
+  try {
+    filter = webRequest.filterResponseData(requestId);
+  } catch (error) {
+    debugHookLog('response filter: unavailable', { requestId, error: String(error) });
+    return;
+  }
+  const chunks = [];
+  let size = 0;
+  let truncated = false;
+  filter.ondata = event => {
+    filter.write(event.data);
+    const room = MAX_RESPONSE_BYTES - size;
+    if (event.data.byteLength > room) truncated = true;
+    if (room > 0) chunks.push({ bytes: event.data.slice(0, room) });
+    size += event.data.byteLength;
+  };
+  filter.onstop = () => {
+    filter.close();
+    attachStreamResponse(requestId, mergeRawBytes(chunks), truncated);
+  };
+  filter.onerror = () => {
+    debugHookLog('response filter: error', { requestId, error: filter.error });
+  };
 }
 
-function attachHookPayloadToRecent(url, tabId, payload, pageUrl, hookTs) {
-  if (!url || !payload) return;
-  const now = Date.now();
-  const candidates = requests.filter(entry => entry.url === url);
-  if (!candidates.length) return;
-  const filtered = candidates
-    .filter(entry => tabId === undefined || entry.tabId === tabId)
-    .filter(entry => Math.abs((hookTs || now) - (entry.timeStamp || now)) < 20000);
-  if (!filtered.length) return;
-  const entry = filtered.reduce((best, item) => {
-    if (!best) return item;
-    return (item.timeStamp || 0) > (best.timeStamp || 0) ? item : best;
-  }, null);
-  if (!entry) return;
-  if (!shouldReplaceBody(entry.body, payload)) return;
-  debugHookLog('attach: recent url match', { url, tabId, id: entry.id, hookTs });
-  entry.body = payload;
-  if ((!entry.pageUrl || entry.pageUrl === '/') && pageUrl) entry.pageUrl = pageUrl;
-  if ((!entry.pageUrl || entry.pageUrl === '/') && entry.body) {
-    entry.pageUrl = extractPageUrlFromPayload(entry.body) || entry.pageUrl;
-  }
-  evaluateUatForRequest(entry);
-  saveState();
-  api.runtime.sendMessage({ type: 'requestUpdated', request: entry });
+/**
+ * Store a response body read by the stream filter; empty (204) and binary (pixel) bodies are skipped.
+ * @param {string} requestId
+ * @param {Uint8Array} bytes
+ * @param {boolean} truncated
+ */
+function attachStreamResponse(requestId, bytes, truncated) {
+  const entry = requestIndex.get(requestId);
+  if (!entry || !bytes.length || isLikelyBinary(bytes)) return;
+  const raw = decodeBytes(bytes);
+  const contentTypeHeader = (entry.responseHeaders || []).find(h => h.name.toLowerCase() === 'content-type');
+  updateRequest(requestId, {
+    response: {
+      status: entry.statusCode ?? null,
+      contentType: contentTypeHeader ? contentTypeHeader.value : '',
+      raw,
+      parsed: truncated ? null : tryParseJson(raw),
+      truncated,
+      capturedAt: Date.now()
+    },
+    captureSource: withCaptureSource(entry, 'response', 'filterResponseData')
+  });
 }
 
 /**
@@ -1839,31 +3533,32 @@ function isBodyEmpty(body) {
 }
 
 /**
- * Decide whether to replace an existing body with a hook payload.
+ * Decide whether a hook payload should replace an entry's existing body, and why.
  * @param {object|null} existing
  * @param {object|null} incoming
- * @returns {boolean}
+ * @returns {{ replace: boolean, reason: string }}
  */
-function shouldReplaceBody(existing, incoming) {
-  if (!incoming) return false;
-  if (isBodyEmpty(existing)) return true;
-  if (!existing) return true;
+function getBodyReplacementVerdict(existing, incoming) {
+  if (!incoming) return { replace: false, reason: 'no hook payload' };
+  if (isBodyEmpty(existing)) return { replace: true, reason: 'used hook payload: no body captured yet' };
   const incomingParsed = incoming.parsed && typeof incoming.parsed === 'object' ? incoming.parsed : null;
   const existingParsed = existing?.parsed && typeof existing.parsed === 'object' ? existing.parsed : null;
-  if (!incomingParsed) return false;
+  if (!incomingParsed) return { replace: false, reason: 'kept existing body: hook payload is not JSON' };
   const incomingHasEvents = !!(incomingParsed.events || incomingParsed.xdm || incomingParsed._experience || incomingParsed.data);
-  if (!incomingHasEvents) return false;
+  if (!incomingHasEvents) return { replace: false, reason: 'kept existing body: hook payload has no events, xdm or data' };
   const existingHasEvents = !!(existingParsed?.events || existingParsed?.xdm || existingParsed?._experience || existingParsed?.data);
-  if (!existingHasEvents) return true;
+  if (!existingHasEvents) return { replace: true, reason: 'used hook payload: existing body has no events, xdm or data' };
   const existingRawLen = typeof existing?.raw === 'string' ? existing.raw.length : 0;
   const incomingRawLen = typeof incoming?.raw === 'string' ? incoming.raw.length : 0;
-  return incomingRawLen > existingRawLen && incomingHasEvents;
+  return incomingRawLen > existingRawLen
+    ? { replace: true, reason: 'used hook payload: it is larger than the existing body' }
+    : { replace: false, reason: 'kept existing body: it is at least as complete as the hook payload' };
 }
 
 api.webRequest.onBeforeSendHeaders.addListener(
   details => {
     if (settings.capturePaused) return;
-    if (!isAllowed(details.url)) return;
+    if (!isCapturedRequest(details)) return;
     const headers = (details.requestHeaders || []).map(h => ({
       name: h.name,
       value: h.value
@@ -1871,6 +3566,15 @@ api.webRequest.onBeforeSendHeaders.addListener(
     const contentTypeHeader = headers.find(h => h.name.toLowerCase() === 'content-type');
     const contentType = contentTypeHeader ? contentTypeHeader.value : '';
     const entry = requestIndex.get(details.requestId);
+    const requestBody = pendingRequestBodies.get(details.requestId);
+    pendingRequestBodies.delete(details.requestId);
+    if (entry && requestBody && contentType && entry.captureSource?.body === 'webRequest') {
+      const reparsed = parseRawBody(requestBody, contentType);
+      if (reparsed) {
+        entry.body = reparsed;
+        if (reparsed.encoding) decodeCompressedRequestBody(details.requestId, reparsed);
+      }
+    }
     if (entry && entry.body && entry.body.contentType === '') entry.body.contentType = contentType;
     updateRequest(details.requestId, { requestHeaders: headers });
   },
@@ -1878,9 +3582,48 @@ api.webRequest.onBeforeSendHeaders.addListener(
   ['requestHeaders']
 );
 
+api.webRequest.onHeadersReceived.addListener(
+  details => {
+    if (!isCapturedRequest(details)) return;
+    if (!requestIndex.has(details.requestId)) return;
+    const headers = (details.responseHeaders || []).map(h => ({
+      name: h.name,
+      value: h.value
+    }));
+    updateRequest(details.requestId, {
+      responseHeaders: headers,
+      statusCode: details.statusCode,
+      statusLine: details.statusLine || null
+    });
+  },
+  { urls: ['<all_urls>'] },
+  ['responseHeaders']
+);
+
+api.webRequest.onBeforeRedirect.addListener(
+  details => {
+    if (!isCapturedRequest(details)) return;
+    const entry = requestIndex.get(details.requestId);
+    if (!entry || entry.url !== splitHookToken(details.url).url) return;
+    pendingRedirects.set(details.requestId, {
+      url: details.redirectUrl,
+      rootId: entry.redirect?.rootId || entry.id,
+      fromId: entry.id,
+      index: (entry.redirect?.index || 0) + 1
+    });
+    updateRequest(details.requestId, {
+      statusCode: details.statusCode,
+      statusLine: details.statusLine || null,
+      duration: details.timeStamp - entry.startTime,
+      redirectUrl: details.redirectUrl
+    });
+  },
+  { urls: ['<all_urls>'] }
+);
+
 api.webRequest.onCompleted.addListener(
   details => {
-    if (!isAllowed(details.url)) return;
+    if (!isCapturedRequest(details)) return;
     const entry = requestIndex.get(details.requestId);
     const duration = entry ? details.timeStamp - entry.startTime : null;
     updateRequest(details.requestId, {
@@ -1894,7 +3637,8 @@ api.webRequest.onCompleted.addListener(
 
 api.webRequest.onErrorOccurred.addListener(
   details => {
-    if (!isAllowed(details.url)) return;
+    pendingRequestBodies.delete(details.requestId);
+    if (!isCapturedRequest(details)) return;
     updateRequest(details.requestId, {
       statusCode: null,
       statusLine: details.error || 'error'
@@ -1903,9 +3647,10 @@ api.webRequest.onErrorOccurred.addListener(
   { urls: ['<all_urls>'] }
 );
 
-loadState();
+loadState().then(syncTagsSwitchRules);
 setInterval(() => {
   checkForIdleSession();
+  enforceRetention();
 }, 60 * 1000);
 
 /**
@@ -1914,9 +3659,10 @@ setInterval(() => {
  * @param {string} site
  * @param {number|null} lockTabId
  * @param {boolean} uatEnabled
+ * @param {{ pinned?: boolean, maxEntries?: number|null }} [retention]
  * @returns {object}
  */
-function createSession(name, site, lockTabId, uatEnabled) {
+function createSession(name, site, lockTabId, uatEnabled, retention = {}) {
   return {
     id: `session-${Date.now()}-${Math.random().toString(16).slice(2, 8)}`,
     name,
@@ -1924,6 +3670,11 @@ function createSession(name, site, lockTabId, uatEnabled) {
     lockTabId: lockTabId ?? null,
     paused: false,
     createdAt: Date.now(),
-    uatEnabled: !!uatEnabled
+    uatEnabled: !!uatEnabled,
+    pinned: !!retention.pinned,
+    maxEntries: retention.maxEntries || null,
+    requestCount: 0,
+    storageBytes: 0,
+    lastRequestAt: null
   };
 }
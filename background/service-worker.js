@@ -1,11 +1,35 @@
 import {
   parseQueryString,
   parseRawBody,
+  decodeCompressedBody,
+  base64ToBytes,
+  decodeBytes,
+  mergeRawBytes,
+  tryParseJson,
   getDomainFromUrl,
   getPathFromUrl
 } from '../lib/parse.js';
-import { resolveServiceIdForDomain } from '../lib/services.js';
+import { getConsentStateAt } from '../lib/consent.js';
+import { HOOK_MATCH_WINDOW_MS, correlateHookCall, findBestCorrelation, splitHookToken } from '../lib/correlation.js';
+import { compileSignatures, getSignaturesForAllowlist, matchesSignatures, resolveServiceIdForRequest } from '../lib/services.js';
+import { DEFAULT_SNAPSHOT_KEYS, matchesKeyPattern, normalizeSnapshotKeys } from '../lib/snapshot.js';
+import { TAGS_SWITCH_RULE_BASE, buildTagsSwitchRules } from '../lib/tags-switch.js';
 import { normalizeUatConfig, evaluateAssertionsForRequest } from '../lib/uat.js';
+import {
+  REQUEST_PAGE_SIZE,
+  clearRequestStore,
+  deleteOldestSessionRequests,
+  deletePageEvents,
+  deleteSessionPageEvents,
+  deleteSessionRequests,
+  getPageEvents,
+  getRequestSize,
+  getSessionRequests,
+  getSessionUsage,
+  putPageEvents,
+  putRequests,
+  querySessionRequests
+} from '../lib/request-store.js';
 
 const api = globalThis.chrome || globalThis.browser;
 const action = api.action || api.browserAction;
@@ -18,36 +42,101 @@ const DEFAULT_SETTINGS = {
   allowlist: DEFAULT_ALLOWLIST,
   capturePaused: false,
   maxEntries: 2000,
+  sessionMaxEntries: 0,
+  expireAfterDays: 0,
   selectedSessionId: null,
   enableHooks: false,
   debugHooks: false,
-  serviceMappings: []
+  serviceMappings: [],
+  tagsEnvSwitches: [],
+  snapshotKeys: DEFAULT_SNAPSHOT_KEYS,
+  debuggerCapture: false
 };
 
 let settings = { ...DEFAULT_SETTINGS };
 let requests = [];
 let requestIndex = new Map();
+let loadedSessionIds = new Set();
+const dirtyRequests = new Set();
+const dirtyPageEvents = new Set();
+let entrySizes = new Map();
+let retentionWarnings = [];
+let allowlistSignatures = null;
+let requestStoreQueue = Promise.resolve();
+let requestFlushTimer = null;
+let stateSaveTimer = null;
+let retentionTimer = null;
+const pendingRedirects = new Map();
+const debuggerRequests = new Map();
+let debuggerTabId = null;
+let debuggerSync = Promise.resolve();
+let debuggerListenersAdded = false;
+let pageEvents = [];
+let consentEventsByTab = new Map();
 let sessions = [];
 let sites = [];
 let currentSessionId = null;
 let navState = new Map();
 let tabUrlCache = new Map();
 const lastInjectByTab = new Map();
-const payloadCacheByUrlTab = new Map();
 let uatConfigs = {};
-const hookQueueByTabUrl = new Map();
-const hookQueueByUrl = new Map();
+const hookCalls = [];
 let lastRequestAt = Date.now();
 let idlePrompted = false;
 
 const IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+const REQUEST_FLUSH_DELAY_MS = 250;
+const STATE_SAVE_DELAY_MS = 1000;
+const RETENTION_DELAY_MS = 5000;
+const DAY_MS = 24 * 60 * 60 * 1000;
 const IDLE_CHECK_ALARM = 'idle-check';
+const DEBUGGER_PROTOCOL_VERSION = '1.3';
+const MAX_DEBUGGER_POST_DATA = 65536;
+const MAX_RESPONSE_CHARS = 200000;
 
 function debugHookLog(...args) {
   if (!settings?.debugHooks) return;
   console.log('[Launch Observer Hooks]', ...args);
 }
 
+const diagnostics = [];
+const MAX_DIAGNOSTICS = 500;
+
+/**
+ * Record a capture decision in the diagnostics ring buffer (shown in the app's
+ * Diagnostics tab) and echo it to the hook debug log.
+ * @param {'drop'|'match'|'miss'|'inject'|'body'} kind
+ * @param {string} message
+ * @param {{ entryId?: string, url?: string, tabId?: number, hookId?: string }} [detail]
+ */
+function recordDiagnostic(kind, message, detail = {}) {
+  diagnostics.push({ ts: Date.now(), kind, message, ...detail });
+  if (diagnostics.length > MAX_DIAGNOSTICS) diagnostics.splice(0, diagnostics.length - MAX_DIAGNOSTICS);
+  debugHookLog(`${kind}: ${message}`, detail);
+}
+
+/**
+ * Collect the capture decisions that explain one request: its own records, hook
+ * traffic for the same URL around its time and recent injection attempts in its tab.
+ * @param {string} id request entry id
+ * @returns {Array<object>}
+ */
+function getDiagnosticsForRequest(id) {
+  const entry = requests.find(item => item.id === id);
+  if (!entry) return [];
+  const near = record => Math.abs(record.ts - (entry.timeStamp || 0)) <= HOOK_MATCH_WINDOW_MS;
+  const related = diagnostics.filter(record => {
+    if (record.entryId) return record.entryId === id;
+    if (record.kind === 'inject') return false;
+    if (record.url) return record.url === entry.url && near(record);
+    return record.tabId === entry.tabId && near(record);
+  });
+  const injections = diagnostics
+    .filter(record => record.kind === 'inject' && record.tabId === entry.tabId && record.ts <= (entry.timeStamp || 0) + HOOK_MATCH_WINDOW_MS)
+    .slice(-3);
+  return [...injections, ...related].sort((a, b) => a.ts - b.ts);
+}
+
 /**
  * Check whether a URL is eligible for script injection.
  * @param {string} url
@@ -98,23 +187,21 @@ async function injectPageHooks(tabId, url = '', reason = '') {
       world: 'MAIN'
     });
     lastInjectByTab.set(tabId, { url: targetUrl, ts: now });
-    debugHookLog('inject: main world', { tabId, url: targetUrl, reason });
+    recordDiagnostic('inject', `injected page hooks (${reason})`, { tabId, url: targetUrl });
   } catch (error) {
-    debugHookLog('inject: failed', { tabId, url: targetUrl, reason, error: String(error) });
+    recordDiagnostic('inject', `injection failed (${reason}): ${String(error)}`, { tabId, url: targetUrl });
   }
 }
 
 /**
- * Load persisted extension state from storage.
+ * Load persisted extension state from storage. Requests live in the request store
+ * (IndexedDB); only the capturing and selected sessions are loaded into memory.
  * @returns {Promise<void>}
  */
 async function loadState() {
-  const stored = await api.storage.local.get(['settings', 'requests', 'sessions', 'sites', 'currentSessionId', 'uatConfigs', 'lastRequestAt', 'idlePrompted']);
+  const stored = await api.storage.local.get(['settings', 'requests', 'pageEvents', 'sessions', 'sites', 'currentSessionId', 'uatConfigs', 'lastRequestAt', 'idlePrompted']);
   if (stored.settings) settings = { ...DEFAULT_SETTINGS, ...stored.settings };
-  if (Array.isArray(stored.requests)) {
-    requests = stored.requests;
-    requestIndex = new Map(requests.map(r => [r.requestId, r]));
-  }
+  allowlistSignatures = null;
   if (Array.isArray(stored.sessions)) sessions = stored.sessions;
   if (Array.isArray(stored.sites)) sites = stored.sites;
   if (stored.currentSessionId) currentSessionId = stored.currentSessionId;
@@ -125,22 +212,236 @@ async function loadState() {
   if (stored.idlePrompted !== undefined) idlePrompted = !!stored.idlePrompted;
   if (!currentSessionId) currentSessionId = sessions[0]?.id || null;
   if (!settings.selectedSessionId) settings.selectedSessionId = currentSessionId;
+  if (Array.isArray(stored.requests)) await migrateStoredRequests(stored.requests);
+  if (Array.isArray(stored.pageEvents)) await migrateStoredPageEvents(stored.pageEvents);
+  const storedEvents = (await queueRequestStore(getPageEvents)) || [];
+  pageEvents = storedEvents.slice(-settings.maxEntries);
+  if (pageEvents.length < storedEvents.length) {
+    queueRequestStore(() => deletePageEvents(storedEvents.slice(0, -settings.maxEntries).map(event => event.id)));
+  }
+  rebuildConsentIndex();
+  await queueRequestStore(() => Promise.all(sessions
+    .filter(session => session.requestCount === undefined || session.storageBytes === undefined)
+    .map(async session => {
+      const usage = await getSessionUsage(session.id);
+      session.requestCount = usage.count;
+      session.storageBytes = usage.bytes;
+    })));
+  await loadActiveSessions();
+  enforceRetention();
+}
+
+/**
+ * Move requests saved by earlier versions (one `requests` array in storage.local)
+ * into the request store, then drop the array.
+ * @param {Array<object>} stored
+ * @returns {Promise<void>}
+ */
+function migrateStoredRequests(stored) {
+  return queueRequestStore(async () => {
+    await putRequests(stored.filter(entry => entry?.sessionId && entry.id));
+    await api.storage.local.remove('requests');
+  });
+}
+
+/**
+ * Move page events saved by earlier versions (one `pageEvents` array in storage.local)
+ * into the request store, then drop the array.
+ * @param {Array<object>} stored
+ * @returns {Promise<void>}
+ */
+function migrateStoredPageEvents(stored) {
+  return queueRequestStore(async () => {
+    await putPageEvents(stored.filter(event => event?.id));
+    await api.storage.local.remove('pageEvents');
+  });
 }
 
 /**
- * Persist extension state to storage.
+ * Persist extension state to storage. Requests and page events are written separately
+ * by `flushRequests`.
  * @returns {Promise<void>}
  */
 function saveState() {
-  return api.storage.local.set({ settings, requests, sessions, sites, currentSessionId, uatConfigs, lastRequestAt, idlePrompted });
+  clearTimeout(stateSaveTimer);
+  stateSaveTimer = null;
+  return api.storage.local.set({ settings, sessions, sites, currentSessionId, uatConfigs, lastRequestAt, idlePrompted });
+}
+
+/**
+ * Save state once capture settles instead of on every request: every hit updates the
+ * session counters, and state is written to storage as a whole.
+ */
+function scheduleStateSave() {
+  if (!stateSaveTimer) stateSaveTimer = setTimeout(saveState, STATE_SAVE_DELAY_MS);
+}
+
+/**
+ * Run a request store operation after the ones already queued so writes and deletes
+ * apply in order. Failures are logged and resolve to undefined.
+ * @param {() => Promise<any>} task
+ * @returns {Promise<any>}
+ */
+function queueRequestStore(task) {
+  requestStoreQueue = requestStoreQueue.then(task).catch(error => {
+    console.warn('[Launch Observer] Request store error', error);
+  });
+  return requestStoreQueue;
+}
+
+/**
+ * Mark an entry as changed; changed entries are written together on the next flush.
+ * @param {object} entry
+ */
+function persistRequest(entry) {
+  dirtyRequests.add(entry);
+  if (!requestFlushTimer) requestFlushTimer = setTimeout(flushRequests, REQUEST_FLUSH_DELAY_MS);
+}
+
+/**
+ * Mark a page event as new; it is written with the next request flush.
+ * @param {object} event
+ */
+function persistPageEvent(event) {
+  dirtyPageEvents.add(event);
+  if (!requestFlushTimer) requestFlushTimer = setTimeout(flushRequests, REQUEST_FLUSH_DELAY_MS);
+}
+
+/**
+ * Write changed entries and new page events to the request store, then let go of
+ * loaded entries beyond the newest page of their session.
+ * @returns {Promise<void>}
+ */
+function flushRequests() {
+  clearTimeout(requestFlushTimer);
+  requestFlushTimer = null;
+  const entries = [...dirtyRequests];
+  const events = [...dirtyPageEvents];
+  dirtyRequests.clear();
+  dirtyPageEvents.clear();
+  trackRequestSizes(entries);
+  trimLoadedRequests();
+  return queueRequestStore(async () => {
+    await putRequests(entries);
+    await putPageEvents(events);
+  });
+}
+
+/**
+ * Keep at most `REQUEST_PAGE_SIZE` of each loaded session's newest requests in memory.
+ * Older ones stay in the request store, where the app pages them with `queryRequests`.
+ */
+function trimLoadedRequests() {
+  if (requests.length <= REQUEST_PAGE_SIZE) return;
+  const counts = new Map();
+  const kept = new Set();
+  for (let index = requests.length - 1; index >= 0; index -= 1) {
+    const entry = requests[index];
+    const count = counts.get(entry.sessionId) || 0;
+    if (count < REQUEST_PAGE_SIZE) kept.add(entry);
+    counts.set(entry.sessionId, count + 1);
+  }
+  if (kept.size < requests.length) dropRequests(entry => !kept.has(entry));
+}
+
+/**
+ * Update the per-session storage usage for entries about to be written and tell
+ * open app pages about the new totals.
+ * @param {Array<object>} entries
+ */
+function trackRequestSizes(entries) {
+  const changed = new Set();
+  entries.forEach(entry => {
+    const size = getRequestSize(entry);
+    const delta = size - (entrySizes.get(entry.id) || 0);
+    entrySizes.set(entry.id, size);
+    const session = sessions.find(s => s.id === entry.sessionId);
+    if (!delta || !session) return;
+    session.storageBytes = Math.max(0, (session.storageBytes || 0) + delta);
+    changed.add(session);
+  });
+  if (!changed.size) return;
+  scheduleStateSave();
+  api.runtime.sendMessage({
+    type: 'sessionUsageUpdated',
+    usage: [...changed].map(session => ({ id: session.id, requestCount: session.requestCount, storageBytes: session.storageBytes }))
+  });
+}
+
+/**
+ * Persist a new or changed entry and tell open app pages about it.
+ * @param {'requestAdded'|'requestUpdated'} type
+ * @param {object} entry
+ */
+function publishRequest(type, entry) {
+  persistRequest(entry);
+  api.runtime.sendMessage({ type, request: entry });
+}
+
+/**
+ * Drop matching entries from memory along with their pending writes.
+ * @param {(entry: object) => boolean} predicate
+ */
+function dropRequests(predicate) {
+  requests.forEach(entry => {
+    if (predicate(entry)) entrySizes.delete(entry.id);
+  });
+  requests = requests.filter(entry => !predicate(entry));
+  requestIndex = new Map(requests.map(r => [r.requestId, r]));
+  dirtyRequests.forEach(entry => {
+    if (predicate(entry)) dirtyRequests.delete(entry);
+  });
+}
+
+/**
+ * Drop matching page events from memory along with their pending writes.
+ * @param {(event: object) => boolean} predicate
+ */
+function dropPageEvents(predicate) {
+  pageEvents = pageEvents.filter(event => !predicate(event));
+  dirtyPageEvents.forEach(event => {
+    if (predicate(event)) dirtyPageEvents.delete(event);
+  });
+  rebuildConsentIndex();
 }
 
 /**
- * Check whether a URL matches the allowlist.
+ * Keep only the capturing and selected sessions' requests in memory, loading the
+ * newest page of whichever of them is not in memory yet from the request store.
+ * @returns {Promise<void>}
+ */
+async function loadActiveSessions() {
+  const wanted = new Set([currentSessionId, settings.selectedSessionId].filter(Boolean));
+  const missing = [...wanted].filter(id => !loadedSessionIds.has(id));
+  loadedSessionIds = wanted;
+  flushRequests();
+  const loaded = await queueRequestStore(() => Promise.all(missing.map(id => querySessionRequests(id, { limit: REQUEST_PAGE_SIZE }))));
+  const byId = new Map([...(loaded || []).flat(), ...requests]
+    .filter(entry => loadedSessionIds.has(entry.sessionId))
+    .map(entry => [entry.id, entry]));
+  requests = [...byId.values()].sort((a, b) => (a.timeStamp || 0) - (b.timeStamp || 0));
+  requestIndex = new Map(requests.map(r => [r.requestId, r]));
+  entrySizes = new Map(requests.map(entry => [entry.id, entrySizes.get(entry.id) ?? (dirtyRequests.has(entry) ? 0 : getRequestSize(entry))]));
+}
+
+/**
+ * Get the compiled signatures of the allowlisted services. They are compiled once and
+ * dropped whenever settings change.
+ * @returns {Array<{ path: RegExp|null, query: Array<string>, body: Array<string> }>}
+ */
+function getAllowlistSignatures() {
+  if (!allowlistSignatures) allowlistSignatures = compileSignatures(getSignaturesForAllowlist(settings.allowlist));
+  return allowlistSignatures;
+}
+
+/**
+ * Check whether a request matches the allowlist: by domain, or by the signatures of the
+ * allowlisted services.
  * @param {string} url
+ * @param {() => any} [readBody] returns the parsed JSON body for body signatures
  * @returns {boolean}
  */
-function isAllowed(url) {
+function isAllowed(url, readBody = null) {
   try {
     const domain = getDomainFromUrl(url);
     return settings.allowlist.some(entry => {
@@ -148,42 +449,183 @@ function isAllowed(url) {
       if (!trimmed) return false;
       if (domain === trimmed) return true;
       return domain.endsWith(`.${trimmed}`);
-    });
+    }) || matchesSignatures(getAllowlistSignatures(), url, readBody);
   } catch {
     return false;
   }
 }
 
 /**
- * Trim request list to max entries.
+ * Read a webRequest body as JSON for body signatures (e.g. a Segment proxy's `writeKey`).
+ * @param {{ raw?: Array<{ bytes?: ArrayBuffer }> }|undefined} requestBody
+ * @returns {object|null}
  */
-function trimRequests() {
-  if (requests.length <= settings.maxEntries) return;
-  requests = requests.slice(-settings.maxEntries);
-  requestIndex = new Map(requests.map(r => [r.requestId, r]));
+function readSignatureBody(requestBody) {
+  if (!requestBody?.raw?.length) return null;
+  return tryParseJson(decodeBytes(mergeRawBytes(requestBody.raw)));
+}
+
+/**
+ * Get the request cap of a session: its own limit, otherwise the per-session default (0 = none).
+ * @param {object} session
+ * @returns {number}
+ */
+function getSessionCap(session) {
+  return session.maxEntries || settings.sessionMaxEntries || 0;
+}
+
+/**
+ * Work out what the retention rules would evict. Pinned sessions are kept forever.
+ * Unpinned ones expire after `expireAfterDays` without new requests (except the
+ * capturing and selected sessions), are trimmed to their own cap, and together are
+ * trimmed to `maxEntries`, oldest session first.
+ * @param {Array<object>} [candidates=sessions]
+ * @returns {Array<{ sessionId: string, count: number, reason: 'expired'|'session-cap'|'total-cap' }>}
+ */
+function planRetention(candidates = sessions) {
+  const plan = [];
+  const unpinned = candidates.filter(session => !session.pinned);
+  const remaining = new Map(unpinned.map(session => [session.id, session.requestCount || 0]));
+  const expireMs = (settings.expireAfterDays || 0) * DAY_MS;
+  if (expireMs > 0) {
+    const now = Date.now();
+    unpinned.forEach(session => {
+      if (session.id === currentSessionId || session.id === settings.selectedSessionId) return;
+      if (now - (session.lastRequestAt || session.createdAt || now) < expireMs) return;
+      plan.push({ sessionId: session.id, count: remaining.get(session.id), reason: 'expired' });
+      remaining.set(session.id, 0);
+    });
+  }
+  unpinned.forEach(session => {
+    const cap = getSessionCap(session);
+    const count = remaining.get(session.id);
+    if (!cap || count <= cap) return;
+    plan.push({ sessionId: session.id, count: count - cap, reason: 'session-cap' });
+    remaining.set(session.id, cap);
+  });
+  let overflow = [...remaining.values()].reduce((total, count) => total + count, 0) - (settings.maxEntries || DEFAULT_SETTINGS.maxEntries);
+  [...unpinned]
+    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+    .forEach(session => {
+      const count = remaining.get(session.id);
+      if (overflow <= 0 || !count) return;
+      const evicted = Math.min(count, overflow);
+      plan.push({ sessionId: session.id, count: evicted, reason: 'total-cap' });
+      remaining.set(session.id, count - evicted);
+      overflow -= evicted;
+    });
+  return plan;
+}
+
+/**
+ * Apply the retention rules a few seconds after capture instead of on every request,
+ * so a busy page trims its sessions in one store pass rather than one per hit.
+ */
+function scheduleRetention() {
+  if (!retentionTimer) retentionTimer = setTimeout(enforceRetention, RETENTION_DELAY_MS);
+}
+
+/**
+ * Apply the retention rules. Evictions from UAT-enabled sessions are held back and
+ * reported as warnings until the user confirms them.
+ * @param {string|null} [confirmedSessionId] session whose held evictions the user accepted
+ */
+function enforceRetention(confirmedSessionId = null) {
+  clearTimeout(retentionTimer);
+  retentionTimer = null;
+  const warnings = [];
+  planRetention().forEach(item => {
+    const session = sessions.find(s => s.id === item.sessionId);
+    if (!session) return;
+    if (session.uatEnabled && session.id !== confirmedSessionId) {
+      warnings.push({ ...item, name: session.name || 'Untitled', site: session.site || '' });
+      return;
+    }
+    if (item.reason === 'expired') {
+      removeSession(session.id);
+      saveState();
+      api.runtime.sendMessage({ type: 'sessionsUpdated', sessions, currentSessionId });
+      return;
+    }
+    evictOldestRequests(session, item.count);
+  });
+  if (JSON.stringify(warnings) === JSON.stringify(retentionWarnings)) return;
+  retentionWarnings = warnings;
+  api.runtime.sendMessage({ type: 'retentionWarning', warnings });
+}
+
+/**
+ * Count what a session would lose under the retention rules after a change to it,
+ * e.g. before unpinning it.
+ * @param {string} sessionId
+ * @param {object} patch
+ * @returns {number}
+ */
+function previewRetention(sessionId, patch) {
+  const candidates = sessions.map(session => (session.id === sessionId ? { ...session, ...patch } : session));
+  return planRetention(candidates)
+    .filter(item => item.sessionId === sessionId)
+    .reduce((total, item) => total + item.count, 0);
+}
+
+/**
+ * Delete a session's oldest stored requests.
+ * @param {object} session
+ * @param {number} count
+ */
+function evictOldestRequests(session, count) {
+  session.requestCount = Math.max(0, (session.requestCount || 0) - count);
+  flushRequests();
+  queueRequestStore(async () => {
+    const removed = await deleteOldestSessionRequests(session.id, count);
+    if (!removed.length) return;
+    const ids = new Set(removed.map(item => item.id));
+    dropRequests(entry => ids.has(entry.id));
+    session.storageBytes = Math.max(0, (session.storageBytes || 0) - removed.reduce((total, item) => total + item.bytes, 0));
+    scheduleStateSave();
+    api.runtime.sendMessage({ type: 'requestsTrimmed', sessionId: session.id, requests: removed.map(({ sessionId, id }) => ({ sessionId, id })) });
+    api.runtime.sendMessage({
+      type: 'sessionUsageUpdated',
+      usage: [{ id: session.id, requestCount: session.requestCount, storageBytes: session.storageBytes }]
+    });
+  });
+}
+
+/**
+ * Delete a session with its requests and page events, moving the selection if needed.
+ * @param {string} id
+ */
+function removeSession(id) {
+  sessions = sessions.filter(s => s.id !== id);
+  dropRequests(r => r.sessionId === id);
+  queueRequestStore(() => deleteSessionRequests(id));
+  dropPageEvents(e => e.sessionId === id);
+  queueRequestStore(() => deleteSessionPageEvents(id));
+  if (settings.selectedSessionId === id) {
+    settings.selectedSessionId = sessions[0]?.id || null;
+  }
+  if (currentSessionId === id) {
+    currentSessionId = settings.selectedSessionId || null;
+  }
+  loadActiveSessions();
 }
 
 /**
  * Create a new request entry from webRequest details.
  * @param {object} details
+ * @param {{ rootId: string, fromId: string, index: number }|null} [redirect] set when the request is a hop of a redirect chain
  */
-function addRequest(details) {
+function addRequest(details, redirect = null) {
+  const { url, token: hookToken } = splitHookToken(details.url);
   const sessionId = currentSessionId || settings.selectedSessionId;
   const nav = navState.get(details.tabId) || {};
   const cachedUrl = tabUrlCache.get(details.tabId);
-  const requestId = getRequestIdFromUrl(details.url);
-  const cachedPayload = requestId ? pullCachedPayload(requestId) : pullCachedPayloadByUrl(details.tabId, details.url, details.timeStamp);
-  const hookMatch = pullHookPayload(details.tabId, details.url, details.timeStamp)
-    || pullHookPayloadByUrl(details.url, details.timeStamp);
-  const cachedBody = hookMatch?.payload || cachedPayload?.payload || null;
-  const cachedPageUrl = hookMatch?.pageUrl || cachedPayload?.pageUrl || '';
   const pageUrl = nav.pageUrl
     || nav.pendingUrl
     || cachedUrl
     || details.documentUrl
     || details.initiator
-    || cachedPageUrl
-    || extractPageUrlFromRequest(details.url)
+    || extractPageUrlFromRequest(url)
     || null;
   const session = sessions.find(s => s.id === sessionId);
   const uatConfig = session?.site ? uatConfigs[session.site] : null;
@@ -194,35 +636,79 @@ function addRequest(details) {
     tabId: details.tabId,
     frameId: details.frameId,
     method: details.method,
-    url: details.url,
+    url,
     documentUrl: details.documentUrl || null,
     initiator: details.initiator || null,
-    domain: getDomainFromUrl(details.url),
-    serviceId: resolveServiceIdForDomain(getDomainFromUrl(details.url), settings.serviceMappings || []),
-    path: getPathFromUrl(details.url),
+    domain: getDomainFromUrl(url),
+    serviceId: resolveServiceIdForRequest(url, settings.serviceMappings || [], () => readSignatureBody(details.requestBody)),
+    path: getPathFromUrl(url),
     timeStamp: details.timeStamp,
     startTime: details.timeStamp,
     statusCode: null,
     statusLine: null,
     duration: null,
     requestHeaders: [],
-    query: parseQueryString(details.url),
-    body: cachedBody,
+    responseHeaders: [],
+    query: parseQueryString(url),
+    body: null,
+    response: null,
     pageUrl,
     navId: nav.navId || null,
+    consent: getConsentForRequest(sessionId, details.tabId, details.timeStamp),
+    redirect: redirect ? { rootId: redirect.rootId, fromId: redirect.fromId, index: redirect.index } : null,
+    captureSource: { request: details.captureSource || 'webRequest', body: null, response: null },
+    correlation: null,
+    hookToken,
     uat: session?.uatEnabled && uatConfig ? { status: 'pending', results: [] } : null
   };
 
-  if ((!entry.pageUrl || entry.pageUrl === '/') && entry.body) {
-    entry.pageUrl = extractPageUrlFromPayload(entry.body) || entry.pageUrl;
-  }
   requests.push(entry);
   requestIndex.set(details.requestId, entry);
+  if (session) {
+    session.requestCount = (session.requestCount || 0) + 1;
+    session.lastRequestAt = Date.now();
+  }
+  if (redirect) linkRedirectHop(entry);
   lastRequestAt = Date.now();
   idlePrompted = false;
-  trimRequests();
-  saveState();
-  api.runtime.sendMessage({ type: 'requestAdded', request: entry });
+  scheduleRetention();
+  scheduleStateSave();
+  publishRequest('requestAdded', entry);
+}
+
+/**
+ * Append a redirect hop to its chain root so the UI can nest it under the original request.
+ * @param {object} entry
+ */
+function linkRedirectHop(entry) {
+  const root = requests.find(item => item.id === entry.redirect.rootId);
+  if (!root) return;
+  root.redirectChain = [...(root.redirectChain || []), entry.id];
+  publishRequest('requestUpdated', root);
+}
+
+/**
+ * Check whether webRequest details belong to a captured request: allowlisted, or an
+ * entry already created for them (a redirect hop that left the allowlisted domains, or
+ * a request matched by its body, which later events do not carry).
+ * @param {object} details
+ * @returns {boolean}
+ */
+function isCapturedRequest(details) {
+  if (isAllowed(details.url)) return true;
+  const entry = requestIndex.get(details.requestId);
+  return !!entry && entry.url === splitHookToken(details.url).url;
+}
+
+/**
+ * Record which capture path produced part of an entry's data.
+ * @param {object} entry
+ * @param {'body'|'response'} part
+ * @param {string} source `webRequest`, `hooks`, `debugger` or `filterResponseData`
+ * @returns {{ request: string, body: string|null, response: string|null }}
+ */
+function withCaptureSource(entry, part, source) {
+  return { ...entry.captureSource, [part]: source };
 }
 
 /**
@@ -238,8 +724,211 @@ function updateRequest(requestId, patch) {
     entry.pageUrl = extractPageUrlFromPayload(entry.body) || entry.pageUrl;
   }
   evaluateUatForRequest(entry);
-  saveState();
-  api.runtime.sendMessage({ type: 'requestUpdated', request: entry });
+  scheduleStateSave();
+  publishRequest('requestUpdated', entry);
+}
+
+/**
+ * Decompress a gzip/deflate request body and patch the entry once it resolves.
+ * @param {string} requestId
+ * @param {object} body
+ */
+function decodeCompressedRequestBody(requestId, body) {
+  decodeCompressedBody(body).then(decoded => {
+    const entry = requestIndex.get(requestId);
+    if (!decoded || !entry || entry.body !== body) return;
+    updateRequest(requestId, { body: decoded });
+  });
+}
+
+/**
+ * Get the active session when it observes a tab: it is locked to that tab or not locked at all.
+ * @param {number} tabId
+ * @returns {object|null}
+ */
+function getObservingSession(tabId) {
+  if (typeof tabId !== 'number' || tabId < 0) return null;
+  const session = sessions.find(s => s.id === (settings.selectedSessionId || currentSessionId));
+  if (!session) return null;
+  if (session.lockTabId !== null && session.lockTabId !== undefined && tabId !== session.lockTabId) return null;
+  return session;
+}
+
+/**
+ * Tell the content scripts in every tab to re-read their settings, so page hooks start or
+ * stop watching data layers when the observed tab changes.
+ * @returns {Promise<void>}
+ */
+async function syncPageObservation() {
+  let tabs = [];
+  try {
+    tabs = await api.tabs.query({});
+  } catch {
+    return;
+  }
+  tabs.forEach(tab => {
+    if (!/^https?:/.test(tab.url || '')) return;
+    api.tabs.sendMessage(tab.id, { type: 'settingsUpdated' }).catch(() => {});
+  });
+}
+
+/**
+ * Record a page-level event (data layer push, etc.) for the active session.
+ * Events from tabs the session does not observe are dropped.
+ * @param {number} tabId
+ * @param {{ kind: string, data: object, hookTs?: number, pageUrl?: string }} message
+ * @returns {object|null}
+ */
+function addPageEvent(tabId, message) {
+  const session = getObservingSession(tabId);
+  if (!session) return null;
+  const sessionId = session.id;
+  const nav = navState.get(tabId) || {};
+  const timeStamp = message.hookTs || Date.now();
+  const event = {
+    id: `evt-${timeStamp}-${Math.random().toString(16).slice(2, 8)}`,
+    kind: message.kind,
+    sessionId,
+    tabId,
+    navId: nav.navId || null,
+    pageUrl: nav.pageUrl || nav.pendingUrl || tabUrlCache.get(tabId) || message.pageUrl || null,
+    timeStamp,
+    data: message.data
+  };
+  pageEvents.push(event);
+  persistPageEvent(event);
+  if (pageEvents.length > settings.maxEntries) {
+    const dropped = pageEvents.slice(0, -settings.maxEntries);
+    pageEvents = pageEvents.slice(-settings.maxEntries);
+    dropped.forEach(item => dirtyPageEvents.delete(item));
+    queueRequestStore(() => deletePageEvents(dropped.map(item => item.id)));
+  }
+  if (event.kind === 'consent') {
+    indexConsentEvent(event);
+    refreshRequestConsent(event);
+  }
+  scheduleStateSave();
+  api.runtime.sendMessage({ type: 'pageEventAdded', event });
+  return event;
+}
+
+/**
+ * Resolve the consent state on a tab at the time a request fired.
+ * @param {string} sessionId
+ * @param {number} tabId
+ * @param {number} timeStamp
+ * @returns {{ state: string, frameworks: object }}
+ */
+function getConsentForRequest(sessionId, tabId, timeStamp) {
+  return getConsentStateAt(consentEventsByTab.get(`${sessionId}:${tabId}`), timeStamp);
+}
+
+/**
+ * Add a consent page event to the list of its session and tab.
+ * @param {object} event
+ */
+function indexConsentEvent(event) {
+  const key = `${event.sessionId}:${event.tabId}`;
+  const list = consentEventsByTab.get(key) || [];
+  list.push(event);
+  consentEventsByTab.set(key, list);
+}
+
+/**
+ * Rebuild the per-tab consent lists after page events were loaded or removed.
+ */
+function rebuildConsentIndex() {
+  consentEventsByTab = new Map();
+  pageEvents.forEach(event => {
+    if (event.kind === 'consent') indexConsentEvent(event);
+  });
+}
+
+/**
+ * Re-stamp requests that fired after a consent signal which arrived late
+ * (page hooks post asynchronously, webRequest may see the beacon first).
+ * Only the newest requests of the session can be affected, so the scan walks back
+ * from the end and stops at the first request older than the signal.
+ * @param {object} event
+ */
+function refreshRequestConsent(event) {
+  for (let index = requests.length - 1; index >= 0; index -= 1) {
+    const entry = requests[index];
+    if (entry.sessionId !== event.sessionId) continue;
+    if ((entry.timeStamp || 0) < event.timeStamp) break;
+    if (entry.tabId !== event.tabId) continue;
+    const consent = getConsentForRequest(entry.sessionId, entry.tabId, entry.timeStamp);
+    if (JSON.stringify(consent) === JSON.stringify(entry.consent)) continue;
+    entry.consent = consent;
+    publishRequest('requestUpdated', entry);
+  }
+}
+
+/**
+ * Ask the top-frame content script on a tab to run a page probe.
+ * @param {number} tabId
+ * @param {string} type
+ * @param {object} [payload] extra message fields passed to the probe
+ * @returns {Promise<object|null>}
+ */
+async function requestTabProbe(tabId, type, payload = {}) {
+  try {
+    const response = await api.tabs.sendMessage(tabId, { ...payload, type }, { frameId: 0 });
+    return response?.result || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Snapshot the configured cookies and storage keys after a page load in the session's locked tab.
+ * @param {number} tabId
+ * @param {string} url
+ */
+async function captureNavigationSnapshot(tabId, url) {
+  const sessionId = settings.selectedSessionId || currentSessionId;
+  const session = sessions.find(s => s.id === sessionId);
+  if (!session || settings.capturePaused) return;
+  if (session.lockTabId === null || session.lockTabId === undefined || session.lockTabId !== tabId) return;
+  if (!/^https?:/.test(url || '')) return;
+  const keys = normalizeSnapshotKeys(settings.snapshotKeys);
+  const [cookies, storage] = await Promise.all([
+    readSnapshotCookies(url, keys.cookies),
+    requestTabProbe(tabId, 'probeStorage', { keys: keys.storage })
+  ]);
+  addPageEvent(tabId, {
+    kind: 'storageSnapshot',
+    data: {
+      pageUrl: url,
+      cookies,
+      localStorage: storage?.localStorage || {},
+      sessionStorage: storage?.sessionStorage || {},
+      storageRead: !!storage,
+      keys
+    },
+    hookTs: Date.now(),
+    pageUrl: url
+  });
+}
+
+/**
+ * Read cookies visible to a page URL (including HttpOnly) whose names match the patterns.
+ * @param {string} url
+ * @param {Array<string>} patterns
+ * @returns {Promise<Object<string, string>>}
+ */
+async function readSnapshotCookies(url, patterns) {
+  if (!api.cookies || !patterns.length) return {};
+  try {
+    const cookies = await api.cookies.getAll({ url });
+    const result = {};
+    (cookies || []).forEach(cookie => {
+      if (matchesKeyPattern(cookie.name, patterns) && !(cookie.name in result)) result[cookie.name] = cookie.value;
+    });
+    return result;
+  } catch {
+    return {};
+  }
 }
 
 /**
@@ -254,84 +943,362 @@ function isWebsdkRequest(entry) {
 }
 
 /**
- * Attach a WebSDK hook payload to the most recent matching request.
+ * Attach a Web SDK sendEvent payload to its Edge request. Commands linked to an Edge
+ * requestId match exactly; unlinked ones fall back to the most recent Edge request.
  * @param {number} tabId
- * @param {object} payload
- * @param {string} pageUrl
- * @param {number} hookTs
+ * @param {{ payload: object, edgeRequestId?: string, hookId?: string, pageUrl?: string, hookTs?: number }} message
  */
-function attachWebsdkPayloadToRecent(tabId, payload, pageUrl, hookTs) {
-  if (!payload) return;
-  const now = Date.now();
-  const candidates = requests.filter(entry => entry.tabId === tabId && isWebsdkRequest(entry));
-  if (!candidates.length) return;
-  const filtered = candidates.filter(entry => Math.abs((hookTs || now) - (entry.timeStamp || now)) < 20000);
-  if (!filtered.length) return;
-  const entry = filtered.reduce((best, item) => {
-    if (!best) return item;
-    return (item.timeStamp || 0) > (best.timeStamp || 0) ? item : best;
-  }, null);
+function attachWebsdkPayload(tabId, message) {
+  if (!message.payload) return;
+  let entry = null;
+  let match = null;
+  if (message.edgeRequestId) {
+    entry = requests.find(item => item.tabId === tabId && getRequestIdFromUrl(item.url) === message.edgeRequestId);
+    match = { method: 'requestId', confidence: 'exact' };
+  } else {
+    const now = Date.now();
+    entry = requests
+      .filter(item => item.tabId === tabId && isWebsdkRequest(item))
+      .filter(item => Math.abs((message.hookTs || now) - (item.timeStamp || now)) < HOOK_MATCH_WINDOW_MS)
+      .reduce((best, item) => (!best || (item.timeStamp || 0) > (best.timeStamp || 0) ? item : best), null);
+    match = { method: 'recent', confidence: 'heuristic' };
+  }
+  if (!entry) {
+    recordDiagnostic('miss', message.edgeRequestId ? `Web SDK payload: Edge request ${message.edgeRequestId} not captured` : 'Web SDK payload: no recent Edge request', { tabId });
+    return;
+  }
+  const verdict = getBodyReplacementVerdict(entry.body, message.payload);
+  recordDiagnostic('body', `Web SDK payload matched by ${match.method}: ${verdict.reason}`, { entryId: entry.id, url: entry.url });
+  if (!verdict.replace) return;
+  entry.correlation = { hookId: entry.correlation?.hookId || null, ...match };
+  entry.body = message.payload;
+  entry.captureSource = withCaptureSource(entry, 'body', 'hooks');
+  applyHookCall(entry, { pageUrl: message.pageUrl || '' });
+}
+
+/**
+ * Evaluate UAT assertions for a request entry.
+ * @param {object} entry
+ * @param {Array<object>} [sessionRequests] the entry's session, when it is not loaded in memory
+ */
+function evaluateUatForRequest(entry, sessionRequests = null) {
   if (!entry) return;
-  if (!shouldReplaceBody(entry.body, payload)) return;
-  debugHookLog('attach: websdk recent', { tabId, id: entry.id, hookTs });
-  entry.body = payload;
-  if ((!entry.pageUrl || entry.pageUrl === '/') && pageUrl) entry.pageUrl = pageUrl;
-  if ((!entry.pageUrl || entry.pageUrl === '/') && entry.body) {
-    entry.pageUrl = extractPageUrlFromPayload(entry.body) || entry.pageUrl;
+  const session = sessions.find(s => s.id === entry.sessionId);
+  if (!session || !session.uatEnabled) {
+    entry.uat = null;
+    return;
   }
-  evaluateUatForRequest(entry);
+  const config = session.site ? uatConfigs[session.site] : null;
+  if (!config || !Array.isArray(config.assertions)) {
+    entry.uat = { status: 'not-applicable', results: [] };
+    return;
+  }
+  const results = evaluateAssertionsForRequest(entry, config.assertions, sessionRequests || requests.filter(r => r.sessionId === entry.sessionId), {
+    global: config.global || null,
+    serviceId: entry.serviceId || null
+  });
+  if (!results.length) {
+    entry.uat = { status: 'not-applicable', results: [] };
+    return;
+  }
+  entry.uat = {
+    status: 'done',
+    results
+  };
+}
+
+/**
+ * Stop the active session due to idle timeout.
+ * @param {string} [reason='idle']
+ */
+function stopActiveSession(reason = 'idle') {
+  const sessionId = settings.selectedSessionId || currentSessionId;
+  if (!sessionId) return;
+  const session = sessions.find(s => s.id === sessionId);
+  if (session) session.paused = true;
+  settings.selectedSessionId = null;
+  currentSessionId = null;
+  settings.capturePaused = true;
+  idlePrompted = false;
   saveState();
-  api.runtime.sendMessage({ type: 'requestUpdated', request: entry });
+  syncDebuggerCapture();
+  syncPageObservation();
+  api.runtime.sendMessage({ type: 'sessionsUpdated', sessions, currentSessionId });
+  api.runtime.sendMessage({ type: 'settingsUpdated', settings });
+  api.runtime.sendMessage({ type: 'sessionStopped', reason, sessionId });
+}
+
+/**
+ * Mirror enabled Tags environment switches into declarativeNetRequest redirect rules.
+ * @returns {Promise<void>}
+ */
+async function syncTagsSwitchRules() {
+  if (!api.declarativeNetRequest?.updateDynamicRules) return;
+  try {
+    const existing = await api.declarativeNetRequest.getDynamicRules();
+    const removeRuleIds = existing.map(rule => rule.id).filter(id => id >= TAGS_SWITCH_RULE_BASE);
+    const addRules = buildTagsSwitchRules(settings.tagsEnvSwitches || []);
+    await api.declarativeNetRequest.updateDynamicRules({ removeRuleIds, addRules });
+    debugHookLog('tags switch: rules synced', { count: addRules.length });
+  } catch (error) {
+    debugHookLog('tags switch: sync failed', { error: String(error) });
+  }
+}
+
+/**
+ * Attach or detach the Chrome debugger so it follows the active session's locked tab
+ * while debugger capture is enabled. Calls are queued so attach/detach never overlap.
+ * @returns {Promise<void>}
+ */
+function syncDebuggerCapture() {
+  debuggerSync = debuggerSync.then(applyDebuggerCapture);
+  return debuggerSync;
+}
+
+/**
+ * Move the debugger attachment to the tab that should be captured (if any).
+ * @returns {Promise<void>}
+ */
+async function applyDebuggerCapture() {
+  if (!api.debugger?.attach) return;
+  addDebuggerListeners();
+  const sessionId = settings.selectedSessionId || currentSessionId;
+  const session = sessions.find(s => s.id === sessionId);
+  const hasLockedTab = session?.lockTabId !== null && session?.lockTabId !== undefined;
+  const targetTabId = settings.debuggerCapture && !settings.capturePaused && !session?.paused && hasLockedTab
+    ? session.lockTabId
+    : null;
+  if (targetTabId === debuggerTabId) return;
+  if (debuggerTabId !== null) {
+    const previousTabId = debuggerTabId;
+    debuggerTabId = null;
+    debuggerRequests.clear();
+    try {
+      await api.debugger.detach({ tabId: previousTabId });
+      debugHookLog('debugger: detached', { tabId: previousTabId });
+    } catch (error) {
+      debugHookLog('debugger: detach failed', { tabId: previousTabId, error: String(error) });
+    }
+  }
+  if (targetTabId === null) return;
+  try {
+    await api.debugger.attach({ tabId: targetTabId }, DEBUGGER_PROTOCOL_VERSION).catch(error => {
+      // A restarted service worker may still own the attachment; Network.enable below confirms it.
+      if (!/already attached/i.test(String(error?.message || error))) throw error;
+    });
+    await api.debugger.sendCommand({ tabId: targetTabId }, 'Network.enable', { maxPostDataSize: MAX_DEBUGGER_POST_DATA });
+    debuggerTabId = targetTabId;
+    debugHookLog('debugger: attached', { tabId: targetTabId });
+  } catch (error) {
+    debugHookLog('debugger: attach failed', { tabId: targetTabId, error: String(error) });
+  }
+}
+
+/**
+ * Register debugger listeners once the optional permission has been granted.
+ */
+function addDebuggerListeners() {
+  if (debuggerListenersAdded || !api.debugger?.onEvent) return;
+  debuggerListenersAdded = true;
+  api.debugger.onEvent.addListener(handleDebuggerEvent);
+  api.debugger.onDetach.addListener((source, reason) => {
+    if (source.tabId !== debuggerTabId) return;
+    debuggerTabId = null;
+    debuggerRequests.clear();
+    debugHookLog('debugger: detached by browser', { tabId: source.tabId, reason });
+    if (reason !== 'canceled_by_user') return;
+    settings.debuggerCapture = false;
+    saveState();
+    api.runtime.sendMessage({ type: 'settingsUpdated', settings });
+  });
+}
+
+/**
+ * Check whether webRequest capture is handed over to the debugger for a tab.
+ * @param {number} tabId
+ * @returns {boolean}
+ */
+function isDebuggerTab(tabId) {
+  return debuggerTabId !== null && tabId === debuggerTabId;
+}
+
+/**
+ * Route Network domain events from the attached tab into the request pipeline.
+ * @param {{ tabId?: number }} source
+ * @param {string} method
+ * @param {object} params
+ */
+function handleDebuggerEvent(source, method, params) {
+  if (!params || !isDebuggerTab(source.tabId)) return;
+  const record = debuggerRequests.get(params.requestId) || null;
+  if (method === 'Network.requestWillBeSent') {
+    addDebuggerRequest(source.tabId, params, record);
+    return;
+  }
+  if (method === 'Network.requestWillBeSentExtraInfo') {
+    // Raw headers (including Cookie) may arrive before or after requestWillBeSent.
+    const requestHeaders = toHeaderList(params.headers);
+    if (record?.requestId) updateRequest(record.requestId, { requestHeaders });
+    else debuggerRequests.set(params.requestId, { ...record, requestHeaders });
+    return;
+  }
+  if (!record?.requestId) {
+    if (method === 'Network.loadingFinished' || method === 'Network.loadingFailed') debuggerRequests.delete(params.requestId);
+    return;
+  }
+  if (method === 'Network.responseReceived') {
+    const response = params.response || {};
+    record.status = response.status ?? null;
+    record.mimeType = response.mimeType || '';
+    const patch = {
+      statusCode: record.status,
+      statusLine: `${response.status || ''} ${response.statusText || ''}`.trim() || null
+    };
+    if (!record.hasRawResponseHeaders) patch.responseHeaders = toHeaderList(response.headers);
+    updateRequest(record.requestId, patch);
+    return;
+  }
+  if (method === 'Network.responseReceivedExtraInfo') {
+    // Unlike responseReceived, these raw headers keep Set-Cookie.
+    record.hasRawResponseHeaders = true;
+    updateRequest(record.requestId, { responseHeaders: toHeaderList(params.headers) });
+    return;
+  }
+  if (method === 'Network.loadingFinished') {
+    debuggerRequests.delete(params.requestId);
+    updateRequest(record.requestId, { duration: Math.round((params.timestamp - record.timestamp) * 1000) });
+    readDebuggerResponseBody(source.tabId, params.requestId, record);
+    return;
+  }
+  if (method === 'Network.loadingFailed') {
+    debuggerRequests.delete(params.requestId);
+    updateRequest(record.requestId, {
+      statusCode: null,
+      statusLine: params.errorText || (params.canceled ? 'canceled' : 'error'),
+      duration: Math.round((params.timestamp - record.timestamp) * 1000)
+    });
+  }
+}
+
+/**
+ * Create a request entry from `Network.requestWillBeSent`. CDP reuses the requestId
+ * for every hop of a redirect, so a `redirectResponse` closes the previous hop.
+ * @param {number} tabId
+ * @param {object} params
+ * @param {object|null} record
+ */
+function addDebuggerRequest(tabId, params, record) {
+  if (settings.capturePaused) return;
+  const sessionId = settings.selectedSessionId || currentSessionId;
+  if (!sessionId) return;
+  const request = params.request || {};
+  const previous = record?.requestId ? requestIndex.get(record.requestId) : null;
+  let redirect = null;
+  if (params.redirectResponse && previous) {
+    updateRequest(previous.requestId, {
+      statusCode: params.redirectResponse.status ?? null,
+      statusLine: `${params.redirectResponse.status || ''} ${params.redirectResponse.statusText || ''}`.trim() || null,
+      responseHeaders: toHeaderList(params.redirectResponse.headers),
+      duration: Math.round((params.timestamp - record.timestamp) * 1000),
+      redirectUrl: request.url
+    });
+    redirect = {
+      rootId: previous.redirect?.rootId || previous.id,
+      fromId: previous.id,
+      index: (previous.redirect?.index || 0) + 1
+    };
+  }
+  const requestBody = Array.isArray(request.postDataEntries) && request.postDataEntries.length
+    ? { raw: request.postDataEntries.map(entry => ({ bytes: base64ToBytes(entry.bytes || '') })) }
+    : typeof request.postData === 'string' ? { raw: [{ bytes: new TextEncoder().encode(request.postData) }] } : null;
+  if (!redirect && !isAllowed(request.url, () => readSignatureBody(requestBody))) {
+    if (record) debuggerRequests.delete(params.requestId);
+    return;
+  }
+  const requestId = `cdp:${params.requestId}${redirect ? `:${redirect.index}` : ''}`;
+  addRequest({
+    requestId,
+    tabId,
+    frameId: null,
+    method: request.method,
+    url: request.url,
+    timeStamp: params.wallTime ? params.wallTime * 1000 : Date.now(),
+    documentUrl: params.documentURL || null,
+    initiator: params.initiator?.url || null,
+    requestBody,
+    captureSource: 'debugger'
+  }, redirect);
+  const earlyHeaders = redirect ? null : record?.requestHeaders;
+  debuggerRequests.set(params.requestId, { requestId, timestamp: params.timestamp });
+  const headers = toHeaderList(request.headers);
+  const contentType = headers.find(h => h.name.toLowerCase() === 'content-type')?.value || '';
+  updateRequest(requestId, { requestHeaders: earlyHeaders || headers });
+  if (requestBody) {
+    setDebuggerBody(requestId, requestBody.raw, contentType);
+  } else if (request.hasPostData) {
+    api.debugger.sendCommand({ tabId }, 'Network.getRequestPostData', { requestId: params.requestId })
+      .then(result => {
+        if (typeof result?.postData !== 'string') return;
+        const bytes = result.base64Encoded ? base64ToBytes(result.postData) : new TextEncoder().encode(result.postData);
+        setDebuggerBody(requestId, [{ bytes }], contentType);
+      })
+      .catch(error => debugHookLog('debugger: post data unavailable', { requestId, error: String(error) }));
+  }
 }
 
 /**
- * Evaluate UAT assertions for a request entry.
- * @param {object} entry
+ * Parse exact request body bytes reported by the debugger onto an entry.
+ * @param {string} requestId
+ * @param {Array<{ bytes: Uint8Array }>} raw
+ * @param {string} contentType
  */
-function evaluateUatForRequest(entry) {
-  if (!entry) return;
-  const session = sessions.find(s => s.id === entry.sessionId);
-  if (!session || !session.uatEnabled) {
-    entry.uat = null;
-    return;
-  }
-  const config = session.site ? uatConfigs[session.site] : null;
-  if (!config || !Array.isArray(config.assertions)) {
-    entry.uat = { status: 'not-applicable', results: [] };
-    return;
-  }
-  const sessionRequests = requests.filter(r => r.sessionId === entry.sessionId);
-  const results = evaluateAssertionsForRequest(entry, config.assertions, sessionRequests, {
-    global: config.global || null,
-    serviceId: entry.serviceId || null
-  });
-  if (!results.length) {
-    entry.uat = { status: 'not-applicable', results: [] };
-    return;
+function setDebuggerBody(requestId, raw, contentType) {
+  const entry = requestIndex.get(requestId);
+  const body = parseRawBody({ raw }, contentType);
+  if (!body || !entry) return;
+  updateRequest(requestId, { body, captureSource: withCaptureSource(entry, 'body', 'debugger') });
+  if (body.encoding) decodeCompressedRequestBody(requestId, body);
+}
+
+/**
+ * Fetch the response body of a finished request with `Network.getResponseBody`.
+ * @param {number} tabId
+ * @param {string} cdpRequestId
+ * @param {object} record
+ * @returns {Promise<void>}
+ */
+async function readDebuggerResponseBody(tabId, cdpRequestId, record) {
+  try {
+    const result = await api.debugger.sendCommand({ tabId }, 'Network.getResponseBody', { requestId: cdpRequestId });
+    const text = result?.base64Encoded ? decodeBytes(base64ToBytes(result.body || '')) : result?.body || '';
+    const truncated = text.length > MAX_RESPONSE_CHARS;
+    const raw = truncated ? text.slice(0, MAX_RESPONSE_CHARS) : text;
+    const entry = requestIndex.get(record.requestId);
+    if (!entry) return;
+    updateRequest(record.requestId, {
+      response: {
+        status: record.status ?? null,
+        contentType: record.mimeType || '',
+        raw,
+        parsed: truncated ? null : tryParseJson(raw),
+        truncated,
+        capturedAt: Date.now()
+      },
+      captureSource: withCaptureSource(entry, 'response', 'debugger')
+    });
+  } catch (error) {
+    // 204 beacons and aborted requests have no body to read.
+    debugHookLog('debugger: response body unavailable', { requestId: record.requestId, error: String(error) });
   }
-  entry.uat = {
-    status: 'done',
-    results
-  };
 }
 
 /**
- * Stop the active session due to idle timeout.
- * @param {string} [reason='idle']
+ * Convert a CDP headers object into the `{ name, value }` list used by webRequest.
+ * @param {object} headers
+ * @returns {Array<{ name: string, value: string }>}
  */
-function stopActiveSession(reason = 'idle') {
-  const sessionId = settings.selectedSessionId || currentSessionId;
-  if (!sessionId) return;
-  const session = sessions.find(s => s.id === sessionId);
-  if (session) session.paused = true;
-  settings.selectedSessionId = null;
-  currentSessionId = null;
-  settings.capturePaused = true;
-  idlePrompted = false;
-  saveState();
-  api.runtime.sendMessage({ type: 'sessionsUpdated', sessions, currentSessionId });
-  api.runtime.sendMessage({ type: 'settingsUpdated', settings });
-  api.runtime.sendMessage({ type: 'sessionStopped', reason, sessionId });
+function toHeaderList(headers) {
+  return Object.entries(headers || {}).map(([name, value]) => ({ name, value: String(value) }));
 }
 
 /**
@@ -391,17 +1358,41 @@ api.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
 api.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (!message || !message.type) return;
   if (message.type === 'getSettings') {
-    sendResponse({ settings });
+    const session = getObservingSession(sender?.tab?.id);
+    sendResponse({
+      settings,
+      signatures: getSignaturesForAllowlist(settings.allowlist),
+      observed: !!session && !session.paused && !settings.capturePaused
+    });
     return true;
   }
   if (message.type === 'getState') {
-    sendResponse({ settings, requests, sessions, sites, currentSessionId, uatConfigs });
+    const selectedRequests = requests.filter(entry => entry.sessionId === settings.selectedSessionId).slice(-REQUEST_PAGE_SIZE);
+    sendResponse({ settings, requests: selectedRequests, pageEvents, sessions, sites, currentSessionId, uatConfigs, retentionWarnings });
+    return true;
+  }
+  if (message.type === 'queryRequests') {
+    if (!message.sessionId) {
+      sendResponse({ ok: false });
+      return true;
+    }
+    flushRequests();
+    queueRequestStore(() => querySessionRequests(message.sessionId, { offset: message.offset || 0, limit: message.limit || REQUEST_PAGE_SIZE }))
+      .then(page => sendResponse(page ? { ok: true, requests: page } : { ok: false }));
     return true;
   }
   if (message.type === 'setSettings') {
     const prevEnableHooks = settings.enableHooks;
+    const prevTagsSwitches = JSON.stringify(settings.tagsEnvSwitches || []);
     settings = { ...settings, ...message.settings };
+    allowlistSignatures = null;
+    enforceRetention();
     saveState();
+    if (JSON.stringify(settings.tagsEnvSwitches || []) !== prevTagsSwitches) {
+      syncTagsSwitchRules();
+    }
+    syncDebuggerCapture();
+    syncPageObservation();
     api.runtime.sendMessage({ type: 'settingsUpdated', settings });
     if (!prevEnableHooks && settings.enableHooks) {
       const sessionId = settings.selectedSessionId || currentSessionId;
@@ -438,22 +1429,55 @@ api.runtime.onMessage.addListener((message, sender, sendResponse) => {
       if (!session || !session.uatEnabled) return;
       if (session.site !== site) return;
       evaluateUatForRequest(entry);
-      api.runtime.sendMessage({ type: 'requestUpdated', request: entry });
+      publishRequest('requestUpdated', entry);
     });
+    sessions
+      .filter(session => session.uatEnabled && session.site === site && !loadedSessionIds.has(session.id))
+      .forEach(session => {
+        queueRequestStore(async () => {
+          const stored = await getSessionRequests(session.id);
+          const before = stored.reduce((total, entry) => total + getRequestSize(entry), 0);
+          stored.forEach(entry => evaluateUatForRequest(entry, stored));
+          await putRequests(stored);
+          session.storageBytes = Math.max(0, (session.storageBytes || 0) + stored.reduce((total, entry) => total + getRequestSize(entry), 0) - before);
+        });
+      });
     saveState();
     api.runtime.sendMessage({ type: 'sitesUpdated', sites });
     api.runtime.sendMessage({ type: 'uatConfigsUpdated', uatConfigs });
     sendResponse({ ok: true, uatConfigs });
     return true;
   }
+  if (message.type === 'confirmEviction') {
+    enforceRetention(message.sessionId || null);
+    saveState();
+    sendResponse({ ok: true, warnings: retentionWarnings });
+    return true;
+  }
+  if (message.type === 'previewRetention') {
+    sendResponse({ ok: true, count: message.id ? previewRetention(message.id, message.patch || {}) : 0 });
+    return true;
+  }
   if (message.type === 'clearRequests') {
     const targetSession = settings.selectedSessionId || currentSessionId;
     if (targetSession) {
-      requests = requests.filter(r => r.sessionId !== targetSession);
-      requestIndex = new Map(requests.map(r => [r.requestId, r]));
+      dropRequests(r => r.sessionId === targetSession);
+      dropPageEvents(e => e.sessionId === targetSession);
+      const session = sessions.find(s => s.id === targetSession);
+      if (session) {
+        session.requestCount = 0;
+        session.storageBytes = 0;
+      }
+      queueRequestStore(() => deleteSessionRequests(targetSession));
+      queueRequestStore(() => deleteSessionPageEvents(targetSession));
     } else {
-      requests = [];
-      requestIndex = new Map();
+      dropRequests(() => true);
+      dropPageEvents(() => true);
+      sessions.forEach(session => {
+        session.requestCount = 0;
+        session.storageBytes = 0;
+      });
+      queueRequestStore(clearRequestStore);
     }
     saveState();
     api.runtime.sendMessage({ type: 'requestsCleared' });
@@ -472,7 +1496,10 @@ api.runtime.onMessage.addListener((message, sender, sendResponse) => {
       const previous = sessions.find(s => s.id === previousId);
       if (previous) previous.paused = true;
     }
-    const session = createSession(name, site, message.lockTabId || null, !!message.uatEnabled);
+    const session = createSession(name, site, message.lockTabId || null, !!message.uatEnabled, {
+      pinned: !!message.pinned,
+      maxEntries: message.maxEntries || null
+    });
     sessions.unshift(session);
     if (!sites.includes(site)) sites.unshift(site);
     currentSessionId = session.id;
@@ -481,12 +1508,15 @@ api.runtime.onMessage.addListener((message, sender, sendResponse) => {
     lastRequestAt = Date.now();
     idlePrompted = false;
     saveState();
+    loadActiveSessions();
     api.runtime.sendMessage({ type: 'sessionsUpdated', sessions, currentSessionId });
     api.runtime.sendMessage({ type: 'settingsUpdated', settings });
     api.runtime.sendMessage({ type: 'sitesUpdated', sites });
     if (session.lockTabId !== null && session.lockTabId !== undefined) {
       injectPageHooks(session.lockTabId, '', 'session-start');
     }
+    syncDebuggerCapture();
+    syncPageObservation();
     sendResponse({ ok: true, session });
     return true;
   }
@@ -509,12 +1539,17 @@ api.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.site) session.site = message.site;
     if (message.lockTabId !== undefined) session.lockTabId = message.lockTabId;
     if (message.uatEnabled !== undefined) session.uatEnabled = !!message.uatEnabled;
+    if (message.pinned !== undefined) session.pinned = !!message.pinned;
+    if (message.maxEntries !== undefined) session.maxEntries = message.maxEntries || null;
+    enforceRetention(message.confirmEviction ? session.id : null);
     saveState();
     api.runtime.sendMessage({ type: 'sessionsUpdated', sessions, currentSessionId });
     if (message.lockTabId !== undefined && session.lockTabId !== previousLockTabId) {
       if (session.lockTabId !== null && session.lockTabId !== undefined) {
         injectPageHooks(session.lockTabId, '', 'session-update');
       }
+      syncDebuggerCapture();
+      syncPageObservation();
     }
     sendResponse({ ok: true, session });
     return true;
@@ -525,11 +1560,14 @@ api.runtime.onMessage.addListener((message, sender, sendResponse) => {
       settings.selectedSessionId = message.id;
       settings.capturePaused = !!session.paused;
       saveState();
+      loadActiveSessions();
       api.runtime.sendMessage({ type: 'sessionsUpdated', sessions, currentSessionId });
       api.runtime.sendMessage({ type: 'settingsUpdated', settings });
       if (!session.paused && session.lockTabId !== null && session.lockTabId !== undefined) {
         injectPageHooks(session.lockTabId, '', 'select-session');
       }
+      syncDebuggerCapture();
+      syncPageObservation();
     }
     sendResponse({ ok: true });
     return true;
@@ -543,6 +1581,9 @@ api.runtime.onMessage.addListener((message, sender, sendResponse) => {
       settings.capturePaused = true;
       idlePrompted = false;
       saveState();
+      loadActiveSessions();
+      syncDebuggerCapture();
+      syncPageObservation();
       api.runtime.sendMessage({ type: 'sessionsUpdated', sessions, currentSessionId });
       api.runtime.sendMessage({ type: 'settingsUpdated', settings });
     }
@@ -555,37 +1596,39 @@ api.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({ ok: false });
       return true;
     }
-    sessions = sessions.filter(s => s.id !== id);
-    requests = requests.filter(r => r.sessionId !== id);
-    requestIndex = new Map(requests.map(r => [r.requestId, r]));
-    if (settings.selectedSessionId === id) {
-      settings.selectedSessionId = sessions[0]?.id || null;
-    }
-    if (currentSessionId === id) {
-      currentSessionId = settings.selectedSessionId || null;
-    }
+    removeSession(id);
     idlePrompted = false;
     saveState();
+    syncDebuggerCapture();
+    syncPageObservation();
     api.runtime.sendMessage({ type: 'sessionsUpdated', sessions, currentSessionId });
     sendResponse({ ok: true });
     return true;
   }
   if (message.type === 'clearSessions') {
     sessions = [];
-    requests = [];
-    requestIndex = new Map();
+    dropRequests(() => true);
+    loadedSessionIds = new Set();
+    retentionWarnings = [];
+    queueRequestStore(clearRequestStore);
+    dropPageEvents(() => true);
     currentSessionId = null;
     settings.selectedSessionId = null;
     idlePrompted = false;
     saveState();
+    syncDebuggerCapture();
+    syncPageObservation();
     api.runtime.sendMessage({ type: 'sessionsUpdated', sessions, currentSessionId });
     sendResponse({ ok: true });
     return true;
   }
   if (message.type === 'clearAllData') {
     sessions = [];
-    requests = [];
-    requestIndex = new Map();
+    dropRequests(() => true);
+    loadedSessionIds = new Set();
+    retentionWarnings = [];
+    queueRequestStore(clearRequestStore);
+    dropPageEvents(() => true);
     sites = [];
     uatConfigs = {};
     currentSessionId = null;
@@ -593,6 +1636,8 @@ api.runtime.onMessage.addListener((message, sender, sendResponse) => {
     settings.capturePaused = true;
     idlePrompted = false;
     saveState();
+    syncDebuggerCapture();
+    syncPageObservation();
     api.runtime.sendMessage({ type: 'sessionsUpdated', sessions, currentSessionId });
     api.runtime.sendMessage({ type: 'sitesUpdated', sites });
     api.runtime.sendMessage({ type: 'uatConfigsUpdated', uatConfigs });
@@ -605,17 +1650,22 @@ api.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return true;
     }
     if (settings.capturePaused || !settings.selectedSessionId) {
-      debugHookLog('drop: no active session', { url: message.url, requestId: message.requestId });
+      recordDiagnostic('drop', 'payload: no active session', { url: message.url, requestId: message.requestId, tabId: sender?.tab?.id });
       sendResponse({ ok: false });
       return true;
     }
     if (!settings.enableHooks) {
-      debugHookLog('drop: hooks disabled', { url: message.url, requestId: message.requestId });
+      recordDiagnostic('drop', 'payload: page hooks disabled', { url: message.url, requestId: message.requestId, tabId: sender?.tab?.id });
       sendResponse({ ok: false });
       return true;
     }
-    if (message.url && !isAllowed(message.url)) {
-      debugHookLog('drop: url not allowed', { url: message.url });
+    if (message.url && !isAllowed(message.url, () => (message.payload?.type === 'json' ? message.payload.parsed : null))) {
+      recordDiagnostic('drop', 'payload: URL not on the allowlist', { url: message.url, tabId: sender?.tab?.id });
+      sendResponse({ ok: false });
+      return true;
+    }
+    if (isDebuggerTab(sender?.tab?.id)) {
+      recordDiagnostic('drop', 'payload: debugger capture active', { url: message.url, tabId: sender?.tab?.id });
       sendResponse({ ok: false });
       return true;
     }
@@ -626,34 +1676,23 @@ api.runtime.onMessage.addListener((message, sender, sendResponse) => {
       tabId: sender?.tab?.id,
       pageUrl: message.pageUrl
     });
-    if (message.requestId) cachePayload(message.requestId, message.payload, message.pageUrl || '');
-    if (message.url && sender?.tab?.id !== undefined) {
-      cachePayloadByUrl(sender.tab.id, message.url, message.payload, message.pageUrl || '');
-      cacheHookPayload(sender.tab.id, message.url, message.payload, message.pageUrl || '', message.hookTs || 0);
-    }
-    if (message.requestId) attachPayloadToRequests(message.requestId, message.payload, message.pageUrl || '');
-    if (message.url && sender?.tab?.id !== undefined) {
-      attachPayloadToRequestsByUrl(sender.tab.id, message.url, message.payload, message.pageUrl || '');
-    }
-    if (message.url) {
-      attachHookPayloadToRecent(message.url, sender?.tab?.id, message.payload, message.pageUrl || '', message.hookTs || 0);
-    }
+    recordHookCall(sender?.tab?.id, message, { payload: message.payload });
     sendResponse({ ok: true });
     return true;
   }
   if (message.type === 'pageContext') {
     if (settings.capturePaused || !settings.selectedSessionId) {
-      debugHookLog('drop: no active session (pageContext)', { url: message.url, requestId: message.requestId });
+      recordDiagnostic('drop', 'page context: no active session', { url: message.url, requestId: message.requestId, tabId: sender?.tab?.id });
       sendResponse({ ok: false });
       return true;
     }
     if (!settings.enableHooks) {
-      debugHookLog('drop: hooks disabled (pageContext)', { url: message.url, requestId: message.requestId });
+      recordDiagnostic('drop', 'page context: page hooks disabled', { url: message.url, requestId: message.requestId, tabId: sender?.tab?.id });
       sendResponse({ ok: false });
       return true;
     }
     if (message.url && !isAllowed(message.url)) {
-      debugHookLog('drop: url not allowed (pageContext)', { url: message.url });
+      recordDiagnostic('drop', 'page context: URL not on the allowlist', { url: message.url, tabId: sender?.tab?.id });
       sendResponse({ ok: false });
       return true;
     }
@@ -664,19 +1703,16 @@ api.runtime.onMessage.addListener((message, sender, sendResponse) => {
       tabId: sender?.tab?.id,
       pageUrl: message.pageUrl
     });
-    if (message.requestId) cachePageContext(message.requestId, message.pageUrl || '');
-    if (message.url && sender?.tab?.id !== undefined) {
-      cachePageContextByUrl(sender.tab.id, message.url, message.pageUrl || '');
-    }
-    if (message.requestId) attachPageContextToRequests(message.requestId, message.pageUrl || '');
-    if (message.url && sender?.tab?.id !== undefined) {
-      attachPageContextToRequestsByUrl(sender.tab.id, message.url, message.pageUrl || '');
-    }
+    recordHookCall(sender?.tab?.id, message, {});
     sendResponse({ ok: true });
     return true;
   }
+  if (message.type === 'getDiagnostics') {
+    sendResponse({ ok: true, diagnostics: getDiagnosticsForRequest(message.id) });
+    return true;
+  }
   if (message.type === 'hookReady') {
-    debugHookLog('hook: ready', { tabId: sender?.tab?.id });
+    recordDiagnostic('inject', 'page hooks ready', { tabId: sender?.tab?.id, frameId: sender?.frameId });
     sendResponse({ ok: true });
     return true;
   }
@@ -691,20 +1727,106 @@ api.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return true;
     }
     if (settings.capturePaused || !settings.selectedSessionId) {
-      debugHookLog('drop: no active session (websdk)', { tabId: sender?.tab?.id });
+      recordDiagnostic('drop', 'Web SDK payload: no active session', { tabId: sender?.tab?.id });
       sendResponse({ ok: false });
       return true;
     }
     if (!settings.enableHooks) {
-      debugHookLog('drop: hooks disabled (websdk)', { tabId: sender?.tab?.id });
+      recordDiagnostic('drop', 'Web SDK payload: page hooks disabled', { tabId: sender?.tab?.id });
+      sendResponse({ ok: false });
+      return true;
+    }
+    if (isDebuggerTab(sender?.tab?.id)) {
+      recordDiagnostic('drop', 'Web SDK payload: debugger capture active', { tabId: sender?.tab?.id });
       sendResponse({ ok: false });
       return true;
     }
-    debugHookLog('capturedWebsdk', { tabId: sender?.tab?.id, hookTs: message.hookTs });
+    debugHookLog('capturedWebsdk', { tabId: sender?.tab?.id, hookTs: message.hookTs, edgeRequestId: message.edgeRequestId || null });
     const tabId = sender?.tab?.id;
-    if (tabId !== undefined) {
-      attachWebsdkPayloadToRecent(tabId, message.payload, message.pageUrl || '', message.hookTs || 0);
+    if (tabId !== undefined) attachWebsdkPayload(tabId, message);
+    sendResponse({ ok: true });
+    return true;
+  }
+  if (message.type === 'pageEvent') {
+    if (!message.kind || !message.data) {
+      sendResponse({ ok: false });
+      return true;
+    }
+    if (settings.capturePaused || !settings.selectedSessionId) {
+      debugHookLog('drop: no active session (pageEvent)', { kind: message.kind, tabId: sender?.tab?.id });
+      sendResponse({ ok: false });
+      return true;
+    }
+    if (!settings.enableHooks) {
+      debugHookLog('drop: hooks disabled (pageEvent)', { kind: message.kind, tabId: sender?.tab?.id });
+      sendResponse({ ok: false });
+      return true;
+    }
+    if (sender?.frameId) {
+      debugHookLog('drop: subframe (pageEvent)', { kind: message.kind, frameId: sender.frameId });
+      sendResponse({ ok: false });
+      return true;
+    }
+    const event = addPageEvent(sender?.tab?.id, message);
+    debugHookLog(event ? 'pageEvent' : 'drop: tab not observed (pageEvent)', { kind: message.kind, tabId: sender?.tab?.id, hookTs: message.hookTs });
+    sendResponse({ ok: !!event });
+    return true;
+  }
+  if (message.type === 'probeTags') {
+    const tabId = message.tabId;
+    if (typeof tabId !== 'number' || tabId < 0) {
+      sendResponse({ ok: false, error: 'no_tab' });
+      return true;
+    }
+    const nav = navState.get(tabId);
+    if (message.navId && nav?.navId && nav.navId !== message.navId) {
+      sendResponse({ ok: false, error: 'navigated' });
+      return true;
+    }
+    requestTabProbe(tabId, 'probeTags').then(result => {
+      if (!result) {
+        sendResponse({ ok: false, error: 'unavailable' });
+        return;
+      }
+      const event = addPageEvent(tabId, { kind: 'tagsProbe', data: result, hookTs: result.probedAt, pageUrl: result.pageUrl });
+      sendResponse(event ? { ok: true, event } : { ok: false, error: 'no_session' });
+    });
+    return true;
+  }
+  if (message.type === 'capturedResponse') {
+    if (!message.response || !message.url) {
+      sendResponse({ ok: false });
+      return true;
+    }
+    if (settings.capturePaused || !settings.selectedSessionId) {
+      recordDiagnostic('drop', 'response: no active session', { url: message.url, requestId: message.requestId, tabId: sender?.tab?.id });
+      sendResponse({ ok: false });
+      return true;
+    }
+    if (!settings.enableHooks) {
+      recordDiagnostic('drop', 'response: page hooks disabled', { url: message.url, requestId: message.requestId, tabId: sender?.tab?.id });
+      sendResponse({ ok: false });
+      return true;
+    }
+    if (!isAllowed(message.url) && !isKnownHookCall(sender?.tab?.id, message.hookId)) {
+      recordDiagnostic('drop', 'response: URL not on the allowlist', { url: message.url, tabId: sender?.tab?.id });
+      sendResponse({ ok: false });
+      return true;
+    }
+    if (isDebuggerTab(sender?.tab?.id)) {
+      recordDiagnostic('drop', 'response: debugger capture active', { url: message.url, tabId: sender?.tab?.id });
+      sendResponse({ ok: false });
+      return true;
     }
+    debugHookLog('capturedResponse', {
+      url: message.url,
+      requestId: message.requestId,
+      hookId: message.hookId,
+      hookTs: message.hookTs,
+      tabId: sender?.tab?.id,
+      status: message.response.status
+    });
+    recordHookCall(sender?.tab?.id, message, { response: toHookResponse(message.response, message.hookTs) });
     sendResponse({ ok: true });
     return true;
   }
@@ -714,7 +1836,11 @@ api.runtime.onMessage.addListener((message, sender, sendResponse) => {
 api.webRequest.onBeforeRequest.addListener(
   details => {
     if (settings.capturePaused) return;
-    if (!isAllowed(details.url)) return;
+    if (isDebuggerTab(details.tabId)) return;
+    const pendingRedirect = pendingRedirects.get(details.requestId);
+    const redirect = pendingRedirect?.url === details.url ? pendingRedirect : null;
+    pendingRedirects.delete(details.requestId);
+    if (!redirect && !isAllowed(details.url, () => readSignatureBody(details.requestBody))) return;
     const sessionId = settings.selectedSessionId || currentSessionId;
     if (!sessionId) return;
     const session = sessions.find(s => s.id === sessionId);
@@ -722,7 +1848,7 @@ api.webRequest.onBeforeRequest.addListener(
     if (session?.lockTabId !== null && session?.lockTabId !== undefined) {
       if (details.tabId !== session.lockTabId) return;
     }
-    addRequest(details);
+    addRequest(details, redirect);
     if (settings.debugHooks) {
       debugHookLog('webRequest', {
         url: details.url,
@@ -735,30 +1861,29 @@ api.webRequest.onBeforeRequest.addListener(
       });
     }
 
-    if (details.requestBody) {
-      const entry = requestIndex.get(details.requestId);
-      if (entry) {
-        const parsedBody = parseRawBody(details.requestBody, '');
-        if (parsedBody) {
-          entry.body = parsedBody;
-          if (!entry.pageUrl) {
-            entry.pageUrl = extractPageUrlFromPayload(entry.body) || entry.pageUrl;
-          }
-        }
-        if (settings.debugHooks && (!entry.body || !entry.body.parsed)) {
-          debugHookLog('body missing after parse', {
-            url: entry.url,
-            requestId: entry.requestId,
-            tabId: entry.tabId,
-            documentUrl: entry.documentUrl,
-            initiator: entry.initiator
-          });
+    const entry = requestIndex.get(details.requestId);
+    if (details.requestBody && entry) {
+      const parsedBody = parseRawBody(details.requestBody, '');
+      if (parsedBody) {
+        entry.body = parsedBody;
+        entry.captureSource = withCaptureSource(entry, 'body', 'webRequest');
+        if (!entry.pageUrl) {
+          entry.pageUrl = extractPageUrlFromPayload(entry.body) || entry.pageUrl;
         }
-        evaluateUatForRequest(entry);
-        saveState();
-        api.runtime.sendMessage({ type: 'requestUpdated', request: entry });
+        if (parsedBody.encoding) decodeCompressedRequestBody(details.requestId, parsedBody);
       }
+      recordDiagnostic('body', parsedBody ? `read ${parsedBody.type} body from webRequest` : 'webRequest reported a request body that could not be read', {
+        entryId: entry.id,
+        url: entry.url
+      });
+      evaluateUatForRequest(entry);
+      scheduleStateSave();
+      publishRequest('requestUpdated', entry);
+    }
+    if (entry && !details.requestBody && ['POST', 'PUT', 'PATCH'].includes(details.method)) {
+      recordDiagnostic('body', 'webRequest exposed no request body', { entryId: entry.id, url: entry.url });
     }
+    if (entry) claimHookCall(entry);
   },
   { urls: ['<all_urls>'] },
   ['requestBody']
@@ -768,6 +1893,7 @@ api.alarms?.onAlarm?.addListener(alarm => {
   if (alarm?.name === IDLE_CHECK_ALARM) {
     debugHookLog('idle-check', { lastRequestAt, idlePrompted });
     checkForIdleSession();
+    enforceRetention();
   }
 });
 
@@ -799,6 +1925,7 @@ api.webNavigation.onCompleted.addListener(details => {
     pendingAt: null
   });
   tabUrlCache.set(details.tabId, details.url);
+  captureNavigationSnapshot(details.tabId, details.url);
 });
 
 api.webNavigation.onHistoryStateUpdated.addListener(details => {
@@ -830,181 +1957,103 @@ api.tabs.onRemoved.addListener(tabId => {
   tabUrlCache.delete(tabId);
   navState.delete(tabId);
   lastInjectByTab.delete(tabId);
-  Array.from(hookQueueByTabUrl.keys()).forEach(key => {
-    if (key.startsWith(`${tabId}::`)) hookQueueByTabUrl.delete(key);
-  });
+  for (let index = hookCalls.length - 1; index >= 0; index -= 1) {
+    if (hookCalls[index].tabId === tabId) hookCalls.splice(index, 1);
+  }
 });
 
-const payloadCache = new Map();
 const PAYLOAD_TTL_MS = 2 * 60 * 1000;
+const MAX_HOOK_CALLS = 200;
 
 /**
- * Cache payload by requestId.
- * @param {string} requestId
- * @param {object} payload
- * @param {string} [pageUrl='']
- */
-function cachePayload(requestId, payload, pageUrl = '') {
-  const existing = payloadCache.get(requestId);
-  payloadCache.set(requestId, {
-    payload,
-    pageUrl: pageUrl || existing?.pageUrl || '',
-    ts: Date.now()
-  });
-  prunePayloadCache();
-}
-
-/**
- * Cache page context by requestId without a payload.
- * @param {string} requestId
- * @param {string} pageUrl
- */
-function cachePageContext(requestId, pageUrl = '') {
-  if (!requestId || !pageUrl) return;
-  const existing = payloadCache.get(requestId);
-  if (existing?.payload) return;
-  payloadCache.set(requestId, { payload: null, pageUrl, ts: Date.now() });
-  prunePayloadCache();
-}
-/**
- * Pull cached payload by requestId (one-time).
- * @param {string} requestId
- * @returns {object|null}
+ * Check whether a hooked call was already accepted, e.g. by its payload matching a body
+ * signature, so its response is kept even though the URL alone is not allowlisted.
+ * @param {number|undefined} tabId
+ * @param {string|undefined} hookId
+ * @returns {boolean}
  */
-function pullCachedPayload(requestId) {
-  const entry = payloadCache.get(requestId);
-  if (!entry) return null;
-  if (Date.now() - entry.ts > PAYLOAD_TTL_MS) {
-    payloadCache.delete(requestId);
-    return null;
-  }
-  payloadCache.delete(requestId);
-  return entry || null;
+function isKnownHookCall(tabId, hookId) {
+  if (!hookId) return false;
+  return hookCalls.some(call => call.tabId === tabId && call.hookId === hookId)
+    || requests.some(entry => entry.tabId === tabId && entry.correlation?.hookId === hookId);
 }
 
 /**
- * Prune expired payload entries.
+ * Record a hooked fetch/XHR/beacon call and bind it to its webRequest entry: exactly
+ * by the hook token on the request URL when the call was stamped (see correlateHookCall).
+ * The payload (or page context) and response of one call share its hookId, so parts
+ * arriving after the call is bound go straight to the same entry. Debugger entries
+ * already hold the exact body and are left alone.
+ * @param {number|undefined} tabId
+ * @param {{ hookId?: string, stamped?: boolean, url?: string, requestId?: string|null, pageUrl?: string, hookTs?: number }} message
+ * @param {{ payload?: object, response?: object }} data
  */
-function prunePayloadCache() {
-  const now = Date.now();
-  for (const [key, value] of payloadCache.entries()) {
-    if (now - value.ts > PAYLOAD_TTL_MS) payloadCache.delete(key);
+function recordHookCall(tabId, message, data) {
+  const hookId = message.hookId || `${message.hookTs || Date.now()}-${Math.random().toString(16).slice(2, 8)}`;
+  const bound = requests.find(entry => entry.tabId === tabId && entry.correlation?.hookId === hookId);
+  if (bound) {
+    applyHookCall(bound, { ...data, pageUrl: message.pageUrl || '', hookTs: message.hookTs });
+    return;
   }
+  let call = hookCalls.find(item => item.tabId === tabId && item.hookId === hookId);
+  if (!call) {
+    call = {
+      hookId,
+      tabId,
+      url: message.url || '',
+      requestId: message.requestId || null,
+      stamped: false,
+      payload: null,
+      response: null,
+      pageUrl: '',
+      hookTs: message.hookTs || Date.now()
+    };
+    hookCalls.push(call);
+  }
+  if (message.stamped) call.stamped = true;
+  if (data.payload) call.payload = data.payload;
+  if (data.response) call.response = data.response;
+  if (message.pageUrl && !call.pageUrl) call.pageUrl = message.pageUrl;
+  const candidates = requests.filter(entry => !entry.correlation?.hookId && entry.captureSource?.request !== 'debugger');
+  const match = findBestCorrelation(candidates, entry => correlateHookCall(entry, call));
+  if (match) {
+    hookCalls.splice(hookCalls.indexOf(call), 1);
+    bindHookCall(match.item, call, match);
+  } else {
+    recordDiagnostic('miss', 'hook call has no matching request yet', { hookId, url: call.url, tabId });
+  }
+  pruneHookCalls();
 }
 
 /**
- * Cache payload by tab + URL.
- * @param {number} tabId
- * @param {string} url
- * @param {object} payload
- * @param {string} [pageUrl='']
- */
-function cachePayloadByUrl(tabId, url, payload, pageUrl = '') {
-  if (tabId === undefined || !url) return;
-  const list = payloadCacheByUrlTab.get(tabId) || [];
-  list.push({ url, payload, pageUrl, ts: Date.now() });
-  payloadCacheByUrlTab.set(tabId, list);
-  prunePayloadCacheByUrl(tabId);
-}
-
-function cacheHookPayload(tabId, url, payload, pageUrl = '', hookTs = 0) {
-  if (tabId === undefined || !url) return;
-  const key = `${tabId}::${url}`;
-  const list = hookQueueByTabUrl.get(key) || [];
-  list.push({ payload, pageUrl, ts: hookTs || Date.now() });
-  hookQueueByTabUrl.set(key, list);
-  pruneHookQueue(key);
-
-  const urlList = hookQueueByUrl.get(url) || [];
-  urlList.push({ payload, pageUrl, ts: hookTs || Date.now() });
-  hookQueueByUrl.set(url, urlList);
-  pruneHookQueueByUrl(url);
-}
-
-function pullHookPayload(tabId, url, timeStamp) {
-  if (tabId === undefined || !url) return null;
-  const key = `${tabId}::${url}`;
-  const list = hookQueueByTabUrl.get(key) || [];
-  if (!list.length) return null;
-  const now = Date.now();
-  const matchIndex = list.findIndex(entry => Math.abs((timeStamp || now) - entry.ts) < 20000);
-  if (matchIndex === -1) return null;
-  const [entry] = list.splice(matchIndex, 1);
-  hookQueueByTabUrl.set(key, list);
-  debugHookLog('pull: hookQueue tab+url', { url, tabId, hookTs: entry.ts });
-  return entry;
-}
-
-function pruneHookQueue(key) {
-  const list = hookQueueByTabUrl.get(key) || [];
-  const now = Date.now();
-  const filtered = list.filter(entry => now - entry.ts <= PAYLOAD_TTL_MS);
-  hookQueueByTabUrl.set(key, filtered);
-}
-
-function pullHookPayloadByUrl(url, timeStamp) {
-  if (!url) return null;
-  const list = hookQueueByUrl.get(url) || [];
-  if (!list.length) return null;
-  const now = Date.now();
-  const matchIndex = list.findIndex(entry => Math.abs((timeStamp || now) - entry.ts) < 20000);
-  if (matchIndex === -1) return null;
-  const [entry] = list.splice(matchIndex, 1);
-  hookQueueByUrl.set(url, list);
-  debugHookLog('pull: hookQueue url', { url, hookTs: entry.ts });
-  return entry;
-}
-
-function pruneHookQueueByUrl(url) {
-  const list = hookQueueByUrl.get(url) || [];
-  const now = Date.now();
-  const filtered = list.filter(entry => now - entry.ts <= PAYLOAD_TTL_MS);
-  hookQueueByUrl.set(url, filtered);
-}
-
-/**
- * Cache page context by tab + URL without a payload.
- * @param {number} tabId
- * @param {string} url
- * @param {string} pageUrl
- */
-function cachePageContextByUrl(tabId, url, pageUrl = '') {
-  if (tabId === undefined || !url || !pageUrl) return;
-  const list = payloadCacheByUrlTab.get(tabId) || [];
-  const existing = list.find(entry => entry.url === url && entry.payload);
-  if (existing) return;
-  list.push({ url, payload: null, pageUrl, ts: Date.now() });
-  payloadCacheByUrlTab.set(tabId, list);
-  prunePayloadCacheByUrl(tabId);
-}
-
-/**
- * Pull cached payload for a tab + URL near a timestamp.
- * @param {number} tabId
- * @param {string} url
- * @param {number} timeStamp
- * @returns {object|null}
+ * Bind a newly captured request to the hooked call that produced it, if that call arrived first.
+ * @param {object} entry
  */
-function pullCachedPayloadByUrl(tabId, url, timeStamp) {
-  if (tabId === undefined || !url) return null;
-  const list = payloadCacheByUrlTab.get(tabId) || [];
-  const now = Date.now();
-  const matchIndex = list.findIndex(entry => entry.url === url && Math.abs((timeStamp || now) - entry.ts) < 15000);
-  if (matchIndex === -1) return null;
-  const [entry] = list.splice(matchIndex, 1);
-  payloadCacheByUrlTab.set(tabId, list);
-  return entry || null;
+function claimHookCall(entry) {
+  if (entry.correlation?.hookId || entry.captureSource?.request === 'debugger') return;
+  const match = findBestCorrelation(hookCalls, call => correlateHookCall(entry, call));
+  if (!match) return;
+  hookCalls.splice(hookCalls.indexOf(match.item), 1);
+  bindHookCall(entry, match.item, match);
 }
 
 /**
- * Prune expired payload cache entries for a tab.
- * @param {number} tabId
+ * Prune expired and excess unbound hook calls.
  */
-function prunePayloadCacheByUrl(tabId) {
-  const list = payloadCacheByUrlTab.get(tabId) || [];
+function pruneHookCalls() {
   const now = Date.now();
-  const filtered = list.filter(entry => now - entry.ts <= PAYLOAD_TTL_MS);
-  payloadCacheByUrlTab.set(tabId, filtered);
+  const expired = hookCalls.filter(call => now - call.hookTs > PAYLOAD_TTL_MS);
+  const evicted = hookCalls.length - expired.length > MAX_HOOK_CALLS
+    ? hookCalls.filter(call => !expired.includes(call)).slice(0, hookCalls.length - expired.length - MAX_HOOK_CALLS)
+    : [];
+  [...expired, ...evicted].forEach(call => {
+    hookCalls.splice(hookCalls.indexOf(call), 1);
+    recordDiagnostic('miss', expired.includes(call) ? 'hook call expired without a matching request' : 'hook call evicted (too many unmatched calls)', {
+      hookId: call.hookId,
+      url: call.url,
+      tabId: call.tabId
+    });
+  });
 }
 
 /**
@@ -1070,121 +2119,60 @@ function extractPageUrlFromPayload(body) {
 }
 
 /**
- * Attach cached payload to matching requests by requestId.
- * @param {string} requestId
- * @param {object} payload
- */
-function attachPayloadToRequests(requestId, payload, pageUrl = '') {
-  if (!requestId) return;
-  let updated = false;
-  requests.forEach(entry => {
-    if (!shouldReplaceBody(entry.body, payload)) return;
-    const idInUrl = getRequestIdFromUrl(entry.url);
-    if (idInUrl && idInUrl === requestId) {
-      debugHookLog('attach: requestId match', { requestId, url: entry.url, id: entry.id });
-      entry.body = payload;
-      if ((!entry.pageUrl || entry.pageUrl === '/') && pageUrl) entry.pageUrl = pageUrl;
-      if ((!entry.pageUrl || entry.pageUrl === '/') && entry.body) {
-        entry.pageUrl = extractPageUrlFromPayload(entry.body) || entry.pageUrl;
-      }
-      evaluateUatForRequest(entry);
-      updated = true;
-      api.runtime.sendMessage({ type: 'requestUpdated', request: entry });
-    }
-  });
-  if (updated) saveState();
-}
-
-/**
- * Attach cached payload to matching requests by tab and URL.
- * @param {number} tabId
- * @param {string} url
- * @param {object} payload
+ * Record how a hook call was matched to its entry and apply what it captured.
+ * @param {object} entry
+ * @param {object} call
+ * @param {{ method: string, confidence: string }} match
  */
-function attachPayloadToRequestsByUrl(tabId, url, payload, pageUrl = '') {
-  if (tabId === undefined || !url) return;
-  let updated = false;
-  requests.forEach(entry => {
-    if (!shouldReplaceBody(entry.body, payload)) return;
-    if (entry.tabId !== tabId) return;
-    if (entry.url !== url) return;
-    debugHookLog('attach: tab+url match', { url, tabId, id: entry.id });
-    entry.body = payload;
-    if ((!entry.pageUrl || entry.pageUrl === '/') && pageUrl) entry.pageUrl = pageUrl;
-    if ((!entry.pageUrl || entry.pageUrl === '/') && entry.body) {
-      entry.pageUrl = extractPageUrlFromPayload(entry.body) || entry.pageUrl;
-    }
-    evaluateUatForRequest(entry);
-    updated = true;
-    api.runtime.sendMessage({ type: 'requestUpdated', request: entry });
-  });
-  if (updated) saveState();
+function bindHookCall(entry, call, match) {
+  recordDiagnostic('match', `hook call matched by ${match.method} (${match.confidence})`, { entryId: entry.id, url: entry.url, hookId: call.hookId });
+  entry.correlation = { hookId: call.hookId, method: match.method, confidence: match.confidence };
+  applyHookCall(entry, call);
 }
 
 /**
- * Attach page URL context to requests by requestId.
- * @param {string} requestId
- * @param {string} pageUrl
+ * Apply a hook call's body, page URL and response to its entry. The body only
+ * replaces what webRequest captured when it carries more (see getBodyReplacementVerdict).
+ * @param {object} entry
+ * @param {{ payload?: object|null, response?: object|null, pageUrl?: string }} call
  */
-function attachPageContextToRequests(requestId, pageUrl = '') {
-  if (!requestId || !pageUrl) return;
-  let updated = false;
-  requests.forEach(entry => {
-    if (entry.pageUrl && entry.pageUrl !== '/') return;
-    const idInUrl = getRequestIdFromUrl(entry.url);
-    if (idInUrl && idInUrl === requestId) {
-      entry.pageUrl = pageUrl;
-      updated = true;
-      api.runtime.sendMessage({ type: 'requestUpdated', request: entry });
+function applyHookCall(entry, call) {
+  if (call.payload) {
+    const verdict = getBodyReplacementVerdict(entry.body, call.payload);
+    recordDiagnostic('body', verdict.reason, { entryId: entry.id, url: entry.url, hookId: call.hookId });
+    if (verdict.replace) {
+      entry.body = call.payload;
+      entry.captureSource = withCaptureSource(entry, 'body', 'hooks');
     }
-  });
-  if (updated) saveState();
-}
-
-/**
- * Attach page URL context to requests by tab and URL.
- * @param {number} tabId
- * @param {string} url
- * @param {string} pageUrl
- */
-function attachPageContextToRequestsByUrl(tabId, url, pageUrl = '') {
-  if (tabId === undefined || !url || !pageUrl) return;
-  let updated = false;
-  requests.forEach(entry => {
-    if (entry.pageUrl && entry.pageUrl !== '/') return;
-    if (entry.tabId !== tabId) return;
-    if (entry.url !== url) return;
-    entry.pageUrl = pageUrl;
-    updated = true;
-    api.runtime.sendMessage({ type: 'requestUpdated', request: entry });
-  });
-  if (updated) saveState();
-}
-
-function attachHookPayloadToRecent(url, tabId, payload, pageUrl, hookTs) {
-  if (!url || !payload) return;
-  const now = Date.now();
-  const candidates = requests.filter(entry => entry.url === url);
-  if (!candidates.length) return;
-  const filtered = candidates
-    .filter(entry => tabId === undefined || entry.tabId === tabId)
-    .filter(entry => Math.abs((hookTs || now) - (entry.timeStamp || now)) < 20000);
-  if (!filtered.length) return;
-  const entry = filtered.reduce((best, item) => {
-    if (!best) return item;
-    return (item.timeStamp || 0) > (best.timeStamp || 0) ? item : best;
-  }, null);
-  if (!entry) return;
-  if (!shouldReplaceBody(entry.body, payload)) return;
-  debugHookLog('attach: recent url match', { url, tabId, id: entry.id, hookTs });
-  entry.body = payload;
-  if ((!entry.pageUrl || entry.pageUrl === '/') && pageUrl) entry.pageUrl = pageUrl;
+  }
+  if ((!entry.pageUrl || entry.pageUrl === '/') && call.pageUrl) entry.pageUrl = call.pageUrl;
   if ((!entry.pageUrl || entry.pageUrl === '/') && entry.body) {
     entry.pageUrl = extractPageUrlFromPayload(entry.body) || entry.pageUrl;
   }
+  if (call.response && !entry.response) {
+    entry.response = call.response;
+    entry.captureSource = withCaptureSource(entry, 'response', 'hooks');
+  }
   evaluateUatForRequest(entry);
-  saveState();
-  api.runtime.sendMessage({ type: 'requestUpdated', request: entry });
+  scheduleStateSave();
+  publishRequest('requestUpdated', entry);
+}
+
+/**
+ * Normalise a hooked response body for storage on an entry.
+ * @param {object} response
+ * @param {number} hookTs
+ * @returns {object}
+ */
+function toHookResponse(response, hookTs) {
+  return {
+    status: response.status ?? null,
+    contentType: response.contentType || '',
+    raw: typeof response.raw === 'string' ? response.raw : '',
+    parsed: response.parsed ?? null,
+    truncated: !!response.truncated,
+    capturedAt: hookTs || Date.now()
+  };
 }
 
 /**
@@ -1204,31 +2192,40 @@ function isBodyEmpty(body) {
 }
 
 /**
- * Decide whether to replace an existing body with a hook payload.
+ * Decide whether a hook payload should replace an entry's existing body, and why.
  * @param {object|null} existing
  * @param {object|null} incoming
- * @returns {boolean}
+ * @returns {{ replace: boolean, reason: string }}
  */
-function shouldReplaceBody(existing, incoming) {
-  if (!incoming) return false;
-  if (isBodyEmpty(existing)) return true;
-  if (!existing) return true;
+function getBodyReplacementVerdict(existing, incoming) {
+  if (!incoming) return { replace: false, reason: 'no hook payload' };
+  if (isBodyEmpty(existing)) return { replace: true, reason: 'used hook payload: no body captured yet' };
   const incomingParsed = incoming.parsed && typeof incoming.parsed === 'object' ? incoming.parsed : null;
   const existingParsed = existing?.parsed && typeof existing.parsed === 'object' ? existing.parsed : null;
-  if (!incomingParsed) return false;
+  if (!incomingParsed) return { replace: false, reason: 'kept existing body: hook payload is not JSON' };
   const incomingHasEvents = !!(incomingParsed.events || incomingParsed.xdm || incomingParsed._experience || incomingParsed.data);
-  if (!incomingHasEvents) return false;
+  if (!incomingHasEvents) return { replace: false, reason: 'kept existing body: hook payload has no events, xdm or data' };
   const existingHasEvents = !!(existingParsed?.events || existingParsed?.xdm || existingParsed?._experience || existingParsed?.data);
-  if (!existingHasEvents) return true;
+  if (!existingHasEvents) return { replace: true, reason: 'used hook payload: existing body has no events, xdm or data' };
   const existingRawLen = typeof existing?.raw === 'string' ? existing.raw.length : 0;
   const incomingRawLen = typeof incoming?.raw === 'string' ? incoming.raw.length : 0;
-  return incomingRawLen > existingRawLen && incomingHasEvents;
+  return incomingRawLen > existingRawLen
+    ? { replace: true, reason: 'used hook payload: it is larger than the existing body' }
+    : { replace: false, reason: 'kept existing body: it is at least as complete as the hook payload' };
 }
 
+/**
+ * Chrome hides the Cookie request header unless extraHeaders is requested; identity
+ * extraction reads ECID, GA and Meta IDs from it.
+ */
+const REQUEST_HEADER_OPTIONS = api.webRequest.OnBeforeSendHeadersOptions?.EXTRA_HEADERS
+  ? ['requestHeaders', 'extraHeaders']
+  : ['requestHeaders'];
+
 api.webRequest.onBeforeSendHeaders.addListener(
   details => {
     if (settings.capturePaused) return;
-    if (!isAllowed(details.url)) return;
+    if (!isCapturedRequest(details)) return;
     const headers = (details.requestHeaders || []).map(h => ({
       name: h.name,
       value: h.value
@@ -1240,12 +2237,54 @@ api.webRequest.onBeforeSendHeaders.addListener(
     updateRequest(details.requestId, { requestHeaders: headers });
   },
   { urls: ['<all_urls>'] },
-  ['requestHeaders']
+  REQUEST_HEADER_OPTIONS
+);
+
+/**
+ * Chrome hides Set-Cookie and other sensitive response headers unless extraHeaders is requested.
+ */
+const RESPONSE_HEADER_OPTIONS = api.webRequest.OnHeadersReceivedOptions?.EXTRA_HEADERS
+  ? ['responseHeaders', 'extraHeaders']
+  : ['responseHeaders'];
+
+api.webRequest.onHeadersReceived.addListener(
+  details => {
+    if (!isCapturedRequest(details)) return;
+    if (!requestIndex.has(details.requestId)) return;
+    const headers = (details.responseHeaders || []).map(h => ({
+      name: h.name,
+      value: h.value
+    }));
+    updateRequest(details.requestId, { responseHeaders: headers });
+  },
+  { urls: ['<all_urls>'] },
+  RESPONSE_HEADER_OPTIONS
+);
+
+api.webRequest.onBeforeRedirect.addListener(
+  details => {
+    if (!isCapturedRequest(details)) return;
+    const entry = requestIndex.get(details.requestId);
+    if (!entry || entry.url !== splitHookToken(details.url).url) return;
+    pendingRedirects.set(details.requestId, {
+      url: details.redirectUrl,
+      rootId: entry.redirect?.rootId || entry.id,
+      fromId: entry.id,
+      index: (entry.redirect?.index || 0) + 1
+    });
+    updateRequest(details.requestId, {
+      statusCode: details.statusCode,
+      statusLine: details.statusLine || null,
+      duration: details.timeStamp - entry.startTime,
+      redirectUrl: details.redirectUrl
+    });
+  },
+  { urls: ['<all_urls>'] }
 );
 
 api.webRequest.onCompleted.addListener(
   details => {
-    if (!isAllowed(details.url)) return;
+    if (!isCapturedRequest(details)) return;
     const entry = requestIndex.get(details.requestId);
     const duration = entry ? details.timeStamp - entry.startTime : null;
     updateRequest(details.requestId, {
@@ -1259,7 +2298,7 @@ api.webRequest.onCompleted.addListener(
 
 api.webRequest.onErrorOccurred.addListener(
   details => {
-    if (!isAllowed(details.url)) return;
+    if (!isCapturedRequest(details)) return;
     updateRequest(details.requestId, {
       statusCode: null,
       statusLine: details.error || 'error'
@@ -1268,7 +2307,14 @@ api.webRequest.onErrorOccurred.addListener(
   { urls: ['<all_urls>'] }
 );
 
-loadState();
+loadState().then(() => {
+  syncTagsSwitchRules();
+  syncDebuggerCapture();
+});
+
+api.permissions?.onAdded?.addListener(() => {
+  syncDebuggerCapture();
+});
 api.alarms?.create?.(IDLE_CHECK_ALARM, { periodInMinutes: 1 });
 
 /**
@@ -1277,9 +2323,10 @@ api.alarms?.create?.(IDLE_CHECK_ALARM, { periodInMinutes: 1 });
  * @param {string} site
  * @param {number|null} lockTabId
  * @param {boolean} uatEnabled
+ * @param {{ pinned?: boolean, maxEntries?: number|null }} [retention]
  * @returns {object}
  */
-function createSession(name, site, lockTabId, uatEnabled) {
+function createSession(name, site, lockTabId, uatEnabled, retention = {}) {
   return {
     id: `session-${Date.now()}-${Math.random().toString(16).slice(2, 8)}`,
     name,
@@ -1287,6 +2334,11 @@ function createSession(name, site, lockTabId, uatEnabled) {
     lockTabId: lockTabId ?? null,
     paused: false,
     createdAt: Date.now(),
-    uatEnabled: !!uatEnabled
+    uatEnabled: !!uatEnabled,
+    pinned: !!retention.pinned,
+    maxEntries: retention.maxEntries || null,
+    requestCount: 0,
+    storageBytes: 0,
+    lastRequestAt: null
   };
 }
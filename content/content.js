@@ -1,31 +1,61 @@
 const api = window.chrome || window.browser;
+const PROBE_TIMEOUT_MS = 3000;
 
 /**
  * Post allowlist settings to the page context.
  * @param {Array<string>} allowlist
  * @param {boolean} enableHooks
+ * @param {Array<object>} [signatures=[]]
+ * @param {boolean} [observed=false] whether the active session captures this tab
  */
-function postAllowlist(allowlist, enableHooks) {
+function postAllowlist(allowlist, enableHooks, signatures = [], observed = false) {
   window.postMessage({
     source: 'launch-observer',
     type: 'allowlist',
     allowlist,
-    enableHooks: !!enableHooks
+    enableHooks: !!enableHooks,
+    signatures,
+    observed: !!observed
   }, '*');
 }
 
 /**
- * Fetch settings from the background script.
- * @returns {Promise<object|null>}
+ * Fetch settings, allowlisted service signatures and whether this tab is observed from the background script.
+ * @returns {Promise<{ settings: object|null, signatures: Array<object>, observed: boolean }>}
  */
 async function getSettings() {
   return new Promise(resolve => {
     api.runtime.sendMessage({ type: 'getSettings' }, response => {
-      resolve(response?.settings || null);
+      resolve({ settings: response?.settings || null, signatures: response?.signatures || [], observed: !!response?.observed });
     });
   });
 }
 
+/**
+ * Ask the page hook to run a probe and wait for its result.
+ * @param {string} probe
+ * @param {object} [args] options passed to the probe
+ * @returns {Promise<object|null>}
+ */
+function requestPageProbe(probe, args = null) {
+  return new Promise(resolve => {
+    const probeId = `${Date.now()}-${Math.random().toString(16).slice(2, 8)}`;
+    const onMessage = event => {
+      if (!event.data || event.data.source !== 'launch-observer-page' || event.data.type !== 'probeResult') return;
+      if (event.data.probeId !== probeId) return;
+      clearTimeout(timer);
+      window.removeEventListener('message', onMessage);
+      resolve(event.data.result || null);
+    };
+    const timer = setTimeout(() => {
+      window.removeEventListener('message', onMessage);
+      resolve(null);
+    }, PROBE_TIMEOUT_MS);
+    window.addEventListener('message', onMessage);
+    window.postMessage({ source: 'launch-observer', type: 'probe', probe, probeId, args }, '*');
+  });
+}
+
 /**
  * Inject the page hook script.
  */
@@ -46,6 +76,7 @@ window.addEventListener('message', event => {
       url: event.data.url || '',
       payload: event.data.payload,
       hookId: event.data.hookId || '',
+      stamped: !!event.data.stamped,
       hookTs: event.data.hookTs || 0,
       pageUrl: event.data.pageUrl || ''
     });
@@ -64,36 +95,72 @@ window.addEventListener('message', event => {
     api.runtime.sendMessage({
       type: 'capturedWebsdk',
       payload: event.data.payload,
+      edgeRequestId: event.data.edgeRequestId || null,
       hookId: event.data.hookId || '',
       hookTs: event.data.hookTs || 0,
       pageUrl: event.data.pageUrl || ''
     });
   }
+  if (event.data.type === 'capturedResponse') {
+    api.runtime.sendMessage({
+      type: 'capturedResponse',
+      requestId: event.data.requestId,
+      url: event.data.url || '',
+      response: event.data.response,
+      hookId: event.data.hookId || '',
+      stamped: !!event.data.stamped,
+      hookTs: event.data.hookTs || 0,
+      pageUrl: event.data.pageUrl || ''
+    });
+  }
+  if (event.data.type === 'pageEvent') {
+    api.runtime.sendMessage({
+      type: 'pageEvent',
+      kind: event.data.kind || '',
+      data: event.data.data || null,
+      hookTs: event.data.hookTs || 0,
+      pageUrl: event.data.pageUrl || ''
+    });
+  }
   if (event.data.type === 'pageContext') {
     api.runtime.sendMessage({
       type: 'pageContext',
       requestId: event.data.requestId,
       url: event.data.url || '',
       hookId: event.data.hookId || '',
+      stamped: !!event.data.stamped,
       hookTs: event.data.hookTs || 0,
       pageUrl: event.data.pageUrl || ''
     });
   }
   if (event.data.type === 'requestAllowlist') {
-    getSettings().then(settings => {
-      postAllowlist(settings?.allowlist || [], settings?.enableHooks);
+    getSettings().then(({ settings, signatures, observed }) => {
+      postAllowlist(settings?.allowlist || [], settings?.enableHooks, signatures, observed);
     });
   }
 });
 
-api.runtime.onMessage.addListener(message => {
+api.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message?.type === 'settingsUpdated') {
-    postAllowlist(message.settings?.allowlist || [], message.settings?.enableHooks);
+    getSettings().then(({ settings, signatures, observed }) => {
+      postAllowlist(settings?.allowlist || [], settings?.enableHooks, signatures, observed);
+    });
+  }
+  if (message?.type === 'probeTags') {
+    if (window !== window.top) return false;
+    requestPageProbe(message.type).then(result => sendResponse({ result }));
+    return true;
+  }
+  if (message?.type === 'probeStorage') {
+    if (window !== window.top) return false;
+    requestPageProbe(message.type, { keys: message.keys || [] }).then(result => sendResponse({ result }));
+    return true;
   }
+  return false;
 });
 
 (async () => {
   injectScript();
-  const settings = await getSettings();
-  postAllowlist(settings?.allowlist || [], settings?.enableHooks);
+  const { settings, signatures, observed } = await getSettings();
+  postAllowlist(settings?.allowlist || [], settings?.enableHooks, signatures, observed);
 })();
@@ -2,37 +2,92 @@
   if (window.__launchObserverHookInstalled) return;
   window.__launchObserverHookInstalled = true;
   let allowlist = [];
+  let signatures = [];
   let enableHooks = false;
+  let observed = false;
   let allowlistReady = false;
   let hookCounter = 0;
+  const hookPrefix = Math.random().toString(36).slice(2, 8);
   const pendingPayloads = [];
   const pendingPageContext = [];
   const pendingWebsdk = [];
+  const pendingPageEvents = [];
   const MAX_PENDING = 50;
+  const MAX_RESPONSE_CHARS = 200000;
+  const MAX_SNAPSHOT_DEPTH = 8;
+  const MAX_SNAPSHOT_KEYS = 200;
+  const MAX_SNAPSHOT_CHARS = 100000;
+  const MAX_DATA_ELEMENTS = 500;
+  const DATA_LAYER_NAMES = ['adobeDataLayer', 'dataLayer'];
+  const wrappedLayers = new WeakSet();
+  const computedLayerState = {};
+  let digitalDataSnapshot = null;
+  let pageMonitoring = false;
+  let digitalDataTimer = null;
+  let consentTimer = null;
+  let ruleMonitorInstalled = false;
+  const isTopFrame = window === window.top;
   let hookReadySent = false;
   let alloyWrapped = false;
   let alloySetterInstalled = false;
+  const pendingAlloyEvents = [];
+  const EDGE_REQUEST_PATH = /\/v\d+\/(interact|collect)$/;
+  const HOOK_TOKEN_PARAM = '_lo_hook';
+  const ALLOY_LINK_GRACE_MS = 250;
+  const CONSENT_MODE_KEYS = ['analytics_storage', 'ad_storage', 'ad_user_data', 'ad_personalization'];
+  const consentModeState = {};
+  const lastConsentSignals = {};
+  let tcfListenerAttached = false;
+  let gppListenerAttached = false;
 
   /**
-   * Check URL against the allowlist.
+   * Check a call against the allowlist: by domain, or by the allowlisted services'
+   * signatures. Until the body is known (`undefined`), signatures with body keys match
+   * on their URL part alone so the caller can check again once the body is read.
    * @param {string} url
+   * @param {any} [body] parsed JSON body the call sends, or null
    * @returns {boolean}
    */
-  function matchesAllowlist(url) {
+  function matchesAllowlist(url, body) {
     if (!allowlistReady) return true;
     try {
-      const domain = new URL(url).hostname;
+      const parsed = new URL(url);
+      const domain = parsed.hostname;
       return allowlist.some(entry => {
         const trimmed = entry.trim();
         if (!trimmed) return false;
         if (domain === trimmed) return true;
         return domain.endsWith(`.${trimmed}`);
+      }) || signatures.some(signature => {
+        if (signature.path && !signature.path.test(parsed.pathname)) return false;
+        if (!signature.query.every(key => parsed.searchParams.has(key))) return false;
+        if (!signature.body.length || body === undefined) return true;
+        return isPlainObject(body) && signature.body.every(key => key in body);
       });
     } catch {
       return false;
     }
   }
 
+  /**
+   * Compile the allowlisted service signatures once, not on every hooked call.
+   * @param {Array<{ path?: string, query?: Array<string>, body?: Array<string> }>} list
+   * @returns {Array<{ path: RegExp|null, query: Array<string>, body: Array<string> }>}
+   */
+  function compileSignatures(list) {
+    return (Array.isArray(list) ? list : []).map(signature => {
+      try {
+        return {
+          path: signature.path ? new RegExp(signature.path) : null,
+          query: Array.isArray(signature.query) ? signature.query : [],
+          body: Array.isArray(signature.body) ? signature.body : []
+        };
+      } catch {
+        return null;
+      }
+    }).filter(Boolean);
+  }
+
   /**
    * Extract requestId query param from URL.
    * @param {string} url
@@ -47,47 +102,88 @@
     }
   }
 
+  /**
+   * Create the token that ties one hooked network call's payload and response to its
+   * webRequest entry. The per-frame prefix keeps tokens unique across frames of a tab.
+   * @returns {string}
+   */
+  function createHookId() {
+    return `${hookPrefix}-${Date.now()}-${hookCounter++}`;
+  }
+
+  /**
+   * Append a call's token to its URL as the last query parameter, so the background
+   * matches the webRequest entry to this exact call and strips the marker again. Only
+   * allowlisted http(s) calls are stamped, once the allowlist is known; Edge calls
+   * already carry a unique requestId and are left as they are.
+   * @param {string} url
+   * @param {string} hookId
+   * @param {any} [body] parsed JSON body when known up front, for body signatures
+   * @returns {string|null} the stamped URL, or null when the call is not stamped
+   */
+  function stampHookToken(url, hookId, body = null) {
+    if (!allowlistReady || !enableHooks || getRequestId(url) || !matchesAllowlist(url, body)) return null;
+    try {
+      const parsed = new URL(url, window.location.href);
+      if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return null;
+      const base = parsed.href.slice(0, parsed.href.length - parsed.hash.length);
+      const separator = parsed.search ? '&' : (base.endsWith('?') ? '' : '?');
+      return `${base}${separator}${HOOK_TOKEN_PARAM}=${hookId}${parsed.hash}`;
+    } catch {
+      return null;
+    }
+  }
+
   /**
    * Post captured payload back to the extension.
    * @param {string} url
    * @param {string} body
    * @param {string} [contentType='']
+   * @param {string} hookId
    */
-  function enqueuePayload(url, body, contentType = '') {
+  function enqueuePayload(url, body, contentType = '', hookId) {
     if (pendingPayloads.length >= MAX_PENDING) pendingPayloads.shift();
-    pendingPayloads.push({ url, body, contentType });
+    pendingPayloads.push({ url, body, contentType, hookId });
   }
 
-  function enqueuePageContext(url) {
+  function enqueuePageContext(url, hookId) {
     if (pendingPageContext.length >= MAX_PENDING) pendingPageContext.shift();
-    pendingPageContext.push({ url });
+    pendingPageContext.push({ url, hookId });
   }
 
-  function enqueueWebsdk(payload) {
+  function enqueueWebsdk(payload, edgeRequestId) {
     if (pendingWebsdk.length >= MAX_PENDING) pendingWebsdk.shift();
-    pendingWebsdk.push(payload);
+    pendingWebsdk.push({ payload, edgeRequestId });
+  }
+
+  function enqueuePageEvent(kind, data, hookTs) {
+    if (pendingPageEvents.length >= MAX_PENDING) pendingPageEvents.shift();
+    pendingPageEvents.push({ kind, data, hookTs });
   }
 
   function flushPending() {
     if (!allowlistReady || !enableHooks) return;
     pendingPayloads.splice(0).forEach(item => {
-      postPayload(item.url, item.body, item.contentType);
+      postPayload(item.url, item.body, item.contentType, item.hookId);
     });
     pendingPageContext.splice(0).forEach(item => {
-      postPageContext(item.url);
+      postPageContext(item.url, item.hookId);
+    });
+    pendingWebsdk.splice(0).forEach(item => {
+      postWebsdkPayload(item.payload, item.edgeRequestId);
     });
-    pendingWebsdk.splice(0).forEach(payload => {
-      postWebsdkPayload(payload);
+    pendingPageEvents.splice(0).forEach(item => {
+      postPageEvent(item.kind, item.data, item.hookTs);
     });
   }
 
-  function postPayload(url, body, contentType = '') {
+  function postPayload(url, body, contentType = '', hookId = createHookId(), stamped = false) {
+    linkAlloyEvents(url, body);
     if (!enableHooks) {
-      if (!allowlistReady) enqueuePayload(url, body, contentType);
+      if (!allowlistReady) enqueuePayload(url, body, contentType, hookId);
       return;
     }
     const requestId = getRequestId(url);
-    const hookId = `${Date.now()}-${hookCounter++}`;
     const parsed = tryParseJson(body);
     const payload = {
       type: parsed ? 'json' : 'text',
@@ -102,57 +198,201 @@
       url,
       payload,
       hookId,
+      stamped,
       hookTs: Date.now(),
       pageUrl: window.location.href
     }, '*');
   }
 
-  function postPageContext(url) {
+  function postPageContext(url, hookId = createHookId(), stamped = false) {
     if (!enableHooks) {
-      if (!allowlistReady) enqueuePageContext(url);
+      if (!allowlistReady) enqueuePageContext(url, hookId);
       return;
     }
     const requestId = getRequestId(url);
-    const hookId = `${Date.now()}-${hookCounter++}`;
     window.postMessage({
       source: 'launch-observer-page',
       type: 'pageContext',
       requestId,
       url,
       hookId,
+      stamped,
       hookTs: Date.now(),
       pageUrl: window.location.href
     }, '*');
   }
 
-  function postWebsdkPayload(payload) {
-    if (!enableHooks) {
-      if (!allowlistReady) enqueueWebsdk(payload);
-      return;
-    }
-    let raw = '';
+  /**
+   * Copy sendEvent options as plain JSON, so no live page objects are kept and the copy
+   * can always be posted (functions and DOM references do not survive the round trip).
+   * @param {any} options
+   * @returns {object|null} null when the options cannot be serialised
+   */
+  function toJsonCopy(options) {
+    if (!options || typeof options !== 'object') return null;
     try {
-      raw = JSON.stringify(payload || {});
+      return JSON.parse(JSON.stringify(options));
     } catch {
-      raw = '';
+      return null;
+    }
+  }
+
+  /**
+   * Post sendEvent options as a fallback body for the Edge request they produced.
+   * @param {object} payload
+   * @param {string|null} [edgeRequestId] set once the command is linked to its Edge request
+   */
+  function postWebsdkPayload(payload, edgeRequestId = null) {
+    const parsed = toJsonCopy(payload);
+    if (!parsed) return;
+    if (!enableHooks) {
+      if (!allowlistReady) enqueueWebsdk(parsed, edgeRequestId);
+      return;
     }
-    const parsed = tryParseJson(raw) || (payload && typeof payload === 'object' ? payload : null);
-    const hookId = `${Date.now()}-${hookCounter++}`;
     window.postMessage({
       source: 'launch-observer-page',
       type: 'capturedWebsdk',
       payload: {
         type: 'json',
         contentType: 'application/json',
-        raw,
+        raw: JSON.stringify(parsed),
         parsed
       },
+      edgeRequestId,
+      hookId: createHookId(),
+      hookTs: Date.now(),
+      pageUrl: window.location.href
+    }, '*');
+  }
+
+  /**
+   * Post a captured response body back to the extension.
+   * @param {string} url
+   * @param {{ status: number|null, contentType: string, text: string }} response
+   * @param {string} hookId token of the call that sent the request
+   * @param {any} sentBody parsed JSON body the call sent, or null
+   * @param {boolean} stamped whether the call's URL carried its token
+   */
+  function postResponse(url, response, hookId, sentBody, stamped) {
+    if (!enableHooks || !matchesAllowlist(url, sentBody)) return;
+    const text = response.text || '';
+    const truncated = text.length > MAX_RESPONSE_CHARS;
+    const raw = truncated ? text.slice(0, MAX_RESPONSE_CHARS) : text;
+    window.postMessage({
+      source: 'launch-observer-page',
+      type: 'capturedResponse',
+      requestId: getRequestId(url),
+      url,
+      response: {
+        status: response.status ?? null,
+        contentType: response.contentType || '',
+        raw,
+        parsed: truncated ? null : tryParseJson(raw),
+        truncated
+      },
       hookId,
+      stamped,
       hookTs: Date.now(),
       pageUrl: window.location.href
     }, '*');
   }
 
+  /**
+   * Post a page-level event (data layer push, etc.) back to the extension.
+   * @param {string} kind
+   * @param {object} data
+   * @param {number} [hookTs]
+   */
+  function postPageEvent(kind, data, hookTs = Date.now()) {
+    if (!enableHooks) {
+      if (!allowlistReady) enqueuePageEvent(kind, data, hookTs);
+      return;
+    }
+    window.postMessage({
+      source: 'launch-observer-page',
+      type: 'pageEvent',
+      kind,
+      data,
+      hookTs,
+      pageUrl: window.location.href
+    }, '*');
+  }
+
+  /**
+   * Read a response body up to just past MAX_RESPONSE_CHARS, then cancel the stream so
+   * large or streaming responses are never buffered whole. postResponse marks the cut.
+   * @param {Response} res a clone the page does not read
+   * @returns {Promise<string>}
+   */
+  async function readResponseText(res) {
+    if (!res.body) return '';
+    if (typeof res.body.getReader !== 'function') return res.text();
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+    while (text.length <= MAX_RESPONSE_CHARS) {
+      const { done, value } = await reader.read();
+      if (done) return text + decoder.decode();
+      text += decoder.decode(value, { stream: true });
+    }
+    reader.cancel().catch(() => {});
+    return text;
+  }
+
+  /**
+   * Read a fetch Response without consuming the page's copy. Only allowlisted calls are
+   * read, so nothing is buffered before the allowlist has arrived; a call matched by a
+   * body signature is read once its sent body confirms the match.
+   * @param {string} url
+   * @param {Response} res
+   * @param {string} hookId
+   * @param {Promise<string>} sentText body text the call sent
+   * @param {boolean} stamped whether the call's URL carried its token
+   */
+  function captureFetchResponse(url, res, hookId, sentText, stamped) {
+    if (!res || typeof res.clone !== 'function') return;
+    if (!allowlistReady || !enableHooks || !matchesAllowlist(url)) return;
+    try {
+      const contentType = res.headers?.get('content-type') || '';
+      const copy = res.clone();
+      sentText.then(sent => {
+        const sentBody = tryParseJson(sent);
+        if (!matchesAllowlist(url, sentBody)) {
+          copy.body?.cancel().catch(() => {});
+          return;
+        }
+        return readResponseText(copy).then(text => {
+          postResponse(url, { status: res.status, contentType, text }, hookId, sentBody, stamped);
+        });
+      }).catch(() => {});
+    } catch {}
+  }
+
+  /**
+   * Read an XHR response once the request has finished.
+   * @param {XMLHttpRequest} xhr
+   */
+  function captureXhrResponse(xhr) {
+    const url = xhr.__lo_url;
+    if (!url) return;
+    if (!allowlistReady || !enableHooks || !matchesAllowlist(url)) return;
+    try {
+      let text = '';
+      if (xhr.responseType === '' || xhr.responseType === 'text') {
+        text = xhr.responseText || '';
+      } else if (xhr.responseType === 'json' && xhr.response != null) {
+        text = JSON.stringify(xhr.response);
+      }
+      const contentType = xhr.getResponseHeader('content-type') || '';
+      const hookId = xhr.__lo_hookId;
+      const stamped = !!xhr.__lo_stamped;
+      const status = xhr.status;
+      (xhr.__lo_sentText || Promise.resolve('')).then(sent => {
+        postResponse(String(url), { status, contentType, text }, hookId, tryParseJson(sent), stamped);
+      }).catch(() => {});
+    } catch {}
+  }
+
   function postHookReady() {
     if (hookReadySent) return;
     hookReadySent = true;
@@ -178,13 +418,25 @@
       return;
     }
     const wrapped = function(...args) {
+      let record = null;
       try {
         const command = args[0];
-        if (command === 'sendEvent' && args[1] && typeof args[1] === 'object') {
+        if (!isTopFrame && command === 'sendEvent' && args[1] && typeof args[1] === 'object') {
           postWebsdkPayload(args[1]);
         }
+        if (isTopFrame && (command === 'setConsent' || command === 'configure')) {
+          recordAdobeConsent(command, args[1]);
+        }
+        if (isTopFrame) record = startAlloyCommand(command, args[1]);
       } catch {}
-      return original.apply(this, args);
+      const result = original.apply(this, args);
+      if (record) {
+        Promise.resolve(result).then(
+          value => finishAlloyCommand(record, 'resolved', value, null),
+          error => finishAlloyCommand(record, 'rejected', null, error)
+        );
+      }
+      return result;
     };
     wrapped.__launchObserverWrapped = true;
     try {
@@ -194,6 +446,113 @@
     alloyWrapped = true;
   }
 
+  /**
+   * Start recording a Web SDK command. sendEvent calls wait in pendingAlloyEvents
+   * (at most MAX_PENDING) until the Edge request carrying their XDM/data is seen; a JSON
+   * copy of their options is kept so it can be posted as a fallback body once the
+   * command settles.
+   * @param {any} command
+   * @param {any} options
+   * @returns {object}
+   */
+  function startAlloyCommand(command, options) {
+    const limited = limitSnapshot(snapshotValue(options));
+    const record = {
+      commandId: `${Date.now()}-${hookCounter++}`,
+      command: String(command),
+      options: limited.value,
+      truncated: limited.truncated,
+      startedAt: Date.now(),
+      edgeRequestId: null
+    };
+    if (record.command === 'sendEvent') {
+      record.payload = toJsonCopy(options);
+      if (pendingAlloyEvents.length >= MAX_PENDING) pendingAlloyEvents.shift();
+      pendingAlloyEvents.push({
+        record,
+        xdm: snapshotValue(options?.xdm),
+        data: snapshotValue(options?.data)
+      });
+    }
+    return record;
+  }
+
+  /**
+   * Post a settled Web SDK command with its result. Unlinked sendEvents get a short
+   * grace period because beacon bodies are read asynchronously.
+   * @param {object} record
+   * @param {'resolved'|'rejected'} status
+   * @param {any} value
+   * @param {any} error
+   */
+  function finishAlloyCommand(record, status, value, error) {
+    const post = () => {
+      const index = pendingAlloyEvents.findIndex(item => item.record === record);
+      if (index !== -1) pendingAlloyEvents.splice(index, 1);
+      const result = limitSnapshot(snapshotValue(value));
+      postPageEvent('websdkCommand', {
+        commandId: record.commandId,
+        command: record.command,
+        options: record.options,
+        status,
+        result: result.value,
+        error: error ? String(error?.message || error) : null,
+        edgeRequestId: record.edgeRequestId,
+        startedAt: record.startedAt,
+        settledAt: Date.now(),
+        truncated: record.truncated || result.truncated
+      }, record.startedAt);
+      if (record.payload && (record.edgeRequestId || status === 'resolved')) {
+        try {
+          postWebsdkPayload(record.payload, record.edgeRequestId);
+        } catch {}
+      }
+    };
+    if (record.command === 'sendEvent' && !record.edgeRequestId) {
+      setTimeout(post, ALLOY_LINK_GRACE_MS);
+    } else {
+      post();
+    }
+  }
+
+  /**
+   * Check that every value in `expected` is present (deeply) in `actual`.
+   * @param {any} actual
+   * @param {any} expected
+   * @returns {boolean}
+   */
+  function containsValues(actual, expected) {
+    if (expected === null || expected === undefined) return true;
+    if (typeof expected !== 'object') return actual === expected;
+    if (!actual || typeof actual !== 'object') return false;
+    return Object.keys(expected).every(key => containsValues(actual[key], expected[key]));
+  }
+
+  /**
+   * Link pending sendEvent commands to the Edge request whose events carry their XDM and data,
+   * using the `requestId` query parameter Web SDK puts on every Edge call.
+   * @param {string} url
+   * @param {string} body
+   */
+  function linkAlloyEvents(url, body) {
+    if (!pendingAlloyEvents.length) return;
+    let path = '';
+    try {
+      path = new URL(url, window.location.href).pathname;
+    } catch {
+      return;
+    }
+    const requestId = getRequestId(url);
+    const events = tryParseJson(body)?.events;
+    if (!EDGE_REQUEST_PATH.test(path) || !requestId || !Array.isArray(events)) return;
+    events.forEach(event => {
+      const item = pendingAlloyEvents.find(candidate => containsValues(event?.xdm, candidate.xdm) && containsValues(event?.data, candidate.data));
+      if (!item) return;
+      item.record.edgeRequestId = requestId;
+      pendingAlloyEvents.splice(pendingAlloyEvents.indexOf(item), 1);
+    });
+  }
+
   function installAlloySetter() {
     if (alloySetterInstalled) return;
     let current = window.alloy;
@@ -219,6 +578,542 @@
     }
   }
 
+  /**
+   * Check for an `arguments` object (gtag pushes these).
+   * @param {any} value
+   * @returns {boolean}
+   */
+  function isArgumentsObject(value) {
+    return Object.prototype.toString.call(value) === '[object Arguments]';
+  }
+
+  /**
+   * Copy a page value into plain data that survives postMessage.
+   * @param {any} value
+   * @param {number} [depth=0]
+   * @param {WeakSet<object>} [ancestors]
+   * @returns {any}
+   */
+  function snapshotValue(value, depth = 0, ancestors = new WeakSet()) {
+    if (value === null || value === undefined) return null;
+    const type = typeof value;
+    if (type === 'string' || type === 'number' || type === 'boolean') return value;
+    if (type === 'function') return `[function ${value.name || 'anonymous'}]`;
+    if (type !== 'object') return String(value);
+    if (value === window) return '[window]';
+    if (typeof Node !== 'undefined' && value instanceof Node) {
+      const id = value.id ? `#${value.id}` : '';
+      return `[${(value.nodeName || 'node').toLowerCase()}${id}]`;
+    }
+    if (value instanceof Date) {
+      return Number.isNaN(value.getTime()) ? '[invalid date]' : value.toISOString();
+    }
+    if (depth >= MAX_SNAPSHOT_DEPTH) return '[max depth]';
+    if (ancestors.has(value)) return '[circular]';
+    ancestors.add(value);
+    let result;
+    if (Array.isArray(value) || isArgumentsObject(value)) {
+      result = Array.from(value).slice(0, MAX_SNAPSHOT_KEYS).map(item => snapshotValue(item, depth + 1, ancestors));
+    } else {
+      result = {};
+      Object.keys(value).slice(0, MAX_SNAPSHOT_KEYS).forEach(key => {
+        try {
+          result[key] = snapshotValue(value[key], depth + 1, ancestors);
+        } catch {
+          result[key] = '[unreadable]';
+        }
+      });
+    }
+    ancestors.delete(value);
+    return result;
+  }
+
+  /**
+   * Drop snapshots that are too large to ship on every push.
+   * @param {any} value
+   * @returns {{ value: any, truncated: boolean }}
+   */
+  function limitSnapshot(value) {
+    try {
+      if (JSON.stringify(value).length <= MAX_SNAPSHOT_CHARS) return { value, truncated: false };
+    } catch {}
+    return { value: null, truncated: true };
+  }
+
+  function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Deep-merge a pushed object into a computed state (ACDL/GTM semantics).
+   * @param {object} target
+   * @param {object} source
+   * @returns {object}
+   */
+  function mergeLayerState(target, source) {
+    Object.keys(source).forEach(key => {
+      const next = source[key];
+      if (next === null) {
+        delete target[key];
+      } else if (isPlainObject(next) && isPlainObject(target[key])) {
+        mergeLayerState(target[key], next);
+      } else {
+        target[key] = isPlainObject(next) ? mergeLayerState({}, next) : next;
+      }
+    });
+    return target;
+  }
+
+  /**
+   * Resolve a short label for a data layer push.
+   * @param {any} item
+   * @returns {string}
+   */
+  function getDataLayerEventName(item) {
+    if (typeof item === 'function') return 'callback';
+    if (Array.isArray(item) || isArgumentsObject(item)) {
+      return [item[0], item[1]].filter(part => typeof part === 'string').join(' ');
+    }
+    if (isPlainObject(item) && typeof item.event === 'string') return item.event;
+    return '';
+  }
+
+  /**
+   * Record a single data layer push with the resulting state.
+   * @param {string} name
+   * @param {Array<any>} layer
+   * @param {any} item
+   * @param {number} hookTs
+   * @param {boolean} initial
+   */
+  function recordDataLayerPush(name, layer, item, hookTs, initial) {
+    const pushed = snapshotValue(item);
+    let state = null;
+    if (name === 'adobeDataLayer' && typeof layer.getState === 'function') {
+      try {
+        state = snapshotValue(layer.getState());
+      } catch {}
+    }
+    if (!state) {
+      const current = computedLayerState[name] || {};
+      if (isPlainObject(pushed)) {
+        const changes = { ...pushed };
+        if (name === 'adobeDataLayer') {
+          // ACDL keeps event pushes out of its computed state.
+          delete changes.event;
+          delete changes.eventInfo;
+        }
+        mergeLayerState(current, changes);
+      }
+      computedLayerState[name] = current;
+      state = snapshotValue(current);
+    }
+    const limitedPushed = limitSnapshot(pushed);
+    const limitedState = limitSnapshot(state);
+    if (name === 'dataLayer' && (Array.isArray(item) || isArgumentsObject(item)) && item[0] === 'consent') {
+      recordConsentModeCommand(item[1], item[2], hookTs);
+    }
+    postPageEvent('dataLayer', {
+      layer: name,
+      eventName: getDataLayerEventName(item),
+      pushed: limitedPushed.value,
+      state: limitedState.value,
+      truncated: limitedPushed.truncated || limitedState.truncated,
+      initial: !!initial
+    }, hookTs);
+  }
+
+  /**
+   * Hook push() on a data layer array, keeping the hook when libraries replace push.
+   * @param {string} name
+   */
+  function wrapDataLayer(name) {
+    const layer = window[name];
+    if (!Array.isArray(layer) || wrappedLayers.has(layer)) return;
+    wrappedLayers.add(layer);
+    const seededAt = Date.now();
+    Array.from(layer).forEach(item => {
+      try {
+        recordDataLayerPush(name, layer, item, seededAt, true);
+      } catch {}
+    });
+    let currentPush = layer.push;
+    const wrappedPush = function(...items) {
+      const hookTs = Date.now();
+      const result = currentPush.apply(this, items);
+      if (!pageMonitoring) return result;
+      items.forEach(item => {
+        try {
+          recordDataLayerPush(name, layer, item, hookTs, false);
+        } catch {}
+      });
+      return result;
+    };
+    wrappedPush.__launchObserverWrapped = true;
+    try {
+      Object.defineProperty(layer, 'push', {
+        configurable: true,
+        enumerable: false,
+        get() {
+          return wrappedPush;
+        },
+        set(value) {
+          if (typeof value === 'function' && value !== wrappedPush) currentPush = value;
+        }
+      });
+    } catch {
+      layer.push = wrappedPush;
+    }
+  }
+
+  function wrapDataLayers() {
+    DATA_LAYER_NAMES.forEach(wrapDataLayer);
+  }
+
+  /**
+   * Collect the paths that differ between two snapshots.
+   * @param {any} prev
+   * @param {any} next
+   * @param {string} prefix
+   * @param {Array<string>} out
+   * @returns {Array<string>}
+   */
+  function diffSnapshotPaths(prev, next, prefix, out) {
+    if (out.length >= 50) return out;
+    if (isPlainObject(prev) && isPlainObject(next)) {
+      const keys = new Set([...Object.keys(prev), ...Object.keys(next)]);
+      keys.forEach(key => diffSnapshotPaths(prev[key], next[key], prefix ? `${prefix}.${key}` : key, out));
+      return out;
+    }
+    if (JSON.stringify(prev) !== JSON.stringify(next)) out.push(prefix || '(root)');
+    return out;
+  }
+
+  /**
+   * Record an Adobe Tags rule lifecycle event from the _satellite monitor.
+   * @param {string} stage
+   * @param {object} event
+   */
+  function recordRuleEvent(stage, event) {
+    const rule = event?.rule || {};
+    const condition = event?.condition || null;
+    postPageEvent('rule', {
+      stage,
+      ruleId: rule.id || '',
+      ruleName: rule.name || rule.id || '',
+      condition: condition ? {
+        modulePath: condition.modulePath || '',
+        negate: !!condition.negate,
+        settings: snapshotValue(condition.settings || null)
+      } : null
+    });
+  }
+
+  const ruleMonitor = {
+    ruleTriggered(event) {
+      try {
+        recordRuleEvent('triggered', event);
+      } catch {}
+    },
+    ruleCompleted(event) {
+      try {
+        recordRuleEvent('completed', event);
+      } catch {}
+    },
+    ruleConditionFailed(event) {
+      try {
+        recordRuleEvent('conditionFailed', event);
+      } catch {}
+    }
+  };
+
+  /**
+   * Register the rule monitor on a _satellite object.
+   * @param {object} satellite
+   */
+  function attachRuleMonitor(satellite) {
+    if (!satellite || (typeof satellite !== 'object' && typeof satellite !== 'function')) return;
+    try {
+      if (!Array.isArray(satellite._monitors)) satellite._monitors = [];
+      if (!satellite._monitors.includes(ruleMonitor)) satellite._monitors.push(ruleMonitor);
+    } catch {}
+  }
+
+  /**
+   * Register the monitor before the Tags library loads (it reads _satellite._monitors at runtime).
+   */
+  function installRuleMonitor() {
+    if (ruleMonitorInstalled) return;
+    ruleMonitorInstalled = true;
+    let current = window._satellite;
+    attachRuleMonitor(current);
+    try {
+      Object.defineProperty(window, '_satellite', {
+        configurable: true,
+        get() {
+          return current;
+        },
+        set(value) {
+          current = value;
+          attachRuleMonitor(value);
+        }
+      });
+    } catch {}
+  }
+
+  /**
+   * Read the Adobe Tags library state: build, environment, extensions and data element values.
+   * @returns {object}
+   */
+  function probeTagsLibrary() {
+    const satellite = window._satellite;
+    const result = { present: false, pageUrl: window.location.href, probedAt: Date.now() };
+    if (!satellite || typeof satellite !== 'object' || !satellite.buildInfo) return result;
+    const container = satellite._container || {};
+    const property = satellite.property || container.property || {};
+    const definitions = container.dataElements || {};
+    const names = Object.keys(definitions);
+    const dataElements = names.slice(0, MAX_DATA_ELEMENTS).map(name => {
+      const definition = definitions[name] || {};
+      let value = null;
+      let error = '';
+      try {
+        value = limitSnapshot(snapshotValue(satellite.getVar(name))).value;
+      } catch (err) {
+        error = String(err?.message || err);
+      }
+      return { name, modulePath: definition.modulePath || '', value, error };
+    });
+    return {
+      ...result,
+      present: true,
+      buildInfo: snapshotValue(satellite.buildInfo),
+      environment: snapshotValue(satellite.environment || null),
+      property: { name: property.name || '', id: property.id || '' },
+      orgId: satellite.company?.orgId || '',
+      extensions: Object.entries(container.extensions || {}).map(([name, extension]) => ({
+        name,
+        displayName: extension?.displayName || name
+      })),
+      ruleCount: Array.isArray(container.rules) ? container.rules.length : null,
+      dataElementCount: names.length,
+      dataElements
+    };
+  }
+
+  /**
+   * Read localStorage / sessionStorage entries whose keys match the configured patterns.
+   * @param {{ keys: Array<string> }} args
+   * @returns {{ localStorage: object, sessionStorage: object }}
+   */
+  function probeStorage(args) {
+    const toRegExp = pattern => new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    const patterns = (args?.keys || []).filter(Boolean).map(toRegExp);
+    const read = storage => {
+      const result = {};
+      try {
+        for (let index = 0; index < storage.length; index += 1) {
+          const key = storage.key(index);
+          if (key !== null && patterns.some(pattern => pattern.test(key))) {
+            const value = storage.getItem(key) || '';
+            result[key] = value.length > MAX_SNAPSHOT_CHARS ? `${value.slice(0, MAX_SNAPSHOT_CHARS)}…` : value;
+          }
+        }
+      } catch {}
+      return result;
+    };
+    return {
+      localStorage: read(window.localStorage),
+      sessionStorage: read(window.sessionStorage)
+    };
+  }
+
+  const PAGE_PROBES = {
+    probeTags: probeTagsLibrary,
+    probeStorage
+  };
+
+  /**
+   * Poll window.digitalData and record a change event when it differs.
+   */
+  function checkDigitalData() {
+    const source = window.digitalData;
+    if (!source || typeof source !== 'object') return;
+    let snapshot;
+    let serialized;
+    try {
+      snapshot = snapshotValue(source);
+      serialized = JSON.stringify(snapshot);
+    } catch {
+      return;
+    }
+    if (digitalDataSnapshot && digitalDataSnapshot.serialized === serialized) return;
+    const previous = digitalDataSnapshot?.value;
+    const changes = previous ? diffSnapshotPaths(previous, snapshot, '', []) : [];
+    digitalDataSnapshot = { value: snapshot, serialized };
+    const limited = limitSnapshot(snapshot);
+    postPageEvent('dataLayer', {
+      layer: 'digitalData',
+      eventName: previous ? 'change' : 'initial',
+      changes,
+      pushed: null,
+      state: limited.value,
+      truncated: limited.truncated,
+      initial: !previous
+    });
+  }
+
+  /**
+   * Watch data layers, window.digitalData and consent APIs only while page hooks are on
+   * and the extension observes this tab; on every other page they are left untouched.
+   */
+  function syncPageMonitoring() {
+    const active = isTopFrame && enableHooks && observed;
+    if (active === pageMonitoring) return;
+    pageMonitoring = active;
+    if (!active) {
+      clearInterval(digitalDataTimer);
+      clearInterval(consentTimer);
+      digitalDataTimer = null;
+      consentTimer = null;
+      return;
+    }
+    wrapDataLayers();
+    checkDigitalData();
+    checkConsentApis();
+    digitalDataTimer = setInterval(checkDigitalData, 500);
+    consentTimer = setInterval(checkConsentApis, 1000);
+  }
+
+  /**
+   * Post a consent signal, skipping repeats of the last one for the same framework
+   * and signals from pages the extension does not observe.
+   * @param {string} framework tcf | gpp | onetrust | consentMode | adobe
+   * @param {string} status granted | denied | unknown
+   * @param {string} summary
+   * @param {object} detail
+   * @param {number} [hookTs]
+   */
+  function postConsentSignal(framework, status, summary, detail, hookTs = Date.now()) {
+    if (allowlistReady && !pageMonitoring) return;
+    const snapshot = limitSnapshot(snapshotValue(detail)).value;
+    const serialized = JSON.stringify([status, summary, snapshot]);
+    if (lastConsentSignals[framework] === serialized) return;
+    lastConsentSignals[framework] = serialized;
+    postPageEvent('consent', { framework, status, summary, detail: snapshot }, hookTs);
+  }
+
+  /**
+   * Listen for IAB TCF v2 updates once the CMP stub is available.
+   */
+  function attachTcfListener() {
+    if (tcfListenerAttached || typeof window.__tcfapi !== 'function') return;
+    tcfListenerAttached = true;
+    try {
+      window.__tcfapi('addEventListener', 2, (tcData, success) => {
+        if (!success || !tcData) return;
+        const purposes = Object.entries(tcData.purpose?.consents || {}).filter(([, granted]) => granted).map(([id]) => id);
+        const vendors = Object.values(tcData.vendor?.consents || {}).filter(Boolean).length;
+        const status = tcData.gdprApplies === false || purposes.includes('1') ? 'granted' : 'denied';
+        const summary = tcData.gdprApplies === false
+          ? 'GDPR does not apply'
+          : `${tcData.eventStatus || 'update'} · purposes ${purposes.join(',') || 'none'} · ${vendors} vendors`;
+        postConsentSignal('tcf', status, summary, {
+          eventStatus: tcData.eventStatus || '',
+          cmpId: tcData.cmpId ?? null,
+          gdprApplies: tcData.gdprApplies ?? null,
+          tcString: tcData.tcString || '',
+          purposeConsents: purposes,
+          vendorConsents: vendors
+        });
+      });
+    } catch {}
+  }
+
+  /**
+   * Listen for IAB GPP signals once the CMP stub is available.
+   */
+  function attachGppListener() {
+    if (gppListenerAttached || typeof window.__gpp !== 'function') return;
+    gppListenerAttached = true;
+    try {
+      window.__gpp('addEventListener', (evt, success) => {
+        const ping = evt?.pingData;
+        if (!success || !ping || ping.signalStatus !== 'ready') return;
+        const sections = Object.values(ping.parsedSections || {}).flat();
+        const optedOut = sections.some(section => section && ['SaleOptOut', 'SharingOptOut', 'TargetedAdvertisingOptOut'].some(key => section[key] === 1));
+        const applicable = (ping.applicableSections || []).join(',');
+        postConsentSignal('gpp', optedOut ? 'denied' : 'granted', `sections ${applicable || 'none'}${optedOut ? ' · opted out' : ''}`, {
+          gppString: ping.gppString || '',
+          applicableSections: ping.applicableSections || [],
+          parsedSections: ping.parsedSections || {}
+        });
+      });
+    } catch {}
+  }
+
+  /**
+   * Read OneTrust active groups (`,C0001,C0002,`); anything beyond strictly necessary counts as an opt-in.
+   */
+  function checkOneTrustGroups() {
+    const value = window.OptanonActiveGroups;
+    if (typeof value !== 'string') return;
+    const groups = value.split(',').map(group => group.trim()).filter(Boolean);
+    const status = groups.some(group => group !== 'C0001') ? 'granted' : 'denied';
+    postConsentSignal('onetrust', status, `active groups ${groups.join(',') || 'none'}`, { groups });
+  }
+
+  /**
+   * Merge a `gtag('consent', 'default' | 'update', {...})` command into the Consent Mode state.
+   * @param {string} command
+   * @param {object} params
+   * @param {number} hookTs
+   */
+  function recordConsentModeCommand(command, params, hookTs) {
+    if (!isPlainObject(params)) return;
+    CONSENT_MODE_KEYS.forEach(key => {
+      if (typeof params[key] === 'string') consentModeState[key] = params[key];
+    });
+    const storage = ['analytics_storage', 'ad_storage'].map(key => consentModeState[key]).filter(Boolean);
+    const status = storage.includes('granted') ? 'granted' : (storage.length ? 'denied' : 'unknown');
+    const summary = `${command}: ${CONSENT_MODE_KEYS.filter(key => consentModeState[key]).map(key => `${key}=${consentModeState[key]}`).join(', ')}`;
+    postConsentSignal('consentMode', status, summary, { command, params: snapshotValue(params), state: { ...consentModeState } }, hookTs);
+  }
+
+  /**
+   * Record Web SDK consent: `defaultConsent` from configure and `setConsent` preferences.
+   * @param {string} command
+   * @param {object} options
+   */
+  function recordAdobeConsent(command, options) {
+    if (!isPlainObject(options)) return;
+    if (command === 'configure') {
+      if (typeof options.defaultConsent !== 'string') return;
+      const value = options.defaultConsent;
+      postConsentSignal('adobe', value === 'in' ? 'granted' : 'denied', `defaultConsent: ${value}`, { command, defaultConsent: value });
+      return;
+    }
+    const entries = Array.isArray(options.consent) ? options.consent : [];
+    const values = entries.map(entry => {
+      if (entry?.standard !== 'Adobe') return '';
+      return entry.value?.general || entry.value?.collect?.val || '';
+    }).filter(Boolean);
+    const status = values.some(value => value === 'in' || value === 'y')
+      ? 'granted'
+      : (values.length ? 'denied' : 'unknown');
+    const standards = entries.map(entry => [entry?.standard, entry?.version].filter(Boolean).join(' ')).join(', ');
+    postConsentSignal('adobe', status, `setConsent: ${values.join(',') || standards || 'no preferences'}`, { command, consent: snapshotValue(entries) });
+  }
+
+  /**
+   * Attach CMP listeners as their APIs appear and poll the OneTrust groups.
+   */
+  function checkConsentApis() {
+    attachTcfListener();
+    attachGppListener();
+    checkOneTrustGroups();
+  }
+
   /**
    * Convert request body into text when possible.
    * @param {any} body
@@ -284,6 +1179,9 @@
     if (current.__launchObserverWrapped) return;
     const originalFetch = current;
     const wrapped = function(input, init = {}) {
+      const hookId = createHookId();
+      let sentText = Promise.resolve('');
+      let stampedUrl = null;
       try {
         const request = input instanceof Request ? input : null;
         const url = request ? request.url : String(input);
@@ -306,28 +1204,32 @@
           init.body = streamB;
         }
         if (body) {
-          bodyToText(body).then(text => {
-            if (text) {
-              postPayload(url, text, contentType);
-            } else {
-              postPageContext(url);
-            }
-          });
+          sentText = bodyToText(body);
         } else if (request) {
           try {
-            request.clone().text().then(text => {
-              if (text) {
-                postPayload(url, text, contentType);
-              } else {
-                postPageContext(url);
-              }
-            });
+            sentText = request.clone().text().catch(() => '');
           } catch {}
-        } else {
-          postPageContext(url);
+        }
+        // Request objects keep their URL; their calls fall back to heuristic matching.
+        if (!request) stampedUrl = stampHookToken(url, hookId, typeof body === 'string' ? tryParseJson(body) : null);
+        const stamped = !!stampedUrl;
+        sentText.then(text => {
+          if (text) {
+            postPayload(url, text, contentType, hookId, stamped);
+          } else {
+            postPageContext(url, hookId, stamped);
+          }
+        });
+      } catch {}
+      const args = stampedUrl ? [stampedUrl, ...Array.prototype.slice.call(arguments, 1)] : arguments;
+      const result = originalFetch.apply(this, args);
+      try {
+        const responseUrl = input instanceof Request ? input.url : String(input);
+        if (result && typeof result.then === 'function') {
+          result.then(res => captureFetchResponse(responseUrl, res, hookId, sentText, !!stampedUrl), () => {});
         }
       } catch {}
-      return originalFetch.apply(this, arguments);
+      return result;
     };
     wrapped.__launchObserverWrapped = true;
     wrapped.__launchObserverOriginal = originalFetch;
@@ -340,17 +1242,21 @@
     if (!current || current.__launchObserverWrapped) return;
     const originalSendBeacon = current;
     const wrapped = function(url, data) {
+      let stampedUrl = null;
       try {
         postHookCall('beacon', url);
+        const hookId = createHookId();
+        stampedUrl = stampHookToken(String(url), hookId, typeof data === 'string' ? tryParseJson(data) : null);
+        const stamped = !!stampedUrl;
         bodyToText(data).then(text => {
           if (text) {
-            postPayload(url, text, '');
+            postPayload(url, text, '', hookId, stamped);
           } else {
-            postPageContext(url);
+            postPageContext(url, hookId, stamped);
           }
         });
       } catch {}
-      return originalSendBeacon(url, data);
+      return originalSendBeacon(stampedUrl || url, data);
     };
     wrapped.__launchObserverWrapped = true;
     wrapped.__launchObserverOriginal = originalSendBeacon;
@@ -369,7 +1275,16 @@
     proto.open = function(method, url) {
       this.__lo_url = url;
       this.__lo_headers = {};
-      return originalOpen.apply(this, arguments);
+      let stampedUrl = null;
+      try {
+        this.__lo_hookId = createHookId();
+        stampedUrl = url ? stampHookToken(String(url), this.__lo_hookId) : null;
+      } catch {}
+      this.__lo_stamped = !!stampedUrl;
+      if (!stampedUrl) return originalOpen.apply(this, arguments);
+      const args = Array.prototype.slice.call(arguments);
+      args[1] = stampedUrl;
+      return originalOpen.apply(this, args);
     };
     proto.setRequestHeader = function(name, value) {
       try {
@@ -379,19 +1294,27 @@
     };
     const wrappedSend = function(body) {
       try {
+        const hookId = this.__lo_hookId || createHookId();
+        const stamped = !!this.__lo_stamped;
+        this.__lo_hookId = hookId;
+        if (this.__lo_url && !this.__lo_responseListener) {
+          this.__lo_responseListener = true;
+          this.addEventListener('loadend', () => captureXhrResponse(this));
+        }
+        this.__lo_sentText = body ? bodyToText(body) : Promise.resolve('');
         if (this.__lo_url && body) {
           postHookCall('xhr', this.__lo_url);
-          bodyToText(body).then(text => {
+          this.__lo_sentText.then(text => {
             const contentType = this.__lo_headers?.['content-type'] || '';
             if (text) {
-              postPayload(this.__lo_url, text, contentType);
+              postPayload(this.__lo_url, text, contentType, hookId, stamped);
             } else {
-              postPageContext(this.__lo_url);
+              postPageContext(this.__lo_url, hookId, stamped);
             }
           });
         } else if (this.__lo_url) {
           postHookCall('xhr', this.__lo_url);
-          postPageContext(this.__lo_url);
+          postPageContext(this.__lo_url, hookId, stamped);
         }
       } catch {}
       return originalSend.apply(this, arguments);
@@ -406,6 +1329,9 @@
   wrapBeacon();
   wrapXhr();
   installAlloySetter();
+  if (isTopFrame) {
+    installRuleMonitor();
+  }
 
   // Wrapping handled by wrapFetch / wrapBeacon / wrapXhr with watchdog.
 
@@ -415,16 +1341,39 @@
     wrapXhr();
     wrapAlloy();
     installAlloySetter();
+    if (pageMonitoring) wrapDataLayers();
+    if (isTopFrame) attachRuleMonitor(window._satellite);
   }, 1500);
 
+
   window.addEventListener('message', event => {
     if (!event.data || event.data.source !== 'launch-observer' || event.data.type !== 'allowlist') return;
     allowlist = Array.isArray(event.data.allowlist) ? event.data.allowlist : [];
+    signatures = compileSignatures(event.data.signatures);
     enableHooks = !!event.data.enableHooks;
+    observed = !!event.data.observed;
     allowlistReady = true;
+    syncPageMonitoring();
     flushPending();
   });
 
+  window.addEventListener('message', event => {
+    if (!event.data || event.data.source !== 'launch-observer' || event.data.type !== 'probe') return;
+    const probe = PAGE_PROBES[event.data.probe];
+    let result = null;
+    try {
+      result = probe ? probe(event.data.args) : null;
+    } catch {
+      result = null;
+    }
+    window.postMessage({
+      source: 'launch-observer-page',
+      type: 'probeResult',
+      probeId: event.data.probeId,
+      result
+    }, '*');
+  });
+
   window.postMessage({ source: 'launch-observer-page', type: 'requestAllowlist' }, '*');
   postHookReady();
   wrapAlloy();
@@ -0,0 +1,42 @@
+export const CONSENT_FRAMEWORKS = {
+  tcf: 'IAB TCF',
+  gpp: 'IAB GPP',
+  onetrust: 'OneTrust',
+  consentMode: 'Consent Mode',
+  adobe: 'Adobe setConsent'
+};
+
+/**
+ * Resolve the consent state in effect at a point in time from recorded `consent` page events.
+ * The latest signal per framework wins; any framework granting counts as an opt-in.
+ * @param {Array<object>} events page events for one session/tab
+ * @param {number} timeStamp
+ * @returns {{ state: string, frameworks: Object<string, { status: string, summary: string, timeStamp: number }> }}
+ */
+export function getConsentStateAt(events, timeStamp) {
+  const frameworks = {};
+  (events || [])
+    .filter(evt => evt.kind === 'consent' && (evt.timeStamp || 0) <= timeStamp)
+    .sort((a, b) => (a.timeStamp || 0) - (b.timeStamp || 0))
+    .forEach(evt => {
+      const data = evt.data || {};
+      if (!data.framework) return;
+      frameworks[data.framework] = {
+        status: data.status || 'unknown',
+        summary: data.summary || '',
+        timeStamp: evt.timeStamp
+      };
+    });
+  const statuses = Object.values(frameworks).map(item => item.status);
+  const state = statuses.includes('granted') ? 'granted' : (statuses.includes('denied') ? 'denied' : 'unknown');
+  return { state, frameworks };
+}
+
+/**
+ * Check whether a request fired before any opt-in was recorded.
+ * @param {object} req
+ * @returns {boolean}
+ */
+export function firedBeforeOptIn(req) {
+  return !!req?.consent && req.consent.state !== 'granted';
+}
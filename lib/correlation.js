@@ -0,0 +1,102 @@
+export const HOOK_MATCH_WINDOW_MS = 20000;
+
+const HOOK_TOKEN_PARAM = '_lo_hook';
+
+const HOOK_TOKEN_PATTERN = new RegExp(`[?&]${HOOK_TOKEN_PARAM}=([^&#]*)(?=#|$)`);
+
+export const CORRELATION_METHODS = {
+  token: 'hook token in the request URL',
+  requestId: 'Edge requestId',
+  body: 'identical body',
+  url: 'first unmatched call to the same URL',
+  recent: 'latest Web SDK request on the tab'
+};
+
+const SENT_BODY_TYPES = new Set(['json', 'form', 'text']);
+
+/**
+ * Split the hook token that page hooks append to an allowlisted call's URL (always as
+ * the last query parameter) from the URL the page asked for.
+ * @param {string} url
+ * @returns {{ url: string, token: string|null }}
+ */
+export function splitHookToken(url) {
+  const match = typeof url === 'string' ? HOOK_TOKEN_PATTERN.exec(url) : null;
+  if (!match || !match[1]) return { url, token: null };
+  return { url: url.slice(0, match.index) + url.slice(match.index + match[0].length), token: match[1] };
+}
+
+/**
+ * Read the requestId query param Web SDK puts on Edge calls.
+ * @param {string} url
+ * @returns {string|null}
+ */
+function getUrlRequestId(url) {
+  try {
+    return new URL(url).searchParams.get('requestId');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the exact text webRequest saw for a body, or null when only a lossy view is kept
+ * (form data, multipart, binary or truncated bodies).
+ * @param {object|null} body
+ * @returns {string|null}
+ */
+export function getSentBodyText(body) {
+  if (!body || body.truncated) return null;
+  if (body.original?.encoding === 'text') return body.original.raw;
+  if (!SENT_BODY_TYPES.has(body.type) || typeof body.raw !== 'string') return null;
+  return body.raw;
+}
+
+/**
+ * Decide whether a hooked call produced a request entry and how certain that is.
+ * `token`, `requestId` and `body` are exact: the call's hook token was on the request URL,
+ * or the Edge requestId in the URL or the body text is identical. A call or entry that
+ * carries a token only ever matches by it. `url` is a heuristic for calls that could not
+ * be stamped: same tab and URL within the match window, with nothing contradicting it.
+ * @param {object} entry
+ * @param {{ tabId?: number, hookId?: string, stamped?: boolean, url: string, requestId?: string|null, payload?: object|null, hookTs: number }} call
+ * @returns {{ method: string, confidence: 'exact'|'heuristic' }|null}
+ */
+export function correlateHookCall(entry, call) {
+  if (!entry || !call) return null;
+  if (call.tabId !== undefined && entry.tabId !== call.tabId) return null;
+  if (entry.hookToken || call.stamped) {
+    return entry.hookToken && entry.hookToken === call.hookId ? { method: 'token', confidence: 'exact' } : null;
+  }
+  const entryRequestId = getUrlRequestId(entry.url);
+  const callRequestId = call.requestId || getUrlRequestId(call.url);
+  if (entryRequestId || callRequestId) {
+    return entryRequestId === callRequestId ? { method: 'requestId', confidence: 'exact' } : null;
+  }
+  if (!call.url || call.url !== entry.url) return null;
+  if (Math.abs((call.hookTs || 0) - (entry.timeStamp || 0)) > HOOK_MATCH_WINDOW_MS) return null;
+  const sent = entry.captureSource?.body === 'webRequest' ? getSentBodyText(entry.body) : null;
+  const hooked = typeof call.payload?.raw === 'string' ? call.payload.raw : null;
+  if (sent !== null && hooked !== null) {
+    return sent === hooked ? { method: 'body', confidence: 'exact' } : null;
+  }
+  return { method: 'url', confidence: 'heuristic' };
+}
+
+/**
+ * Pick the match for one side of a correlation: the first exact match, otherwise the
+ * first (oldest) heuristic one so calls and requests to the same URL pair up in order.
+ * @param {Array<object>} items candidates, oldest first
+ * @param {(item: object) => ({ method: string, confidence: string }|null)} correlate
+ * @returns {{ item: object, method: string, confidence: string }|null}
+ */
+export function findBestCorrelation(items, correlate) {
+  let best = null;
+  for (const item of items) {
+    const match = correlate(item);
+    if (!match) continue;
+    if (match.confidence === 'exact') return { item, ...match };
+    if (!best) best = { item, ...match };
+  }
+  return best;
+}
@@ -0,0 +1,184 @@
+import { tryParseJson } from './parse.js';
+
+export const IDENTITY_TYPES = {
+  ecid: { label: 'ECID', vendor: 'Adobe', expectedOn: { services: ['adobe-analytics'], path: /\/b\/ss\// } },
+  'ga-client-id': { label: 'GA client_id', vendor: 'Google', expectedOn: { services: ['google-analytics'], path: /\/(g\/)?collect$/ } },
+  'ga-user-id': { label: 'GA user_id', vendor: 'Google' },
+  'meta-fbp': { label: 'Meta fbp', vendor: 'Meta', expectedOn: { services: ['meta'], path: /\/tr\/?$/ } },
+  'meta-external-id': { label: 'Meta external_id', vendor: 'Meta' }
+};
+
+const PARAM_IDENTITIES = [
+  { key: 'mid', type: 'ecid', services: ['adobe-analytics', 'adobe-target'] },
+  { key: 'mboxMCGVID', type: 'ecid', services: ['adobe-target'] },
+  { key: 'cid', type: 'ga-client-id', services: ['google-analytics'] },
+  { key: 'uid', type: 'ga-user-id', services: ['google-analytics'] },
+  { key: 'fbp', type: 'meta-fbp', services: ['meta'] },
+  { key: 'external_id', type: 'meta-external-id', services: ['meta'] },
+  { key: 'ud[external_id]', type: 'meta-external-id', services: ['meta'] }
+];
+
+/**
+ * Describe an identity type, including Edge `identityMap` namespaces that have no fixed entry.
+ * @param {string} type
+ * @returns {{ label: string, vendor: string, expectedOn?: { services: Array<string>, path: RegExp } }}
+ */
+export function getIdentityType(type) {
+  if (IDENTITY_TYPES[type]) return IDENTITY_TYPES[type];
+  if (type.startsWith('identityMap:')) return { label: `identityMap ${type.slice('identityMap:'.length)}`, vendor: 'Adobe' };
+  return { label: type, vendor: '' };
+}
+
+/**
+ * Extract known visitor/user IDs from a captured request's query, payload and Cookie header.
+ * @param {object} req
+ * @returns {Array<{ type: string, value: string, field: string, source: string }>}
+ */
+export function extractIdentities(req) {
+  if (!req) return [];
+  const found = [];
+  const add = (type, value, field, source) => {
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    if (!text) return;
+    if (found.some(item => item.type === type && item.value === text && item.field === field)) return;
+    found.push({ type, value: text, field, source });
+  };
+  const readParams = (params, source) => (params || []).forEach(({ key, value }) => {
+    PARAM_IDENTITIES.forEach(rule => {
+      if (rule.key === key && rule.services.includes(req.serviceId)) add(rule.type, value, key, source);
+    });
+  });
+
+  readParams(req.query?.params, 'query');
+  readParams(req.body?.parsed?.params, 'payload');
+
+  const json = req.body?.type === 'json' && req.body.parsed ? req.body.parsed : null;
+  const body = json || (req.body?.type === 'text' ? tryParseJson(req.body.raw || '') : null);
+  if (body && typeof body === 'object') {
+    const maps = [body.xdm?.identityMap, ...(Array.isArray(body.events) ? body.events.map(event => event?.xdm?.identityMap) : [])];
+    maps.forEach(identityMap => {
+      if (!identityMap || typeof identityMap !== 'object') return;
+      Object.entries(identityMap).forEach(([namespace, entries]) => {
+        (Array.isArray(entries) ? entries : []).forEach(entry => {
+          add(namespace === 'ECID' ? 'ecid' : `identityMap:${namespace}`, entry?.id, `identityMap.${namespace}`, 'payload');
+        });
+      });
+    });
+    if (body.id?.marketingCloudVisitorId) add('ecid', body.id.marketingCloudVisitorId, 'id.marketingCloudVisitorId', 'payload');
+  }
+
+  const cookieHeader = (req.requestHeaders || []).find(header => String(header.name).toLowerCase() === 'cookie');
+  parseCookieHeader(cookieHeader?.value).forEach(({ name, value }) => {
+    if (name.startsWith('AMCV_')) add('ecid', readAmcvCookie(value), 'AMCV_ cookie', 'header');
+    if (name === '_ga') add('ga-client-id', readGaCookie(value), '_ga cookie', 'header');
+    if (name === '_fbp') add('meta-fbp', value, '_fbp cookie', 'header');
+  });
+  return found;
+}
+
+/**
+ * Split a Cookie header into name/value pairs.
+ * @param {string} header
+ * @returns {Array<{ name: string, value: string }>}
+ */
+function parseCookieHeader(header) {
+  if (typeof header !== 'string' || !header) return [];
+  return header.split(';').map(part => {
+    const index = part.indexOf('=');
+    if (index === -1) return null;
+    return { name: part.slice(0, index).trim(), value: part.slice(index + 1).trim() };
+  }).filter(Boolean);
+}
+
+/**
+ * Read the ECID (`MCMID`) from an `AMCV_<org>@AdobeOrg` cookie value.
+ * @param {string} value
+ * @returns {string}
+ */
+function readAmcvCookie(value) {
+  let decoded = value;
+  try {
+    decoded = decodeURIComponent(value);
+  } catch {
+    decoded = value;
+  }
+  const parts = decoded.split('|');
+  const index = parts.indexOf('MCMID');
+  return index === -1 ? '' : parts[index + 1] || '';
+}
+
+/**
+ * Read the client ID from a `_ga` cookie (`GA1.1.<random>.<timestamp>`).
+ * @param {string} value
+ * @returns {string}
+ */
+function readGaCookie(value) {
+  const parts = String(value || '').split('.');
+  return parts.length >= 4 ? parts.slice(-2).join('.') : '';
+}
+
+/**
+ * Follow each identity across a session's requests: values over time, changes
+ * within the same field, conflicting values on the same page and hits that
+ * should carry an ID but do not.
+ * @param {Array<object>} requests
+ * @param {(req: object) => string} getPageKey groups requests by page/navigation
+ * @returns {Array<{ type: string, label: string, vendor: string, observations: Array<object>, values: Array<string>, changes: Array<object>, conflicts: Array<object>, missing: Array<object> }>}
+ */
+export function analyzeIdentities(requests, getPageKey) {
+  const sorted = [...(requests || [])].sort((a, b) => (a.timeStamp || 0) - (b.timeStamp || 0));
+  const byType = new Map();
+  const ensure = type => {
+    if (!byType.has(type)) byType.set(type, { type, ...getIdentityType(type), observations: [], missing: [] });
+    return byType.get(type);
+  };
+  sorted.forEach(req => {
+    const pageKey = getPageKey(req);
+    const identities = extractIdentities(req);
+    identities.forEach(identity => {
+      ensure(identity.type).observations.push({
+        ...identity,
+        requestId: req.id,
+        serviceId: req.serviceId || null,
+        timeStamp: req.timeStamp,
+        pageKey
+      });
+    });
+    Object.entries(IDENTITY_TYPES).forEach(([type, definition]) => {
+      const expected = definition.expectedOn;
+      if (!expected || !expected.services.includes(req.serviceId) || !expected.path.test(req.path || '')) return;
+      if (identities.some(identity => identity.type === type)) return;
+      ensure(type).missing.push({ requestId: req.id, serviceId: req.serviceId, timeStamp: req.timeStamp, pageKey });
+    });
+  });
+
+  return [...byType.values()].map(entry => {
+    const changes = [];
+    const lastByField = new Map();
+    entry.observations.forEach(observation => {
+      const previous = lastByField.get(observation.field);
+      if (previous && previous.value !== observation.value) {
+        changes.push({ field: observation.field, from: previous.value, to: observation.value, timeStamp: observation.timeStamp, requestId: observation.requestId, pageKey: observation.pageKey });
+      }
+      lastByField.set(observation.field, observation);
+    });
+    const byPage = new Map();
+    entry.observations.forEach(observation => {
+      if (!byPage.has(observation.pageKey)) byPage.set(observation.pageKey, new Map());
+      const values = byPage.get(observation.pageKey);
+      if (!values.has(observation.value)) values.set(observation.value, new Set());
+      values.get(observation.value).add(observation.field);
+    });
+    const conflicts = [];
+    byPage.forEach((values, pageKey) => {
+      if (values.size < 2) return;
+      conflicts.push({ pageKey, values: [...values.entries()].map(([value, fields]) => ({ value, fields: [...fields] })) });
+    });
+    return {
+      ...entry,
+      values: [...new Set(entry.observations.map(observation => observation.value))],
+      changes,
+      conflicts
+    };
+  });
+}
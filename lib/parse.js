@@ -22,6 +22,134 @@ export function decodePlus(value) {
   return value.replace(/\+/g, ' ');
 }
 
+const MAX_BODY_CHARS = 200000;
+const MAX_BINARY_BYTES = 200000;
+const MIN_ENCODED_LENGTH = 16;
+const BASE64_REGEX = /^[A-Za-z0-9+/_-]+={0,2}$/;
+
+/**
+ * Decode base64 or base64url text into a UTF-8 string.
+ * @param {string} value
+ * @returns {{ text: string, transform: 'base64'|'base64url' }|null}
+ */
+export function decodeBase64Text(value) {
+  const text = String(value || '').trim();
+  if (text.length < MIN_ENCODED_LENGTH || !BASE64_REGEX.test(text)) return null;
+  const normalized = text.replace(/-/g, '+').replace(/_/g, '/').replace(/=+$/, '');
+  if (normalized.length % 4 === 1) return null;
+  try {
+    const bytes = base64ToBytes(normalized);
+    const decoded = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    const transform = /[-_]/.test(text) || text.length % 4 !== 0 ? 'base64url' : 'base64';
+    return { text: decoded, transform };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decode a base64-encoded JSON parameter value (e.g. Mixpanel `data`, Snowplow `cx`/`ue_px`).
+ * @param {string} value
+ * @returns {{ value: string, parsed: any, transforms: Array<string> }|null}
+ */
+export function decodeEncodedValue(value) {
+  const result = decodeBase64Text(String(value || '').replace(/ /g, '+'));
+  if (!result) return null;
+  const trimmed = result.text.trim();
+  if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) return null;
+  const parsed = tryParseJson(trimmed);
+  if (!parsed) return null;
+  return { value: result.text, parsed, transforms: [result.transform] };
+}
+
+/**
+ * Attach a `decoded` form to a key/value param when its value is encoded.
+ * @param {object} param
+ * @returns {object}
+ */
+function withDecodedValue(param) {
+  const decoded = decodeEncodedValue(param.value);
+  return decoded ? { ...param, decoded } : param;
+}
+
+/**
+ * Detect gzip or zlib (deflate) compressed bytes by their magic header.
+ * @param {Uint8Array} bytes
+ * @returns {'gzip'|'deflate'|null}
+ */
+export function detectCompression(bytes) {
+  if (!bytes || bytes.length < 2) return null;
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) return 'gzip';
+  if (bytes[0] === 0x78 && [0x01, 0x5e, 0x9c, 0xda].includes(bytes[1])) return 'deflate';
+  return null;
+}
+
+/**
+ * Encode bytes as base64.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function bytesToBase64(bytes) {
+  return btoa(bytesToBinaryString(bytes));
+}
+
+/**
+ * Convert bytes into a one-char-per-byte (latin1) string.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBinaryString(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return binary;
+}
+
+/**
+ * Decode base64 (padding optional) into bytes.
+ * @param {string} value
+ * @returns {Uint8Array}
+ */
+export function base64ToBytes(value) {
+  const padded = value + '='.repeat((4 - (value.length % 4)) % 4);
+  return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+}
+
+/**
+ * Decompress gzip/deflate bytes with `DecompressionStream`.
+ * @param {Uint8Array} bytes
+ * @param {'gzip'|'deflate'} format
+ * @returns {Promise<Uint8Array|null>}
+ */
+export async function decompressBytes(bytes, format) {
+  if (typeof DecompressionStream === 'undefined') return null;
+  try {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decompress a `binary` body produced by `parseRawBody` and parse the result.
+ * The compressed original is kept on `original` and the applied steps on `transforms`.
+ * @param {object} body
+ * @returns {Promise<object|null>}
+ */
+export async function decodeCompressedBody(body) {
+  if (!body?.encoding || body.original?.encoding !== 'base64') return null;
+  const inflated = await decompressBytes(base64ToBytes(body.original.raw), body.encoding);
+  if (!inflated) return null;
+  const decoded = parseBodyBytes(inflated, body.contentType || '');
+  return {
+    ...decoded,
+    transforms: [body.encoding, ...(decoded.transforms || [])],
+    original: body.original
+  };
+}
+
 /**
  * Parse a URL into query params.
  * @param {string} url
@@ -54,12 +182,12 @@ export function parseKeyValuePairs(raw, plusAsSpace) {
     const rawValue = idx === -1 ? '' : pair.slice(idx + 1);
     const keySource = plusAsSpace ? decodePlus(rawKey) : rawKey;
     const valueSource = plusAsSpace ? decodePlus(rawValue) : rawValue;
-    return {
+    return withDecodedValue({
       rawKey,
       rawValue,
       key: safeDecode(keySource),
       value: safeDecode(valueSource)
-    };
+    });
   });
 }
 
@@ -74,12 +202,12 @@ export function parseFormData(formData) {
     const values = Array.isArray(formData[key]) ? formData[key] : [formData[key]];
     values.forEach(value => {
       const rawValue = value || '';
-      params.push({
+      params.push(withDecodedValue({
         rawKey: key,
         rawValue,
         key,
         value: safeDecode(rawValue)
-      });
+      }));
     });
   });
   return { raw: '', params };
@@ -102,70 +230,200 @@ export function parseRawBody(requestBody, contentType = '') {
 
   if (requestBody.raw && requestBody.raw.length) {
     const bytes = mergeRawBytes(requestBody.raw);
-    const text = decodeBytes(bytes);
-    const MAX_BODY_CHARS = 200000;
-    if (text.length > MAX_BODY_CHARS) {
-      return {
-        type: 'text',
-        contentType,
-        raw: text.slice(0, MAX_BODY_CHARS),
-        parsed: null,
-        truncated: true
-      };
-    }
-    const lowerType = contentType.toLowerCase();
+    const compression = detectCompression(bytes);
+    if (compression) return createBinaryBody(bytes, contentType, compression);
+    return parseBodyBytes(bytes, contentType);
+  }
 
-    if (lowerType.includes('application/json')) {
-      const json = tryParseJson(text);
-      return {
-        type: 'json',
-        contentType,
-        raw: text,
-        parsed: json
-      };
-    }
+  return null;
+}
 
-    if (lowerType.includes('application/x-www-form-urlencoded')) {
-      return {
-        type: 'form',
-        contentType,
-        raw: text,
-        parsed: {
-          raw: text,
-          params: parseKeyValuePairs(text, true)
-        }
-      };
-    }
+/**
+ * Parse body bytes as multipart, binary or text.
+ * @param {Uint8Array} bytes
+ * @param {string} [contentType='']
+ * @returns {object}
+ */
+export function parseBodyBytes(bytes, contentType = '') {
+  const boundary = getMultipartBoundary(bytes, contentType);
+  if (boundary) return parseMultipartBody(bytes, boundary, contentType);
+  if (isLikelyBinary(bytes)) return createBinaryBody(bytes, contentType);
+  return parseBodyText(decodeBytes(bytes), contentType);
+}
+
+/**
+ * Build a `binary` body that keeps the bytes as base64 for hex dumps and later decoding.
+ * @param {Uint8Array} bytes
+ * @param {string} contentType
+ * @param {string|null} [encoding=null] compression format, when known
+ * @returns {object}
+ */
+function createBinaryBody(bytes, contentType, encoding = null) {
+  const kept = bytes.subarray(0, MAX_BINARY_BYTES);
+  const body = {
+    type: 'binary',
+    contentType,
+    parsed: null,
+    original: { encoding: 'base64', raw: bytesToBase64(kept), size: bytes.length }
+  };
+  if (encoding) body.encoding = encoding;
+  if (kept.length < bytes.length) body.truncated = true;
+  return body;
+}
+
+/**
+ * Heuristic check for non-text bytes (NUL bytes or many control characters).
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isLikelyBinary(bytes) {
+  const sample = bytes.subarray(0, 1024);
+  if (!sample.length) return false;
+  let control = 0;
+  for (const byte of sample) {
+    if (byte === 0) return true;
+    if (byte < 0x09 || (byte > 0x0d && byte < 0x20) || byte === 0x7f) control += 1;
+  }
+  return control / sample.length > 0.1;
+}
 
+/**
+ * Find the multipart boundary from the content type or the first body line.
+ * @param {Uint8Array} bytes
+ * @param {string} contentType
+ * @returns {string}
+ */
+export function getMultipartBoundary(bytes, contentType = '') {
+  const declared = contentType.match(/multipart\/[^;]+;.*\bboundary="?([^";]+)"?/i);
+  if (declared) return declared[1];
+  const head = bytesToBinaryString(bytes.subarray(0, 200));
+  const match = head.match(/^--([^\s]{1,70})\r?\n/);
+  if (!match) return '';
+  return bytesToBinaryString(bytes).includes(`--${match[1]}--`) ? match[1] : '';
+}
+
+/**
+ * Split a multipart body into parts with their headers, decoding each part body.
+ * @param {Uint8Array} bytes
+ * @param {string} boundary
+ * @param {string} contentType
+ * @returns {object}
+ */
+export function parseMultipartBody(bytes, boundary, contentType = '') {
+  const binary = bytesToBinaryString(bytes);
+  const parts = [];
+  binary.split(`--${boundary}`).slice(1).forEach(chunk => {
+    if (chunk.startsWith('--')) return;
+    const content = chunk.replace(/^\r?\n/, '').replace(/\r?\n$/, '');
+    const split = content.search(/\r?\n\r?\n/);
+    const headerText = split === -1 ? content : content.slice(0, split);
+    const bodyText = split === -1 ? '' : content.slice(split).replace(/^\r?\n\r?\n/, '');
+    const headers = headerText.split(/\r?\n/).map(line => {
+      const index = line.indexOf(':');
+      return index === -1 ? null : { name: line.slice(0, index).trim(), value: line.slice(index + 1).trim() };
+    }).filter(Boolean);
+    const disposition = headers.find(header => header.name.toLowerCase() === 'content-disposition')?.value || '';
+    const partType = headers.find(header => header.name.toLowerCase() === 'content-type')?.value || '';
+    const partBytes = Uint8Array.from(bodyText, char => char.charCodeAt(0));
+    parts.push({
+      ...parseBodyBytes(partBytes, partType),
+      name: disposition.match(/\bname="([^"]*)"/)?.[1] || '',
+      filename: disposition.match(/\bfilename="([^"]*)"/)?.[1] || '',
+      headers
+    });
+  });
+  const text = decodeBytes(bytes);
+  const body = {
+    type: 'multipart',
+    contentType,
+    boundary,
+    raw: text.slice(0, MAX_BODY_CHARS),
+    parsed: { parts }
+  };
+  if (text.length > MAX_BODY_CHARS) body.truncated = true;
+  return body;
+}
+
+/**
+ * Parse request body text into a structured representation (JSON, form or plain text).
+ * Whole-body base64/base64url is decoded when the result is JSON.
+ * @param {string} text
+ * @param {string} [contentType='']
+ * @param {number} [depth=0]
+ * @returns {object}
+ */
+export function parseBodyText(text, contentType = '', depth = 0) {
+  if (text.length > MAX_BODY_CHARS) {
+    return {
+      type: 'text',
+      contentType,
+      raw: text.slice(0, MAX_BODY_CHARS),
+      parsed: null,
+      truncated: true
+    };
+  }
+  const lowerType = contentType.toLowerCase();
+
+  if (lowerType.includes('application/json')) {
     const json = tryParseJson(text);
-    if (json) {
-      return {
-        type: 'json',
-        contentType,
+    return {
+      type: 'json',
+      contentType,
+      raw: text,
+      parsed: json
+    };
+  }
+
+  if (lowerType.includes('application/x-www-form-urlencoded')) {
+    return {
+      type: 'form',
+      contentType,
+      raw: text,
+      parsed: {
         raw: text,
-        parsed: json
-      };
-    }
+        params: parseKeyValuePairs(text, true)
+      }
+    };
+  }
+
+  const json = tryParseJson(text);
+  if (json) {
+    return {
+      type: 'json',
+      contentType,
+      raw: text,
+      parsed: json
+    };
+  }
 
-    const formParsed = tryParseFormEncoded(text);
-    if (formParsed) {
+  const base64 = depth === 0 ? decodeBase64Text(text) : null;
+  if (base64) {
+    const decoded = parseBodyText(base64.text, contentType, depth + 1);
+    if (decoded.type === 'json' && decoded.parsed) {
       return {
-        type: 'form',
-        contentType,
-        raw: text,
-        parsed: formParsed
+        ...decoded,
+        transforms: [base64.transform, ...(decoded.transforms || [])],
+        original: { encoding: 'text', raw: text }
       };
     }
+  }
 
+  const formParsed = tryParseFormEncoded(text);
+  if (formParsed) {
     return {
-      type: 'text',
+      type: 'form',
       contentType,
       raw: text,
-      parsed: null
+      parsed: formParsed
     };
   }
 
-  return null;
+  return {
+    type: 'text',
+    contentType,
+    raw: text,
+    parsed: null
+  };
 }
 
 /**
@@ -259,3 +517,649 @@ export function getPathFromUrl(url) {
   const parsed = new URL(url);
   return parsed.pathname || '/';
 }
+
+const AM_PAGE_FIELDS = [
+  ['pageName', 'Page name'],
+  ['g', 'Page URL'],
+  ['r', 'Referrer'],
+  ['ch', 'Channel'],
+  ['server', 'Server'],
+  ['pageType', 'Page type'],
+  ['v0', 'Campaign'],
+  ['purchaseID', 'Purchase ID'],
+  ['cc', 'Currency code'],
+  ['products', 'Products'],
+  ['state', 'State'],
+  ['zip', 'Zip'],
+  ['mid', 'Experience Cloud ID'],
+  ['aid', 'Analytics ID (legacy)'],
+  ['vid', 'Visitor ID'],
+  ['fid', 'Fallback ID'],
+  ['t', 'Browser time'],
+  ['ts', 'Timestamp']
+];
+
+const AM_LINK_TYPES = {
+  lnk_o: 'Custom link',
+  lnk_d: 'Download link',
+  lnk_e: 'Exit link'
+};
+
+const AM_EVENT_LABELS = {
+  prodView: 'Product View',
+  scOpen: 'Cart Open',
+  scAdd: 'Cart Add',
+  scRemove: 'Cart Remove',
+  scView: 'Cart View',
+  scCheckout: 'Checkout',
+  purchase: 'Purchase'
+};
+
+/**
+ * Check whether a request path is an Adobe Analytics (AppMeasurement) hit.
+ * @param {string} path
+ * @returns {boolean}
+ */
+export function isAppMeasurementPath(path) {
+  return typeof path === 'string' && path.includes('/b/ss/');
+}
+
+/**
+ * Parse the AppMeasurement `events` string into a structured list.
+ * Handles `event1=5` (numeric/currency value) and `event2:abc` (serialization).
+ * @param {string} value
+ * @returns {Array<{ name: string, label: string, serial: string, value: string }>}
+ */
+export function parseAppMeasurementEvents(value) {
+  if (!value) return [];
+  return String(value).split(',').map(item => item.trim()).filter(Boolean).map(item => {
+    const match = item.match(/^([^:=]+)(?::([^=]*))?(?:=(.*))?$/);
+    const name = match ? match[1] : item;
+    const customMatch = name.match(/^event(\d+)$/);
+    return {
+      name,
+      label: AM_EVENT_LABELS[name] || (customMatch ? `Custom event ${customMatch[1]}` : name),
+      serial: match?.[2] || '',
+      value: match?.[3] || ''
+    };
+  });
+}
+
+/**
+ * Parse the Adobe Analytics `products` string (`category;product;quantity;price;events;eVars`).
+ * Per-product events and merchandising eVars are pipe-delimited `name=value` pairs.
+ * @param {string} value
+ * @returns {Array<{ category: string, product: string, quantity: string, price: string, events: object, eVars: object }>}
+ */
+export function parseProductsString(value) {
+  if (!value) return [];
+  return String(value).split(',').filter(item => item.trim()).map(item => {
+    const [category = '', product = '', quantity = '', price = '', events = '', eVars = ''] = item.split(';');
+    return {
+      category: category.trim(),
+      product: product.trim(),
+      quantity: quantity.trim(),
+      price: price.trim(),
+      events: parseProductPairs(events),
+      eVars: parseProductPairs(eVars)
+    };
+  });
+}
+
+/**
+ * Parse pipe-delimited `name=value` pairs from a products entry.
+ * @param {string} value
+ * @returns {object}
+ */
+function parseProductPairs(value) {
+  const pairs = {};
+  String(value || '').split('|').map(item => item.trim()).filter(Boolean).forEach(item => {
+    const index = item.indexOf('=');
+    if (index === -1) {
+      pairs[item] = '';
+    } else {
+      pairs[item.slice(0, index)] = item.slice(index + 1);
+    }
+  });
+  return pairs;
+}
+
+/**
+ * Decode AppMeasurement hit parameters into eVars, props, events, link tracking and context data.
+ * @param {Array<{ key: string, value: string }>} params
+ * @returns {object}
+ */
+export function decodeAppMeasurement(params) {
+  const result = {
+    page: [],
+    link: null,
+    events: [],
+    products: [],
+    eVars: [],
+    props: [],
+    hierarchies: [],
+    listProps: [],
+    contextData: {},
+    contextDataFlat: [],
+    other: []
+  };
+  const values = new Map();
+  const stack = [];
+  (params || []).forEach(({ key, value }) => {
+    if (!key) return;
+    if (!stack.length && key !== 'c.') {
+      values.set(key, value);
+      return;
+    }
+    if (key.startsWith('.')) {
+      stack.pop();
+      return;
+    }
+    if (key.endsWith('.')) {
+      stack.push(key.slice(0, -1));
+      return;
+    }
+    const path = [...stack.slice(1), key];
+    let node = result.contextData;
+    stack.slice(1).forEach(segment => {
+      if (!node[segment] || typeof node[segment] !== 'object') node[segment] = {};
+      node = node[segment];
+    });
+    node[key] = value;
+    result.contextDataFlat.push({ key: path.join('.'), value });
+  });
+
+  const pageKeys = new Set(AM_PAGE_FIELDS.map(([key]) => key));
+  AM_PAGE_FIELDS.forEach(([key, label]) => {
+    if (values.has(key)) result.page.push({ key, label, value: values.get(key) });
+  });
+  if (values.has('pe')) {
+    const type = values.get('pe');
+    result.link = {
+      type,
+      typeLabel: AM_LINK_TYPES[type] || type,
+      url: values.get('pev1') || '',
+      name: values.get('pev2') || ''
+    };
+  }
+  result.events = parseAppMeasurementEvents(values.get('events'));
+  result.products = parseProductsString(values.get('products'));
+
+  const numbered = [
+    { pattern: /^v(\d+)$/, target: result.eVars, prefix: 'eVar', min: 1, max: 250 },
+    { pattern: /^c(\d+)$/, target: result.props, prefix: 'prop', min: 1, max: 75 },
+    { pattern: /^h(\d+)$/, target: result.hierarchies, prefix: 'hier', min: 1, max: 5 },
+    { pattern: /^l(\d+)$/, target: result.listProps, prefix: 'list', min: 1, max: 3 }
+  ];
+  values.forEach((value, key) => {
+    if (pageKeys.has(key) || ['pe', 'pev1', 'pev2', 'events'].includes(key)) return;
+    const spec = numbered.find(item => item.pattern.test(key));
+    const index = spec ? Number(key.match(spec.pattern)[1]) : NaN;
+    if (spec && index >= spec.min && index <= spec.max) {
+      spec.target.push({ key, name: `${spec.prefix}${index}`, index, value });
+      return;
+    }
+    result.other.push({ key, value });
+  });
+  numbered.forEach(spec => spec.target.sort((a, b) => a.index - b.index));
+  return result;
+}
+
+const GA4_FIELDS = [
+  ['v', 'Protocol version'],
+  ['tid', 'Measurement ID'],
+  ['gtm', 'Container hash'],
+  ['cid', 'Client ID'],
+  ['uid', 'User ID'],
+  ['sid', 'Session ID'],
+  ['sct', 'Session count'],
+  ['seg', 'Session engaged'],
+  ['dl', 'Page location'],
+  ['dr', 'Page referrer'],
+  ['dt', 'Page title'],
+  ['ul', 'Language'],
+  ['sr', 'Screen resolution'],
+  ['cu', 'Currency'],
+  ['_et', 'Engagement time (ms)'],
+  ['_s', 'Hit sequence'],
+  ['_p', 'Page load ID'],
+  ['_ss', 'Session start'],
+  ['_fv', 'First visit'],
+  ['_nsi', 'New session'],
+  ['gcs', 'Consent state'],
+  ['gcd', 'Consent defaults']
+];
+
+const GA4_ITEM_FIELDS = {
+  id: 'item_id',
+  nm: 'item_name',
+  br: 'item_brand',
+  ca: 'item_category',
+  c2: 'item_category2',
+  c3: 'item_category3',
+  c4: 'item_category4',
+  c5: 'item_category5',
+  va: 'item_variant',
+  pr: 'price',
+  qt: 'quantity',
+  cp: 'coupon',
+  ds: 'discount',
+  ln: 'item_list_name',
+  li: 'item_list_id',
+  lp: 'index',
+  af: 'affiliation',
+  lo: 'location_id',
+  pi: 'promotion_id',
+  pn: 'promotion_name',
+  cn: 'creative_name',
+  cs: 'creative_slot'
+};
+
+/**
+ * Check whether a request path is a GA4 `/g/collect` hit.
+ * @param {string} path
+ * @returns {boolean}
+ */
+export function isGa4CollectPath(path) {
+  return typeof path === 'string' && /\/g\/collect$/.test(path);
+}
+
+/**
+ * Parse a GA4 `prN` item string (`id123~nmShirt~k0color~v0blue`).
+ * @param {string} value
+ * @returns {object}
+ */
+export function parseGa4Item(value) {
+  const item = {};
+  const customKeys = {};
+  const customValues = {};
+  String(value || '').split('~').filter(Boolean).forEach(token => {
+    const code = token.slice(0, 2);
+    const content = token.slice(2);
+    const custom = code.match(/^([kv])(\d)$/);
+    if (custom) {
+      (custom[1] === 'k' ? customKeys : customValues)[custom[2]] = content;
+      return;
+    }
+    item[GA4_ITEM_FIELDS[code] || code] = content;
+  });
+  Object.keys(customKeys).forEach(index => {
+    item[customKeys[index]] = customValues[index] ?? '';
+  });
+  return item;
+}
+
+/**
+ * Decode a GA4 `/g/collect` request into one entry per batched event.
+ * Each body line is an event; shared query parameters are merged into every event.
+ * @param {Array<{ key: string, value: string }>} queryParams
+ * @param {string} bodyText
+ * @returns {{ shared: Array<object>, events: Array<object> }}
+ */
+export function decodeGa4Collect(queryParams, bodyText) {
+  const shared = (queryParams || []).map(({ key, value }) => ({ key, value }));
+  const lines = String(bodyText || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const eventParams = lines.length ? lines.map(line => parseKeyValuePairs(line, true)) : [[]];
+  return {
+    shared: labelGa4Fields(shared).fields,
+    events: eventParams.map((own, index) => {
+      const merged = new Map(shared.map(({ key, value }) => [key, value]));
+      own.forEach(({ key, value }) => merged.set(key, value));
+      const event = decodeGa4Event([...merged].map(([key, value]) => ({ key, value })));
+      const ownKeys = new Set(own.map(({ key }) => key));
+      return {
+        ...event,
+        index,
+        ownFields: event.fields.filter(field => ownKeys.has(field.key))
+      };
+    })
+  };
+}
+
+/**
+ * Group and type the parameters of a single GA4 event.
+ * @param {Array<{ key: string, value: string }>} params
+ * @returns {object}
+ */
+function decodeGa4Event(params) {
+  const event = {
+    name: '',
+    eventParams: [],
+    userProperties: [],
+    items: [],
+    fields: [],
+    other: []
+  };
+  const rest = [];
+  params.forEach(({ key, value }) => {
+    if (key === 'en') {
+      event.name = value;
+      return;
+    }
+    const typed = key.match(/^(ep|epn|up|upn)\.(.+)$/);
+    if (typed) {
+      const numeric = typed[1].endsWith('n');
+      const number = Number(value);
+      const entry = {
+        key: typed[2],
+        value: numeric && value !== '' && Number.isFinite(number) ? number : value,
+        type: numeric ? 'number' : 'string'
+      };
+      (typed[1].startsWith('ep') ? event.eventParams : event.userProperties).push(entry);
+      return;
+    }
+    const item = key.match(/^pr(\d+)$/);
+    if (item) {
+      event.items.push({ key, index: Number(item[1]), item: parseGa4Item(value) });
+      return;
+    }
+    rest.push({ key, value });
+  });
+  event.items.sort((a, b) => a.index - b.index);
+  const labeled = labelGa4Fields(rest);
+  event.fields = labeled.fields;
+  event.other = labeled.other;
+  return event;
+}
+
+/**
+ * Split GA4 parameters into labeled core fields and the remainder.
+ * @param {Array<{ key: string, value: string }>} params
+ * @returns {{ fields: Array<{ key: string, label: string, value: string }>, other: Array<{ key: string, value: string }> }}
+ */
+function labelGa4Fields(params) {
+  const labels = new Map(GA4_FIELDS);
+  const fields = [];
+  const other = [];
+  params.forEach(({ key, value }) => {
+    if (labels.has(key)) {
+      fields.push({ key, label: labels.get(key), value });
+    } else {
+      other.push({ key, value });
+    }
+  });
+  fields.sort((a, b) => GA4_FIELDS.findIndex(([key]) => key === a.key) - GA4_FIELDS.findIndex(([key]) => key === b.key));
+  return { fields, other };
+}
+
+const SNOWPLOW_TP2_PATH = /\/com\.snowplowanalytics\.snowplow\/tp2$/;
+
+const SNOWPLOW_EVENT_TYPES = {
+  pv: 'Page view',
+  pp: 'Page ping',
+  ue: 'Self-describing event',
+  se: 'Structured event',
+  tr: 'Transaction',
+  ti: 'Transaction item'
+};
+
+const SNOWPLOW_FIELDS = [
+  ['e', 'Event type'],
+  ['eid', 'Event ID'],
+  ['aid', 'App ID'],
+  ['p', 'Platform'],
+  ['tv', 'Tracker version'],
+  ['tna', 'Tracker namespace'],
+  ['url', 'Page URL'],
+  ['page', 'Page title'],
+  ['refr', 'Referrer'],
+  ['duid', 'Domain user ID'],
+  ['sid', 'Session ID'],
+  ['vid', 'Session index'],
+  ['uid', 'User ID'],
+  ['nuid', 'Network user ID'],
+  ['dtm', 'Device timestamp'],
+  ['stm', 'Sent timestamp'],
+  ['ttm', 'True timestamp'],
+  ['tz', 'Time zone'],
+  ['lang', 'Language'],
+  ['cs', 'Charset'],
+  ['res', 'Screen resolution'],
+  ['vp', 'Viewport'],
+  ['ds', 'Document size'],
+  ['cd', 'Color depth'],
+  ['cookie', 'Cookies enabled'],
+  ['se_ca', 'Category'],
+  ['se_ac', 'Action'],
+  ['se_la', 'Label'],
+  ['se_pr', 'Property'],
+  ['se_va', 'Value'],
+  ['pp_mix', 'Min horizontal offset'],
+  ['pp_max', 'Max horizontal offset'],
+  ['pp_miy', 'Min vertical offset'],
+  ['pp_may', 'Max vertical offset'],
+  ['tr_id', 'Order ID'],
+  ['tr_af', 'Affiliation'],
+  ['tr_tt', 'Total'],
+  ['tr_tx', 'Tax'],
+  ['tr_sh', 'Shipping'],
+  ['tr_cu', 'Currency'],
+  ['ti_id', 'Item order ID'],
+  ['ti_sk', 'Item SKU'],
+  ['ti_nm', 'Item name'],
+  ['ti_ca', 'Item category'],
+  ['ti_pr', 'Item price'],
+  ['ti_qu', 'Item quantity']
+];
+
+/**
+ * Check whether a request is a Snowplow tracker hit (POST tp2 or GET `/i` pixel).
+ * @param {string} path
+ * @param {Array<{ key: string }>} [queryParams=[]]
+ * @returns {boolean}
+ */
+export function isSnowplowRequest(path, queryParams = []) {
+  if (typeof path !== 'string') return false;
+  if (SNOWPLOW_TP2_PATH.test(path)) return true;
+  if (!/\/i$/.test(path)) return false;
+  const keys = new Set((queryParams || []).map(param => param.key));
+  return keys.has('e') && keys.has('tv');
+}
+
+/**
+ * Split an Iglu schema URI (`iglu:vendor/name/format/version`) into its parts.
+ * @param {string} uri
+ * @returns {{ uri: string, vendor: string, name: string, format: string, version: string }}
+ */
+export function parseIgluUri(uri) {
+  const match = String(uri || '').match(/^iglu:([^/]+)\/([^/]+)\/([^/]+)\/([^/]+)$/);
+  return {
+    uri: uri || '',
+    vendor: match?.[1] || '',
+    name: match?.[2] || '',
+    format: match?.[3] || '',
+    version: match?.[4] || ''
+  };
+}
+
+/**
+ * Decode Snowplow tracker events from GET params or a tp2 POST body.
+ * @param {Array<{ key: string, value: string }>} queryParams
+ * @param {object|null} body parsed tp2 payload (`{ schema, data: [...] }`)
+ * @returns {{ schema: string, events: Array<object> }}
+ */
+export function decodeSnowplow(queryParams, body) {
+  if (body && Array.isArray(body.data)) {
+    return {
+      schema: body.schema || '',
+      events: body.data.map(item => decodeSnowplowEvent(Object.entries(item || {}).map(([key, value]) => ({ key, value: String(value) }))))
+    };
+  }
+  return { schema: '', events: [decodeSnowplowEvent(queryParams || [])] };
+}
+
+/**
+ * Decode one Snowplow event from its short-key parameters.
+ * @param {Array<{ key: string, value: string }>} params
+ * @returns {object}
+ */
+function decodeSnowplowEvent(params) {
+  const values = new Map(params.map(({ key, value }) => [key, value]));
+  const labels = new Map(SNOWPLOW_FIELDS);
+  const eventType = values.get('e') || '';
+  const selfDescribing = unwrapSelfDescribing(readSnowplowJson(values, 'ue_pr', 'ue_px'));
+  const contexts = readSnowplowJson(values, 'co', 'cx');
+  const fields = [];
+  const other = [];
+  SNOWPLOW_FIELDS.forEach(([key, label]) => {
+    if (!values.has(key)) return;
+    const value = values.get(key);
+    fields.push({ key, label, value: key === 'e' && SNOWPLOW_EVENT_TYPES[value] ? `${SNOWPLOW_EVENT_TYPES[value]} (${value})` : value });
+  });
+  values.forEach((value, key) => {
+    if (labels.has(key) || ['ue_pr', 'ue_px', 'co', 'cx'].includes(key)) return;
+    other.push({ key, value });
+  });
+  let label = SNOWPLOW_EVENT_TYPES[eventType] || eventType;
+  if (eventType === 'ue' && selfDescribing?.schema) label = parseIgluUri(selfDescribing.schema).name || selfDescribing.schema;
+  if (eventType === 'se' && values.get('se_ac')) label = `${values.get('se_ca') || ''}${values.get('se_ca') ? ' / ' : ''}${values.get('se_ac')}`;
+  return {
+    eventType,
+    label,
+    fields,
+    selfDescribing,
+    contexts: Array.isArray(contexts?.data) ? contexts.data.map(entry => ({ schema: entry?.schema || '', data: entry?.data })) : [],
+    other
+  };
+}
+
+/**
+ * Read a Snowplow JSON field from its plain (`ue_pr`/`co`) or base64 (`ue_px`/`cx`) key.
+ * @param {Map<string, string>} values
+ * @param {string} plainKey
+ * @param {string} encodedKey
+ * @returns {object|null}
+ */
+function readSnowplowJson(values, plainKey, encodedKey) {
+  if (values.has(plainKey)) return tryParseJson(values.get(plainKey));
+  if (!values.has(encodedKey)) return null;
+  const decoded = decodeBase64Text(String(values.get(encodedKey)).replace(/ /g, '+'));
+  return decoded ? tryParseJson(decoded.text) : null;
+}
+
+/**
+ * Unwrap the `unstruct_event` envelope into the inner self-describing JSON.
+ * @param {object|null} envelope
+ * @returns {{ schema: string, data: any }|null}
+ */
+function unwrapSelfDescribing(envelope) {
+  if (!envelope) return null;
+  const inner = envelope.data && typeof envelope.data === 'object' && envelope.data.schema ? envelope.data : envelope;
+  return { schema: inner.schema || '', data: inner.data };
+}
+
+const TARGET_PATH = /\/(rest\/v1\/delivery|mbox\/json)$/;
+
+const EDGE_INTERACT_PATH = /\/v\d+\/interact$/;
+
+/**
+ * Check whether a path is an Adobe Target Delivery API or legacy `mbox/json` call.
+ * @param {string} path
+ * @returns {boolean}
+ */
+export function isTargetPath(path) {
+  return typeof path === 'string' && TARGET_PATH.test(path);
+}
+
+/**
+ * Check whether a path is an Edge Network `interact` call, the only Edge call that returns decisions.
+ * @param {string} path
+ * @returns {boolean}
+ */
+export function isEdgeInteractPath(path) {
+  return typeof path === 'string' && EDGE_INTERACT_PATH.test(path);
+}
+
+/**
+ * Decode the requested mboxes and delivered activities of an Adobe Target call.
+ * Activity, experience and offer names come from response tokens, so they are
+ * only present when those tokens are enabled in the Target account.
+ * @param {Array<{ key: string, value: string }>} queryParams
+ * @param {object|null} requestBody parsed Delivery API request
+ * @param {object|null} responseBody parsed Delivery API or mbox/json response
+ * @returns {{ requested: Array<{ scope: string, mode: string }>, delivered: Array<object> }}
+ */
+export function decodeTarget(queryParams, requestBody, responseBody) {
+  const requested = [];
+  const delivered = [];
+  ['execute', 'prefetch'].forEach(mode => {
+    const section = requestBody?.[mode];
+    if (!section) return;
+    if (section.pageLoad) requested.push({ scope: '__view__', mode });
+    (section.mboxes || []).forEach(mbox => requested.push({ scope: mbox?.name || '', mode }));
+    (section.views || []).forEach(view => requested.push({ scope: view?.name || '__view__', mode }));
+  });
+  const mboxParam = (queryParams || []).find(param => param.key === 'mbox');
+  if (!requested.length && mboxParam) requested.push({ scope: mboxParam.value, mode: 'execute' });
+
+  ['execute', 'prefetch'].forEach(mode => {
+    const section = responseBody?.[mode];
+    if (!section) return;
+    const collect = (scope, options) => (options || []).forEach(option => {
+      delivered.push(createDelivery(scope, mode, option?.responseTokens, option?.type || ''));
+    });
+    if (section.pageLoad) collect('__view__', section.pageLoad.options);
+    (section.mboxes || []).forEach(mbox => collect(mbox?.name || '', mbox?.options));
+    (section.views || []).forEach(view => collect(view?.name || '__view__', view?.options));
+  });
+  if (!delivered.length && Array.isArray(responseBody?.offers)) {
+    responseBody.offers.forEach(offer => {
+      delivered.push(createDelivery(mboxParam?.value || '', 'execute', offer?.responseTokens, offer?.type || ''));
+    });
+  }
+  return { requested, delivered };
+}
+
+/**
+ * Decode the personalization scopes requested by an Edge call and the
+ * `personalization:decisions` returned in its response handles.
+ * @param {object|null} requestBody parsed Edge request
+ * @param {object|null} responseBody parsed Edge response
+ * @returns {{ requested: Array<{ scope: string, mode: string }>, delivered: Array<object> }}
+ */
+export function decodeEdgePersonalization(requestBody, responseBody) {
+  const requested = [];
+  const delivered = [];
+  (requestBody?.events || []).forEach(event => {
+    const personalization = event?.query?.personalization;
+    if (!personalization) return;
+    (personalization.decisionScopes || []).forEach(scope => requested.push({ scope: String(scope), mode: 'decision' }));
+    (personalization.surfaces || []).forEach(surface => requested.push({ scope: String(surface), mode: 'surface' }));
+  });
+  (responseBody?.handle || []).forEach(handle => {
+    if (handle?.type !== 'personalization:decisions') return;
+    (handle.payload || []).forEach(proposition => {
+      const details = proposition?.scopeDetails || {};
+      const items = Array.isArray(proposition?.items) && proposition.items.length ? proposition.items : [null];
+      items.forEach(item => {
+        const tokens = item?.meta || {};
+        const entry = createDelivery(proposition?.scope || '', details.decisionProvider || 'decision', tokens, String(item?.schema || '').split('/').pop());
+        if (!entry.activity.id) entry.activity.id = String(details.activity?.id ?? '');
+        if (!entry.experience.id) entry.experience.id = String(details.experience?.id ?? '');
+        if (!entry.offer.id) entry.offer.id = String(item?.data?.id ?? item?.id ?? '');
+        delivered.push(entry);
+      });
+    });
+  });
+  return { requested, delivered };
+}
+
+/**
+ * Build a delivered-offer row from Target response tokens.
+ * @param {string} scope
+ * @param {string} mode
+ * @param {object} [tokens]
+ * @param {string} [type]
+ * @returns {{ scope: string, mode: string, activity: object, experience: object, offer: object, type: string }}
+ */
+function createDelivery(scope, mode, tokens = {}, type = '') {
+  const read = key => (tokens && tokens[key] !== undefined && tokens[key] !== null ? String(tokens[key]) : '');
+  return {
+    scope,
+    mode,
+    activity: { id: read('activity.id'), name: read('activity.name') },
+    experience: { id: read('experience.id'), name: read('experience.name') },
+    offer: { id: read('offer.id'), name: read('offer.name') },
+    type
+  };
+}
@@ -0,0 +1,269 @@
+const DB_NAME = 'launch-observer';
+const DB_VERSION = 3;
+const REQUEST_STORE = 'requests';
+const PAGE_EVENT_STORE = 'pageEvents';
+
+export const REQUEST_PAGE_SIZE = 500;
+
+let dbPromise = null;
+
+/**
+ * Resolve an IDBRequest as a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve once a transaction has committed.
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Approximate the stored size of an entry by the length of its JSON form.
+ * @param {object} entry
+ * @returns {number}
+ */
+export function getRequestSize(entry) {
+  return JSON.stringify(entry).length;
+}
+
+/**
+ * Key range covering every request of one session on the session/time index.
+ * @param {string} sessionId
+ * @returns {IDBKeyRange}
+ */
+function sessionRange(sessionId) {
+  return IDBKeyRange.bound([sessionId, -Infinity], [sessionId, Infinity]);
+}
+
+/**
+ * Open the request database. Requests are keyed by [sessionId, id] and indexed by
+ * session and capture time so a session can be read or paged without touching others.
+ * Version 2 drops the global `timeStamp` index, unused since retention works per session.
+ * Version 3 adds the page event store, keyed by event id.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openRequestStore() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = event => {
+        const db = request.result;
+        const store = db.objectStoreNames.contains(REQUEST_STORE)
+          ? request.transaction.objectStore(REQUEST_STORE)
+          : db.createObjectStore(REQUEST_STORE, { keyPath: ['sessionId', 'id'] });
+        if (!store.indexNames.contains('sessionTime')) store.createIndex('sessionTime', ['sessionId', 'timeStamp']);
+        if (event.oldVersion < 2 && store.indexNames.contains('timeStamp')) store.deleteIndex('timeStamp');
+        if (!db.objectStoreNames.contains(PAGE_EVENT_STORE)) {
+          db.createObjectStore(PAGE_EVENT_STORE, { keyPath: 'id' }).createIndex('sessionId', 'sessionId');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Write (insert or replace) request entries.
+ * @param {Array<object>} entries
+ * @returns {Promise<void>}
+ */
+export async function putRequests(entries) {
+  if (!entries.length) return;
+  const db = await openRequestStore();
+  const tx = db.transaction(REQUEST_STORE, 'readwrite');
+  const store = tx.objectStore(REQUEST_STORE);
+  entries.forEach(entry => store.put(entry));
+  await transactionDone(tx);
+}
+
+/**
+ * Delete every request of a session.
+ * @param {string} sessionId
+ * @returns {Promise<void>}
+ */
+export async function deleteSessionRequests(sessionId) {
+  const db = await openRequestStore();
+  const tx = db.transaction(REQUEST_STORE, 'readwrite');
+  tx.objectStore(REQUEST_STORE).delete(IDBKeyRange.bound([sessionId], [sessionId, []]));
+  await transactionDone(tx);
+}
+
+/**
+ * Delete the oldest requests of a session.
+ * @param {string} sessionId
+ * @param {number} count
+ * @returns {Promise<Array<{ sessionId: string, id: string, bytes: number }>>} the deleted entries and their approximate size
+ */
+export async function deleteOldestSessionRequests(sessionId, count) {
+  if (count <= 0) return [];
+  const db = await openRequestStore();
+  const tx = db.transaction(REQUEST_STORE, 'readwrite');
+  const removed = [];
+  const cursorRequest = tx.objectStore(REQUEST_STORE).index('sessionTime').openCursor(sessionRange(sessionId));
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (!cursor || removed.length >= count) return;
+    removed.push({ sessionId, id: cursor.value.id, bytes: getRequestSize(cursor.value) });
+    cursor.delete();
+    cursor.continue();
+  };
+  await transactionDone(tx);
+  return removed;
+}
+
+/**
+ * Delete all stored requests and page events.
+ * @returns {Promise<void>}
+ */
+export async function clearRequestStore() {
+  const db = await openRequestStore();
+  const tx = db.transaction([REQUEST_STORE, PAGE_EVENT_STORE], 'readwrite');
+  tx.objectStore(REQUEST_STORE).clear();
+  tx.objectStore(PAGE_EVENT_STORE).clear();
+  await transactionDone(tx);
+}
+
+/**
+ * Write page events. Events do not change once recorded, so they are only ever added.
+ * @param {Array<object>} events
+ * @returns {Promise<void>}
+ */
+export async function putPageEvents(events) {
+  if (!events.length) return;
+  const db = await openRequestStore();
+  const tx = db.transaction(PAGE_EVENT_STORE, 'readwrite');
+  const store = tx.objectStore(PAGE_EVENT_STORE);
+  events.forEach(event => store.put(event));
+  await transactionDone(tx);
+}
+
+/**
+ * Delete page events by id.
+ * @param {Array<string>} ids
+ * @returns {Promise<void>}
+ */
+export async function deletePageEvents(ids) {
+  if (!ids.length) return;
+  const db = await openRequestStore();
+  const tx = db.transaction(PAGE_EVENT_STORE, 'readwrite');
+  const store = tx.objectStore(PAGE_EVENT_STORE);
+  ids.forEach(id => store.delete(id));
+  await transactionDone(tx);
+}
+
+/**
+ * Delete every page event of a session.
+ * @param {string} sessionId
+ * @returns {Promise<void>}
+ */
+export async function deleteSessionPageEvents(sessionId) {
+  const db = await openRequestStore();
+  const tx = db.transaction(PAGE_EVENT_STORE, 'readwrite');
+  const cursorRequest = tx.objectStore(PAGE_EVENT_STORE).index('sessionId').openKeyCursor(IDBKeyRange.only(sessionId));
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (!cursor) return;
+    tx.objectStore(PAGE_EVENT_STORE).delete(cursor.primaryKey);
+    cursor.continue();
+  };
+  await transactionDone(tx);
+}
+
+/**
+ * Read every stored page event, oldest first.
+ * @returns {Promise<Array<object>>}
+ */
+export async function getPageEvents() {
+  const db = await openRequestStore();
+  const events = await promisifyRequest(db.transaction(PAGE_EVENT_STORE).objectStore(PAGE_EVENT_STORE).getAll());
+  return events.sort((a, b) => (a.timeStamp || 0) - (b.timeStamp || 0));
+}
+
+/**
+ * Read every request of a session, oldest first.
+ * @param {string} sessionId
+ * @returns {Promise<Array<object>>}
+ */
+export async function getSessionRequests(sessionId) {
+  const db = await openRequestStore();
+  const index = db.transaction(REQUEST_STORE).objectStore(REQUEST_STORE).index('sessionTime');
+  return promisifyRequest(index.getAll(sessionRange(sessionId)));
+}
+
+/**
+ * Count a session's stored requests and their approximate size.
+ * @param {string} sessionId
+ * @returns {Promise<{ count: number, bytes: number }>}
+ */
+export async function getSessionUsage(sessionId) {
+  const db = await openRequestStore();
+  const cursorRequest = db.transaction(REQUEST_STORE).objectStore(REQUEST_STORE).index('sessionTime').openCursor(sessionRange(sessionId));
+  const usage = { count: 0, bytes: 0 };
+  return new Promise((resolve, reject) => {
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) {
+        resolve(usage);
+        return;
+      }
+      usage.count += 1;
+      usage.bytes += getRequestSize(cursor.value);
+      cursor.continue();
+    };
+    cursorRequest.onerror = () => reject(cursorRequest.error);
+  });
+}
+
+/**
+ * Read one page of a session's requests, counting back from the newest.
+ * `offset` skips that many of the newest requests (the ones already loaded).
+ * @param {string} sessionId
+ * @param {{ offset?: number, limit?: number }} [options]
+ * @returns {Promise<Array<object>>} the page, oldest first
+ */
+export async function querySessionRequests(sessionId, { offset = 0, limit = REQUEST_PAGE_SIZE } = {}) {
+  const db = await openRequestStore();
+  const index = db.transaction(REQUEST_STORE).objectStore(REQUEST_STORE).index('sessionTime');
+  const page = [];
+  const cursorRequest = index.openCursor(sessionRange(sessionId), 'prev');
+  let skipped = offset <= 0;
+  return new Promise((resolve, reject) => {
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!skipped) {
+        skipped = true;
+        if (cursor) {
+          cursor.advance(offset);
+          return;
+        }
+      }
+      if (!cursor || page.length >= limit) {
+        resolve(page.reverse());
+        return;
+      }
+      page.push(cursor.value);
+      cursor.continue();
+    };
+    cursorRequest.onerror = () => reject(cursorRequest.error);
+  });
+}
@@ -4,6 +4,7 @@ export const SERVICE_CATALOG = [
     name: 'Adobe Edge',
     category: 'analytics',
     domains: ['edge.adobedc.net'],
+    signatures: [{ path: '/v1/(interact|collect)$', query: ['configId'] }],
     brandColor: '#FF0000',
     default: true
   },
@@ -12,6 +13,19 @@ export const SERVICE_CATALOG = [
     name: 'Adobe Analytics',
     category: 'analytics',
     domains: ['omtrdc.net', '2o7.net'],
+    signatures: [{ path: '^/b/ss/' }],
+    brandColor: '#FF0000',
+    default: false
+  },
+  {
+    id: 'adobe-target',
+    name: 'Adobe Target',
+    category: 'personalization',
+    domains: ['tt.omtrdc.net'],
+    signatures: [
+      { path: '/rest/v1/delivery$', query: ['client'] },
+      { path: '/mbox/json$', query: ['mbox'] }
+    ],
     brandColor: '#FF0000',
     default: false
   },
@@ -20,6 +34,7 @@ export const SERVICE_CATALOG = [
     name: 'Google Analytics',
     category: 'analytics',
     domains: ['google-analytics.com', 'analytics.google.com'],
+    signatures: [{ path: '/g/collect$', query: ['tid'] }],
     brandColor: '#F9AB00',
     default: false
   },
@@ -116,9 +131,31 @@ export const SERVICE_CATALOG = [
     name: 'Segment',
     category: 'cdp',
     domains: ['segment.com', 'segment.io'],
+    signatures: [{ path: '/v1/(t|p|i|g|a|m)$', body: ['writeKey', 'anonymousId', 'type'] }],
     brandColor: '#52BD95',
     default: false
   },
+  {
+    id: 'rudderstack',
+    name: 'RudderStack',
+    category: 'cdp',
+    domains: ['rudderstack.com', 'rudderlabs.com'],
+    signatures: [{ path: '/v1/(track|page|identify|group|alias|screen)$', body: ['anonymousId', 'type', 'channel'] }],
+    brandColor: '#0D0C22',
+    default: false
+  },
+  {
+    id: 'snowplow',
+    name: 'Snowplow',
+    category: 'analytics',
+    domains: ['snowplowanalytics.com'],
+    signatures: [
+      { path: '/com\\.snowplowanalytics\\.snowplow/tp2$' },
+      { path: '/i$', query: ['e', 'tv'] }
+    ],
+    brandColor: '#6638B6',
+    default: false
+  },
   {
     id: 'mixpanel',
     name: 'Mixpanel',
@@ -187,7 +224,27 @@ export function resolveServiceForDomain(domain, mappings = []) {
       };
     }
   }
-  return SERVICE_CATALOG.find(service => service.domains.some(serviceDomain => domainMatches(domain, serviceDomain))) || null;
+  return findServiceForDomain(domain);
+}
+
+/**
+ * Find the catalog service with the longest matching domain, so nested domains
+ * (e.g. `tt.omtrdc.net` for Target) win over their parents (`omtrdc.net`).
+ * @param {string} domain
+ * @returns {object|null}
+ */
+function findServiceForDomain(domain) {
+  let match = null;
+  let matchLength = 0;
+  SERVICE_CATALOG.forEach(service => {
+    service.domains.forEach(serviceDomain => {
+      if (serviceDomain.length > matchLength && domainMatches(domain, serviceDomain)) {
+        match = service;
+        matchLength = serviceDomain.length;
+      }
+    });
+  });
+  return match;
 }
 
 /**
@@ -201,6 +258,103 @@ export function resolveServiceIdForDomain(domain, mappings = []) {
   return service ? service.id : null;
 }
 
+/**
+ * Compile path/query/body signatures once so URL checks do not rebuild their regular expressions.
+ * `path` is a regular expression tested against the URL path, every `query` key must be present
+ * and every `body` key must be a top-level key of the JSON request body. Body keys let paths
+ * that are too generic on their own (Segment's `/v1/t`) match proxies on any host.
+ * @param {Array<{ path?: string, query?: Array<string>, body?: Array<string> }>} signatures
+ * @returns {Array<{ path: RegExp|null, query: Array<string>, body: Array<string> }>}
+ */
+export function compileSignatures(signatures) {
+  return (Array.isArray(signatures) ? signatures : []).map(signature => ({
+    path: signature.path ? new RegExp(signature.path) : null,
+    query: Array.isArray(signature.query) ? signature.query : [],
+    body: Array.isArray(signature.body) ? signature.body : []
+  }));
+}
+
+/**
+ * Check whether a request matches any compiled signature. The body is only read, once,
+ * when a signature with body keys matches the URL, so unrelated bodies are never parsed.
+ * @param {Array<{ path: RegExp|null, query: Array<string>, body: Array<string> }>} compiled
+ * @param {string} url
+ * @param {() => any} [readBody] returns the parsed JSON request body, or null
+ * @returns {boolean}
+ */
+export function matchesSignatures(compiled, url, readBody = null) {
+  if (!compiled.length || !url) return false;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  let body;
+  return compiled.some(signature => {
+    if (signature.path && !signature.path.test(parsed.pathname)) return false;
+    if (!signature.query.every(key => parsed.searchParams.has(key))) return false;
+    if (!signature.body.length) return true;
+    if (body === undefined) body = readBody?.() ?? null;
+    return !!body && typeof body === 'object' && !Array.isArray(body) && signature.body.every(key => key in body);
+  });
+}
+
+const CATALOG_SIGNATURES = SERVICE_CATALOG
+  .filter(service => service.signatures)
+  .map(service => ({ service, compiled: compileSignatures(service.signatures) }));
+
+/**
+ * Resolve a service catalog entry from path/query/body signatures alone.
+ * @param {string} url
+ * @param {() => any} [readBody] see matchesSignatures
+ * @returns {object|null}
+ */
+export function resolveServiceBySignature(url, readBody = null) {
+  return CATALOG_SIGNATURES.find(entry => matchesSignatures(entry.compiled, url, readBody))?.service || null;
+}
+
+/**
+ * Resolve a service for a request: domain (and custom mappings) first, then signatures.
+ * @param {string} url
+ * @param {Array<object>} mappings
+ * @param {() => any} [readBody] see matchesSignatures
+ * @returns {object|null}
+ */
+export function resolveServiceForRequest(url, mappings = [], readBody = null) {
+  let domain = '';
+  try {
+    domain = new URL(url).hostname;
+  } catch {
+    return null;
+  }
+  return resolveServiceForDomain(domain, mappings) || resolveServiceBySignature(url, readBody);
+}
+
+/**
+ * Resolve a service ID for a request.
+ * @param {string} url
+ * @param {Array<object>} mappings
+ * @param {() => any} [readBody] see matchesSignatures
+ * @returns {string|null}
+ */
+export function resolveServiceIdForRequest(url, mappings = [], readBody = null) {
+  const service = resolveServiceForRequest(url, mappings, readBody);
+  return service ? service.id : null;
+}
+
+/**
+ * Collect signatures for services whose domains are in the allowlist.
+ * @param {Array<string>} allowlist
+ * @returns {Array<object>}
+ */
+export function getSignaturesForAllowlist(allowlist) {
+  const entries = (Array.isArray(allowlist) ? allowlist : []).map(entry => entry.trim()).filter(Boolean);
+  return SERVICE_CATALOG
+    .filter(service => service.signatures && service.domains.some(domain => entries.some(entry => domainMatches(entry, domain))))
+    .flatMap(service => service.signatures);
+}
+
 /**
  * Create a stable hash for IDs.
  * @param {string} value
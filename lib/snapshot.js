@@ -0,0 +1,63 @@
+export const DEFAULT_SNAPSHOT_KEYS = {
+  cookies: ['AMCV_*', 'AMCVS_*', 's_ecid', 'kndctr_*', '_ga', '_ga_*', '_fbp', '_gcl_au'],
+  storage: ['com.adobe.*', 'kndctr_*', 'mbox*', '_ga*']
+};
+
+export const SNAPSHOT_STORES = [
+  ['cookies', 'Cookie'],
+  ['localStorage', 'localStorage'],
+  ['sessionStorage', 'sessionStorage']
+];
+
+/**
+ * Check a cookie or storage key against patterns; `*` matches any run of characters.
+ * @param {string} key
+ * @param {Array<string>} patterns
+ * @returns {boolean}
+ */
+export function matchesKeyPattern(key, patterns) {
+  return (patterns || []).some(pattern => {
+    if (!pattern) return false;
+    if (!pattern.includes('*')) return pattern === key;
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(key);
+  });
+}
+
+/**
+ * Normalize configured snapshot keys, falling back to the defaults.
+ * @param {object} [keys]
+ * @returns {{ cookies: Array<string>, storage: Array<string> }}
+ */
+export function normalizeSnapshotKeys(keys) {
+  const clean = list => (Array.isArray(list) ? list : []).map(item => String(item || '').trim()).filter(Boolean);
+  return {
+    cookies: Array.isArray(keys?.cookies) ? clean(keys.cookies) : [...DEFAULT_SNAPSHOT_KEYS.cookies],
+    storage: Array.isArray(keys?.storage) ? clean(keys.storage) : [...DEFAULT_SNAPSHOT_KEYS.storage]
+  };
+}
+
+/**
+ * Compare two page snapshots key by key.
+ * @param {object|null} previous snapshot data of the prior page (null for the first page)
+ * @param {object} current
+ * @returns {Array<{ store: string, key: string, status: string, before: string|null, after: string|null }>}
+ */
+export function diffSnapshots(previous, current) {
+  const rows = [];
+  SNAPSHOT_STORES.forEach(([store]) => {
+    const before = previous?.[store] || {};
+    const after = current?.[store] || {};
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    keys.forEach(key => {
+      const had = Object.prototype.hasOwnProperty.call(before, key);
+      const has = Object.prototype.hasOwnProperty.call(after, key);
+      let status = 'same';
+      if (previous && !had) status = 'added';
+      else if (previous && !has) status = 'removed';
+      else if (previous && before[key] !== after[key]) status = 'changed';
+      rows.push({ store, key, status, before: had ? before[key] : null, after: has ? after[key] : null });
+    });
+  });
+  return rows;
+}
@@ -0,0 +1,94 @@
+export const TAGS_EMBED_REGEX = '^https://assets\\.adobedtm\\.com/.+/launch-[^/?#]+\\.min\\.js';
+export const TAGS_SWITCH_RULE_BASE = 1000;
+
+/**
+ * Check that a URL can be used as a replacement Tags library.
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isTagsLibraryUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' && parsed.pathname.endsWith('.js');
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Normalize stored Tags environment switch entries.
+ * @param {Array<object>} switches
+ * @returns {Array<{ site: string, pageDomain: string, libraryUrl: string, enabled: boolean }>}
+ */
+export function normalizeTagsSwitches(switches) {
+  if (!Array.isArray(switches)) return [];
+  return switches
+    .map(entry => ({
+      site: String(entry?.site || '').trim(),
+      pageDomain: String(entry?.pageDomain || '').trim().toLowerCase(),
+      libraryUrl: String(entry?.libraryUrl || '').trim(),
+      enabled: !!entry?.enabled
+    }))
+    .filter(entry => entry.site && entry.pageDomain && isTagsLibraryUrl(entry.libraryUrl));
+}
+
+/**
+ * Build declarativeNetRequest rules for enabled switches.
+ * Each switch gets a redirect for the production embed and a higher-priority
+ * allow rule so the replacement library is not redirected again.
+ * @param {Array<object>} switches
+ * @returns {Array<object>}
+ */
+export function buildTagsSwitchRules(switches) {
+  const rules = [];
+  normalizeTagsSwitches(switches).filter(entry => entry.enabled).forEach((entry, index) => {
+    const id = TAGS_SWITCH_RULE_BASE + index * 2;
+    rules.push({
+      id,
+      priority: 1,
+      action: { type: 'redirect', redirect: { url: entry.libraryUrl } },
+      condition: {
+        regexFilter: TAGS_EMBED_REGEX,
+        initiatorDomains: [entry.pageDomain],
+        resourceTypes: ['script']
+      }
+    });
+    rules.push({
+      id: id + 1,
+      priority: 2,
+      action: { type: 'allow' },
+      condition: {
+        urlFilter: `|${entry.libraryUrl}|`,
+        initiatorDomains: [entry.pageDomain],
+        resourceTypes: ['script']
+      }
+    });
+  });
+  return rules;
+}
+
+/**
+ * Find the enabled switch for a session site.
+ * @param {Array<object>} switches
+ * @param {string} site
+ * @returns {object|null}
+ */
+export function getActiveTagsSwitch(switches, site) {
+  if (!site) return null;
+  return normalizeTagsSwitches(switches).find(entry => entry.enabled && entry.site === site) || null;
+}
+
+/**
+ * Derive a short label (development/staging/file name) for a library URL.
+ * @param {string} url
+ * @returns {string}
+ */
+export function getTagsLibraryLabel(url) {
+  const match = String(url || '').match(/launch-[^/]*?-(development|staging)\.min\.js/i);
+  if (match) return match[1].toLowerCase();
+  try {
+    return new URL(url).pathname.split('/').pop() || url;
+  } catch {
+    return url || '';
+  }
+}
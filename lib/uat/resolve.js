@@ -1,4 +1,4 @@
-import { parseKeyValuePairs, tryParseJson } from '../parse.js';
+import { parseKeyValuePairs, parseProductsString, tryParseJson } from '../parse.js';
 
 /**
  * Resolve condition value(s) from a request.
@@ -34,9 +34,36 @@ export function resolveConditionValue(condition, request) {
     return { used: raw.length > 0, values: [raw] };
   }
 
+  if (source === 'products') {
+    const rows = parseProductsString(getHitParamValue(request, 'products'));
+    if (!rows.length) return { used: false, values: [] };
+    const values = !path || path.startsWith('[')
+      ? normalizeValues(getValueAtPath(rows, path))
+      : rows.flatMap(row => normalizeValues(getValueAtPath(row, path)));
+    return { used: values.length > 0, values };
+  }
+
   return { used: false, values: [] };
 }
 
+/**
+ * Read a hit parameter from the query string or a form-encoded body.
+ * @param {object} request
+ * @param {string} key
+ * @returns {string}
+ */
+function getHitParamValue(request, key) {
+  const params = (request.query && request.query.params) || [];
+  const match = params.find(p => p.key === key);
+  if (match) return match.value;
+  const payload = getPayloadObject(request);
+  if (!payload) return '';
+  if (Array.isArray(payload.params)) {
+    return payload.params.find(p => p.key === key)?.value || '';
+  }
+  return typeof payload[key] === 'string' ? payload[key] : '';
+}
+
 /**
  * Convert request body into a traversable object.
  * @param {object} request
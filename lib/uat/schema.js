@@ -376,6 +376,20 @@ export function buildUatTemplate(siteId = 'example-site') {
           }
         ]
       },
+      {
+        id: 'products-sku-present',
+        title: 'Products include a SKU',
+        description: 'Example using products source (parsed Adobe Analytics products string).',
+        conditionsLogic: 'all',
+        conditions: [],
+        validations: [
+          {
+            source: 'products',
+            path: 'product',
+            operator: 'exists'
+          }
+        ]
+      },
       {
         id: 'pageview-at-least-once',
         title: 'Pageview fires at least once',
@@ -1,6 +1,7 @@
 import { elements, state } from './state.js';
 import { escapeHtml, setHTML } from './utils.js';
-import { SERVICE_CATALOG, domainMatches, getMappingForDomain, resolveServiceForDomain } from '../../lib/services.js';
+import { SERVICE_CATALOG, domainMatches, getMappingForDomain, resolveServiceForRequest } from '../../lib/services.js';
+import { isTagsLibraryUrl } from '../../lib/tags-switch.js';
 
 export const DEFAULT_SERVICE_IDS = SERVICE_CATALOG.filter(service => service.default).map(service => service.id);
 export const DEFAULT_ALLOWLIST = buildAllowlistFromServices(DEFAULT_SERVICE_IDS);
@@ -168,6 +169,84 @@ export function createAllowlistRow(value = '', mapping = null) {
   return row;
 }
 
+/**
+ * Render Tags environment switch rows.
+ * @param {Array<object>} switches
+ */
+export function renderTagsSwitchFields(switches) {
+  const list = elements.tagsSwitchFields;
+  if (!list) return;
+  list.replaceChildren();
+  const datalist = document.createElement('datalist');
+  datalist.id = 'tags-switch-sites';
+  setHTML(datalist, state.sites.filter(Boolean).map(site => `<option value="${escapeHtml(site)}"></option>`).join(''));
+  list.appendChild(datalist);
+  (Array.isArray(switches) ? switches : []).forEach(entry => {
+    list.appendChild(createTagsSwitchRow(entry));
+  });
+}
+
+/**
+ * Create a single Tags environment switch row element.
+ * @param {object} [entry={}]
+ * @returns {HTMLDivElement}
+ */
+export function createTagsSwitchRow(entry = {}) {
+  const row = document.createElement('div');
+  row.className = 'flex flex-col gap-2 rounded border p-3';
+  row.setAttribute('data-tags-switch-row', 'true');
+  const enabled = entry.enabled === undefined ? true : !!entry.enabled;
+  setHTML(row, `
+    <div class="flex flex-wrap items-center gap-2">
+      <input data-tags-site list="tags-switch-sites" class="flex-1 min-w-[160px] border rounded px-3 py-2 text-sm" value="${escapeHtml(entry.site || '')}" placeholder="Site" />
+      <input data-tags-page-domain class="flex-1 min-w-[160px] border rounded px-3 py-2 text-sm" value="${escapeHtml(entry.pageDomain || '')}" placeholder="Page domain, e.g. www.example.com" />
+    </div>
+    <input data-tags-library class="border rounded px-3 py-2 text-sm" value="${escapeHtml(entry.libraryUrl || '')}" placeholder="https://assets.adobedtm.com/…/launch-…-staging.min.js" />
+    <div class="flex items-center justify-between gap-2">
+      <label class="flex items-center gap-2 text-xs text-slate-700">
+        <input data-tags-enabled type="checkbox" ${enabled ? 'checked' : ''} />
+        Enabled
+      </label>
+      <button type="button" class="text-xs underline text-rose-700">Remove</button>
+    </div>
+  `);
+  const siteInput = row.querySelector('input[data-tags-site]');
+  const domainInput = row.querySelector('input[data-tags-page-domain]');
+  if (siteInput && domainInput) {
+    siteInput.addEventListener('change', () => {
+      if (!domainInput.value.trim() && /^[a-z0-9.-]+\.[a-z]{2,}$/i.test(siteInput.value.trim())) {
+        domainInput.value = siteInput.value.trim();
+      }
+    });
+  }
+  row.querySelector('button')?.addEventListener('click', () => {
+    row.remove();
+  });
+  return row;
+}
+
+/**
+ * Read Tags environment switch rows from the dialog.
+ * @returns {{ switches: Array<object>, invalid: number }}
+ */
+export function readTagsSwitchFields() {
+  const rows = Array.from(elements.tagsSwitchFields?.querySelectorAll('[data-tags-switch-row]') || []);
+  let invalid = 0;
+  const switches = rows.map(row => {
+    const site = row.querySelector('input[data-tags-site]')?.value.trim() || '';
+    const pageDomain = row.querySelector('input[data-tags-page-domain]')?.value.trim().toLowerCase() || '';
+    const libraryUrl = row.querySelector('input[data-tags-library]')?.value.trim() || '';
+    const enabled = !!row.querySelector('input[data-tags-enabled]')?.checked;
+    if (!site && !pageDomain && !libraryUrl) return null;
+    if (!site || !pageDomain || !isTagsLibraryUrl(libraryUrl)) {
+      invalid += 1;
+      return null;
+    }
+    return { site, pageDomain, libraryUrl, enabled };
+  }).filter(Boolean);
+  return { switches, invalid };
+}
+
 /**
  * Get service IDs matching the allowlist.
  * @param {Array<string>} allowlist
@@ -261,19 +340,19 @@ export function isDomainCovered(domain, serviceDomains) {
  * @returns {string}
  */
 export function renderServiceIcon(req) {
-  const service = getServiceForDomain(req.domain);
+  const service = getServiceForRequest(req);
   if (service) return renderServiceBadge(service);
   const category = getCategoryFallback(req);
   return renderCategoryBadge(category);
 }
 
 /**
- * Resolve a service catalog entry for a domain.
- * @param {string} domain
+ * Resolve a service catalog entry for a request (domain first, then path/query/body signatures).
+ * @param {object} req
  * @returns {object|null}
  */
-export function getServiceForDomain(domain) {
-  return resolveServiceForDomain(domain, state.settings?.serviceMappings || []);
+export function getServiceForRequest(req) {
+  return resolveServiceForRequest(req.url, state.settings?.serviceMappings || [], () => (req.body?.type === 'json' ? req.body.parsed : null));
 }
 
 /**
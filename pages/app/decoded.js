@@ -0,0 +1,338 @@
+import { state } from './state.js';
+import { highlightText } from './utils.js';
+import { renderDetailSection, renderJson, renderKeyValueTable, tryParseFormEncoded } from './payload.js';
+import { decodeAppMeasurement, decodeEdgePersonalization, decodeGa4Collect, decodeSnowplow, decodeTarget, isAppMeasurementPath, isEdgeInteractPath, isGa4CollectPath, isSnowplowRequest, isTargetPath, tryParseJson } from '../../lib/parse.js';
+
+/**
+ * Collect hit parameters from the query string and a form-encoded body.
+ * @param {object} req
+ * @returns {Array<{ key: string, value: string }>}
+ */
+export function getHitParams(req) {
+  const params = [...(req?.query?.params || [])];
+  const body = req?.body;
+  if (Array.isArray(body?.parsed?.params)) {
+    params.push(...body.parsed.params);
+  } else if (body?.type === 'text' && body.raw) {
+    const form = tryParseFormEncoded(body.raw);
+    if (form) params.push(...form.params);
+  }
+  return params;
+}
+
+/**
+ * Read the request body as text, rebuilding it from form params when only those were captured.
+ * @param {object} req
+ * @returns {string}
+ */
+function getBodyText(req) {
+  const body = req?.body;
+  if (!body) return '';
+  if (typeof body.raw === 'string' && body.raw) return body.raw;
+  if (Array.isArray(body.parsed?.params)) {
+    return body.parsed.params.map(({ key, value }) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`).join('&');
+  }
+  return '';
+}
+
+/**
+ * Read a JSON request body, parsing the raw text when it was captured as plain text.
+ * @param {object} req
+ * @returns {object|null}
+ */
+function getBodyJson(req) {
+  if (req?.body?.type === 'json' && req.body.parsed) return req.body.parsed;
+  return tryParseJson(getBodyText(req));
+}
+
+/**
+ * Read a hooked JSON response body.
+ * @param {object} req
+ * @returns {object|null}
+ */
+function getResponseJson(req) {
+  const response = req?.response;
+  if (!response) return null;
+  if (response.parsed && typeof response.parsed === 'object') return response.parsed;
+  return response.raw ? tryParseJson(response.raw) : null;
+}
+
+/**
+ * Decode a request with a service-specific decoder, when one applies.
+ * @param {object} req
+ * @returns {{ kind: string, label: string, data: object }|null}
+ */
+export function decodeRequest(req) {
+  if (!req) return null;
+  if (isAppMeasurementPath(req.path)) {
+    return { kind: 'appMeasurement', label: 'Adobe Analytics', data: decodeAppMeasurement(getHitParams(req)) };
+  }
+  if (isGa4CollectPath(req.path)) {
+    return { kind: 'ga4', label: 'GA4', data: decodeGa4Collect(req.query?.params, getBodyText(req)) };
+  }
+  if (isSnowplowRequest(req.path, req.query?.params)) {
+    const body = req.body?.type === 'json' && req.body.parsed ? req.body.parsed : tryParseJson(getBodyText(req));
+    return { kind: 'snowplow', label: 'Snowplow', data: decodeSnowplow(req.query?.params, body) };
+  }
+  if (isTargetPath(req.path)) {
+    return { kind: 'target', label: 'Adobe Target', data: decodeTarget(req.query?.params, getBodyJson(req), getResponseJson(req)) };
+  }
+  return null;
+}
+
+/**
+ * Decode the requested scopes and delivered decisions of a Target or Edge `interact` call.
+ * @param {object} req
+ * @returns {{ source: string, requested: Array<object>, delivered: Array<object> }|null}
+ */
+export function getPersonalization(req) {
+  if (isTargetPath(req?.path)) {
+    return { source: 'Target', ...decodeTarget(req.query?.params, getBodyJson(req), getResponseJson(req)) };
+  }
+  if (isEdgeInteractPath(req?.path)) {
+    const data = decodeEdgePersonalization(getBodyJson(req), getResponseJson(req));
+    if (!data.requested.length && !data.delivered.length) return null;
+    return { source: 'Edge', ...data };
+  }
+  return null;
+}
+
+/**
+ * Build the request list label for decoders that batch several events per request.
+ * @param {object} req
+ * @returns {string}
+ */
+export function getDecodedEventLabel(req) {
+  if (!isGa4CollectPath(req?.path) && !isSnowplowRequest(req?.path, req?.query?.params)) return '';
+  const decoded = decodeRequest(req);
+  const names = decoded.kind === 'ga4'
+    ? decoded.data.events.map(event => event.name)
+    : decoded.data.events.map(event => event.label);
+  return names.filter(Boolean).join(' · ');
+}
+
+/**
+ * Render the Decoded payload view.
+ * @param {{ kind: string, data: object }} decoded
+ * @returns {string}
+ */
+export function renderDecodedView(decoded) {
+  if (decoded?.kind === 'appMeasurement') return renderAppMeasurement(decoded.data);
+  if (decoded?.kind === 'ga4') return renderGa4(decoded.data);
+  if (decoded?.kind === 'snowplow') return renderSnowplow(decoded.data);
+  if (decoded?.kind === 'target') return renderTarget(decoded.data);
+  return '<div class="text-slate-500 text-sm">No decoder for this request</div>';
+}
+
+/**
+ * Render parsed `products` entries as a table.
+ * @param {Array<object>} products
+ * @param {string} searchTerm
+ * @returns {string}
+ */
+function renderProductsTable(products, searchTerm) {
+  const formatPairs = pairs => Object.entries(pairs).map(([key, value]) => (value ? `${key}=${value}` : key)).join(', ') || '—';
+  const cell = (value, span) => `<div class="${span} text-xs text-slate-600 break-words">${highlightText(String(value || '—'), searchTerm)}</div>`;
+  const header = ['Category', 'Product', 'Qty', 'Price', 'Events', 'eVars'];
+  const spans = ['col-span-2', 'col-span-2', 'col-span-1', 'col-span-1', 'col-span-3', 'col-span-3'];
+  const headerRow = `
+    <div class="grid grid-cols-12 gap-3 border-b bg-slate-50 px-3 py-2">
+      ${header.map((label, index) => `<div class="${spans[index]} text-[10px] font-semibold uppercase tracking-wide text-slate-500">${label}</div>`).join('')}
+    </div>
+  `;
+  const rows = products.map(product => `
+    <div class="grid grid-cols-12 gap-3 border-b px-3 py-2">
+      ${cell(product.category, spans[0])}
+      ${cell(product.product, `${spans[1]} font-semibold text-slate-700`)}
+      ${cell(product.quantity, spans[2])}
+      ${cell(product.price, spans[3])}
+      ${cell(formatPairs(product.events), spans[4])}
+      ${cell(formatPairs(product.eVars), spans[5])}
+    </div>
+  `).join('');
+  return `<div class="rounded border bg-white">${headerRow}${rows}</div>`;
+}
+
+/**
+ * Render decoded AppMeasurement variables.
+ * @param {object} data
+ * @returns {string}
+ */
+function renderAppMeasurement(data) {
+  const term = state.payloadSearch;
+  const numbered = items => items.map(item => ({ key: `${item.name} (${item.key})`, value: item.value }));
+  const sections = [
+    renderDetailSection('Page', renderKeyValueTable(data.page.map(field => ({ key: `${field.label} (${field.key})`, value: field.value })), term))
+  ];
+  if (data.link) {
+    sections.push(renderDetailSection('Link tracking', renderKeyValueTable([
+      { key: 'Type (pe)', value: data.link.typeLabel },
+      { key: 'Link URL (pev1)', value: data.link.url },
+      { key: 'Link name (pev2)', value: data.link.name }
+    ], term)));
+  }
+  sections.push(renderDetailSection(`Events (${data.events.length})`, renderKeyValueTable(data.events.map(event => ({
+    key: event.label === event.name ? event.name : `${event.label} (${event.name})`,
+    value: [event.value ? `value: ${event.value}` : '', event.serial ? `serial: ${event.serial}` : ''].filter(Boolean).join(' · ') || '—'
+  })), term)));
+  if (data.products.length) {
+    sections.push(renderDetailSection(`Products (${data.products.length})`, renderProductsTable(data.products, term)));
+  }
+  sections.push(renderDetailSection(`eVars (${data.eVars.length})`, renderKeyValueTable(numbered(data.eVars), term)));
+  sections.push(renderDetailSection(`Props (${data.props.length})`, renderKeyValueTable(numbered(data.props), term)));
+  if (data.hierarchies.length) {
+    sections.push(renderDetailSection('Hierarchies', renderKeyValueTable(numbered(data.hierarchies), term)));
+  }
+  if (data.listProps.length) {
+    sections.push(renderDetailSection('List props', renderKeyValueTable(numbered(data.listProps), term)));
+  }
+  if (data.contextDataFlat.length) {
+    sections.push(renderDetailSection(`Context data (${data.contextDataFlat.length})`, renderJson(data.contextData, term)));
+  }
+  sections.push(renderDetailSection(`Other parameters (${data.other.length})`, renderKeyValueTable(data.other, term)));
+  return sections.join('');
+}
+
+/**
+ * Render a decoded GA4 request with one block per batched event.
+ * @param {{ shared: Array<object>, events: Array<object> }} data
+ * @returns {string}
+ */
+function renderGa4(data) {
+  const term = state.payloadSearch;
+  const typed = params => params.map(param => ({ key: `${param.key} (${param.type})`, value: param.value }));
+  const labeled = fields => fields.map(field => ({ key: `${field.label} (${field.key})`, value: field.value }));
+  const events = data.events.map((event, index) => {
+    const blocks = [
+      renderDetailSection(`Event parameters (${event.eventParams.length})`, renderKeyValueTable(typed(event.eventParams), term))
+    ];
+    if (event.userProperties.length) {
+      blocks.push(renderDetailSection(`User properties (${event.userProperties.length})`, renderKeyValueTable(typed(event.userProperties), term)));
+    }
+    if (event.items.length) {
+      blocks.push(renderDetailSection(`Items (${event.items.length})`, renderJson(event.items.map(entry => entry.item), term)));
+    }
+    if (event.ownFields.length) {
+      blocks.push(renderDetailSection('Event fields', renderKeyValueTable(labeled(event.ownFields), term)));
+    }
+    if (event.other.length) {
+      blocks.push(renderDetailSection(`Other parameters (${event.other.length})`, renderKeyValueTable(event.other, term)));
+    }
+    const title = `Event ${index + 1} of ${data.events.length}`;
+    return `
+      <div class="mb-4 rounded border bg-slate-50 p-3">
+        <div class="mb-3 flex items-center gap-2">
+          <span class="text-sm font-semibold text-slate-800">${highlightText(event.name || '(no event name)', term)}</span>
+          <span class="text-xs text-slate-400">${title}</span>
+        </div>
+        ${blocks.join('')}
+      </div>
+    `;
+  }).join('');
+  return [
+    renderDetailSection('Shared fields', renderKeyValueTable(labeled(data.shared), term)),
+    renderDetailSection(`Events (${data.events.length})`, events)
+  ].join('');
+}
+
+/**
+ * Render decoded Snowplow events with their self-describing payload and contexts.
+ * @param {{ schema: string, events: Array<object> }} data
+ * @returns {string}
+ */
+function renderSnowplow(data) {
+  const term = state.payloadSearch;
+  const schemaBlock = entry => `
+    <div class="mb-2 rounded border bg-white p-2">
+      <div class="mb-1 font-mono text-[11px] text-indigo-700 break-all">${highlightText(entry.schema || '(no schema)', term)}</div>
+      ${renderJson(entry.data, term)}
+    </div>
+  `;
+  const events = data.events.map((event, index) => {
+    const blocks = [
+      renderDetailSection('Fields', renderKeyValueTable(event.fields.map(field => ({ key: `${field.label} (${field.key})`, value: field.value })), term))
+    ];
+    if (event.selfDescribing) {
+      blocks.push(renderDetailSection('Self-describing event', schemaBlock(event.selfDescribing)));
+    }
+    if (event.contexts.length) {
+      blocks.push(renderDetailSection(`Contexts (${event.contexts.length})`, event.contexts.map(schemaBlock).join('')));
+    }
+    if (event.other.length) {
+      blocks.push(renderDetailSection(`Other parameters (${event.other.length})`, renderKeyValueTable(event.other, term)));
+    }
+    return `
+      <div class="mb-4 rounded border bg-slate-50 p-3">
+        <div class="mb-3 flex items-center gap-2">
+          <span class="text-sm font-semibold text-slate-800">${highlightText(event.label || '(unknown event)', term)}</span>
+          <span class="text-xs text-slate-400">Event ${index + 1} of ${data.events.length}</span>
+        </div>
+        ${blocks.join('')}
+      </div>
+    `;
+  }).join('');
+  const sections = [];
+  if (data.schema) {
+    sections.push(renderDetailSection('Payload schema', `<div class="font-mono text-xs text-slate-600 break-all">${highlightText(data.schema, term)}</div>`));
+  }
+  sections.push(renderDetailSection(`Events (${data.events.length})`, events));
+  return sections.join('');
+}
+
+/**
+ * Format an `{ id, name }` pair from Target response tokens.
+ * @param {{ id: string, name: string }} item
+ * @returns {string}
+ */
+function formatNamedId(item) {
+  if (item?.name && item?.id) return `${item.name} (${item.id})`;
+  return item?.name || item?.id || '';
+}
+
+/**
+ * Render delivered Target/Edge decisions as a table.
+ * @param {Array<object>} delivered rows from `decodeTarget`/`decodeEdgePersonalization`, optionally with `source` and `time`
+ * @param {string} [searchTerm]
+ * @returns {string}
+ */
+export function renderDeliveredTable(delivered, searchTerm = '') {
+  if (!delivered.length) return '<div class="text-slate-500 text-sm">No activities delivered</div>';
+  const withSource = delivered.some(row => row.source);
+  const cell = (value, span) => `<div class="${span} text-xs text-slate-600 break-words">${highlightText(String(value || '—'), searchTerm)}</div>`;
+  const header = withSource
+    ? ['Scope', 'Activity', 'Experience', 'Offer', 'Type', 'Source']
+    : ['Scope', 'Activity', 'Experience', 'Offer', 'Type', 'Mode'];
+  const spans = ['col-span-2', 'col-span-3', 'col-span-2', 'col-span-2', 'col-span-1', 'col-span-2'];
+  const headerRow = `
+    <div class="grid grid-cols-12 gap-3 border-b bg-slate-50 px-3 py-2">
+      ${header.map((label, index) => `<div class="${spans[index]} text-[10px] font-semibold uppercase tracking-wide text-slate-500">${label}</div>`).join('')}
+    </div>
+  `;
+  const rows = delivered.map(row => `
+    <div class="grid grid-cols-12 gap-3 border-b px-3 py-2">
+      ${cell(row.scope, `${spans[0]} font-mono`)}
+      ${cell(formatNamedId(row.activity), `${spans[1]} font-semibold text-slate-700`)}
+      ${cell(formatNamedId(row.experience), spans[2])}
+      ${cell(formatNamedId(row.offer), spans[3])}
+      ${cell(row.type, spans[4])}
+      ${cell(withSource ? [row.source, row.time].filter(Boolean).join(' · ') : row.mode, spans[5])}
+    </div>
+  `).join('');
+  return `<div class="rounded border bg-white">${headerRow}${rows}</div>`;
+}
+
+/**
+ * Render a decoded Adobe Target call.
+ * @param {{ requested: Array<object>, delivered: Array<object> }} data
+ * @returns {string}
+ */
+function renderTarget(data) {
+  const term = state.payloadSearch;
+  const notice = data.delivered.length || !data.requested.length
+    ? ''
+    : '<div class="mb-2 text-xs text-slate-500">No delivered activities. The response body is read via page hooks; without it only requested mboxes are shown.</div>';
+  return [
+    renderDetailSection(`Requested (${data.requested.length})`, renderKeyValueTable(data.requested.map(item => ({ key: item.scope, value: item.mode })), term)),
+    renderDetailSection(`Delivered (${data.delivered.length})`, `${notice}${renderDeliveredTable(data.delivered, term)}`)
+  ].join('');
+}
@@ -0,0 +1,104 @@
+import { api, elements, state } from './state.js';
+import { escapeHtml, formatTime, setHTML } from './utils.js';
+import { CORRELATION_METHODS } from '../../lib/correlation.js';
+
+const DIAGNOSTIC_KINDS = {
+  inject: { label: 'Inject', className: 'bg-slate-100 text-slate-700' },
+  drop: { label: 'Dropped', className: 'bg-rose-100 text-rose-700' },
+  miss: { label: 'Miss', className: 'bg-amber-100 text-amber-700' },
+  match: { label: 'Match', className: 'bg-emerald-100 text-emerald-700' },
+  body: { label: 'Body', className: 'bg-indigo-100 text-indigo-700' }
+};
+
+/**
+ * Load the background's capture decisions for a request and render the Diagnostics tab.
+ * @param {object} req
+ */
+export function renderDiagnostics(req) {
+  if (!elements.detailDiagnostics) return;
+  api.runtime.sendMessage({ type: 'getDiagnostics', id: req.id }, response => {
+    if (state.selectedId !== req.id) return;
+    const records = response?.ok && Array.isArray(response.diagnostics) ? response.diagnostics : [];
+    setHTML(elements.detailDiagnostics, `${renderBodyExplanation(req, records)}${renderDiagnosticRecords(records)}`);
+  });
+}
+
+/**
+ * Explain where a request's body came from, or the likely reasons none was attached.
+ * @param {object} req
+ * @param {Array<object>} records
+ * @returns {Array<string>}
+ */
+function explainBody(req, records) {
+  const correlation = req.correlation;
+  const matched = correlation
+    ? `matched by ${CORRELATION_METHODS[correlation.method] || correlation.method} (${correlation.confidence})`
+    : '';
+  const source = req.captureSource?.body;
+  if (req.body && source === 'hooks') {
+    return [
+      `The body was posted by the page hooks and ${matched || 'attached to this request'}.`,
+      correlation?.confidence === 'heuristic' ? 'A heuristic match can attach the body of a neighbouring call to the same endpoint.' : ''
+    ];
+  }
+  if (req.body && source === 'debugger') return ['The body was read from the DevTools protocol (debugger capture).'];
+  if (req.body) return ['The body was read from webRequest.', correlation ? `A page hook call was also ${matched}.` : ''];
+
+  if (['GET', 'HEAD'].includes(req.method)) return [`${req.method} requests carry no body; their data is in the query string.`];
+  const reasons = ['webRequest exposed no readable body for this request.'];
+  const drops = records.filter(record => record.kind === 'drop');
+  const expired = records.filter(record => record.kind === 'miss' && record.message.includes('expired'));
+  if (!state.settings?.enableHooks) {
+    reasons.push('Page hooks are disabled, so nothing else could supply a body. Enable them in the allowlist settings and reload the page.');
+  } else if (drops.length) {
+    reasons.push(`Hook data for this URL was dropped: ${[...new Set(drops.map(record => record.message))].join('; ')}.`);
+  } else if (correlation) {
+    reasons.push(`A page hook call was ${matched}, but it carried no body.`);
+  } else if (expired.length) {
+    reasons.push('A hooked call to this URL was seen but never matched this request, so it expired. Its URL may differ (e.g. a relative URL or extra parameters).');
+  } else if (!records.some(record => record.kind === 'inject')) {
+    reasons.push('No page hook injection was recorded for this tab, so the page hooks likely did not see the call. Reload the page with hooks enabled.');
+  } else {
+    reasons.push('Page hooks were active, but no hooked fetch, XHR or sendBeacon call to this URL was reported. The request may come from a service worker, an image or script tag, or the browser itself.');
+  }
+  return reasons;
+}
+
+/**
+ * Render the body explanation card.
+ * @param {object} req
+ * @param {Array<object>} records
+ * @returns {string}
+ */
+function renderBodyExplanation(req, records) {
+  const lines = explainBody(req, records).filter(Boolean);
+  const tone = req.body ? 'border-slate-200 bg-white text-slate-700' : 'border-amber-200 bg-amber-50 text-amber-700';
+  return `
+    <div class="rounded border px-3 py-2 text-xs ${tone}">
+      <div class="font-semibold">${req.body ? 'Body source' : 'No body attached'}</div>
+      ${lines.map(line => `<div class="mt-1">${escapeHtml(line)}</div>`).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Render the recorded capture decisions in time order.
+ * @param {Array<object>} records
+ * @returns {string}
+ */
+function renderDiagnosticRecords(records) {
+  if (!records.length) {
+    return '<div class="mt-3 text-xs text-slate-500">No capture decisions recorded for this request. The background keeps the latest 500 and forgets them when it restarts.</div>';
+  }
+  const rows = records.map(record => {
+    const kind = DIAGNOSTIC_KINDS[record.kind] || { label: record.kind, className: 'bg-slate-100 text-slate-700' };
+    return `
+      <div class="flex items-start gap-3 border-b px-3 py-2 text-xs last:border-b-0">
+        <span class="w-20 shrink-0 text-slate-400">${escapeHtml(formatTime(record.ts))}</span>
+        <span class="w-16 shrink-0"><span class="rounded px-1.5 py-0.5 text-[10px] font-semibold ${kind.className}">${escapeHtml(kind.label)}</span></span>
+        <span class="min-w-0 break-words text-slate-700">${escapeHtml(record.message)}${record.hookId ? ` <span class="font-mono text-slate-400">${escapeHtml(record.hookId)}</span>` : ''}</span>
+      </div>
+    `;
+  }).join('');
+  return `<div class="mt-3 rounded border bg-white">${rows}</div>`;
+}
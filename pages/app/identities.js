@@ -0,0 +1,135 @@
+import { elements, state } from './state.js';
+import { escapeHtml, formatTime, setHTML } from './utils.js';
+import { getNavigationKey, getPathFromUrlSafe, loadAllSessionRequests } from './requests.js';
+import { analyzeIdentities } from '../../lib/identity.js';
+
+/**
+ * Open the Identities modal for the active session.
+ * @returns {Promise<void>}
+ */
+export async function openIdentities() {
+  if (!elements.identitiesDialog) return;
+  const session = state.sessions.find(s => s.id === state.settings?.selectedSessionId);
+  if (!session) return;
+  await loadAllSessionRequests();
+  const requests = state.requests.filter(r => r.sessionId === session.id);
+  const pages = new Map();
+  requests.forEach(req => {
+    const key = getNavigationKey(req);
+    if (!pages.has(key)) pages.set(key, getPathFromUrlSafe(req.pageUrl || req.documentUrl || req.url));
+  });
+  const identities = analyzeIdentities(requests, getNavigationKey);
+  const pageLabel = key => pages.get(key) || key;
+
+  elements.identitiesMeta.textContent = `${session.site} · ${session.name || 'Untitled'} · ${formatTime(session.createdAt)}`;
+
+  const count = key => identities.reduce((total, identity) => total + identity[key].length, 0);
+  const summaryCard = `
+    <div class="rounded border border-slate-200 bg-white p-4 mb-4">
+      <div class="text-sm font-semibold">Summary</div>
+      <div class="mt-2 grid grid-cols-2 gap-2 text-xs text-slate-600">
+        <div>IDs found: <span class="font-semibold text-slate-800">${identities.filter(identity => identity.values.length).length}</span></div>
+        <div>Changes: <span class="font-semibold ${count('changes') ? 'text-rose-700' : 'text-slate-800'}">${count('changes')}</span></div>
+        <div>Conflicts: <span class="font-semibold ${count('conflicts') ? 'text-rose-700' : 'text-slate-800'}">${count('conflicts')}</span></div>
+        <div>Hits missing an ID: <span class="font-semibold ${count('missing') ? 'text-amber-700' : 'text-slate-800'}">${count('missing')}</span></div>
+      </div>
+    </div>
+  `;
+
+  if (!identities.length) {
+    setHTML(elements.identitiesBody, `${summaryCard}<div class="text-sm text-slate-500">No known IDs in this session's requests.</div>`);
+  } else {
+    setHTML(elements.identitiesBody, `${summaryCard}${identities.map(identity => renderIdentityCard(identity, pageLabel)).join('')}`);
+  }
+
+  elements.identitiesDialog.showModal();
+}
+
+/**
+ * Collapse consecutive observations with the same value and field into runs.
+ * @param {Array<object>} observations
+ * @returns {Array<{ value: string, field: string, source: string, first: number, last: number, count: number, pageKeys: Set<string> }>}
+ */
+function buildValueRuns(observations) {
+  const runs = [];
+  observations.forEach(observation => {
+    const last = runs[runs.length - 1];
+    if (last && last.value === observation.value && last.field === observation.field) {
+      last.last = observation.timeStamp;
+      last.count += 1;
+      last.pageKeys.add(observation.pageKey);
+      return;
+    }
+    runs.push({
+      value: observation.value,
+      field: observation.field,
+      source: observation.source,
+      first: observation.timeStamp,
+      last: observation.timeStamp,
+      count: 1,
+      pageKeys: new Set([observation.pageKey])
+    });
+  });
+  return runs;
+}
+
+/**
+ * Render one identity with its values over time and any flagged issues.
+ * @param {object} identity
+ * @param {(key: string) => string} pageLabel
+ * @returns {string}
+ */
+function renderIdentityCard(identity, pageLabel) {
+  const flags = [];
+  if (identity.changes.length) {
+    flags.push(`
+      <div class="rounded border border-rose-200 bg-rose-50 px-3 py-2 text-xs text-rose-700">
+        <div class="font-semibold">Changed ${identity.changes.length} time${identity.changes.length === 1 ? '' : 's'}</div>
+        ${identity.changes.map(change => `<div class="mt-1 break-all">${escapeHtml(formatTime(change.timeStamp))} · ${escapeHtml(change.field)} on ${escapeHtml(pageLabel(change.pageKey))}: <span class="font-mono">${escapeHtml(change.from)}</span> → <span class="font-mono">${escapeHtml(change.to)}</span></div>`).join('')}
+      </div>
+    `);
+  }
+  if (identity.conflicts.length) {
+    flags.push(`
+      <div class="rounded border border-rose-200 bg-rose-50 px-3 py-2 text-xs text-rose-700">
+        <div class="font-semibold">Conflicting values on ${identity.conflicts.length} page${identity.conflicts.length === 1 ? '' : 's'}</div>
+        ${identity.conflicts.map(conflict => `<div class="mt-1 break-all">${escapeHtml(pageLabel(conflict.pageKey))}: ${conflict.values.map(item => `<span class="font-mono">${escapeHtml(item.value)}</span> (${escapeHtml(item.fields.join(', '))})`).join(' vs ')}</div>`).join('')}
+      </div>
+    `);
+  }
+  if (identity.missing.length) {
+    const missingPages = [...new Set(identity.missing.map(item => pageLabel(item.pageKey)))];
+    flags.push(`
+      <div class="rounded border border-amber-200 bg-amber-50 px-3 py-2 text-xs text-amber-700">
+        <div class="font-semibold">Missing on ${identity.missing.length} hit${identity.missing.length === 1 ? '' : 's'}</div>
+        <div class="mt-1 break-all">${escapeHtml(missingPages.join(', '))}</div>
+      </div>
+    `);
+  }
+  const runs = buildValueRuns(identity.observations);
+  const rows = runs.map(run => `
+    <div class="grid grid-cols-12 gap-3 border-b px-3 py-2 text-xs text-slate-600">
+      <div class="col-span-5 font-mono break-all text-slate-800">${escapeHtml(run.value)}</div>
+      <div class="col-span-3 break-words">${escapeHtml(run.field)} <span class="text-slate-400">(${escapeHtml(run.source)})</span></div>
+      <div class="col-span-2">${escapeHtml(formatTime(run.first))}${run.count > 1 ? ` – ${escapeHtml(formatTime(run.last))}` : ''}</div>
+      <div class="col-span-2 text-right">${run.count} hit${run.count === 1 ? '' : 's'} · ${run.pageKeys.size} page${run.pageKeys.size === 1 ? '' : 's'}</div>
+    </div>
+  `).join('');
+  const status = identity.changes.length || identity.conflicts.length
+    ? '<span class="text-[10px] font-semibold text-rose-600">Unstable</span>'
+    : (identity.missing.length
+      ? '<span class="text-[10px] font-semibold text-amber-600">Gaps</span>'
+      : '<span class="text-[10px] font-semibold text-emerald-600">Stable</span>');
+  return `
+    <div class="rounded border border-slate-200 bg-white p-4 mb-4">
+      <div class="flex items-center justify-between gap-2">
+        <div class="text-sm font-semibold">${escapeHtml(identity.label)} <span class="text-xs font-normal text-slate-400">${escapeHtml(identity.vendor)}</span></div>
+        ${status}
+      </div>
+      ${flags.length ? `<div class="mt-3 space-y-2">${flags.join('')}</div>` : ''}
+      ${runs.length
+        ? `<div class="mt-3 rounded border bg-white">${rows}</div>`
+        : '<div class="mt-3 text-xs text-slate-500">Never seen in this session.</div>'}
+    </div>
+  `;
+}
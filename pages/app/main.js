@@ -1,11 +1,14 @@
 import { api, elements, state } from './state.js';
-import { DEFAULT_ALLOWLIST, buildAllowlistFromServices, createAllowlistRow, dedupeDomains, getCustomAllowlistEntries, getSelectedServiceIds, renderAllowlistFields, renderAllowlistServices } from './allowlist.js';
+import { DEFAULT_ALLOWLIST, buildAllowlistFromServices, createAllowlistRow, createTagsSwitchRow, dedupeDomains, getCustomAllowlistEntries, getSelectedServiceIds, readTagsSwitchFields, renderAllowlistFields, renderAllowlistServices, renderTagsSwitchFields } from './allowlist.js';
 import { applySearch, selectRequest } from './requests.js';
 import { deleteSession, getSelectedSite, getSelectedTabId, openSessionDialog, renderSessions, selectSession, updateSessionSummary, updateUatToggle } from './sessions.js';
 import { setActiveTab, toggleSidebar, toast } from './ui.js';
 import { initTour } from './tour.js';
 import { buildTemplateDownload, closeUatDetail, exportUatPdf, openUatReport, closeUatDrawer } from './uat.js';
+import { openIdentities } from './identities.js';
+import { closeRetentionDialog, updateRetentionWarnings, updateSessionWithRetention } from './retention.js';
 import { escapeHtml, setHTML } from './utils.js';
+import { normalizeSnapshotKeys } from '../../lib/snapshot.js';
 import { validateUatConfig } from '../../lib/uat.js';
 
 let pendingUatConfig = null;
@@ -27,6 +30,36 @@ function updateSettings(patch) {
   });
 }
 
+/**
+ * Check whether this build can attach the Chrome debugger (declared as an optional permission).
+ * @returns {boolean}
+ */
+function supportsDebuggerCapture() {
+  return !!api.runtime.getManifest?.().optional_permissions?.includes('debugger');
+}
+
+/**
+ * Ask for the optional `debugger` permission; turns debugger capture back off when refused.
+ */
+function requestDebuggerPermission() {
+  api.permissions.request({ permissions: ['debugger'] }, granted => {
+    if (granted) return;
+    updateSettings({ debuggerCapture: false });
+    toast('Debugger capture is off', 'The debugger permission was not granted.');
+  });
+}
+
+/**
+ * Read a non-negative whole number from a limit input, falling back when it is empty.
+ * @param {HTMLInputElement|null} input
+ * @param {number} fallback
+ * @returns {number}
+ */
+function readLimit(input, fallback) {
+  const value = parseInt(input?.value || '', 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
 /**
  * Refresh local state from background storage.
  */
@@ -35,10 +68,12 @@ function refreshState() {
     if (!response) return;
     state.settings = response.settings;
     state.requests = response.requests || [];
+    state.pageEvents = response.pageEvents || [];
     state.sessions = response.sessions || [];
     state.currentSessionId = response.currentSessionId || null;
     state.sites = response.sites || [];
     state.uatConfigs = response.uatConfigs || {};
+    updateRetentionWarnings(response.retentionWarnings);
     applySearch();
     renderSessions();
     if (state.selectedId) selectRequest(state.selectedId);
@@ -63,15 +98,37 @@ if (elements.search) {
   });
 }
 
+if (elements.filterPreConsent) {
+  elements.filterPreConsent.addEventListener('click', () => {
+    state.preConsentOnly = !state.preConsentOnly;
+    elements.filterPreConsent.setAttribute('aria-pressed', String(state.preConsentOnly));
+    elements.filterPreConsent.classList.toggle('border-amber-300', state.preConsentOnly);
+    elements.filterPreConsent.classList.toggle('bg-amber-50', state.preConsentOnly);
+    elements.filterPreConsent.classList.toggle('text-amber-700', state.preConsentOnly);
+    applySearch();
+  });
+}
+
 if (elements.manageAllowlist) {
   elements.manageAllowlist.addEventListener('click', () => {
     const allowlist = Array.isArray(state.settings?.allowlist) ? state.settings.allowlist : DEFAULT_ALLOWLIST;
     state.allowlistSelectedServiceIds = getSelectedServiceIds(allowlist);
     renderAllowlistServices(allowlist);
     renderAllowlistFields(getCustomAllowlistEntries(allowlist), state.settings?.serviceMappings || []);
+    renderTagsSwitchFields(state.settings?.tagsEnvSwitches || []);
+    const snapshotKeys = normalizeSnapshotKeys(state.settings?.snapshotKeys);
+    if (elements.snapshotCookieKeys) elements.snapshotCookieKeys.value = snapshotKeys.cookies.join(', ');
+    if (elements.snapshotStorageKeys) elements.snapshotStorageKeys.value = snapshotKeys.storage.join(', ');
     if (elements.enableHooks) {
       elements.enableHooks.checked = !!state.settings?.enableHooks;
     }
+    elements.debuggerCaptureOption?.classList.toggle('hidden', !supportsDebuggerCapture());
+    if (elements.enableDebugger) {
+      elements.enableDebugger.checked = !!state.settings?.debuggerCapture;
+    }
+    if (elements.retentionSessionMax) elements.retentionSessionMax.value = state.settings?.sessionMaxEntries ?? 0;
+    if (elements.retentionTotalMax) elements.retentionTotalMax.value = state.settings?.maxEntries ?? 2000;
+    if (elements.retentionExpireDays) elements.retentionExpireDays.value = state.settings?.expireAfterDays ?? 0;
     state.allowlistServiceSearch = '';
     elements.allowlistDialog.showModal();
   });
@@ -263,6 +320,18 @@ if (elements.uatReportClose) {
   });
 }
 
+if (elements.openIdentities) {
+  elements.openIdentities.addEventListener('click', () => {
+    openIdentities();
+  });
+}
+
+if (elements.identitiesClose) {
+  elements.identitiesClose.addEventListener('click', () => {
+    elements.identitiesDialog?.close();
+  });
+}
+
 if (elements.uatDetailClose) {
   elements.uatDetailClose.addEventListener('click', () => {
     closeUatDetail();
@@ -496,15 +565,32 @@ if (elements.allowlistSave) {
         .filter(Boolean);
     const serviceDomains = buildAllowlistFromServices(selectedServiceIds);
     const merged = dedupeDomains([...serviceDomains, ...entries]);
+    const tagsSwitches = readTagsSwitchFields();
+    const debuggerCapture = supportsDebuggerCapture() && !!elements.enableDebugger?.checked;
+    if (debuggerCapture && !state.settings?.debuggerCapture) requestDebuggerPermission();
     updateSettings({
       allowlist: merged.length ? merged : DEFAULT_ALLOWLIST,
       enableHooks: !!elements.enableHooks?.checked,
       debugHooks: !!state.settings?.debugHooks,
-      serviceMappings: mappings
+      debuggerCapture,
+      serviceMappings: mappings,
+      tagsEnvSwitches: tagsSwitches.switches,
+      snapshotKeys: {
+        cookies: (elements.snapshotCookieKeys?.value || '').split(/[\s,]+/).filter(Boolean),
+        storage: (elements.snapshotStorageKeys?.value || '').split(/[\s,]+/).filter(Boolean)
+      },
+      sessionMaxEntries: readLimit(elements.retentionSessionMax, 0),
+      maxEntries: Math.max(100, readLimit(elements.retentionTotalMax, 2000)),
+      expireAfterDays: readLimit(elements.retentionExpireDays, 0)
     });
     state.allowlistSelectedServiceIds = null;
     elements.allowlistDialog.close();
-    toast('Allowlist updated');
+    updateSessionSummary();
+    if (tagsSwitches.invalid) {
+      toast('Allowlist updated', `Skipped ${tagsSwitches.invalid} Tags switch${tagsSwitches.invalid === 1 ? '' : 'es'} missing a site, page domain or https library URL.`);
+    } else {
+      toast('Allowlist updated');
+    }
   });
 }
 
@@ -514,6 +600,12 @@ if (elements.allowlistAdd) {
   });
 }
 
+if (elements.tagsSwitchAdd) {
+  elements.tagsSwitchAdd.addEventListener('click', () => {
+    elements.tagsSwitchFields?.appendChild(createTagsSwitchRow());
+  });
+}
+
 if (elements.newSession) {
   elements.newSession.addEventListener('click', () => {
     state.sessionMode = 'new';
@@ -544,9 +636,12 @@ if (elements.sessionSave) {
       return;
     }
     const uatEnabled = !!elements.sessionUatToggle?.checked;
-    if (state.sessionMode === 'update' && state.sessionEditId) {
-      api.runtime.sendMessage({ type: 'updateSession', id: state.sessionEditId, name, site, lockTabId, uatEnabled }, () => {
-        elements.sessionDialog.close();
+    const pinned = !!elements.sessionPinToggle?.checked;
+    const maxEntries = readLimit(elements.sessionMaxEntries, 0) || null;
+    const editing = state.sessionMode === 'update' && state.sessions.find(s => s.id === state.sessionEditId);
+    if (editing) {
+      elements.sessionDialog.close();
+      updateSessionWithRetention(editing, { name, site, lockTabId, uatEnabled, pinned, maxEntries }, () => {
         renderSessions();
         updateSessionSummary();
         toast('Session updated');
@@ -554,10 +649,11 @@ if (elements.sessionSave) {
       return;
     }
 
-    api.runtime.sendMessage({ type: 'startSession', name, site, lockTabId, uatEnabled }, response => {
+    api.runtime.sendMessage({ type: 'startSession', name, site, lockTabId, uatEnabled, pinned, maxEntries }, response => {
       if (!response?.session) return;
       state.settings.selectedSessionId = response.session.id;
       state.settings.capturePaused = false;
+      state.requests = [];
       elements.sessionDialog.close();
       elements.observingState.classList.remove('hidden');
       elements.emptyState.classList.add('hidden');
@@ -569,6 +665,10 @@ if (elements.sessionSave) {
   });
 }
 
+if (elements.retentionClose) {
+  elements.retentionClose.addEventListener('click', () => closeRetentionDialog());
+}
+
 if (elements.sessionSiteNew) {
   elements.sessionSiteNew.addEventListener('click', () => {
     elements.sessionSiteInput.classList.toggle('hidden');
@@ -627,6 +727,7 @@ if (elements.confirmOk) {
         state.sessions = [];
         state.requests = [];
         state.filtered = [];
+        state.pageEvents = [];
         state.selectedId = null;
         state.sites = [];
         state.uatConfigs = {};
@@ -646,6 +747,7 @@ if (elements.confirmOk) {
       state.sessions = [];
       state.requests = [];
       state.filtered = [];
+      state.pageEvents = [];
       state.selectedId = null;
       state.settings.selectedSessionId = null;
       elements.details.classList.add('hidden');
@@ -705,6 +807,25 @@ if (elements.querySearch) {
   });
 }
 
+if (elements.pageProbe) {
+  elements.pageProbe.addEventListener('click', () => {
+    const req = state.requests.find(item => item.id === state.selectedId);
+    if (!req) return;
+    elements.pageProbe.disabled = true;
+    api.runtime.sendMessage({ type: 'probeTags', tabId: req.tabId, navId: req.navId || null }, response => {
+      elements.pageProbe.disabled = false;
+      if (response?.ok) return;
+      if (response?.error === 'navigated') {
+        toast('Page has changed', 'This request belongs to an earlier page load. Select a request from the current page.');
+      } else if (response?.error === 'no_session') {
+        toast('No active session', 'Start or select a session for this tab first.');
+      } else {
+        toast('Tags library unavailable', 'Page hooks did not respond. Enable page hooks and reload the page.');
+      }
+    });
+  });
+}
+
 document.querySelectorAll('[data-expand]').forEach(button => {
   button.addEventListener('click', () => {
     state.payloadExpand = button.getAttribute('data-expand');
@@ -744,20 +865,46 @@ document.addEventListener('input', event => {
 api.runtime.onMessage.addListener(message => {
   if (!message || !message.type) return;
   if (message.type === 'requestAdded') {
-    state.requests.push(message.request);
-    const maxEntries = state.settings?.maxEntries || 2000;
-    if (state.requests.length > maxEntries) {
-      const overflow = state.requests.length - maxEntries;
-      if (overflow > 0) state.requests.splice(0, overflow);
-      const sessionKey = message.request?.sessionId || 'global';
-      if (!state.requestCapNotified[sessionKey]) {
-        state.requestCapNotified[sessionKey] = true;
-        toast('Request limit reached', `Oldest requests were trimmed to keep ${maxEntries} entries.`);
-      }
+    const session = state.sessions.find(s => s.id === message.request.sessionId);
+    if (session) session.requestCount = (session.requestCount || 0) + 1;
+    if (message.request.sessionId === state.settings?.selectedSessionId) state.requests.push(message.request);
+    applySearch();
+    renderSessions();
+  }
+  if (message.type === 'requestsTrimmed') {
+    const removed = message.requests || [];
+    const ids = new Set(removed.map(item => item.id));
+    state.requests = state.requests.filter(req => !ids.has(req.id));
+    const sessionKey = message.sessionId || 'global';
+    if (removed.length && !state.requestCapNotified[sessionKey]) {
+      state.requestCapNotified[sessionKey] = true;
+      const session = state.sessions.find(s => s.id === message.sessionId);
+      toast('Request limit reached', `Oldest requests of ${session?.name || 'a session'} were removed by the storage limits.`);
     }
     applySearch();
+  }
+  if (message.type === 'sessionUsageUpdated') {
+    (message.usage || []).forEach(usage => {
+      const session = state.sessions.find(s => s.id === usage.id);
+      if (!session) return;
+      session.requestCount = usage.requestCount;
+      session.storageBytes = usage.storageBytes;
+    });
+    renderSessions();
+  }
+  if (message.type === 'retentionWarning') {
+    updateRetentionWarnings(message.warnings);
     renderSessions();
   }
+  if (message.type === 'pageEventAdded') {
+    state.pageEvents.push(message.event);
+    const maxEntries = state.settings?.maxEntries || 2000;
+    if (state.pageEvents.length > maxEntries) {
+      state.pageEvents.splice(0, state.pageEvents.length - maxEntries);
+    }
+    applySearch();
+    if (message.event?.kind === 'tagsProbe' && state.selectedId) selectRequest(state.selectedId);
+  }
   if (message.type === 'requestUpdated') {
     const idx = state.requests.findIndex(r => r.id === message.request.id);
     if (idx !== -1) state.requests[idx] = message.request;
@@ -769,6 +916,8 @@ api.runtime.onMessage.addListener(message => {
   if (message.type === 'settingsUpdated') {
     state.settings = message.settings;
     updateDebugBadge();
+    updateSessionSummary();
+    renderSessions();
   }
   if (message.type === 'uatConfigsUpdated') {
     state.uatConfigs = message.uatConfigs || {};
@@ -776,10 +925,15 @@ api.runtime.onMessage.addListener(message => {
   }
   if (message.type === 'requestsCleared') {
     const sessionId = state.settings?.selectedSessionId;
+    state.sessions.forEach(session => {
+      if (!sessionId || session.id === sessionId) session.requestCount = 0;
+    });
     if (sessionId) {
       state.requests = state.requests.filter(r => r.sessionId !== sessionId);
+      state.pageEvents = state.pageEvents.filter(e => e.sessionId !== sessionId);
     } else {
       state.requests = [];
+      state.pageEvents = [];
     }
     state.filtered = [];
     renderSessions();
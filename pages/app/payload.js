@@ -1,6 +1,9 @@
 import { elements, state } from './state.js';
 import { escapeHtml, highlightText } from './utils.js';
 import { toast } from './ui.js';
+import { base64ToBytes } from '../../lib/parse.js';
+
+const HEX_DUMP_MAX_BYTES = 4096;
 
 /**
  * Render JSON value into an expandable tree.
@@ -23,6 +26,140 @@ export function renderJson(value, searchTerm = '') {
   `;
 }
 
+/**
+ * Render key/value rows as a table.
+ * @param {Array<{ key: string, value: string }>} params
+ * @param {string} [searchTerm='']
+ * @returns {string}
+ */
+export function renderKeyValueTable(params, searchTerm = '') {
+  if (!params || !params.length) {
+    return '<div class="text-slate-500 text-sm">None</div>';
+  }
+  const rows = params.map(({ key, value, decoded }) => {
+    const decodedBlock = decoded
+      ? `
+        <div class="mt-2">
+          ${renderTransformLabel(decoded.transforms)}
+          <pre class="mt-1 whitespace-pre-wrap rounded border bg-slate-50 p-2 text-[11px] text-slate-700">${highlightText(JSON.stringify(decoded.parsed, null, 2), searchTerm)}</pre>
+        </div>
+      `
+      : '';
+    return `
+      <div class="grid grid-cols-12 gap-3 border-b px-3 py-2">
+        <div class="col-span-5 text-xs font-semibold text-slate-700 break-words">${highlightText(String(key), searchTerm)}</div>
+        <div class="col-span-7 text-xs text-slate-600 break-words">${highlightText(String(value), searchTerm)}${decodedBlock}</div>
+      </div>
+    `;
+  }).join('');
+  return `<div class="rounded border bg-white">${rows}</div>`;
+}
+
+/**
+ * Render a pill listing the decoding steps applied to a value or body.
+ * @param {Array<string>} transforms
+ * @returns {string}
+ */
+export function renderTransformLabel(transforms) {
+  if (!Array.isArray(transforms) || !transforms.length) return '';
+  return `<span class="inline-flex items-center rounded bg-indigo-50 px-1.5 py-0.5 text-[10px] font-semibold text-indigo-700">Decoded: ${escapeHtml(transforms.join(' → '))}</span>`;
+}
+
+/**
+ * Render the decoding notice and collapsible original form for a transformed body.
+ * @param {object} body
+ * @returns {string}
+ */
+export function renderBodyTransforms(body) {
+  if (!body?.transforms?.length) return '';
+  const original = body.original || {};
+  const originalLabel = original.encoding === 'base64'
+    ? `Original (${original.size || 0} bytes, shown as base64)`
+    : 'Original';
+  return `
+    <div class="mb-3 rounded border border-indigo-100 bg-indigo-50/50 px-3 py-2">
+      ${renderTransformLabel(body.transforms)}
+      <details class="mt-1">
+        <summary class="cursor-pointer text-xs text-slate-500">${escapeHtml(originalLabel)}</summary>
+        <pre class="mt-1 max-h-48 overflow-auto whitespace-pre-wrap break-all rounded border bg-white p-2 text-[11px] text-slate-600">${escapeHtml(original.raw || '')}</pre>
+      </details>
+    </div>
+  `;
+}
+
+/**
+ * Format base64-encoded bytes as a hex/ASCII dump, 16 bytes per line.
+ * @param {string} base64
+ * @param {number} [size=0] full byte length when it exceeds the kept bytes
+ * @returns {string}
+ */
+export function formatHexDump(base64, size = 0) {
+  let bytes;
+  try {
+    bytes = base64ToBytes(base64 || '');
+  } catch {
+    return '';
+  }
+  const shown = bytes.subarray(0, HEX_DUMP_MAX_BYTES);
+  const lines = [];
+  for (let offset = 0; offset < shown.length; offset += 16) {
+    const row = shown.subarray(offset, offset + 16);
+    const hex = Array.from(row, byte => byte.toString(16).padStart(2, '0')).join(' ').padEnd(47, ' ');
+    const ascii = Array.from(row, byte => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.')).join('');
+    lines.push(`${offset.toString(16).padStart(8, '0')}  ${hex}  |${ascii}|`);
+  }
+  const total = Math.max(size, bytes.length);
+  if (total > shown.length) lines.push(`… ${total - shown.length} more bytes`);
+  return lines.join('\n');
+}
+
+/**
+ * Render multipart parts, each decoded with the regular payload views.
+ * @param {object} body
+ * @param {string} [searchTerm='']
+ * @returns {string}
+ */
+export function renderMultipartBody(body, searchTerm = '') {
+  const parts = body?.parsed?.parts || [];
+  if (!parts.length) return '<div class="text-slate-500 text-sm">No parts</div>';
+  return parts.map((part, index) => {
+    const title = [part.name || `Part ${index + 1}`, part.filename, part.contentType].filter(Boolean).join(' · ');
+    return renderDetailSection(title, renderMultipartPart(part, searchTerm));
+  }).join('');
+}
+
+/**
+ * Render a single multipart part body.
+ * @param {object} part
+ * @param {string} searchTerm
+ * @returns {string}
+ */
+function renderMultipartPart(part, searchTerm) {
+  if (part.type === 'json' && part.parsed) return renderJson(part.parsed, searchTerm);
+  if (part.type === 'form' && part.parsed) return renderKeyValueTable(part.parsed.params || [], searchTerm);
+  if (part.type === 'multipart') return renderMultipartBody(part, searchTerm);
+  if (part.type === 'binary') {
+    return `<div class="text-xs text-slate-500">Binary (${part.original?.size || 0} bytes) · hex dump in the Raw tab</div>`;
+  }
+  if (!part.raw) return '<div class="text-xs text-slate-500">Empty</div>';
+  return `<pre class="text-xs whitespace-pre-wrap rounded border bg-slate-50 p-3">${highlightText(part.raw, searchTerm)}</pre>`;
+}
+
+/**
+ * Render a titled section for the details panel.
+ * @param {string} title
+ * @param {string} body
+ * @returns {string}
+ */
+export function renderDetailSection(title, body) {
+  return `
+    <div class="mb-4">
+      <div class="mb-2 text-xs font-semibold uppercase tracking-wide text-slate-400">${escapeHtml(title)}</div>
+      ${body}
+    </div>
+  `;
+}
+
 /**
  * Render JSON nodes recursively as tree HTML.
  * @param {any} value
@@ -175,21 +312,23 @@ export function shouldOpenNode(depth, searchTerm, matched) {
 }
 
 /**
- * Bind copy actions in payload rendering.
+ * Bind copy actions in payload and response rendering.
+ * @param {Array<Element>} [containers]
  */
-export function bindPayloadActions() {
-  const container = elements.detailPayload;
-  if (!container) return;
-  container.querySelectorAll('[data-copy-path]').forEach(btn => {
-    btn.addEventListener('click', () => {
-      copyToClipboard(btn.getAttribute('data-copy-path') || '');
-      toast('Path copied');
+export function bindPayloadActions(containers = [elements.detailPayload, elements.detailResponse]) {
+  containers.forEach(container => {
+    if (!container) return;
+    container.querySelectorAll('[data-copy-path]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        copyToClipboard(btn.getAttribute('data-copy-path') || '');
+        toast('Path copied');
+      });
     });
-  });
-  container.querySelectorAll('[data-copy-value]').forEach(btn => {
-    btn.addEventListener('click', () => {
-      copyToClipboard(btn.getAttribute('data-copy-value') || '');
-      toast('Value copied');
+    container.querySelectorAll('[data-copy-value]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        copyToClipboard(btn.getAttribute('data-copy-value') || '');
+        toast('Value copied');
+      });
     });
   });
 }
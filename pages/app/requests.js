@@ -1,9 +1,23 @@
-import { elements, state } from './state.js';
-import { escapeHtml, formatDuration, formatTime, hashString, toTitleCase, highlightText, setHTML } from './utils.js';
+import { api, elements, state } from './state.js';
+import { escapeHtml, formatDuration, formatTime, hashString, toTitleCase, setHTML } from './utils.js';
 import { renderServiceIcon } from './allowlist.js';
-import { bindPayloadActions, highlightJson, renderJson, tryParseFormEncoded, tryParseJsonString } from './payload.js';
+import { bindPayloadActions, formatHexDump, highlightJson, renderBodyTransforms, renderDetailSection, renderJson, renderKeyValueTable, renderMultipartBody, tryParseFormEncoded, tryParseJsonString } from './payload.js';
 import { setActiveTab, toggleSidebar } from './ui.js';
 import { renderUatForRequest } from './uat.js';
+import { renderDiagnostics } from './diagnostics.js';
+import { decodeRequest, getDecodedEventLabel, getPersonalization, renderDecodedView, renderDeliveredTable } from './decoded.js';
+import { CONSENT_FRAMEWORKS, firedBeforeOptIn } from '../../lib/consent.js';
+import { CORRELATION_METHODS } from '../../lib/correlation.js';
+import { SNAPSHOT_STORES, diffSnapshots } from '../../lib/snapshot.js';
+
+const PANEL_EVENT_KINDS = new Set(['tagsProbe']);
+const LANE_EVENT_KINDS = new Set(['rule', 'consent', 'storageSnapshot']);
+const CAPTURE_SOURCE_LABELS = {
+  webRequest: 'webRequest',
+  hooks: 'page hooks',
+  debugger: 'debugger',
+  filterResponseData: 'stream filter'
+};
 
 /**
  * Apply search filters and re-render requests list.
@@ -11,7 +25,8 @@ import { renderUatForRequest } from './uat.js';
 export function applySearch() {
   const term = state.search.toLowerCase();
   const sessionId = state.settings?.selectedSessionId;
-  const scoped = sessionId ? state.requests.filter(r => r.sessionId === sessionId) : [...state.requests];
+  const sessionScoped = sessionId ? state.requests.filter(r => r.sessionId === sessionId) : [...state.requests];
+  const scoped = state.preConsentOnly ? sessionScoped.filter(firedBeforeOptIn) : sessionScoped;
   if (!term) {
     state.filtered = scoped;
   } else {
@@ -21,25 +36,124 @@ export function applySearch() {
     });
   }
   state.filtered.sort((a, b) => (b.timeStamp || 0) - (a.timeStamp || 0));
+  const scopedEvents = state.pageEvents.filter(e => !PANEL_EVENT_KINDS.has(e.kind) && (!sessionId || e.sessionId === sessionId));
+  state.filteredEvents = term
+    ? scopedEvents.filter(evt => [evt.kind, JSON.stringify(evt.data)].join(' ').toLowerCase().includes(term))
+    : scopedEvents;
   renderList();
 }
 
+let olderRequestsLoad = null;
+
 /**
- * Render request list grouped by page navigation.
+ * Count the selected session's stored requests that are not loaded into `state.requests`.
+ * @returns {number}
+ */
+function getUnloadedRequestCount() {
+  const session = state.sessions.find(s => s.id === state.settings?.selectedSessionId);
+  return Math.max(0, (session?.requestCount || 0) - state.requests.length);
+}
+
+/**
+ * Replace `state.requests` with the newest page of a session's requests.
+ * @param {string} sessionId
+ * @returns {Promise<void>}
+ */
+export function loadSessionRequests(sessionId) {
+  state.requests = [];
+  applySearch();
+  if (!sessionId) return Promise.resolve();
+  return new Promise(resolve => {
+    api.runtime.sendMessage({ type: 'queryRequests', sessionId }, response => {
+      if (response?.ok && state.settings?.selectedSessionId === sessionId) {
+        const loaded = new Set(state.requests.map(req => req.id));
+        state.requests = [...response.requests.filter(req => !loaded.has(req.id)), ...state.requests];
+        applySearch();
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Load the next page of older requests for the selected session.
+ * @returns {Promise<boolean>} whether anything was added
+ */
+export function loadOlderRequests() {
+  if (olderRequestsLoad) return olderRequestsLoad;
+  const sessionId = state.settings?.selectedSessionId;
+  if (!sessionId || !getUnloadedRequestCount()) return Promise.resolve(false);
+  olderRequestsLoad = new Promise(resolve => {
+    api.runtime.sendMessage({ type: 'queryRequests', sessionId, offset: state.requests.length }, response => {
+      olderRequestsLoad = null;
+      if (!response?.ok || state.settings?.selectedSessionId !== sessionId) {
+        resolve(false);
+        return;
+      }
+      const loaded = new Set(state.requests.map(req => req.id));
+      const older = response.requests.filter(req => !loaded.has(req.id));
+      state.requests = [...older, ...state.requests];
+      applySearch();
+      resolve(older.length > 0);
+    });
+  });
+  return olderRequestsLoad;
+}
+
+/**
+ * Load every remaining page of the selected session (reports and exports need the whole session).
+ * @returns {Promise<void>}
+ */
+export async function loadAllSessionRequests() {
+  while (getUnloadedRequestCount() > 0) {
+    if (!await loadOlderRequests()) return;
+  }
+}
+
+/**
+ * Render the list footer that loads older requests of a large session.
+ * @returns {string}
+ */
+function renderLoadOlder() {
+  const remaining = getUnloadedRequestCount();
+  if (!remaining) return '';
+  return `
+    <div class="p-4 text-center">
+      <button class="rounded border px-3 py-1.5 text-xs font-semibold text-slate-600 hover:bg-slate-50" data-load-older>
+        Load older requests (${remaining} more)
+      </button>
+    </div>
+  `;
+}
+
+/**
+ * Render request list grouped by page navigation, interleaved with page events.
  */
 export function renderList() {
   const list = elements.requestList;
   if (!list) return;
 
-  if (!state.filtered.length) {
-    setHTML(list, '<div class="p-4 text-sm text-slate-500">No matching requests yet.</div>');
+  const filteredIds = new Set(state.filtered.map(req => req.id));
+  const items = [...state.filtered.filter(req => !req.redirect || !filteredIds.has(req.redirect.rootId)), ...state.filteredEvents];
+  if (!items.length) {
+    setHTML(list, `<div class="p-4 text-sm text-slate-500">No matching requests yet.</div>${renderLoadOlder()}`);
   } else {
-    const groups = groupRequestsByPageSessions(state.filtered)
+    const groups = groupRequestsByPageSessions(items)
       .sort((a, b) => (b.items[0]?.timeStamp || 0) - (a.items[0]?.timeStamp || 0));
     setHTML(list, groups.map(group => {
-      const count = group.items.length;
+      const ruleEvents = group.items.filter(item => item.kind === 'rule');
+      const consentEvents = group.items.filter(item => item.kind === 'consent');
+      const snapshotEvents = group.items.filter(item => item.kind === 'storageSnapshot');
+      const timelineItems = group.items.filter(item => !LANE_EVENT_KINDS.has(item.kind));
+      const count = timelineItems.filter(item => !item.kind).length;
+      const eventCount = timelineItems.length - count;
+      const eventSummary = eventCount ? ` · ${eventCount} event${eventCount === 1 ? '' : 's'}` : '';
       const groupId = `group-${hashString(group.key)}`;
-      const rows = [...group.items].sort((a, b) => (b.timeStamp || 0) - (a.timeStamp || 0)).map(req => {
+      const rulesLane = renderRulesLane(ruleEvents, `rules-${groupId}`);
+      const consentLane = renderConsentLane(consentEvents, `consent-${groupId}`);
+      const storageLane = renderStorageLane(snapshotEvents, `storage-${groupId}`);
+      const rows = [...timelineItems].sort((a, b) => (b.timeStamp || 0) - (a.timeStamp || 0)).map(req => {
+        if (req.kind) return renderPageEventRow(req);
         const active = req.id === state.selectedId ? 'bg-slate-50' : 'bg-white';
         const statusText = req.statusCode ? `${req.statusCode}` : 'pending';
         const statusClass = req.statusCode
@@ -88,6 +202,7 @@ export function renderList() {
                   <div class="text-sm font-semibold flex items-center gap-1 min-w-0">
                     <span class="truncate">${req.domain}</span>
                     ${uatStatus}
+                    ${hasHeuristicBody(req) ? `<span class="ml-1 rounded bg-amber-100 px-1.5 py-0.5 text-[10px] font-semibold text-amber-700" title="${escapeHtml(formatCorrelation(req.correlation))}">Matched by guess</span>` : ''}
                   </div>
                   <div class="text-xs text-slate-500 truncate">${description}</div>
                   <div class="text-xs text-slate-400">${formatTime(req.timeStamp)}</div>
@@ -96,25 +211,54 @@ export function renderList() {
               <span class="text-xs text-slate-400 whitespace-nowrap shrink-0">${formatTime(req.timeStamp)}</span>
             </div>
           </button>
+          ${renderRedirectHops(req)}
         `;
       }).join('');
       return `
         <details class="border-b" open>
           <summary class="cursor-pointer px-4 py-2 text-xs font-semibold text-slate-600 flex items-center justify-between gap-2">
             <span class="truncate min-w-0">${escapeHtml(group.title)}</span>
-            <span class="text-slate-400 whitespace-nowrap shrink-0">${group.subtitle} | ${count} request${count === 1 ? '' : 's'}</span>
+            <span class="text-slate-400 whitespace-nowrap shrink-0">${group.subtitle} | ${count} request${count === 1 ? '' : 's'}${eventSummary}</span>
           </summary>
           <div id="${groupId}">
+            ${consentLane}
+            ${storageLane}
+            ${rulesLane}
             ${rows}
           </div>
         </details>
       `;
-    }).join(''));
+    }).join('') + renderLoadOlder());
   }
 
-  elements.requestCount.textContent = `${state.filtered.length} request${state.filtered.length === 1 ? '' : 's'}`;
+  const unloaded = getUnloadedRequestCount();
+  elements.requestCount.textContent = `${state.filtered.length} request${state.filtered.length === 1 ? '' : 's'}${unloaded ? ` · ${unloaded} older not loaded` : ''}`;
+
+  bindRequestLinks(list);
+  list.querySelector('button[data-load-older]')?.addEventListener('click', event => {
+    event.currentTarget.disabled = true;
+    loadOlderRequests();
+  });
+  list.querySelectorAll('details[data-page-event-id]').forEach(row => {
+    row.addEventListener('toggle', () => {
+      const id = row.getAttribute('data-page-event-id');
+      if (row.open) {
+        state.expandedEventIds.add(id);
+        fillPageEventDetails(row, id);
+      } else {
+        state.expandedEventIds.delete(id);
+      }
+    });
+  });
+  bindPayloadActions([list]);
+}
 
-  list.querySelectorAll('button[data-request-id]').forEach(button => {
+/**
+ * Open the request a button points at (`data-request-id`).
+ * @param {HTMLElement} container
+ */
+function bindRequestLinks(container) {
+  container.querySelectorAll('button[data-request-id]').forEach(button => {
     button.addEventListener('click', () => {
       const id = button.getAttribute('data-request-id');
       selectRequest(id);
@@ -124,24 +268,474 @@ export function renderList() {
 }
 
 /**
- * Render key/value rows as a table.
- * @param {Array<{ key: string, value: string }>} params
- * @param {string} [searchTerm='']
+ * Render a page event row's details the first time it is expanded.
+ * @param {HTMLElement} row
+ * @param {string} id
+ */
+function fillPageEventDetails(row, id) {
+  const body = row.querySelector(':scope > [data-page-event-body]');
+  if (!body || body.childElementCount) return;
+  const evt = state.pageEvents.find(item => item.id === id);
+  if (!evt) return;
+  setHTML(body, renderPageEventDetails(evt));
+  bindRequestLinks(body);
+  bindPayloadActions([body]);
+}
+
+/**
+ * Get every entry of a redirect chain, starting with the original request.
+ * @param {object} req any hop of the chain
+ * @returns {Array<object>}
+ */
+function getRedirectChain(req) {
+  const root = req.redirect ? state.requests.find(item => item.id === req.redirect.rootId) : req;
+  if (!root) return [req];
+  const hops = (root.redirectChain || []).map(id => state.requests.find(item => item.id === id)).filter(Boolean);
+  return [root, ...hops];
+}
+
+/**
+ * Render the redirect hops nested under the original request in the list.
+ * @param {object} req
+ * @returns {string}
+ */
+function renderRedirectHops(req) {
+  if (req.redirect || !req.redirectChain?.length) return '';
+  return getRedirectChain(req).slice(1).map(hop => {
+    const active = hop.id === state.selectedId ? 'bg-slate-50' : 'bg-white';
+    const statusClass = hop.statusCode
+      ? (hop.statusCode < 400 ? 'text-emerald-600' : 'text-rose-600')
+      : 'text-slate-400';
+    return `
+      <button class="w-full text-left pl-12 pr-4 py-2 border-b hover:bg-slate-50 ${active}" data-request-id="${hop.id}">
+        <div class="flex items-start justify-between gap-3">
+          <div class="min-w-0 text-xs">
+            <div class="truncate"><span class="text-slate-400">↳ hop ${hop.redirect?.index || ''}</span> <span class="font-semibold text-slate-700">${escapeHtml(hop.domain || '')}</span></div>
+            <div class="truncate text-slate-500"><span class="${statusClass}">${escapeHtml(hop.statusCode ? String(hop.statusCode) : 'pending')}</span> · ${escapeHtml(hop.path || '')}</div>
+          </div>
+          <span class="text-xs text-slate-400 whitespace-nowrap shrink-0">${formatTime(hop.timeStamp)}</span>
+        </div>
+      </button>
+    `;
+  }).join('');
+}
+
+/**
+ * Render the redirect chain of the selected request: each hop's URL, status and decoded query.
+ * @param {object} req
+ */
+function renderRedirectChain(req) {
+  if (!elements.detailRedirects) return;
+  const chain = getRedirectChain(req);
+  if (chain.length < 2) {
+    elements.detailRedirects.classList.add('hidden');
+    setHTML(elements.detailRedirects, '');
+    return;
+  }
+  const hops = chain.map((hop, index) => {
+    const current = hop.id === req.id;
+    const params = hop.query?.params || [];
+    return `
+      <details class="border-t ${current ? 'bg-slate-50' : ''}" ${current ? 'open' : ''}>
+        <summary class="cursor-pointer px-3 py-2 text-xs flex items-start gap-2">
+          <span class="text-slate-400 whitespace-nowrap">${index === 0 ? 'Original' : `Hop ${index}`}</span>
+          <span class="font-semibold whitespace-nowrap ${hop.statusCode && hop.statusCode < 400 ? 'text-emerald-600' : 'text-slate-500'}">${escapeHtml(hop.statusCode ? String(hop.statusCode) : 'pending')}</span>
+          <span class="min-w-0 break-all text-slate-700">${escapeHtml(hop.url || '')}</span>
+        </summary>
+        <div class="px-3 pb-3">
+          ${params.length ? renderKeyValueTable(params) : '<div class="text-xs text-slate-500">No query parameters</div>'}
+        </div>
+      </details>
+    `;
+  }).join('');
+  elements.detailRedirects.classList.remove('hidden');
+  setHTML(elements.detailRedirects, `
+    <div class="rounded border bg-white">
+      <div class="px-3 py-2 text-xs font-semibold text-slate-600">Redirect chain (${chain.length - 1} hop${chain.length === 2 ? '' : 's'})</div>
+      ${hops}
+    </div>
+  `);
+}
+
+/**
+ * Collapse rule monitor events into one run per trigger.
+ * @param {Array<object>} events
+ * @returns {Array<{ ruleId: string, ruleName: string, status: string, condition: object|null, timeStamp: number }>}
+ */
+function buildRuleRuns(events) {
+  const runs = [];
+  const openRuns = new Map();
+  [...events].sort((a, b) => (a.timeStamp || 0) - (b.timeStamp || 0)).forEach(evt => {
+    const data = evt.data || {};
+    const key = data.ruleId || data.ruleName;
+    if (data.stage === 'triggered' || !openRuns.has(key)) {
+      const run = {
+        ruleId: data.ruleId || '',
+        ruleName: data.ruleName || data.ruleId || 'Unnamed rule',
+        status: 'incomplete',
+        condition: null,
+        timeStamp: evt.timeStamp
+      };
+      runs.push(run);
+      openRuns.set(key, run);
+      if (data.stage === 'triggered') return;
+    }
+    const run = openRuns.get(key);
+    run.status = data.stage;
+    run.condition = data.condition || null;
+    openRuns.delete(key);
+  });
+  return runs;
+}
+
+/**
+ * Format a failed rule condition for display.
+ * @param {object|null} condition
  * @returns {string}
  */
-export function renderKeyValueTable(params, searchTerm = '') {
-  if (!params || !params.length) {
-    return '<div class="text-slate-500 text-sm">None</div>';
+function formatRuleCondition(condition) {
+  if (!condition) return '';
+  const parts = (condition.modulePath || '').split('/').filter(Boolean);
+  const extension = parts[0] || 'condition';
+  const moduleName = (parts[parts.length - 1] || '').replace(/\.js$/, '');
+  const label = moduleName && moduleName !== extension ? `${extension}: ${moduleName}` : extension;
+  let settings = '';
+  try {
+    settings = condition.settings ? JSON.stringify(condition.settings) : '';
+  } catch {
+    settings = '';
   }
-  const rows = params.map(({ key, value }) => {
+  if (settings.length > 120) settings = `${settings.slice(0, 117)}...`;
+  return `${condition.negate ? 'NOT ' : ''}${label}${settings ? ` ${settings}` : ''}`;
+}
+
+/**
+ * Render the per-page Rules lane from Tags rule monitor events.
+ * @param {Array<object>} events
+ * @param {string} laneId
+ * @returns {string}
+ */
+function renderRulesLane(events, laneId) {
+  if (!events.length) return '';
+  const runs = buildRuleRuns(events);
+  const completed = runs.filter(run => run.status === 'completed').length;
+  const failed = runs.filter(run => run.status === 'conditionFailed').length;
+  const incomplete = runs.length - completed - failed;
+  const summary = [
+    `${completed} completed`,
+    failed ? `${failed} condition failed` : '',
+    incomplete ? `${incomplete} incomplete` : ''
+  ].filter(Boolean).join(' · ');
+  const statusMeta = {
+    completed: { label: 'Completed', className: 'text-emerald-600' },
+    conditionFailed: { label: 'Condition failed', className: 'text-rose-600' },
+    incomplete: { label: 'Did not complete', className: 'text-amber-600' }
+  };
+  const rows = [...runs].reverse().map(run => {
+    const meta = statusMeta[run.status] || statusMeta.incomplete;
+    const conditionText = formatRuleCondition(run.condition);
     return `
-      <div class="grid grid-cols-12 gap-3 border-b px-3 py-2">
-        <div class="col-span-5 text-xs font-semibold text-slate-700 break-words">${highlightText(String(key), searchTerm)}</div>
-        <div class="col-span-7 text-xs text-slate-600 break-words">${highlightText(String(value), searchTerm)}</div>
+      <div class="flex items-start justify-between gap-3 border-t px-4 py-2">
+        <div class="min-w-0">
+          <div class="text-xs font-semibold text-slate-700 truncate" title="${escapeHtml(run.ruleId)}">${escapeHtml(run.ruleName)}</div>
+          <div class="text-xs ${meta.className}">${meta.label}</div>
+          ${conditionText ? `<div class="text-xs text-slate-500 break-words">${escapeHtml(conditionText)}</div>` : ''}
+        </div>
+        <span class="text-xs text-slate-400 whitespace-nowrap shrink-0">${formatTime(run.timeStamp)}</span>
       </div>
     `;
   }).join('');
-  return `<div class="rounded border bg-white">${rows}</div>`;
+  const open = state.expandedEventIds.has(laneId) ? 'open' : '';
+  return `
+    <details class="border-b bg-slate-50" data-page-event-id="${escapeHtml(laneId)}" ${open}>
+      <summary class="cursor-pointer px-4 py-2 text-xs font-semibold text-slate-600 flex items-center justify-between gap-2">
+        <span>Rules</span>
+        <span class="text-slate-400 font-normal truncate">${escapeHtml(summary)}</span>
+      </summary>
+      ${rows}
+    </details>
+  `;
+}
+
+/**
+ * Render the per-page Consent lane: every CMP / consent signal in the order it arrived.
+ * @param {Array<object>} events
+ * @param {string} laneId
+ * @returns {string}
+ */
+function renderConsentLane(events, laneId) {
+  if (!events.length) return '';
+  const sorted = [...events].sort((a, b) => (a.timeStamp || 0) - (b.timeStamp || 0));
+  const optIn = sorted.find(evt => evt.data?.status === 'granted');
+  const summary = optIn ? `Opt-in at ${formatTime(optIn.timeStamp)}` : 'No opt-in';
+  const statusMeta = {
+    granted: { label: 'Granted', className: 'text-emerald-600' },
+    denied: { label: 'Denied', className: 'text-rose-600' },
+    unknown: { label: 'Unknown', className: 'text-slate-500' }
+  };
+  const rows = [...sorted].reverse().map(evt => {
+    const data = evt.data || {};
+    const meta = statusMeta[data.status] || statusMeta.unknown;
+    return `
+      <div class="flex items-start justify-between gap-3 border-t px-4 py-2">
+        <div class="min-w-0">
+          <div class="text-xs font-semibold text-slate-700 truncate">${escapeHtml(CONSENT_FRAMEWORKS[data.framework] || data.framework || 'Consent')}</div>
+          <div class="text-xs ${meta.className}">${meta.label}</div>
+          ${data.summary ? `<div class="text-xs text-slate-500 break-words">${escapeHtml(data.summary)}</div>` : ''}
+        </div>
+        <span class="text-xs text-slate-400 whitespace-nowrap shrink-0">${formatTime(evt.timeStamp)}</span>
+      </div>
+    `;
+  }).join('');
+  const open = state.expandedEventIds.has(laneId) ? 'open' : '';
+  return `
+    <details class="border-b bg-slate-50" data-page-event-id="${escapeHtml(laneId)}" ${open}>
+      <summary class="cursor-pointer px-4 py-2 text-xs font-semibold text-slate-600 flex items-center justify-between gap-2">
+        <span>Consent</span>
+        <span class="${optIn ? 'text-slate-400' : 'text-amber-600'} font-normal truncate">${escapeHtml(summary)}</span>
+      </summary>
+      ${rows}
+    </details>
+  `;
+}
+
+/**
+ * Find the snapshot taken on the previous page load of the same tab.
+ * @param {object} evt
+ * @returns {object|null}
+ */
+function getPreviousSnapshot(evt) {
+  return state.pageEvents
+    .filter(item => item.kind === 'storageSnapshot' && item.sessionId === evt.sessionId && item.tabId === evt.tabId && (item.timeStamp || 0) < (evt.timeStamp || 0))
+    .sort((a, b) => (b.timeStamp || 0) - (a.timeStamp || 0))[0] || null;
+}
+
+/**
+ * Render the per-page Storage lane: configured cookies and storage keys at page load, diffed against the previous page.
+ * @param {Array<object>} events
+ * @param {string} laneId
+ * @returns {string}
+ */
+function renderStorageLane(events, laneId) {
+  if (!events.length) return '';
+  const snapshot = [...events].sort((a, b) => (b.timeStamp || 0) - (a.timeStamp || 0))[0];
+  const previous = getPreviousSnapshot(snapshot);
+  const rows = diffSnapshots(previous?.data || null, snapshot.data || {});
+  const counts = ['changed', 'added', 'removed'].map(status => [status, rows.filter(row => row.status === status).length]);
+  const summary = [
+    `${rows.filter(row => row.status !== 'removed').length} keys`,
+    ...counts.filter(([, count]) => count).map(([status, count]) => `${count} ${status}`)
+  ].join(' · ');
+  const statusMeta = {
+    changed: 'text-amber-600',
+    added: 'text-emerald-600',
+    removed: 'text-rose-600',
+    same: 'text-slate-400'
+  };
+  const truncate = value => (value && value.length > 160 ? `${value.slice(0, 157)}...` : value || '');
+  const renderRow = row => `
+    <div class="border-t px-4 py-2">
+      <div class="flex items-start justify-between gap-3">
+        <div class="text-xs font-semibold text-slate-700 break-all">${escapeHtml(row.key)}</div>
+        <span class="text-[10px] ${statusMeta[row.status]} whitespace-nowrap shrink-0">${previous ? escapeHtml(row.status) : ''}</span>
+      </div>
+      ${row.status === 'changed' || row.status === 'removed'
+        ? `<div class="text-xs text-slate-400 line-through break-all" title="${escapeHtml(row.before || '')}">${escapeHtml(truncate(row.before))}</div>`
+        : ''}
+      ${row.status !== 'removed'
+        ? `<div class="text-xs text-slate-500 break-all" title="${escapeHtml(row.after || '')}">${escapeHtml(truncate(row.after)) || '(empty)'}</div>`
+        : ''}
+    </div>
+  `;
+  const sections = SNAPSHOT_STORES.map(([store, label]) => {
+    const storeRows = rows.filter(row => row.store === store);
+    if (!storeRows.length) return '';
+    return `<div class="border-t px-4 pt-2 text-[10px] font-semibold uppercase tracking-wide text-slate-400">${escapeHtml(label)}</div>${storeRows.map(renderRow).join('')}`;
+  }).join('');
+  const notice = snapshot.data?.storageRead === false
+    ? '<div class="border-t px-4 py-2 text-xs text-amber-700">Storage keys could not be read on this page (content script unavailable).</div>'
+    : '';
+  const open = state.expandedEventIds.has(laneId) ? 'open' : '';
+  return `
+    <details class="border-b bg-slate-50" data-page-event-id="${escapeHtml(laneId)}" ${open}>
+      <summary class="cursor-pointer px-4 py-2 text-xs font-semibold text-slate-600 flex items-center justify-between gap-2">
+        <span>Storage</span>
+        <span class="text-slate-400 font-normal truncate">${escapeHtml(summary)} · ${formatTime(snapshot.timeStamp)}</span>
+      </summary>
+      ${notice}
+      ${sections || '<div class="border-t px-4 py-2 text-xs text-slate-500">None of the configured keys were set.</div>'}
+    </details>
+  `;
+}
+
+/**
+ * Describe a page event for the request list.
+ * @param {object} evt
+ * @returns {{ badge: string, label: string, title: string, description: string, sections: Array<{ title: string, value: any }>, truncated: boolean, requestId?: string|null }}
+ */
+function describePageEvent(evt) {
+  const data = evt.data || {};
+  if (evt.kind === 'dataLayer') {
+    const isDigitalData = data.layer === 'digitalData';
+    const changes = Array.isArray(data.changes) ? data.changes : [];
+    const description = isDigitalData
+      ? (changes.length ? `Changed: ${changes.slice(0, 3).join(', ')}${changes.length > 3 ? ` +${changes.length - 3}` : ''}` : 'Initial snapshot')
+      : (data.initial ? 'Present before hook (replayed)' : 'Pushed');
+    return {
+      badge: 'DL',
+      label: 'Data layer',
+      title: `${isDigitalData ? 'digitalData' : `${data.layer}.push`}${data.eventName ? ` · ${data.eventName}` : ''}`,
+      description,
+      sections: [
+        data.pushed !== null && data.pushed !== undefined ? { title: 'Pushed', value: data.pushed } : null,
+        { title: 'Computed state', value: data.state }
+      ].filter(Boolean),
+      truncated: !!data.truncated
+    };
+  }
+  if (evt.kind === 'websdkCommand') {
+    const edgeRequest = findEdgeRequest(evt);
+    const statusLabel = data.status === 'rejected' ? 'Rejected' : 'Resolved';
+    const edgeLabel = data.command === 'sendEvent' ? (edgeRequest ? 'Edge request linked' : 'No Edge request linked') : '';
+    return {
+      badge: 'SDK',
+      label: 'Web SDK command',
+      title: `alloy("${data.command}")${data.options?.type ? ` · ${data.options.type}` : ''}`,
+      description: [statusLabel, summarizeWebsdkCommand(data), edgeLabel].filter(Boolean).join(' · '),
+      sections: [
+        { title: 'Options', value: data.options },
+        data.status === 'rejected' ? { title: 'Error', value: { message: data.error } } : { title: 'Result', value: data.result }
+      ],
+      truncated: !!data.truncated,
+      requestId: edgeRequest?.id || null
+    };
+  }
+  return {
+    badge: 'EV',
+    label: 'Page event',
+    title: evt.kind || 'Event',
+    description: '',
+    sections: [{ title: 'Data', value: data }],
+    truncated: false
+  };
+}
+
+/**
+ * Summarise the options and result that matter for a Web SDK command.
+ * @param {object} data websdkCommand event data
+ * @returns {string}
+ */
+function summarizeWebsdkCommand(data) {
+  const options = data.options || {};
+  const result = data.result || {};
+  const count = (list, noun) => (Array.isArray(list) ? `${list.length} ${noun}${list.length === 1 ? '' : 's'}` : '');
+  if (data.command === 'configure') {
+    return [
+      `datastream ${options.datastreamId || options.edgeConfigId || '?'}`,
+      options.edgeDomain ? `edge ${options.edgeDomain}` : '',
+      options.orgId ? `org ${options.orgId}` : '',
+      `onBeforeEventSend ${options.onBeforeEventSend ? 'set' : 'not set'}`
+    ].filter(Boolean).join(', ');
+  }
+  if (data.command === 'sendEvent' || data.command === 'applyResponse') {
+    return [
+      options.xdm?.eventType || '',
+      count(result.propositions, 'proposition'),
+      count(result.destinations, 'destination')
+    ].filter(Boolean).join(', ');
+  }
+  if (data.command === 'setConsent') {
+    const consent = Array.isArray(options.consent) ? options.consent : [];
+    return consent.map(item => `${item?.standard || ''} ${item?.version || ''}`.trim()).filter(Boolean).join(', ');
+  }
+  if (data.command === 'getIdentity') {
+    return result.identity?.ECID ? `ECID ${result.identity.ECID}` : '';
+  }
+  return '';
+}
+
+/**
+ * Find the Edge request a sendEvent command produced (matched in the page by Web SDK's `requestId`).
+ * @param {object} evt websdkCommand event
+ * @returns {object|null}
+ */
+function findEdgeRequest(evt) {
+  const edgeRequestId = evt.data?.edgeRequestId;
+  if (!edgeRequestId) return null;
+  return state.requests.find(req => req.sessionId === evt.sessionId && getQueryParamValue(req, 'requestId') === edgeRequestId) || null;
+}
+
+/**
+ * Find the sendEvent command that produced an Edge request.
+ * @param {object} req
+ * @returns {object|null}
+ */
+function findWebsdkCommand(req) {
+  const edgeRequestId = getQueryParamValue(req, 'requestId');
+  if (!edgeRequestId) return null;
+  return state.pageEvents.find(evt => evt.kind === 'websdkCommand' && evt.sessionId === req.sessionId && evt.data?.edgeRequestId === edgeRequestId) || null;
+}
+
+/**
+ * Read a query parameter value from a request.
+ * @param {object} req
+ * @param {string} key
+ * @returns {string|null}
+ */
+function getQueryParamValue(req, key) {
+  return (req.query?.params || []).find(param => param.key === key)?.value || null;
+}
+
+/**
+ * Render the expanded part of a page event row: snapshot notice, request link and JSON sections.
+ * @param {object} evt
+ * @returns {string}
+ */
+function renderPageEventDetails(evt) {
+  const info = describePageEvent(evt);
+  const notice = info.truncated
+    ? '<div class="rounded border border-amber-200 bg-amber-50 px-3 py-2 text-xs text-amber-700">Snapshot too large to capture in full.</div>'
+    : '';
+  const link = info.requestId
+    ? `<button type="button" class="text-xs underline text-slate-700" data-request-id="${escapeHtml(info.requestId)}">Open Edge request</button>`
+    : '';
+  const sections = info.sections.map(section => `
+    <div>
+      <div class="mb-1 text-[10px] font-semibold uppercase tracking-wide text-slate-400">${escapeHtml(section.title)}</div>
+      ${section.value === null || section.value === undefined
+        ? '<div class="text-xs text-slate-500">Not captured</div>'
+        : renderJson(section.value)}
+    </div>
+  `).join('');
+  return `${notice}${link}${sections}`;
+}
+
+/**
+ * Render a page event row (data layer push, etc.) for the request list. The JSON
+ * details are only built for expanded rows; collapsed rows fill in when opened.
+ * @param {object} evt
+ * @returns {string}
+ */
+function renderPageEventRow(evt) {
+  const info = describePageEvent(evt);
+  const expanded = state.expandedEventIds.has(evt.id);
+  return `
+    <details class="border-b bg-slate-50" data-page-event-id="${escapeHtml(evt.id)}" ${expanded ? 'open' : ''}>
+      <summary class="cursor-pointer list-none px-4 py-2 hover:bg-slate-100">
+        <div class="flex items-start justify-between gap-3">
+          <div class="flex items-start gap-2 min-w-0">
+            <span class="inline-flex h-10 w-10 flex-shrink-0 items-center justify-center rounded-md border border-indigo-200 bg-indigo-50 text-[11px] font-semibold leading-none text-indigo-700" title="${escapeHtml(info.label)}">${escapeHtml(info.badge)}</span>
+            <div class="min-w-0">
+              <div class="text-sm font-semibold truncate">${escapeHtml(info.title)}</div>
+              <div class="text-xs text-slate-500 truncate">${escapeHtml(info.description)}</div>
+            </div>
+          </div>
+          <span class="text-xs text-slate-400 whitespace-nowrap shrink-0">${formatTime(evt.timeStamp)}</span>
+        </div>
+      </summary>
+      <div class="space-y-3 px-4 pb-3" data-page-event-body>${expanded ? renderPageEventDetails(evt) : ''}</div>
+    </details>
+  `;
 }
 
 /**
@@ -162,8 +756,12 @@ export function selectRequest(id) {
   setHTML(elements.detailMeta, [
     `Method: ${req.method || ''}`,
     `Status: ${req.statusCode || 'pending'}`,
-    `Duration: ${formatDuration(req.duration)}`
-  ].map(item => `<span>${escapeHtml(item)}</span>`).join(''));
+    `Duration: ${formatDuration(req.duration)}`,
+    req.consent ? `Consent: ${formatConsentState(req.consent)}` : '',
+    req.captureSource ? `Source: ${formatCaptureSource(req.captureSource)}` : '',
+    req.correlation ? `Hook match: ${formatCorrelation(req.correlation)}` : '',
+    formatWebsdkCommandMeta(req)
+  ].filter(Boolean).map(item => `<span>${escapeHtml(item)}</span>`).join(''));
 
   const queryParams = req.query?.params || [];
   if (queryParams.length) {
@@ -177,11 +775,20 @@ export function selectRequest(id) {
   }
   if (elements.payloadSearch) elements.payloadSearch.value = state.payloadSearch;
 
-  const payloadNotice = req.body?.truncated
+  const payloadNotice = (req.body?.truncated
     ? '<div class="mb-3 rounded border border-amber-200 bg-amber-50 px-3 py-2 text-xs text-amber-700">Payload truncated for performance. Showing the first 200,000 characters.</div>'
-    : '';
+    : '') + (hasHeuristicBody(req)
+    ? `<div class="mb-3 rounded border border-amber-200 bg-amber-50 px-3 py-2 text-xs text-amber-700">This body was matched to the request heuristically (${escapeHtml(CORRELATION_METHODS[req.correlation.method] || req.correlation.method)}). It may belong to a neighbouring request to the same endpoint.</div>`
+    : '') + renderBodyTransforms(req.body);
 
-  if (!req.body) {
+  const decoded = decodeRequest(req);
+  renderPayloadViewToggle(decoded);
+  if (decoded && state.payloadView === 'decoded') {
+    setHTML(elements.detailPayload, renderDecodedView(decoded));
+    if (elements.payloadTools) elements.payloadTools.classList.remove('hidden');
+    if (elements.payloadExpandTools) elements.payloadExpandTools.classList.remove('hidden');
+    scrollFirstMatch(elements.detailPayload);
+  } else if (!req.body) {
     setHTML(elements.detailPayload, '<div class="text-slate-500 text-sm">No payload</div>');
     if (elements.payloadTools) elements.payloadTools.classList.add('hidden');
   } else if (req.body.type === 'json' && req.body.parsed) {
@@ -194,6 +801,11 @@ export function selectRequest(id) {
     if (elements.payloadTools) elements.payloadTools.classList.remove('hidden');
     if (elements.payloadExpandTools) elements.payloadExpandTools.classList.add('hidden');
     scrollFirstMatch(elements.detailPayload);
+  } else if (req.body.type === 'multipart' && req.body.parsed) {
+    setHTML(elements.detailPayload, `${payloadNotice}${renderMultipartBody(req.body, state.payloadSearch)}`);
+    if (elements.payloadTools) elements.payloadTools.classList.remove('hidden');
+    if (elements.payloadExpandTools) elements.payloadExpandTools.classList.remove('hidden');
+    scrollFirstMatch(elements.detailPayload);
   } else if (req.body.type === 'text' && req.body.raw) {
     const parsed = tryParseJsonString(req.body.raw);
     if (parsed) {
@@ -214,7 +826,13 @@ export function selectRequest(id) {
       }
     }
   } else {
-    if (!req.body.raw && !req.body.parsed) {
+    if (req.body.type === 'binary') {
+      const size = req.body.original?.size || 0;
+      const message = req.body.encoding
+        ? `Compressed payload (${escapeHtml(req.body.encoding)}, ${size} bytes) could not be decoded`
+        : `Binary payload (${size} bytes)`;
+      setHTML(elements.detailPayload, `<div class="text-slate-500 text-sm">${message} · hex dump in the Raw tab</div>`);
+    } else if (!req.body.raw && !req.body.parsed) {
       setHTML(elements.detailPayload, '<div class="text-slate-500 text-sm">Payload unavailable</div>');
     } else {
       setHTML(elements.detailPayload, `${payloadNotice}<pre class="text-xs whitespace-pre-wrap rounded border bg-slate-50 p-3">${escapeHtml(req.body.raw || '')}</pre>`);
@@ -222,17 +840,22 @@ export function selectRequest(id) {
     if (elements.payloadTools) elements.payloadTools.classList.add('hidden');
   }
 
-  if (req.requestHeaders && req.requestHeaders.length) {
-    const headerRows = req.requestHeaders.map(h => ({ key: h.name, value: h.value || '' }));
-    setHTML(elements.detailHeaders, renderKeyValueTable(headerRows));
-  } else {
-    setHTML(elements.detailHeaders, '<div class="text-slate-500 text-sm">No headers captured</div>');
-  }
+  renderRedirectChain(req);
+  renderResponse(req);
+  renderPageProbe(req);
+  renderPersonalization(req);
+  renderDiagnostics(req);
+
+  setHTML(elements.detailHeaders, [
+    renderHeaderSection('Request', req.requestHeaders),
+    renderHeaderSection('Response', req.responseHeaders)
+  ].join(''));
 
   const rawParts = [
     `URL: ${req.url}`,
     req.query?.raw ? `Query: ${req.query.raw}` : '',
-    req.body?.raw ? `Body: ${req.body.raw}` : ''
+    req.body ? formatRawBody(req.body) : '',
+    req.response?.raw ? `Response: ${req.response.raw}` : ''
   ].filter(Boolean).join('\n\n');
 
   elements.detailRaw.textContent = rawParts;
@@ -249,6 +872,300 @@ export function selectRequest(id) {
   renderList();
 }
 
+/**
+ * Describe the Web SDK sendEvent command that produced a request, if one was linked.
+ * @param {object} req
+ * @returns {string}
+ */
+function formatWebsdkCommandMeta(req) {
+  const command = findWebsdkCommand(req);
+  if (!command) return '';
+  const eventType = command.data.options?.xdm?.eventType;
+  return `Web SDK: sendEvent${eventType ? ` (${eventType})` : ''} at ${formatTime(command.timeStamp)}`;
+}
+
+/**
+ * Summarise which capture paths produced a request's entry, body and response.
+ * @param {{ request: string, body: string|null, response: string|null }} source
+ * @returns {string}
+ */
+function formatCaptureSource(source) {
+  const label = value => CAPTURE_SOURCE_LABELS[value] || value;
+  return [
+    `request ${label(source.request || 'webRequest')}`,
+    source.body ? `body ${label(source.body)}` : '',
+    source.response ? `response ${label(source.response)}` : ''
+  ].filter(Boolean).join(', ');
+}
+
+/**
+ * Check whether a request's body came from a page hook call that was only matched heuristically.
+ * @param {object} req
+ * @returns {boolean}
+ */
+function hasHeuristicBody(req) {
+  return req.captureSource?.body === 'hooks' && req.correlation?.confidence === 'heuristic';
+}
+
+/**
+ * Describe how a page hook call was matched to a request.
+ * @param {{ method: string, confidence: string }} correlation
+ * @returns {string}
+ */
+function formatCorrelation(correlation) {
+  return `${CORRELATION_METHODS[correlation.method] || correlation.method} (${correlation.confidence})`;
+}
+
+/**
+ * Summarise the consent state a request fired under.
+ * @param {{ state: string, frameworks: object }} consent
+ * @returns {string}
+ */
+function formatConsentState(consent) {
+  const frameworks = Object.entries(consent.frameworks || {})
+    .map(([framework, item]) => `${CONSENT_FRAMEWORKS[framework] || framework} ${item.status}`);
+  const label = consent.state === 'granted' ? 'opted in' : (consent.state === 'denied' ? 'before opt-in' : 'before opt-in (no signal yet)');
+  return frameworks.length ? `${label} · ${frameworks.join(', ')}` : label;
+}
+
+/**
+ * Format a request body for the Raw tab: hex dumps for binary data, one block per multipart part.
+ * @param {object} body
+ * @returns {string}
+ */
+function formatRawBody(body) {
+  const text = formatRawBodyText(body);
+  return text ? `Body: ${text}` : '';
+}
+
+/**
+ * Format body content without the label.
+ * @param {object} body
+ * @returns {string}
+ */
+function formatRawBodyText(body) {
+  if (body.type === 'binary' && body.original?.raw) {
+    const details = [`${body.original.size || 0} bytes`, body.encoding].filter(Boolean).join(', ');
+    return `(${details})\n${formatHexDump(body.original.raw, body.original.size)}`;
+  }
+  if (body.type === 'multipart' && body.parsed) {
+    const parts = (body.parsed.parts || []).map(part => [
+      `--${body.boundary}`,
+      ...(part.headers || []).map(header => `${header.name}: ${header.value}`),
+      '',
+      formatRawBodyText(part)
+    ].join('\n'));
+    return `\n${[...parts, `--${body.boundary}--`].join('\n')}`;
+  }
+  return body.raw || '';
+}
+
+/**
+ * Render the Decoded/Raw switch above the payload when a decoder applies.
+ * @param {{ label: string }|null} decoded
+ */
+function renderPayloadViewToggle(decoded) {
+  const container = elements.payloadViewToggle;
+  if (!container) return;
+  if (!decoded) {
+    container.classList.add('hidden');
+    setHTML(container, '');
+    return;
+  }
+  const views = [
+    { id: 'decoded', label: `Decoded (${decoded.label})` },
+    { id: 'raw', label: 'Raw' }
+  ];
+  setHTML(container, views.map(view => {
+    const active = state.payloadView === view.id
+      ? 'bg-slate-900 text-white border-slate-900'
+      : 'hover:bg-slate-50';
+    return `<button type="button" class="text-xs px-2 py-1 border rounded ${active}" data-payload-view="${view.id}">${escapeHtml(view.label)}</button>`;
+  }).join(''));
+  container.classList.remove('hidden');
+  container.querySelectorAll('[data-payload-view]').forEach(button => {
+    button.addEventListener('click', () => {
+      state.payloadView = button.getAttribute('data-payload-view');
+      if (state.selectedId) selectRequest(state.selectedId);
+    });
+  });
+}
+
+/**
+ * Render a titled header table for the Headers tab.
+ * @param {string} title
+ * @param {Array<{ name: string, value: string }>} headers
+ * @returns {string}
+ */
+function renderHeaderSection(title, headers) {
+  const rows = (headers || []).map(h => ({ key: h.name, value: h.value || '' }));
+  const body = rows.length
+    ? renderKeyValueTable(rows)
+    : '<div class="text-slate-500 text-sm">No headers captured</div>';
+  return `
+    <div class="mb-4">
+      <div class="mb-2 text-xs font-semibold uppercase tracking-wide text-slate-400">${escapeHtml(title)}</div>
+      ${body}
+    </div>
+  `;
+}
+
+/**
+ * Render the captured response body for a request.
+ * @param {object} req
+ */
+function renderResponse(req) {
+  if (!elements.detailResponse) return;
+  const response = req.response;
+  if (!response) {
+    if (elements.detailResponseMeta) setHTML(elements.detailResponseMeta, '');
+    setHTML(elements.detailResponse, '<div class="text-slate-500 text-sm">No response captured. Response bodies are read via page hooks.</div>');
+    return;
+  }
+  if (elements.detailResponseMeta) {
+    setHTML(elements.detailResponseMeta, [
+      `Status: ${response.status ?? req.statusCode ?? 'unknown'}`,
+      `Content-Type: ${response.contentType || 'unknown'}`
+    ].map(item => `<span>${escapeHtml(item)}</span>`).join(''));
+  }
+  const notice = response.truncated
+    ? '<div class="mb-3 rounded border border-amber-200 bg-amber-50 px-3 py-2 text-xs text-amber-700">Response truncated for performance. Showing the first 200,000 characters.</div>'
+    : '';
+  const parsed = response.parsed && typeof response.parsed === 'object'
+    ? response.parsed
+    : tryParseJsonString(response.raw || '');
+  if (parsed) {
+    setHTML(elements.detailResponse, `${notice}${renderJson(parsed)}`);
+  } else if (response.raw) {
+    setHTML(elements.detailResponse, `${notice}<pre class="text-xs whitespace-pre-wrap rounded border bg-slate-50 p-3">${escapeHtml(response.raw)}</pre>`);
+  } else {
+    setHTML(elements.detailResponse, '<div class="text-slate-500 text-sm">Empty response body</div>');
+  }
+}
+
+/**
+ * Find the latest Tags library probe for the navigation a request belongs to.
+ * @param {object} req
+ * @returns {object|null}
+ */
+function getTagsProbeForRequest(req) {
+  const navKey = getNavigationKey(req);
+  const matches = state.pageEvents.filter(evt => {
+    if (evt.kind !== 'tagsProbe' || evt.sessionId !== req.sessionId || evt.tabId !== req.tabId) return false;
+    return req.navId ? evt.navId === req.navId : getNavigationKey(evt) === navKey;
+  });
+  return matches.sort((a, b) => (b.timeStamp || 0) - (a.timeStamp || 0))[0] || null;
+}
+
+/**
+ * Format a probed data element value for a key/value table.
+ * @param {{ value: any, error: string }} element
+ * @returns {string}
+ */
+function formatDataElementValue(element) {
+  if (element.error) return `Error: ${element.error}`;
+  if (element.value === null || element.value === undefined) return '(empty)';
+  if (typeof element.value !== 'object') return String(element.value);
+  const text = JSON.stringify(element.value);
+  return text.length > 300 ? `${text.slice(0, 297)}...` : text;
+}
+
+/**
+ * Render the Page tab (Adobe Tags library snapshot) for a request's navigation.
+ * @param {object} req
+ */
+function renderPageProbe(req) {
+  if (!elements.detailPage) return;
+  const probe = getTagsProbeForRequest(req);
+  if (elements.pageProbe) {
+    elements.pageProbe.textContent = probe ? 'Refresh' : 'Read Tags library';
+    elements.pageProbe.disabled = typeof req.tabId !== 'number' || req.tabId < 0;
+  }
+  if (!probe) {
+    setHTML(elements.detailPageMeta, '');
+    setHTML(elements.detailPage, '<div class="text-slate-500 text-sm">No Tags library snapshot for this page yet. Read it while the page is still open in its tab.</div>');
+    return;
+  }
+  const data = probe.data || {};
+  setHTML(elements.detailPageMeta, [
+    `Read at: ${formatTime(probe.timeStamp)}`,
+    `Page: ${data.pageUrl || probe.pageUrl || ''}`
+  ].map(item => `<span>${escapeHtml(item)}</span>`).join(''));
+  if (!data.present) {
+    setHTML(elements.detailPage, '<div class="text-slate-500 text-sm">Adobe Tags (<code>_satellite</code>) was not found on this page.</div>');
+    return;
+  }
+  const buildInfo = data.buildInfo || {};
+  const environment = data.environment || {};
+  const library = [
+    { key: 'Property', value: [data.property?.name, data.property?.id ? `(${data.property.id})` : ''].filter(Boolean).join(' ') },
+    { key: 'Environment', value: [environment.stage, environment.id ? `(${environment.id})` : ''].filter(Boolean).join(' ') },
+    { key: 'Build date', value: buildInfo.buildDate || '' },
+    { key: 'Turbine version', value: buildInfo.turbineVersion || '' },
+    { key: 'Turbine build date', value: buildInfo.turbineBuildDate || '' },
+    { key: 'Minified', value: buildInfo.minified === undefined ? '' : String(buildInfo.minified) },
+    { key: 'IMS Org', value: data.orgId || '' },
+    { key: 'Rules', value: data.ruleCount === null || data.ruleCount === undefined ? '' : String(data.ruleCount) }
+  ].filter(row => row.value);
+  const extensions = (data.extensions || []).map(ext => ({ key: ext.displayName, value: ext.name }));
+  const dataElements = (data.dataElements || []).map(element => ({ key: element.name, value: formatDataElementValue(element) }));
+  const capped = data.dataElementCount > dataElements.length
+    ? `<div class="mb-2 text-xs text-amber-700">Showing ${dataElements.length} of ${data.dataElementCount} data elements.</div>`
+    : '';
+  setHTML(elements.detailPage, [
+    renderDetailSection('Library', renderKeyValueTable(library)),
+    renderDetailSection(`Extensions (${extensions.length})`, renderKeyValueTable(extensions)),
+    renderDetailSection(`Data elements (${data.dataElementCount || 0})`, `${capped}<div class="mb-2 text-xs text-slate-500">Values read with <code>_satellite.getVar()</code> at the time above.</div>${renderKeyValueTable(dataElements)}`)
+  ].join(''));
+}
+
+/**
+ * Render the Personalization tab: Target and Edge decisions across the request's page.
+ * @param {object} req
+ */
+function renderPersonalization(req) {
+  if (!elements.detailPersonalization) return;
+  const navKey = getNavigationKey(req);
+  const calls = state.requests
+    .filter(item => item.sessionId === req.sessionId && getNavigationKey(item) === navKey)
+    .sort((a, b) => (a.timeStamp || 0) - (b.timeStamp || 0))
+    .map(item => ({ item, data: getPersonalization(item) }))
+    .filter(entry => entry.data);
+  if (!calls.length) {
+    setHTML(elements.detailPersonalizationMeta, '');
+    setHTML(elements.detailPersonalization, '<div class="text-slate-500 text-sm">No Target or Edge personalization calls on this page.</div>');
+    return;
+  }
+  const delivered = [];
+  const requested = new Map();
+  calls.forEach(({ item, data }) => {
+    data.delivered.forEach(row => delivered.push({ ...row, source: data.source, time: formatTime(item.timeStamp) }));
+    data.requested.forEach(row => {
+      if (!requested.has(row.scope)) requested.set(row.scope, { scope: row.scope, sources: new Set() });
+      requested.get(row.scope).sources.add(data.source);
+    });
+  });
+  const deliveredScopes = new Set(delivered.map(row => row.scope));
+  const missing = [...requested.keys()].filter(scope => !deliveredScopes.has(scope));
+  const withoutResponse = calls.filter(({ item }) => !item.response).length;
+  setHTML(elements.detailPersonalizationMeta, [
+    `Calls: ${calls.length}`,
+    `Activities: ${new Set(delivered.map(row => row.activity.id || row.activity.name).filter(Boolean)).size}`,
+    withoutResponse ? `Without response: ${withoutResponse}` : ''
+  ].filter(Boolean).map(item => `<span>${escapeHtml(item)}</span>`).join(''));
+  const requestedRows = [...requested.values()].map(row => ({
+    key: row.scope,
+    value: `${[...row.sources].join(', ')}${deliveredScopes.has(row.scope) ? '' : ' · nothing delivered'}`
+  }));
+  const missingNotice = missing.length
+    ? `<div class="mb-2 rounded border border-amber-200 bg-amber-50 px-3 py-2 text-xs text-amber-700">${missing.length} requested scope${missing.length === 1 ? '' : 's'} returned no content: ${escapeHtml(missing.join(', '))}</div>`
+    : '';
+  setHTML(elements.detailPersonalization, [
+    renderDetailSection(`Delivered (${delivered.length})`, renderDeliveredTable(delivered)),
+    renderDetailSection(`Requested scopes (${requestedRows.length})`, `${missingNotice}${renderKeyValueTable(requestedRows)}`)
+  ].join(''));
+}
+
 /**
  * Scroll to the first highlighted match within a container.
  * @param {Element} container
@@ -282,6 +1199,8 @@ export function extractPayloadJson(req) {
  * @returns {string}
  */
 export function getEventTypeLabel(req) {
+  const decodedLabel = getDecodedEventLabel(req);
+  if (decodedLabel) return decodedLabel;
   const payload = extractPayloadJson(req);
   const eventType = payload?.events?.[0]?.xdm?.eventType || payload?.xdm?.eventType;
   if (!eventType) return '';
@@ -321,7 +1240,7 @@ export function getAdobeAnalyticsContext(req) {
 }
 
 /**
- * Group requests by page navigation ID.
+ * Group requests (and page events) by page navigation ID.
  * @param {Array<object>} requests
  * @returns {Array<object>}
  */
@@ -331,8 +1250,8 @@ export function groupRequestsByPageSessions(requests) {
   let current = null;
 
   sorted.forEach(req => {
-    const pageUrl = req.pageUrl || req.documentUrl || req.initiator || req.url || req.path || '/';
-    const navKey = req.navId ? `${pageUrl}::${req.navId}` : pageUrl;
+    const pageUrl = getNavigationPageUrl(req);
+    const navKey = getNavigationKey(req);
     const newGroup = !current || current.key !== navKey;
 
     if (newGroup) {
@@ -352,6 +1271,25 @@ export function groupRequestsByPageSessions(requests) {
   return groups.reverse();
 }
 
+/**
+ * Resolve the page URL used to group a request or page event.
+ * @param {object} item
+ * @returns {string}
+ */
+function getNavigationPageUrl(item) {
+  return item.pageUrl || item.documentUrl || item.initiator || item.url || item.path || '/';
+}
+
+/**
+ * Build the navigation group key for a request or page event.
+ * @param {object} item
+ * @returns {string}
+ */
+export function getNavigationKey(item) {
+  const pageUrl = getNavigationPageUrl(item);
+  return item.navId ? `${pageUrl}::${item.navId}` : pageUrl;
+}
+
 /**
  * Safely get pathname from a URL string.
  * @param {string} url
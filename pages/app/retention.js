@@ -0,0 +1,164 @@
+import { api, elements, state } from './state.js';
+import { escapeHtml, formatBytes, setHTML } from './utils.js';
+import { toast } from './ui.js';
+
+let retentionDialogMode = 'warnings';
+
+/**
+ * Get the request cap that applies to a session (0 = none). Pinned sessions have none.
+ * @param {object} session
+ * @returns {number}
+ */
+function getSessionCap(session) {
+  if (session.pinned) return 0;
+  return session.maxEntries || state.settings?.sessionMaxEntries || 0;
+}
+
+/**
+ * Render a session's storage meter: requests against its cap and approximate size.
+ * @param {object} session
+ * @returns {string}
+ */
+export function renderSessionUsage(session) {
+  const count = session.requestCount || 0;
+  const cap = getSessionCap(session);
+  const percent = cap ? Math.min(100, Math.round((count / cap) * 100)) : 0;
+  return `
+    <div class="mt-1 text-[10px] text-slate-400">${count}${cap ? ` / ${cap}` : ''} requests · ${formatBytes(session.storageBytes || 0)}${session.pinned ? ' · kept forever' : ''}</div>
+    ${cap ? `<div class="mt-1 h-1 rounded bg-slate-100"><div class="h-1 rounded ${percent >= 90 ? 'bg-amber-500' : 'bg-slate-400'}" style="width:${percent}%"></div></div>` : ''}
+  `;
+}
+
+/**
+ * Render the notice shown on a session whose eviction is waiting for confirmation.
+ * @param {object} session
+ * @returns {string}
+ */
+export function renderRetentionNotice(session) {
+  if (!state.retentionWarnings.some(warning => warning.sessionId === session.id)) return '';
+  return `<button type="button" class="mx-4 mb-3 rounded border border-amber-200 bg-amber-50 px-2 py-1 text-[10px] font-semibold text-amber-700" data-retention-open>Over storage limits · review</button>`;
+}
+
+/**
+ * Describe what a held eviction would remove.
+ * @param {{ reason: string, count: number }} warning
+ * @returns {string}
+ */
+function describeWarning(warning) {
+  if (warning.reason === 'expired') {
+    return `No new requests for ${state.settings?.expireAfterDays || 0} days: the whole session (${warning.count} requests) would be deleted.`;
+  }
+  if (warning.reason === 'session-cap') {
+    return `Over its request cap: the ${warning.count} oldest requests would be removed.`;
+  }
+  return `Over the limit across unpinned sessions: the ${warning.count} oldest requests would be removed.`;
+}
+
+/**
+ * Store the evictions the background is holding back and show them. The dialog
+ * opens by itself only when a session or reason appears that was not listed before.
+ * @param {Array<object>} warnings
+ */
+export function updateRetentionWarnings(warnings) {
+  const key = warning => `${warning.sessionId}:${warning.reason}`;
+  const previous = new Set(state.retentionWarnings.map(key));
+  state.retentionWarnings = Array.isArray(warnings) ? warnings : [];
+  const dialogOpen = elements.retentionDialog?.open && retentionDialogMode === 'warnings';
+  if (dialogOpen || state.retentionWarnings.some(warning => !previous.has(key(warning)))) {
+    openRetentionWarnings();
+  }
+}
+
+/**
+ * Open the dialog listing held evictions, with Pin and Remove actions per session.
+ */
+export function openRetentionWarnings() {
+  if (!elements.retentionDialog) return;
+  if (!state.retentionWarnings.length) {
+    if (elements.retentionDialog.open && retentionDialogMode === 'warnings') elements.retentionDialog.close();
+    return;
+  }
+  retentionDialogMode = 'warnings';
+  elements.retentionTitle.textContent = 'Storage limits reached';
+  elements.retentionBody.textContent = 'These UAT sessions are over the storage limits. Nothing is removed from them until you confirm. Pin a session to keep it forever.';
+  const bySession = state.retentionWarnings.reduce((acc, warning) => {
+    acc[warning.sessionId] = acc[warning.sessionId] || [];
+    acc[warning.sessionId].push(warning);
+    return acc;
+  }, {});
+  setHTML(elements.retentionList, Object.entries(bySession).map(([sessionId, items]) => {
+    const total = items.reduce((sum, item) => sum + item.count, 0);
+    return `
+      <div class="rounded border border-amber-200 bg-amber-50 px-3 py-2 text-xs text-amber-800">
+        <div class="font-semibold">${escapeHtml(items[0].name)} <span class="font-normal text-amber-700">${escapeHtml(items[0].site)}</span></div>
+        ${items.map(item => `<div class="mt-1">${escapeHtml(describeWarning(item))}</div>`).join('')}
+        <div class="mt-2 flex justify-end gap-2">
+          <button type="button" class="rounded border border-slate-300 bg-white px-2 py-1 text-slate-700" data-retention-pin="${sessionId}">Pin session</button>
+          <button type="button" class="rounded bg-rose-600 px-2 py-1 text-white" data-retention-evict="${sessionId}">Remove ${total} request${total === 1 ? '' : 's'}</button>
+        </div>
+      </div>
+    `;
+  }).join(''));
+  elements.retentionList.querySelectorAll('button[data-retention-pin]').forEach(button => {
+    button.addEventListener('click', () => {
+      api.runtime.sendMessage({ type: 'updateSession', id: button.getAttribute('data-retention-pin'), pinned: true }, () => {
+        toast('Session pinned', 'It will be kept until you delete it.');
+      });
+    });
+  });
+  elements.retentionList.querySelectorAll('button[data-retention-evict]').forEach(button => {
+    button.addEventListener('click', () => {
+      button.disabled = true;
+      api.runtime.sendMessage({ type: 'confirmEviction', sessionId: button.getAttribute('data-retention-evict') }, response => {
+        updateRetentionWarnings(response?.warnings);
+        toast('Requests removed');
+      });
+    });
+  });
+  if (!elements.retentionDialog.open) elements.retentionDialog.showModal();
+}
+
+/**
+ * Update a session, asking first when the change unpins it and the retention rules
+ * would then remove some of its requests.
+ * @param {object} session
+ * @param {object} patch `updateSession` fields
+ * @param {() => void} [onDone]
+ */
+export function updateSessionWithRetention(session, patch, onDone) {
+  const send = confirmEviction => {
+    api.runtime.sendMessage({ type: 'updateSession', id: session.id, ...patch, confirmEviction }, () => onDone?.());
+  };
+  if (!session.pinned || patch.pinned !== false || !elements.retentionDialog) {
+    send(false);
+    return;
+  }
+  api.runtime.sendMessage({ type: 'previewRetention', id: session.id, patch }, response => {
+    const count = response?.count || 0;
+    if (!count) {
+      send(false);
+      return;
+    }
+    retentionDialogMode = 'unpin';
+    elements.retentionTitle.textContent = 'Unpin session?';
+    elements.retentionBody.textContent = `Unpinning "${session.name || 'Untitled'}" lets the retention rules remove ${count} of its requests right away.`;
+    setHTML(elements.retentionList, `
+      <div class="flex justify-end">
+        <button type="button" class="rounded bg-rose-600 px-3 py-2 text-sm text-white" data-retention-unpin>Unpin and remove ${count} request${count === 1 ? '' : 's'}</button>
+      </div>
+    `);
+    elements.retentionList.querySelector('button[data-retention-unpin]')?.addEventListener('click', () => {
+      elements.retentionDialog.close();
+      send(true);
+    });
+    if (!elements.retentionDialog.open) elements.retentionDialog.showModal();
+  });
+}
+
+/**
+ * Close the retention dialog without changing anything.
+ */
+export function closeRetentionDialog() {
+  elements.retentionDialog?.close();
+  retentionDialogMode = 'warnings';
+}
@@ -1,7 +1,9 @@
 import { api, elements, state } from './state.js';
 import { escapeHtml, formatTime, setHTML } from './utils.js';
-import { applySearch } from './requests.js';
+import { applySearch, loadSessionRequests } from './requests.js';
 import { toast } from './ui.js';
+import { openRetentionWarnings, renderRetentionNotice, renderSessionUsage, updateSessionWithRetention } from './retention.js';
+import { getActiveTagsSwitch, getTagsLibraryLabel } from '../../lib/tags-switch.js';
 
 /**
  * Render the sessions list in the sidebar.
@@ -23,7 +25,7 @@ export function renderSessions() {
 
   setHTML(list, Object.entries(grouped).map(([site, siteSessions]) => {
     const sessionRows = siteSessions.map(session => {
-      const count = state.requests.filter(r => r.sessionId === session.id).length;
+      const count = session.requestCount || 0;
       const active = session.id === selectedId ? 'bg-slate-50' : 'bg-white';
       const isPaused = !!session.paused;
       return `
@@ -35,8 +37,14 @@ export function renderSessions() {
                 <div class="text-xs text-slate-400">${count}</div>
               </div>
               <div class="text-xs text-slate-500">${formatTime(session.createdAt)}</div>
+              ${renderSessionUsage(session)}
             </button>
             <div class="flex items-center gap-1">
+              <button class="p-1 rounded hover:bg-slate-100 ${session.pinned ? 'text-amber-600' : 'text-slate-400'}" data-pin-id="${session.id}" title="${session.pinned ? 'Unpin session' : 'Keep forever'}" aria-pressed="${session.pinned ? 'true' : 'false'}">
+                <svg viewBox="0 0 24 24" fill="${session.pinned ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="1.5" aria-hidden="true" class="h-4 w-4">
+                  <path stroke-linecap="round" stroke-linejoin="round" d="M17.593 3.322c1.1.128 1.907 1.077 1.907 2.185V21L12 17.25 4.5 21V5.507c0-1.108.806-2.057 1.907-2.185a48.507 48.507 0 0 1 11.186 0Z" />
+                </svg>
+              </button>
               <button class="p-1 rounded hover:bg-slate-100 text-slate-500" data-rename-id="${session.id}" title="Rename session">
                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" aria-hidden="true" class="h-4 w-4">
                   <path stroke-linecap="round" stroke-linejoin="round" d="m16.862 4.487 1.687-1.688a1.875 1.875 0 1 1 2.652 2.652L10.582 16.07a4.5 4.5 0 0 1-1.897 1.13L6 18l.8-2.685a4.5 4.5 0 0 1 1.13-1.897l8.932-8.931Z" />
@@ -54,6 +62,7 @@ export function renderSessions() {
               </button>
             </div>
           </div>
+          ${renderRetentionNotice(session)}
         </div>
       `;
     }).join('');
@@ -90,15 +99,33 @@ export function renderSessions() {
     });
   });
 
+  list.querySelectorAll('button[data-pin-id]').forEach(button => {
+    button.addEventListener('click', event => {
+      event.stopPropagation();
+      const session = state.sessions.find(s => s.id === button.getAttribute('data-pin-id'));
+      if (!session) return;
+      const pinned = !session.pinned;
+      updateSessionWithRetention(session, { pinned }, () => {
+        toast(pinned ? 'Session pinned' : 'Session unpinned');
+      });
+    });
+  });
+
+  list.querySelectorAll('button[data-retention-open]').forEach(button => {
+    button.addEventListener('click', () => openRetentionWarnings());
+  });
+
   list.querySelectorAll('button[data-pause-id]').forEach(button => {
     button.addEventListener('click', event => {
       event.stopPropagation();
       const id = button.getAttribute('data-pause-id');
       api.runtime.sendMessage({ type: 'pauseSession', id }, () => {
+        const changed = state.settings?.selectedSessionId !== id;
         if (state.settings) {
           state.settings.capturePaused = true;
           state.settings.selectedSessionId = id;
         }
+        if (changed) loadSessionRequests(id);
         updateSessionSummary();
         toast('Stopped listening');
       });
@@ -118,7 +145,7 @@ export function selectSession(id) {
     elements.details.classList.add('hidden');
     elements.observingState.classList.remove('hidden');
     elements.emptyState.classList.add('hidden');
-    applySearch();
+    loadSessionRequests(id);
     renderSessions();
     updateSessionSummary();
   });
@@ -132,8 +159,10 @@ export function deleteSession(id) {
   api.runtime.sendMessage({ type: 'deleteSession', id }, () => {
     state.sessions = state.sessions.filter(s => s.id !== id);
     state.requests = state.requests.filter(r => r.sessionId !== id);
+    state.pageEvents = state.pageEvents.filter(e => e.sessionId !== id);
     if (state.settings?.selectedSessionId === id) {
       state.settings.selectedSessionId = state.sessions[0]?.id || null;
+      loadSessionRequests(state.settings.selectedSessionId);
     }
     state.selectedId = null;
     elements.details.classList.add('hidden');
@@ -241,6 +270,8 @@ export function openSessionDialog(session) {
   if (elements.sessionUatToggle) {
     elements.sessionUatToggle.checked = !!session?.uatEnabled;
   }
+  if (elements.sessionPinToggle) elements.sessionPinToggle.checked = !!session?.pinned;
+  if (elements.sessionMaxEntries) elements.sessionMaxEntries.value = session?.maxEntries || '';
   updateUatToggle();
   elements.sessionDialog.showModal();
 }
@@ -260,7 +291,13 @@ export function updateSessionSummary() {
     return;
   }
   const tabLabel = getTabLabel(session.lockTabId);
-  elements.sessionSummary.textContent = `${session.site} · ${session.name || 'Untitled'} · ${tabLabel}`;
+  const summary = `${session.site} · ${session.name || 'Untitled'} · ${tabLabel}`;
+  const tagsSwitch = getActiveTagsSwitch(state.settings?.tagsEnvSwitches, session.site);
+  if (!tagsSwitch) {
+    elements.sessionSummary.textContent = summary;
+    return;
+  }
+  setHTML(elements.sessionSummary, `${escapeHtml(summary)} <span class="ml-2 inline-flex items-center rounded bg-amber-100 px-1.5 py-0.5 text-[10px] font-semibold text-amber-800" title="${escapeHtml(`${tagsSwitch.pageDomain} → ${tagsSwitch.libraryUrl}`)}">Tags env: ${escapeHtml(getTagsLibraryLabel(tagsSwitch.libraryUrl))}</span>`);
 }
 
 /**
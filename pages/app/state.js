@@ -4,11 +4,16 @@ export const state = {
   settings: null,
   requests: [],
   filtered: [],
+  pageEvents: [],
+  filteredEvents: [],
+  expandedEventIds: new Set(),
   selectedId: null,
   search: '',
+  preConsentOnly: false,
   querySearch: '',
   payloadSearch: '',
   payloadExpand: 'level1',
+  payloadView: 'decoded',
   activeTab: 'payload',
   sessions: [],
   currentSessionId: null,
@@ -20,7 +25,8 @@ export const state = {
   allowlistSelectedServiceIds: null,
   requestCapNotified: {},
   uatConfigs: {},
-  sessionStopReason: null
+  sessionStopReason: null,
+  retentionWarnings: []
 };
 
 export const elements = {
@@ -30,6 +36,7 @@ export const elements = {
   mobileOverlay: document.getElementById('mobile-sidebar-overlay'),
   requestList: document.getElementById('request-list'),
   requestCount: document.getElementById('request-count'),
+  filterPreConsent: document.getElementById('filter-pre-consent'),
   sessionExpiredBanner: document.getElementById('session-expired-banner'),
   search: document.getElementById('search'),
   sessionList: document.getElementById('session-list'),
@@ -42,6 +49,15 @@ export const elements = {
   allowlistFields: document.getElementById('allowlist-fields'),
   allowlistAdd: document.getElementById('allowlist-add'),
   enableHooks: document.getElementById('enable-hooks'),
+  debuggerCaptureOption: document.getElementById('debugger-capture-option'),
+  enableDebugger: document.getElementById('enable-debugger'),
+  tagsSwitchFields: document.getElementById('tags-switch-fields'),
+  tagsSwitchAdd: document.getElementById('tags-switch-add'),
+  snapshotCookieKeys: document.getElementById('snapshot-cookie-keys'),
+  snapshotStorageKeys: document.getElementById('snapshot-storage-keys'),
+  retentionSessionMax: document.getElementById('retention-session-max'),
+  retentionTotalMax: document.getElementById('retention-total-max'),
+  retentionExpireDays: document.getElementById('retention-expire-days'),
   allowlistCancel: document.getElementById('allowlist-cancel'),
   allowlistSave: document.getElementById('allowlist-save'),
   sessionDialog: document.getElementById('session-dialog'),
@@ -53,6 +69,8 @@ export const elements = {
   sessionSiteError: document.getElementById('session-site-error'),
   sessionLockTab: document.getElementById('session-lock-tab'),
   sessionTabError: document.getElementById('session-tab-error'),
+  sessionPinToggle: document.getElementById('session-pin-toggle'),
+  sessionMaxEntries: document.getElementById('session-max-entries'),
   sessionCancel: document.getElementById('session-cancel'),
   sessionSave: document.getElementById('session-save'),
   emptyState: document.getElementById('empty-state'),
@@ -61,23 +79,38 @@ export const elements = {
   detailDomain: document.getElementById('detail-domain'),
   detailUrl: document.getElementById('detail-url'),
   detailMeta: document.getElementById('detail-meta'),
+  detailRedirects: document.getElementById('detail-redirects'),
   detailQuery: document.getElementById('detail-query'),
   queryTools: document.getElementById('query-tools'),
   querySearch: document.getElementById('query-search'),
   detailPayload: document.getElementById('detail-payload'),
+  detailResponse: document.getElementById('detail-response'),
+  detailResponseMeta: document.getElementById('detail-response-meta'),
   detailHeaders: document.getElementById('detail-headers'),
   detailRaw: document.getElementById('detail-raw'),
+  detailPage: document.getElementById('detail-page'),
+  detailPageMeta: document.getElementById('detail-page-meta'),
+  pageProbe: document.getElementById('page-probe'),
+  detailPersonalization: document.getElementById('detail-personalization'),
+  detailPersonalizationMeta: document.getElementById('detail-personalization-meta'),
+  detailDiagnostics: document.getElementById('detail-diagnostics'),
   tabButtons: Array.from(document.querySelectorAll('.tab-button')),
   tabsSelect: document.getElementById('tabs-select'),
   payloadTools: document.getElementById('payload-tools'),
   payloadExpandTools: document.getElementById('payload-expand-tools'),
   payloadSearch: document.getElementById('payload-search'),
+  payloadViewToggle: document.getElementById('payload-view-toggle'),
   sessionSummary: document.getElementById('session-summary'),
   confirmDialog: document.getElementById('confirm-dialog'),
   confirmCancel: document.getElementById('confirm-cancel'),
   confirmOk: document.getElementById('confirm-ok'),
   confirmTitle: document.getElementById('confirm-title'),
   confirmBody: document.getElementById('confirm-body'),
+  retentionDialog: document.getElementById('retention-dialog'),
+  retentionTitle: document.getElementById('retention-title'),
+  retentionBody: document.getElementById('retention-body'),
+  retentionList: document.getElementById('retention-list'),
+  retentionClose: document.getElementById('retention-close'),
   sessionIdleDialog: document.getElementById('session-idle-dialog'),
   sessionIdleExtend: document.getElementById('session-idle-extend'),
   sessionIdleStop: document.getElementById('session-idle-stop'),
@@ -86,6 +119,7 @@ export const elements = {
   helpClose: document.getElementById('help-close'),
   manageUat: document.getElementById('manage-uat'),
   openUatReport: document.getElementById('open-uat-report'),
+  openIdentities: document.getElementById('open-identities'),
   uatDialog: document.getElementById('uat-dialog'),
   uatSiteSelect: document.getElementById('uat-site-select'),
   uatFileInput: document.getElementById('uat-file-input'),
@@ -121,6 +155,10 @@ export const elements = {
   uatReportBody: document.getElementById('uat-report-body'),
   uatExport: document.getElementById('uat-export'),
   uatReportClose: document.getElementById('uat-report-close'),
+  identitiesDialog: document.getElementById('identities-dialog'),
+  identitiesMeta: document.getElementById('identities-meta'),
+  identitiesBody: document.getElementById('identities-body'),
+  identitiesClose: document.getElementById('identities-close'),
   sessionUatToggle: document.getElementById('session-uat-toggle'),
   sessionUatNote: document.getElementById('session-uat-note'),
   debugModeBadge: document.getElementById('debug-mode-badge')
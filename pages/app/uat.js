@@ -1,5 +1,6 @@
 import { elements, state } from './state.js';
 import { escapeHtml, formatTime, setHTML } from './utils.js';
+import { loadAllSessionRequests } from './requests.js';
 import { buildUatTemplate, validateUatConfig } from '../../lib/uat.js';
 
 /**
@@ -314,11 +315,13 @@ function renderUatDrawerItem(result) {
 
 /**
  * Open the UAT report modal for the active session.
+ * @returns {Promise<void>}
  */
-export function openUatReport() {
+export async function openUatReport() {
   if (!elements.uatReportDialog) return;
   const session = state.sessions.find(s => s.id === state.settings?.selectedSessionId);
   if (!session) return;
+  await loadAllSessionRequests();
   const requests = state.requests.filter(r => r.sessionId === session.id);
   const { results, summary } = collectUatReportResults(requests);
   const grouped = groupResultsByPagePath(results);
@@ -471,15 +474,18 @@ function renderUatReportCard(item) {
 
 /**
  * Export UAT report as a printable PDF.
+ * @returns {Promise<void>}
  */
-export function exportUatPdf() {
+export async function exportUatPdf() {
   const session = state.sessions.find(s => s.id === state.settings?.selectedSessionId);
   if (!session) return;
+  // Open the window before awaiting so it still counts as a user-initiated popup.
+  const doc = window.open('', '_blank');
+  if (!doc) return;
+  await loadAllSessionRequests();
   const requests = state.requests.filter(r => r.sessionId === session.id);
   const { results, summary } = collectUatReportResults(requests);
   const grouped = groupResultsByPagePath(results);
-  const doc = window.open('', '_blank');
-  if (!doc) return;
   const summaryBlock = `
     <div style="border:1px solid #e2e8f0;border-radius:12px;padding:12px;margin-bottom:16px;">
       <div style="font-weight:600;margin-bottom:6px;">Summary</div>
@@ -21,6 +21,17 @@ export function formatDuration(ms) {
   return `${Math.round(ms)} ms`;
 }
 
+/**
+ * Format a byte count (approximate stored size) for display.
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 /**
  * Escape HTML entities.
  * @param {string} value